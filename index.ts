@@ -7,6 +7,15 @@ import {
   SystemProgram,
   ComputeBudgetProgram,
   Keypair,
+  VersionedTransaction,
+  TransactionMessage,
+  AddressLookupTableAccount,
+  AddressLookupTableProgram,
+  SendOptions,
+  VersionedTransactionResponse,
+  BlockhashWithExpiryBlockHeight,
+  SYSVAR_RENT_PUBKEY,
+  TokenBalance,
 } from "@solana/web3.js";
 
 import {
@@ -15,6 +24,7 @@ import {
   createAssociatedTokenAccountInstruction,
   createSyncNativeInstruction,
   createCloseAccountInstruction,
+  createAssociatedTokenAccountIdempotentInstruction,
   getTokenMetadata,
   TOKEN_2022_PROGRAM_ID,
   TOKEN_PROGRAM_ID,
@@ -22,12 +32,19 @@ import {
 } from "@solana/spl-token";
 
 import BN from "bn.js";
+import bs58 from "bs58";
 /* ================= 类型定义 ================= */
 
 /** Wallet 接口：兼容 Keypair（自动签名）和前端钱包适配器（弹出确认） */
 export type Wallet = Keypair | {
   publicKey: PublicKey;
-  signTransaction<T extends Transaction>(tx: T): Promise<T>;
+  signTransaction<T extends Transaction | VersionedTransaction>(
+    tx: T,
+  ): Promise<T>;
+  /** 可选：批量签名，并行模式的多笔拆单只弹出一次确认 */
+  signAllTransactions?<T extends Transaction | VersionedTransaction>(
+    txs: T[],
+  ): Promise<T[]>;
 };
 
 interface TradeOptions {
@@ -42,6 +59,60 @@ interface TradeOptions {
     base: number;
     enableRandom?: boolean;
     randomRange?: number;
+    /**
+     * "random"（默认）- base + 随机值
+     * "percentile" - 取交易写入账户（bonding curve、pool 等）近期优先费的分位数，
+     *   无数据时回退到 base
+     */
+    strategy?: "random" | "percentile";
+    /** percentile 策略使用的分位数（0-100），默认 75 */
+    percentile?: number;
+    /** microLamports 下限 / 上限 */
+    min?: number;
+    max?: number;
+    /** 单笔交易优先费上限（lamports，= microLamports × CU 上限 / 1e6） */
+    maxLamportsPerTx?: number;
+    /** 重试时的加价倍数，第 n 次重试使用 escalation[n]，例如 [1, 1.5, 2] */
+    escalation?: number[];
+  };
+  /** 交易版本，默认 "legacy"；传入 lookupTables 时自动使用 v0 */
+  txVersion?: "legacy" | 0;
+  /** v0 交易使用的地址查找表（地址或已加载的账户） */
+  lookupTables?: Array<PublicKey | AddressLookupTableAccount>;
+  /**
+   * 交易模拟：
+   * "only" - 只模拟不发送，结果写入 simulatedTransactions
+   * "preflight" - 先模拟，失败的拆单直接记为失败，不消耗手续费
+   */
+  simulate?: "only" | "preflight";
+  /**
+   * Compute Unit 上限：
+   * "fixed"（默认）- 使用 units，未指定时使用各交易路径的默认值
+   * "auto" - 先模拟得到实际消耗，加上 marginBps 余量，按交易路径缓存
+   */
+  computeUnits?: {
+    mode?: "auto" | "fixed";
+    units?: number;
+    /** 自动估算的余量，默认 1500（15%） */
+    marginBps?: number;
+    min?: number;
+    max?: number;
+  };
+  /**
+   * 拆单之间的储备更新：
+   * "simulate"（默认）- 按前面拆单的预期成交在本地推演曲线 / 池子
+   * "refetch" - 每笔拆单前重新读取链上状态，与本地推演结果取更保守的一个
+   */
+  reserveUpdate?: "simulate" | "refetch";
+  /**
+   * 拆单执行方式：
+   * "sequential"（默认）- 逐笔获取 blockhash、签名、发送
+   * "parallel" - 先构建全部拆单并共用一个 blockhash，统一签名后按 concurrency 并发发送
+   */
+  execution?: {
+    mode?: "sequential" | "parallel";
+    /** 并发发送数，默认 4 */
+    concurrency?: number;
   };
 }
 
@@ -49,16 +120,409 @@ interface PendingTransaction {
   signature: string;
   lastValidBlockHeight: number;
   index: number;
+  fees?: FeeBreakdown;
+  computeUnitLimit?: number;
+  /** 该拆单的输入数量（买入为 quote，卖出为 token），用于重新报价 */
+  amountIn?: bigint;
+  /** 已签名的交易字节，用于重新广播 */
+  rawTransaction?: Uint8Array;
+  /** 报价时预期得到的数量（买入为 token，卖出为 quote） */
+  expectedOut?: bigint;
+  /** getTradeFills 解析出的实际成交 */
+  fills?: TradeFill[];
+  /** getTradeFills 读取该交易失败时的错误，其他拆单不受影响 */
+  fillsError?: string;
+}
+
+/** 交易中实际成交的一笔 Pump / Pump AMM 交易 */
+interface TradeFill {
+  signature: string;
+  slot: number;
+  blockTime: number | null;
+  mode: "bonding" | "amm";
+  side: "buy" | "sell";
+  /** 外盘事件不含 mint，从用户 base 代币账户推断 */
+  mint?: string;
+  pool?: string;
+  user: string;
+  tokenAmount: bigint;
+  /** 计价代币及精度，quoteAmount / fees 以它的最小单位计 */
+  quoteMint: string;
+  quoteDecimals: number;
+  /** 实际支付（买入，含手续费）或实际收到（卖出，已扣手续费）的 quote 数量 */
+  quoteAmount: bigint;
+  fees: FeeBreakdown;
+  /** 成交均价：每个完整代币（10^6 最小单位）对应的 quote 最小单位数 */
+  price: number;
+  /** 相对报价 expectedOut 的滑点（bps，正数表示少于预期） */
+  slippageBps?: number;
+  /** 交易费（含优先费），只记在手续费支付者的第一笔成交上 */
+  networkFee?: bigint;
+  /** 新建代币账户（ATA）的租金，同上 */
+  rentPaid?: bigint;
+}
+
+/**
+ * 价格源：推送某个代币的价格（SOL / 每个代币）
+ * 条件单引擎只依赖这个接口，可替换为自定义或模拟的价格源
+ */
+interface PriceFeed {
+  subscribe(
+    mint: string,
+    onPrice: (price: number, timestamp: number) => void,
+  ): () => void;
+}
+
+interface ConditionalOrderParams {
+  mint: string;
+  /** 条件单覆盖的代币数量（最小单位） */
+  amount: bigint;
+  /** 止盈阶梯：价格达到 price 时卖出 amount 的 sizeBps */
+  takeProfit?: Array<{ price: number; sizeBps: number }>;
+  /** 止损：价格跌到 price 时卖出，默认卖出全部剩余 */
+  stopLoss?: { price: number; sizeBps?: number };
+  /** 移动止损：从最高价回撤 trailBps 时卖出全部剩余；设置 activationPrice 时达到该价格后才开始跟踪 */
+  trailingStop?: { trailBps: number; activationPrice?: number };
+  /** 到期时间（ms），到期卖出全部剩余 */
+  expireAt?: number;
+  tradeOpt: TradeOptions;
+  useV2?: boolean;
+  quoteMint?: PublicKey;
+}
+
+type OrderTrigger = "takeProfit" | "stopLoss" | "trailingStop" | "expire";
+
+interface OrderExecution {
+  trigger: OrderTrigger;
+  amount: bigint;
+  /** 确认上链的数量，部分拆单失败或过期时小于 amount */
+  filledAmount?: bigint;
+  price: number;
+  timestamp: number;
+  result?: TradeResult;
+  error?: string;
+}
+
+interface ConditionalOrder extends ConditionalOrderParams {
+  id: string;
+  /** failed - 连续执行失败达到 maxAttempts 次 */
+  status: "active" | "filled" | "cancelled" | "failed";
+  remaining: bigint;
+  /** 连续失败次数，成交后清零 */
+  attempts: number;
+  /** 失败后在该时间（ms）之前不再重试 */
+  retryAt?: number;
+  /** 已触发的止盈档位下标 */
+  filledLevels: number[];
+  /** 止损已触发（部分止损后剩余部分只受其他规则约束） */
+  stopTriggered?: boolean;
+  /** 移动止损跟踪的最高价 */
+  highWater?: number;
+  lastPrice?: number;
+  executions: OrderExecution[];
+}
+
+interface OrderEngineOptions {
+  feed: PriceFeed;
+  /** 卖出执行函数 */
+  execute: (order: ConditionalOrder, amount: bigint) => Promise<TradeResult>;
+  /** 确认执行结果，只有 confirmed 的拆单计入成交 */
+  confirm: (result: TradeResult) => Promise<TradeConfirmation>;
+  /** 执行失败后的重试间隔，每次失败翻倍，默认 5000ms */
+  retryDelayMs?: number;
+  /** 连续失败次数上限，达到后订单标记为 failed，默认 3 */
+  maxAttempts?: number;
+  /** 当前时间，默认 Date.now */
+  now?: () => number;
+  /** 检查到期时间的间隔，默认 1000ms */
+  timerMs?: number;
+  onExecution?: (order: ConditionalOrder, execution: OrderExecution) => void;
+}
+
+interface ScheduleParams {
+  side: "buy" | "sell";
+  tokenAddr: string;
+  /** 买入为 quote 数量，卖出为代币数量 */
+  totalAmount: bigint;
+  /**
+   * "twap" - 在 durationMs 内平均执行 slices 次
+   * "dca" - 每 intervalMs 执行 amountPerSlice
+   * "impact" - 分 slices 次执行，每次等到价格影响低于 maxImpactBps
+   */
+  strategy: "twap" | "dca" | "impact";
+  durationMs?: number;
+  /** twap / impact 的分片数量，默认 10 */
+  slices?: number;
+  amountPerSlice?: bigint;
+  intervalMs?: number;
+  maxImpactBps?: number;
+  /** impact 策略重新报价的间隔，默认 2000ms */
+  pollIntervalMs?: number;
+  /** 每个分片确认后再执行下一个，默认 true */
+  waitForConfirmation?: boolean;
+  tradeOpt: TradeOptions;
+  useV2?: boolean;
+  quoteMint?: PublicKey;
+  onProgress?: (progress: ScheduleProgress) => void;
+}
+
+interface ScheduleProgress {
+  status: "running" | "waiting" | "completed" | "cancelled" | "failed";
+  totalAmount: bigint;
+  executedAmount: bigint;
+  remainingAmount: bigint;
+  slicesDone: number;
+  slicesTotal: number;
+  lastQuote?: TradeQuote;
+  lastError?: string;
+  results: TradeResult[];
+}
+
+interface ScheduledOrder {
+  cancel(): void;
+  progress(): ScheduleProgress;
+  /** 执行结束（完成、取消或失败）时 resolve */
+  done: Promise<ScheduleProgress>;
+}
+
+/** 创作者费 vault 中的一笔可领取余额 */
+interface CreatorFeeBalance {
+  program: "pump" | "pump_amm";
+  /** 原生 SOL 时为 SOL_MINT */
+  quoteMint: PublicKey;
+  /** 内盘 creator-vault 账户自身的 lamports（已扣除免租金额） */
+  native: boolean;
+  /** 余额所在的账户 */
+  vault: PublicKey;
+  amount: bigint;
+  /** quote 的 token program，原生 SOL 时为 System Program */
+  tokenProgram: PublicKey;
+}
+
+interface CreatorFees {
+  creator: PublicKey;
+  balances: CreatorFeeBalance[];
+  /** 按 quote mint（base58）汇总 */
+  totals: Record<string, bigint>;
+}
+
+interface CreatorFeeCollectResult extends TradeResult {
+  /** 每笔交易领取的 vault，下标对应交易的 index */
+  claims: CreatorFeeBalance[][];
+}
+
+/** 创作者费分成的股东 */
+interface Shareholder {
+  address: PublicKey;
+  /** 分成比例（bps），所有股东合计 10000 */
+  shareBps: number;
+}
+
+/** Fee 程序下的 sharing_config 账户 */
+interface SharingConfig {
+  address: PublicKey;
+  bump: number;
+  version: number;
+  status: "paused" | "active";
+  mint: PublicKey;
+  admin: PublicKey;
+  adminRevoked: boolean;
+  shareholders: Shareholder[];
+}
+
+/** 单个程序（内盘 / 外盘）的 user_volume_accumulator */
+interface VolumeAccumulatorStats {
+  program: "pump" | "pump_amm";
+  address: PublicKey;
+  /** 账户是否已创建 */
+  initialized: boolean;
+  /** 当前统计周期内累计的 SOL 交易量 */
+  currentSolVolume: bigint;
+  lastUpdateTimestamp: number;
+  /** 可领取的交易量奖励代币（含已结束周期中尚未结算的部分） */
+  unclaimedTokens: bigint;
+  claimedTokens: bigint;
+  /** cashback 币种返还的 SOL（账户 lamports 超出免租的部分 + wSOL 账户余额） */
+  cashback: bigint;
+}
+
+interface UserVolumeStats {
+  user: PublicKey;
+  /** 奖励代币的 mint（global_volume_accumulator 中配置） */
+  incentiveMint: PublicKey | null;
+  pump: VolumeAccumulatorStats;
+  amm: VolumeAccumulatorStats;
+}
+
+/** createToken 参数 */
+interface CreateTokenParams {
+  name: string;
+  symbol: string;
+  /** 元数据 JSON 地址 */
+  uri: string;
+  /** 新代币的 mint，默认随机生成（可传入靓号地址） */
+  mintKeypair?: Keypair;
+  /**
+   * "token2022"（默认）- create_v2，Token-2022 代币
+   * "legacy" - create，SPL Token + Metaplex 元数据
+   */
+  tokenProgram?: "token2022" | "legacy";
+  /** 开发者买入的计价代币；传入时使用 buy_v2，目前只能创建 SOL 计价的曲线 */
+  quoteMint?: PublicKey;
+  /** 同一笔交易中开发者买入花费的 quote 数量 */
+  initialBuy?: bigint;
+  /** 创作者地址，默认当前钱包 */
+  creator?: PublicKey;
+  /** 仅 create_v2 */
+  isMayhemMode?: boolean;
+  /** 仅 create_v2 */
+  isCashbackEnabled?: boolean;
+  /** 开发者买入的滑点和优先费、CU、交易版本设置 */
+  tradeOpt?: TradeOptions;
+}
+
+interface CreateTokenResult {
+  mint: PublicKey;
+  bondingCurve: PublicKey;
+  associatedBondingCurve: PublicKey;
+  signature: string;
+  lastValidBlockHeight: number;
+  /** 开发者买入的代币数量 */
+  initialBuyTokens?: bigint;
+}
+
+/** 单个代币的持仓，金额单位均为 lamports / 代币最小单位 */
+interface Position {
+  mint: string;
+  /** 计价代币，costBasis / realizedPnl / fees 以它的最小单位计 */
+  quoteMint: string;
+  quoteDecimals: number;
+  tokenAmount: bigint;
+  /**
+   * 当前持仓的成本（平均成本法，含手续费）
+   * SOL 计价时另含交易费和 ATA 租金，其他计价代币时这两项只记在 networkFees / rent
+   */
+  costBasis: bigint;
+  realizedPnl: bigint;
+  /** 累计协议 / 创作者 / LP 手续费 */
+  fees: bigint;
+  /** 累计交易费（lamports） */
+  networkFees: bigint;
+  /** 累计 ATA 租金（lamports） */
+  rent: bigint;
+  buys: number;
+  sells: number;
+  updatedAt: number;
+}
+
+/** PositionBook 的存储适配器，浏览器中可用 localStorage 等实现 */
+interface PositionStorage {
+  /** 不存在时返回 null */
+  read(key: string): Promise<string | null>;
+  write(key: string, data: string): Promise<void>;
+}
+
+interface PositionPnl extends Position {
+  /** 当前价格（SOL / 每个代币） */
+  price: number;
+  completed: boolean;
+  /** 以下单位为 SOL */
+  marketValue: number;
+  unrealizedPnl: number;
+  totalPnl: number;
 }
 
 interface FailedTransaction {
   index: number;
   error: string;
+  programError?: PumpProgramError;
+}
+
+interface SimulationResult {
+  unitsConsumed?: number;
+  logs: string[];
+  /** 原始错误（simulateTransaction 返回的 err） */
+  err: unknown;
+  programError?: PumpProgramError;
+}
+
+interface SimulatedTransaction extends SimulationResult {
+  index: number;
+  fees?: FeeBreakdown;
+}
+
+/** submitTx 的附加信息，原样写入 PendingTransaction */
+interface SubmitExtra {
+  sendOptions?: SendOptions;
+  fees?: FeeBreakdown;
+  amountIn?: bigint;
+  expectedOut?: bigint;
+}
+
+/** 已编译（并已模拟）、待签名发送的拆单 */
+interface PreparedChunk {
+  index: number;
+  transaction: Transaction | VersionedTransaction;
+  lastValidBlockHeight: number;
+  programIds: PublicKey[];
+  computeUnitLimit?: number;
+  extra: SubmitExtra;
+}
+
+/** 并行执行时同一笔交易的拆单：共用 blockhash，统一签名 */
+interface ChunkBatch {
+  latest: BlockhashWithExpiryBlockHeight;
+  chunks: PreparedChunk[];
+}
+
+/** 生成 TradeResult 的交易参数，confirmTradeResult 重新报价时使用 */
+interface TradeContext {
+  side: "buy" | "sell";
+  tokenAddr: string;
+  quoteMint: PublicKey;
+  useV2: boolean;
+  tradeOpt: TradeOptions;
 }
 
 interface TradeResult {
   pendingTransactions: PendingTransaction[];
   failedTransactions: FailedTransaction[];
+  simulatedTransactions?: SimulatedTransaction[];
+  context?: TradeContext;
+}
+
+interface ConfirmTradeOptions {
+  commitment?: "confirmed" | "finalized";
+  /** 轮询 / 重新广播间隔，默认 2000ms */
+  pollIntervalMs?: number;
+  /** 在 lastValidBlockHeight 之前持续重新广播已签名交易，默认 true */
+  rebroadcast?: boolean;
+  /** 整体超时，默认 120000ms，超时未确认的拆单记为 expired */
+  timeoutMs?: number;
+  /** 过期的拆单重新报价并重新发送，默认 false */
+  requote?: boolean;
+  /** 重新发送的最大轮数，默认 1 */
+  maxResubmits?: number;
+}
+
+interface ChunkConfirmation {
+  index: number;
+  signature: string;
+  /** timeout - 到达 timeoutMs 时 blockhash 仍有效，交易可能稍后上链，不会重新报价 */
+  status: "confirmed" | "failed" | "expired" | "timeout";
+  slot?: number;
+  error?: string;
+  programError?: PumpProgramError;
+  /** 过期后重新报价发送的结果 */
+  resubmission?: TradeConfirmation;
+}
+
+interface TradeConfirmation {
+  chunks: ChunkConfirmation[];
+  confirmed: number;
+  failed: number;
+  expired: number;
+  timeout: number;
 }
 
 interface BondingCurveState {
@@ -97,18 +561,315 @@ interface TradeEvent {
   user: string;
   timestamp: number;
   signature: string;
+  /** 以下字段为后续升级新增，旧交易中可能缺失，缺失的数值为 0 */
+  /** 成交后的虚拟 / 真实储备，可直接计算价格 */
+  virtualSolReserves: bigint;
+  virtualTokenReserves: bigint;
+  realSolReserves: bigint;
+  realTokenReserves: bigint;
+  feeRecipient?: string;
+  feeBasisPoints: bigint;
+  fee: bigint;
+  creator?: string;
+  creatorFeeBasisPoints: bigint;
+  creatorFee: bigint;
+  trackVolume?: boolean;
+  totalUnclaimedTokens?: bigint;
+  totalClaimedTokens?: bigint;
+  currentSolVolume?: bigint;
+  lastUpdateTimestamp?: number;
+  ixName?: string;
+  mayhemMode: boolean;
+  cashbackFeeBasisPoints: bigint;
+  cashback: bigint;
+}
+
+/** EventStream 事件的公共字段 */
+interface EventMeta {
+  signature: string;
+  slot: number;
+}
+
+interface TokenCreatedEvent extends EventMeta {
+  type: "create";
+  name: string;
+  symbol: string;
+  uri: string;
+  mint: string;
+  bondingCurve: string;
+  user: string;
+  creator: string;
+  timestamp: number;
+  virtualTokenReserves?: bigint;
+  virtualSolReserves?: bigint;
+  realTokenReserves?: bigint;
+  tokenTotalSupply?: bigint;
+  tokenProgram?: string;
+  isMayhemMode: boolean;
+  isCashbackEnabled: boolean;
+}
+
+/** 内盘完成（毕业） */
+interface CurveCompletedEvent extends EventMeta {
+  type: "complete";
+  user: string;
+  mint: string;
+  bondingCurve: string;
+  timestamp: number;
+}
+
+/** 内盘迁移到 Pump AMM */
+interface PoolMigratedEvent extends EventMeta {
+  type: "migrate";
+  user: string;
+  mint: string;
+  mintAmount: bigint;
+  solAmount: bigint;
+  poolMigrationFee: bigint;
+  bondingCurve: string;
+  timestamp: number;
+  pool: string;
+}
+
+interface PoolCreatedEvent extends EventMeta {
+  type: "poolCreated";
+  timestamp: number;
+  index: number;
+  creator: string;
+  baseMint: string;
+  quoteMint: string;
+  baseMintDecimals: number;
+  quoteMintDecimals: number;
+  baseAmountIn: bigint;
+  quoteAmountIn: bigint;
+  poolBaseAmount: bigint;
+  poolQuoteAmount: bigint;
+  lpTokenAmountOut: bigint;
+  pool: string;
+  lpMint: string;
+}
+
+interface AmmTradeEvent extends EventMeta {
+  type: "ammTrade";
+  isBuy: boolean;
+  timestamp: number;
+  /** 从交易的代币余额推断，无法推断时为空 */
+  mint?: string;
+  pool: string;
+  user: string;
+  /** 买入为 base_amount_out，卖出为 base_amount_in */
+  baseAmount: bigint;
+  /** 买入为 user_quote_amount_in，卖出为 user_quote_amount_out */
+  userQuoteAmount: bigint;
+  poolBaseTokenReserves: bigint;
+  poolQuoteTokenReserves: bigint;
+  lpFee: bigint;
+  protocolFee: bigint;
+  coinCreator: string;
+  coinCreatorFee: bigint;
+}
+
+interface CreatorFeeCollectedEvent extends EventMeta {
+  type: "creatorFee";
+  program: "pump" | "pump_amm";
+  creator: string;
+  amount: bigint;
+  timestamp: number;
+}
+
+type PumpEvent =
+  | ({ type: "trade"; slot: number } & TradeEvent)
+  | TokenCreatedEvent
+  | CurveCompletedEvent
+  | PoolMigratedEvent
+  | PoolCreatedEvent
+  | AmmTradeEvent
+  | CreatorFeeCollectedEvent;
+
+type PumpEventType = PumpEvent["type"];
+
+interface EventStreamOptions {
+  commitment?: "processed" | "confirmed" | "finalized";
+  /**
+   * 只通过 emit_cpi 发出的事件（如 Pump AMM）不在日志里，
+   * 需要额外 getTransaction 才能解析，默认 false
+   */
+  fetchCpiEvents?: boolean;
+  /** 订阅的程序，默认两者都订阅 */
+  programs?: Array<"pump" | "pump_amm">;
+  /** 只接收这些代币的事件（按 mint 订阅，减少推送量） */
+  mints?: Array<PublicKey | string>;
+  /** 健康检查间隔，默认 15000ms */
+  heartbeatMs?: number;
+  /**
+   * 超过该时间没有收到 slot 心跳（连接已断开）则重新订阅并补齐，默认 60000ms，0 表示不重连
+   * 心跳来自 slot 订阅，冷门代币长时间没有成交不会触发重连
+   */
+  staleAfterMs?: number;
+  /** 重新订阅时最多补齐的签名数量（每个订阅地址），默认 200 */
+  maxBackfill?: number;
+  /** 每次心跳回调当前健康状态 */
+  onHealth?: (health: ListenerHealth) => void;
+}
+
+interface ListenerHealth {
+  running: boolean;
+  /** 最近一次收到推送的时间（ms） */
+  lastNotificationAt: number | null;
+  /** 最近一次收到 slot 心跳的时间（ms） */
+  lastHeartbeatAt: number | null;
+  lastSlot: number | null;
+  reconnects: number;
+  /** 通过补齐恢复的交易数量 */
+  backfilled: number;
+  lastError?: string;
+}
+
+/** 监听句柄 */
+interface ListenerHandle {
+  stop(): Promise<void>;
+  health(): ListenerHealth;
+}
+
+/** 历史成交：内盘 TradeEvent 或外盘 AmmTradeEvent */
+type HistoricalTrade = Extract<PumpEvent, { type: "trade" | "ammTrade" }>;
+
+/** 按地址区分的签名游标，bonding curve 和 pool 的签名不能互相作为游标 */
+interface TradeHistoryCursor {
+  bonding?: string;
+  pool?: string;
+}
+
+interface TradeHistoryOptions {
+  /**
+   * 从各地址的该签名之前开始向前查询（不含），用于分页
+   * 传入时只查询其中列出的地址，通常直接使用上一页 getTradeHistoryPage 返回的 next
+   */
+  before?: TradeHistoryCursor;
+  /** 各地址查询到该签名为止（不含） */
+  until?: TradeHistoryCursor;
+  /** 每个地址（bonding curve / pool）最多查询的签名数量，默认 1000 */
+  limit?: number;
+  quoteMint?: PublicKey;
+  /** 每批 getTransactions 的数量，默认 20 */
+  batchSize?: number;
+}
+
+type CandleInterval = "1s" | "1m" | "5m" | "1h";
+
+interface CandleOHLCV {
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  volume: number;
+}
+
+/**
+ * 价格为每个完整代币（10^6 最小单位）的 SOL 价格；
+ * usd 按成交时设置的 SOL/USDC 价格换算，未设置时为空
+ */
+interface Candle extends CandleOHLCV {
+  interval: CandleInterval;
+  /** 区间开始时间（秒） */
+  start: number;
+  /** 代币成交量（volume 为 SOL 成交量） */
+  tokenVolume: number;
+  trades: number;
+  /** 区间内最后一笔成交来自内盘还是外盘 */
+  mode: "bonding" | "amm";
+  usd?: CandleOHLCV;
+}
+
+interface CandleAggregatorOptions {
+  intervals?: CandleInterval[];
+  /** 每个周期保留的 K 线数量，默认 1000 */
+  maxCandles?: number;
+  /** SOL 的 USD 价格，用于换算 usd K 线 */
+  solPriceUsd?: number;
+}
+
+/** 报价时的储备快照：内盘为虚拟储备，外盘为池子余额 */
+interface QuoteReserves {
+  base: bigint;
+  quote: bigint;
+}
+
+interface ChunkQuote {
+  index: number;
+  amountIn: bigint;
+  expectedOut: bigint;
+  /** 买入：指令中的 max quote；卖出：等于 amountIn */
+  maxIn: bigint;
+  /** 买入：等于 expectedOut（指令按精确数量买入）；卖出：指令中的 min quote */
+  minOut: bigint;
+  slippageBps: number;
+  fees: FeeBreakdown;
+}
+
+interface TradeQuote {
+  mode: "bonding" | "amm";
+  side: "buy" | "sell";
+  mint: string;
+  quoteMint: PublicKey;
+  amountIn: bigint;
+  expectedOut: bigint;
+  minOut: bigint;
+  maxIn: bigint;
+  priceImpactBps: number;
+  fees: FeeBreakdown;
+  feeRates: FeeRates;
+  chunks: ChunkQuote[];
+  reservesBefore: QuoteReserves;
+  reservesAfter: QuoteReserves;
+}
+
+/** 单笔交易适用的费率（bps） */
+interface FeeRates {
+  lpFeeBps: bigint;
+  protocolFeeBps: bigint;
+  creatorFeeBps: bigint;
+}
+
+/**
+ * 单笔交易的手续费明细（quote 计价）
+ * cashback 币种的创作者费返还给交易者，记在 cashback 而不是 creatorFee
+ */
+interface FeeBreakdown {
+  lpFee: bigint;
+  protocolFee: bigint;
+  creatorFee: bigint;
+  cashback: bigint;
+  totalFee: bigint;
+}
+
+interface FeeTier {
+  /** 市值门槛（quote 最小单位） */
+  marketCapThreshold: bigint;
+  fees: FeeRates;
+}
+
+/** Fee 程序下的 fee_config 账户 */
+interface FeeConfigState {
+  admin: PublicKey;
+  flatFees: FeeRates;
+  feeTiers: FeeTier[];
 }
 
 interface GlobalState {
   initialized: boolean;
   authority: PublicKey;
   feeRecipient: PublicKey;
-  withdrawAuthority: PublicKey;
   initialVirtualTokenReserves: bigint;
   initialVirtualSolReserves: bigint;
   initialRealTokenReserves: bigint;
   tokenTotalSupply: bigint;
   feeBasisPoints: bigint;
+  withdrawAuthority: PublicKey;
+  enableMigrate: boolean;
+  poolMigrationFee: bigint;
+  creatorFeeBasisPoints: bigint;
+  feeRecipients: PublicKey[];
 }
 
 interface TokenProgramType {
@@ -136,12 +897,14 @@ const PROGRAM_IDS = {
   PUMP_AMM: new PublicKey("pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA"),
   METADATA: new PublicKey("metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s"),
   FEE: new PublicKey("pfeeUxB6jkeY1Hxd7CsFCAjcbHA9rWtchMGdZ6VojVZ"),
+  MAYHEM: new PublicKey("MAyhSmzXzV1pTf7LsNkrNwkWKTo4ougAJ1PPg47MD4e"),
   EVENT_AUTHORITY: new PublicKey(
     "Ce6TQqeHC9p8KetsN6JsjHK7UTZk7nasjjnr7XxXp9F1",
   ),
 };
 
 const SOL_MINT = new PublicKey("So11111111111111111111111111111111111111112");
+const USDC_MINT = new PublicKey("EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v");
 
 const SEEDS = {
   FEE_CONFIG: new Uint8Array([
@@ -159,12 +922,52 @@ const SEEDS = {
 const DISCRIMINATORS = {
   BUY: Buffer.from([102, 6, 61, 18, 1, 218, 235, 234]),
   SELL: Buffer.from([51, 230, 133, 164, 1, 127, 131, 173]),
+  CREATE: Buffer.from([24, 30, 200, 40, 5, 28, 7, 119]),
+  CREATE_V2: Buffer.from([214, 144, 76, 236, 95, 139, 49, 180]),
   TRADE_EVENT: Buffer.from([189, 219, 127, 211, 78, 230, 97, 238]),
+  AMM_BUY_EVENT: Buffer.from([103, 244, 82, 31, 44, 245, 119, 119]),
+  AMM_SELL_EVENT: Buffer.from([62, 47, 55, 10, 165, 3, 220, 42]),
+  CREATE_EVENT: Buffer.from([27, 114, 169, 77, 222, 235, 99, 118]),
+  COMPLETE_EVENT: Buffer.from([95, 114, 97, 156, 212, 46, 152, 8]),
+  MIGRATION_EVENT: Buffer.from([189, 233, 93, 185, 92, 148, 234, 148]),
+  COLLECT_CREATOR_FEE_EVENT: Buffer.from([122, 2, 127, 1, 14, 191, 12, 175]),
+  CREATE_POOL_EVENT: Buffer.from([177, 49, 12, 210, 160, 118, 167, 116]),
+  COLLECT_COIN_CREATOR_FEE_EVENT: Buffer.from([
+    232, 245, 194, 238, 234, 218, 58, 89,
+  ]),
+  // Anchor emit_cpi! 自调用指令的前缀
+  EVENT_IX_TAG: Buffer.from([228, 69, 165, 46, 81, 203, 154, 29]),
   // V2 instructions
   BUY_V2: Buffer.from([184, 23, 238, 97, 103, 197, 211, 61]),
   SELL_V2: Buffer.from([93, 246, 130, 60, 231, 233, 64, 178]),
   BUY_EXACT_QUOTE_IN_V2: Buffer.from([194, 171, 28, 70, 104, 77, 91, 47]),
   COLLECT_CREATOR_FEE_V2: Buffer.from([207, 17, 138, 242, 4, 34, 19, 56]),
+  COLLECT_CREATOR_FEE: Buffer.from([20, 22, 86, 123, 198, 28, 219, 132]),
+  COLLECT_COIN_CREATOR_FEE: Buffer.from([160, 57, 89, 42, 181, 139, 43, 66]),
+  // Fee 程序：创作者费分成
+  CREATE_FEE_SHARING_CONFIG: Buffer.from([195, 78, 86, 76, 111, 52, 251, 213]),
+  UPDATE_FEE_SHARES: Buffer.from([189, 13, 136, 99, 187, 164, 237, 35]),
+  DISTRIBUTE_CREATOR_FEES: Buffer.from([165, 114, 103, 0, 121, 206, 247, 81]),
+  TRANSFER_CREATOR_FEES_TO_PUMP: Buffer.from([
+    139, 52, 134, 85, 228, 229, 108, 241,
+  ]),
+  // 交易量奖励与 cashback（内盘、外盘程序相同）
+  CLAIM_TOKEN_INCENTIVES: Buffer.from([16, 4, 71, 28, 204, 1, 40, 27]),
+  CLAIM_CASHBACK: Buffer.from([37, 58, 35, 126, 190, 53, 228, 197]),
+};
+
+const MAX_COMPUTE_UNITS = 1_400_000;
+const DEFAULT_CU_MARGIN_BPS = 1500;
+const MIN_COMPUTE_UNITS = 50_000;
+const DEFAULT_PRIORITY_PERCENTILE = 75;
+const DEFAULT_SEND_CONCURRENCY = 4;
+const MAX_COLLECTS_PER_TX = 4;
+
+/** 非交易操作（如领取手续费）的默认发送参数：不加优先费，自动估算 CU */
+const DEFAULT_TX_OPTIONS: TradeOptions = {
+  maxSolPerTx: 0n,
+  slippage: { base: 0 },
+  priority: { base: 0 },
 };
 
 const AMM_FEE_BPS = 100n;
@@ -202,6 +1005,193 @@ const PUMP_BUYBACK_FEE_RECIPIENTS = [
   "A7hAgCzFw14fejgCp387JUJRMNyz4j89JKnhtKU8piqW",
 ].map((value) => new PublicKey(value));
 
+/* ================= 错误定义 ================= */
+
+const PUMP_ERRORS: Record<number, string> = {
+  6000: "NotAuthorized",
+  6001: "AlreadyInitialized",
+  6002: "TooMuchSolRequired",
+  6003: "TooLittleSolReceived",
+  6004: "MintDoesNotMatchBondingCurve",
+  6005: "BondingCurveComplete",
+  6006: "BondingCurveNotComplete",
+  6007: "NotInitialized",
+  6008: "WithdrawTooFrequent",
+  6009: "NewSizeShouldBeGreaterThanCurrentSize",
+  6010: "AccountTypeNotSupported",
+  6011: "InitialRealTokenReservesShouldBeLessThanTokenTotalSupply",
+  6012: "InitialVirtualTokenReservesShouldBeGreaterThanInitialRealTokenReserves",
+  6013: "FeeBasisPointsGreaterThanMaximum",
+  6014: "AllZerosWithdrawAuthority",
+  6015: "PoolMigrationFeeShouldBeLessThanFinalRealSolReserves",
+  6016: "PoolMigrationFeeShouldBeGreaterThanCreatorFeePlusMaxMigrateFees",
+  6017: "DisabledWithdraw",
+  6018: "DisabledMigrate",
+  6019: "InvalidCreator",
+  6020: "BuyZeroAmount",
+  6021: "NotEnoughTokensToBuy",
+  6022: "SellZeroAmount",
+  6023: "NotEnoughTokensToSell",
+  6024: "Overflow",
+  6025: "Truncation",
+  6026: "DivisionByZero",
+  6027: "NotEnoughRemainingAccounts",
+  6028: "AllFeeRecipientsShouldBeNonZero",
+  6029: "UnsortedNotUniqueFeeRecipients",
+  6030: "CreatorShouldNotBeZero",
+  6040: "BuyNotEnoughSolToCoverRent",
+  6041: "BuyNotEnoughSolToCoverFees",
+  6042: "BuySlippageBelowMinTokensOut",
+};
+
+const PUMP_AMM_ERRORS: Record<number, string> = {
+  6000: "FeeBasisPointsExceedsMaximum",
+  6001: "ZeroBaseAmount",
+  6002: "ZeroQuoteAmount",
+  6003: "TooLittlePoolTokenLiquidity",
+  6004: "ExceededSlippage",
+  6005: "InvalidAdmin",
+  6006: "UnsupportedBaseMint",
+  6007: "UnsupportedQuoteMint",
+  6008: "InvalidBaseMint",
+  6009: "InvalidQuoteMint",
+  6010: "InvalidLpMint",
+  6011: "AllProtocolFeeRecipientsShouldBeNonZero",
+  6012: "UnsortedNotUniqueProtocolFeeRecipients",
+  6013: "InvalidProtocolFeeRecipient",
+  6014: "InvalidPoolBaseTokenAccount",
+  6015: "InvalidPoolQuoteTokenAccount",
+  6016: "BuyMoreBaseAmountThanPoolReserves",
+  6017: "DisabledCreatePool",
+  6018: "DisabledDeposit",
+  6019: "DisabledWithdraw",
+  6020: "DisabledBuy",
+  6021: "DisabledSell",
+  6022: "SameMints",
+  6023: "Overflow",
+  6024: "Truncation",
+  6025: "DivisionByZero",
+  6026: "NewSizeLessThanCurrentSize",
+  6027: "AccountTypeNotSupported",
+  6028: "OnlyCanonicalPumpPoolsCanHaveCoinCreator",
+};
+
+/** Anchor 框架错误（所有 Anchor 程序通用） */
+const ANCHOR_ERRORS: Record<number, string> = {
+  100: "InstructionMissing",
+  101: "InstructionFallbackNotFound",
+  102: "InstructionDidNotDeserialize",
+  2000: "ConstraintMut",
+  2001: "ConstraintHasOne",
+  2003: "ConstraintRaw",
+  2006: "ConstraintSeeds",
+  2012: "ConstraintAddress",
+  2014: "ConstraintTokenMint",
+  3001: "AccountDiscriminatorNotFound",
+  3002: "AccountDiscriminatorMismatch",
+  3003: "AccountDidNotDeserialize",
+  3005: "AccountNotEnoughKeys",
+  3007: "AccountOwnedByWrongProgram",
+  3012: "AccountNotInitialized",
+};
+
+const SLIPPAGE_ERRORS = new Set([
+  "TooMuchSolRequired",
+  "TooLittleSolReceived",
+  "BuySlippageBelowMinTokensOut",
+  "ExceededSlippage",
+]);
+
+/**
+ * Pump / Pump AMM 程序返回的自定义错误
+ */
+export class PumpProgramError extends Error {
+  readonly program: "pump" | "pump_amm" | "unknown";
+  readonly code: number;
+  readonly errorName: string;
+  readonly instructionIndex: number;
+
+  constructor(args: {
+    program: "pump" | "pump_amm" | "unknown";
+    code: number;
+    errorName: string;
+    instructionIndex: number;
+  }) {
+    super(
+      `${args.program} error ${args.code} (${args.errorName}) at instruction ${args.instructionIndex}`,
+    );
+    this.name = "PumpProgramError";
+    this.program = args.program;
+    this.code = args.code;
+    this.errorName = args.errorName;
+    this.instructionIndex = args.instructionIndex;
+  }
+
+  get isSlippage(): boolean {
+    return SLIPPAGE_ERRORS.has(this.errorName);
+  }
+
+  get isCurveComplete(): boolean {
+    return this.errorName === "BondingCurveComplete";
+  }
+}
+
+/**
+ * 解析交易错误中的自定义错误码
+ * @param err - simulateTransaction / getTransaction 返回的 err
+ * @param programIds - 交易中每条指令的 programId
+ */
+const decodeProgramError = (
+  err: unknown,
+  programIds: PublicKey[],
+): PumpProgramError | undefined => {
+  const ixErr = (err as { InstructionError?: [number, unknown] } | null)
+    ?.InstructionError;
+  if (!ixErr) return undefined;
+
+  const [instructionIndex, detail] = ixErr;
+  const code = (detail as { Custom?: number } | null)?.Custom;
+  if (typeof code !== "number") return undefined;
+
+  return buildProgramError(
+    code,
+    programIds[instructionIndex],
+    instructionIndex,
+  );
+};
+
+const buildProgramError = (
+  code: number,
+  programId: PublicKey | undefined,
+  instructionIndex: number,
+): PumpProgramError => {
+  let program: "pump" | "pump_amm" | "unknown" = "unknown";
+  let table: Record<number, string> = {};
+  if (programId?.equals(PROGRAM_IDS.PUMP)) {
+    program = "pump";
+    table = PUMP_ERRORS;
+  } else if (programId?.equals(PROGRAM_IDS.PUMP_AMM)) {
+    program = "pump_amm";
+    table = PUMP_AMM_ERRORS;
+  }
+
+  return new PumpProgramError({
+    program,
+    code,
+    errorName: table[code] ?? ANCHOR_ERRORS[code] ?? "Unknown",
+    instructionIndex,
+  });
+};
+
+/** 从已签名的交易字节中取出每条指令的 programId */
+const programIdsOf = (rawTransaction?: Uint8Array): PublicKey[] => {
+  if (!rawTransaction) return [];
+  const { message } = VersionedTransaction.deserialize(rawTransaction);
+  return message.compiledInstructions.map(
+    (ix) => message.staticAccountKeys[ix.programIdIndex],
+  );
+};
+
 /* ================= 工具函数 ================= */
 
 const u64 = (v: bigint | BN | number): Buffer => {
@@ -210,6 +1200,14 @@ const u64 = (v: bigint | BN | number): Buffer => {
   return bn.toArrayLike(Buffer, "le", 8);
 };
 
+/** Borsh 字符串：u32 长度 + UTF-8 字节 */
+const borshString = (value: string): Buffer => {
+  const bytes = Buffer.from(value, "utf8");
+  const len = Buffer.alloc(4);
+  len.writeUInt32LE(bytes.length);
+  return Buffer.concat([len, bytes]);
+};
+
 const readU64 = (buf: Buffer, offset: number): [bigint, number] => {
   const value = buf.readBigUInt64LE(offset);
   return [value, offset + 8];
@@ -230,6 +1228,125 @@ const readString = (buf: Buffer, offsetObj: { offset: number }): string => {
   return str;
 };
 
+/**
+ * 成交均价相对现价的偏离（bps）
+ * 买入：amountIn 为 quote、amountOut 为 base；卖出则相反
+ */
+const calcPriceImpactBps = (
+  side: "buy" | "sell",
+  amountIn: bigint,
+  amountOut: bigint,
+  reserves: QuoteReserves,
+): number => {
+  if (amountIn === 0n || amountOut === 0n) return 0;
+  if (reserves.base === 0n || reserves.quote === 0n) return 0;
+  if (side === "buy") {
+    const ratio =
+      (amountIn * reserves.base * 10_000n) / (amountOut * reserves.quote);
+    return Number(ratio) - 10_000;
+  }
+  const ratio =
+    (amountOut * reserves.base * 10_000n) / (amountIn * reserves.quote);
+  return 10_000 - Number(ratio);
+};
+
+/** 按 bps 计算手续费，向上取整（与链上一致） */
+const calcFee = (amount: bigint, bps: bigint): bigint =>
+  (amount * bps + BPS_DENOMINATOR - 1n) / BPS_DENOMINATOR;
+
+const totalFeeBps = (rates: FeeRates): bigint =>
+  rates.lpFeeBps + rates.protocolFeeBps + rates.creatorFeeBps;
+
+const calcFeeBreakdown = (
+  amount: bigint,
+  rates: FeeRates,
+  isCashbackCoin = false,
+): FeeBreakdown => {
+  const lpFee = calcFee(amount, rates.lpFeeBps);
+  const protocolFee = calcFee(amount, rates.protocolFeeBps);
+  const creatorFee = calcFee(amount, rates.creatorFeeBps);
+  return {
+    lpFee,
+    protocolFee,
+    creatorFee: isCashbackCoin ? 0n : creatorFee,
+    cashback: isCashbackCoin ? creatorFee : 0n,
+    totalFee: lpFee + protocolFee + creatorFee,
+  };
+};
+
+const sumFeeBreakdowns = (items: FeeBreakdown[]): FeeBreakdown =>
+  items.reduce(
+    (acc, f) => ({
+      lpFee: acc.lpFee + f.lpFee,
+      protocolFee: acc.protocolFee + f.protocolFee,
+      creatorFee: acc.creatorFee + f.creatorFee,
+      cashback: acc.cashback + f.cashback,
+      totalFee: acc.totalFee + f.totalFee,
+    }),
+    { lpFee: 0n, protocolFee: 0n, creatorFee: 0n, cashback: 0n, totalFee: 0n },
+  );
+
+/** 曲线储备按 quote / token 变化量平移，V2 的 quote 储备同步更新 */
+const shiftBondingReserves = (
+  state: BondingCurveState,
+  quoteDelta: bigint,
+  tokenDelta: bigint,
+): BondingCurveState => ({
+  ...state,
+  virtualTokenReserves: state.virtualTokenReserves + tokenDelta,
+  virtualSolReserves: state.virtualSolReserves + quoteDelta,
+  realTokenReserves: state.realTokenReserves + tokenDelta,
+  realSolReserves: state.realSolReserves + quoteDelta,
+  virtualQuoteReserves:
+    state.virtualQuoteReserves !== undefined
+      ? state.virtualQuoteReserves + quoteDelta
+      : undefined,
+  realQuoteReserves:
+    state.realQuoteReserves !== undefined
+      ? state.realQuoteReserves + quoteDelta
+      : undefined,
+});
+
+/**
+ * 按市值选择费率档位（与官方 SDK 的 calculateFeeTier 一致）
+ */
+const pickFeeTier = (tiers: FeeTier[], marketCap: bigint): FeeRates => {
+  const first = tiers[0];
+  if (marketCap < first.marketCapThreshold) return first.fees;
+  for (let i = tiers.length - 1; i >= 0; i--) {
+    if (marketCap >= tiers[i].marketCapThreshold) return tiers[i].fees;
+  }
+  return first.fees;
+};
+
+/** ComputeBudget SetComputeUnitLimit 指令 */
+const isComputeUnitLimitIx = (ix: TransactionInstruction): boolean =>
+  ix.programId.equals(ComputeBudgetProgram.programId) && ix.data[0] === 2;
+
+/** ComputeBudget SetComputeUnitPrice 指令 */
+const isComputeUnitPriceIx = (ix: TransactionInstruction): boolean =>
+  ix.programId.equals(ComputeBudgetProgram.programId) && ix.data[0] === 3;
+
+/** 升序数组的分位数（nearest-rank） */
+const percentileOf = (sorted: number[], p: number): number => {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((Math.min(Math.max(p, 0), 100) / 100) * sorted.length);
+  return sorted[Math.max(rank - 1, 0)];
+};
+
+/**
+ * 交易路径的缓存 key：各指令的 programId + 指令前 8 字节
+ * 同一路径（是否创建 ATA、内盘/外盘、V1/V2）的 CU 消耗基本一致
+ */
+const computeUnitCacheKey = (instructions: TransactionInstruction[]): string =>
+  instructions
+    .filter((ix) => !ix.programId.equals(ComputeBudgetProgram.programId))
+    .map(
+      (ix) =>
+        `${ix.programId.toBase58()}:${ix.data.subarray(0, 8).toString("hex")}`,
+    )
+    .join("|");
+
 /* ================= 解析函数 ================= */
 
 function parseMetadataAccount(data: Buffer) {
@@ -258,20 +1375,579 @@ function parseMetadataAccount(data: Buffer) {
   };
 }
 
-function parsePoolKeys(data: Buffer) {
-  if (!data || data.length < 280) {
-    throw new Error("Invalid pool account data");
-  }
-
+/**
+ * Pump TradeEvent（含 8 字节 discriminator）
+ * 事件在多次升级中追加了字段，旧交易的数据较短，缺失的字段取默认值
+ */
+function parseTradeEvent(data: Buffer): Omit<TradeEvent, "signature"> {
   let offset = 8;
+  const has = (size: number) => offset + size <= data.length;
+  const readKey = () => {
+    const key = new PublicKey(data.slice(offset, offset + 32));
+    offset += 32;
+    return key.toBase58();
+  };
+  const nextU64 = () => {
+    const value = data.readBigUInt64LE(offset);
+    offset += 8;
+    return value;
+  };
+  const nextI64 = () => {
+    const value = Number(data.readBigInt64LE(offset));
+    offset += 8;
+    return value;
+  };
 
-  const poolBump = data.readUInt8(offset);
-  offset += 1;
+  const mint = readKey();
+  const solAmount = nextU64();
+  const tokenAmount = nextU64();
+  const isBuy = data[offset++] === 1;
+  const user = readKey();
+  const timestamp = nextI64();
+
+  const event: Omit<TradeEvent, "signature"> = {
+    mint,
+    solAmount,
+    tokenAmount,
+    isBuy,
+    user,
+    timestamp,
+    virtualSolReserves: 0n,
+    virtualTokenReserves: 0n,
+    realSolReserves: 0n,
+    realTokenReserves: 0n,
+    feeBasisPoints: 0n,
+    fee: 0n,
+    creatorFeeBasisPoints: 0n,
+    creatorFee: 0n,
+    mayhemMode: false,
+    cashbackFeeBasisPoints: 0n,
+    cashback: 0n,
+  };
 
-  const index = data.readUInt16LE(offset);
-  offset += 2;
+  if (!has(16)) return event;
+  event.virtualSolReserves = nextU64();
+  event.virtualTokenReserves = nextU64();
 
-  const creator = new PublicKey(data.slice(offset, offset + 32));
+  if (!has(16)) return event;
+  event.realSolReserves = nextU64();
+  event.realTokenReserves = nextU64();
+
+  if (!has(48)) return event;
+  event.feeRecipient = readKey();
+  event.feeBasisPoints = nextU64();
+  event.fee = nextU64();
+
+  if (!has(48)) return event;
+  event.creator = readKey();
+  event.creatorFeeBasisPoints = nextU64();
+  event.creatorFee = nextU64();
+
+  if (!has(33)) return event;
+  event.trackVolume = data[offset++] === 1;
+  event.totalUnclaimedTokens = nextU64();
+  event.totalClaimedTokens = nextU64();
+  event.currentSolVolume = nextU64();
+  event.lastUpdateTimestamp = nextI64();
+
+  if (!has(4)) return event;
+  const offsetObj = { offset };
+  event.ixName = readString(data, offsetObj);
+  offset = offsetObj.offset;
+
+  if (!has(1)) return event;
+  event.mayhemMode = data[offset++] === 1;
+
+  if (!has(16)) return event;
+  event.cashbackFeeBasisPoints = nextU64();
+  event.cashback = nextU64();
+
+  return event;
+}
+
+/**
+ * Pump AMM BuyEvent / SellEvent（含 8 字节 discriminator）
+ * 两者字段顺序一致，只是含义按方向不同：
+ * 买入 baseAmount 为 base_amount_out，userQuoteAmount 为 user_quote_amount_in；
+ * 卖出 baseAmount 为 base_amount_in，userQuoteAmount 为 user_quote_amount_out
+ */
+function parseAmmSwapEvent(data: Buffer) {
+  const isBuy = data.subarray(0, 8).equals(DISCRIMINATORS.AMM_BUY_EVENT);
+  let offset = 8;
+
+  const timestamp = Number(data.readBigInt64LE(offset));
+  offset += 8;
+  const baseAmount = data.readBigUInt64LE(offset);
+  offset += 8;
+  // max_quote_amount_in / min_quote_amount_out
+  const quoteAmountLimit = data.readBigUInt64LE(offset);
+  offset += 8;
+  const userBaseTokenReserves = data.readBigUInt64LE(offset);
+  offset += 8;
+  const userQuoteTokenReserves = data.readBigUInt64LE(offset);
+  offset += 8;
+  const poolBaseTokenReserves = data.readBigUInt64LE(offset);
+  offset += 8;
+  const poolQuoteTokenReserves = data.readBigUInt64LE(offset);
+  offset += 8;
+  const quoteAmount = data.readBigUInt64LE(offset);
+  offset += 8;
+  const lpFeeBasisPoints = data.readBigUInt64LE(offset);
+  offset += 8;
+  const lpFee = data.readBigUInt64LE(offset);
+  offset += 8;
+  const protocolFeeBasisPoints = data.readBigUInt64LE(offset);
+  offset += 8;
+  const protocolFee = data.readBigUInt64LE(offset);
+  offset += 8;
+  // quote_amount_in_with_lp_fee / quote_amount_out_without_lp_fee
+  offset += 8;
+  const userQuoteAmount = data.readBigUInt64LE(offset);
+  offset += 8;
+
+  const readKey = () => {
+    const key = new PublicKey(data.slice(offset, offset + 32));
+    offset += 32;
+    return key.toBase58();
+  };
+  const pool = readKey();
+  const user = readKey();
+  const userBaseTokenAccount = readKey();
+  const userQuoteTokenAccount = readKey();
+  const protocolFeeRecipient = readKey();
+  const protocolFeeRecipientTokenAccount = readKey();
+  const coinCreator = readKey();
+
+  const coinCreatorFeeBasisPoints = data.readBigUInt64LE(offset);
+  offset += 8;
+  const coinCreatorFee = data.readBigUInt64LE(offset);
+  offset += 8;
+
+  return {
+    isBuy,
+    timestamp,
+    baseAmount,
+    quoteAmountLimit,
+    userBaseTokenReserves,
+    userQuoteTokenReserves,
+    poolBaseTokenReserves,
+    poolQuoteTokenReserves,
+    quoteAmount,
+    lpFeeBasisPoints,
+    lpFee,
+    protocolFeeBasisPoints,
+    protocolFee,
+    userQuoteAmount,
+    pool,
+    user,
+    userBaseTokenAccount,
+    userQuoteTokenAccount,
+    protocolFeeRecipient,
+    protocolFeeRecipientTokenAccount,
+    coinCreator,
+    coinCreatorFeeBasisPoints,
+    coinCreatorFee,
+  };
+}
+
+/**
+ * 从交易的代币余额中查找代币账户对应的 mint
+ */
+function tokenAccountMint(
+  tx: VersionedTransactionResponse,
+  tokenAccount: string,
+): string | undefined {
+  const keys = tx.transaction.message.getAccountKeys({
+    accountKeysFromLookups: tx.meta?.loadedAddresses,
+  });
+  const balances = [
+    ...(tx.meta?.postTokenBalances ?? []),
+    ...(tx.meta?.preTokenBalances ?? []),
+  ];
+  return balances.find(
+    (b) => keys.get(b.accountIndex)?.toBase58() === tokenAccount,
+  )?.mint;
+}
+
+/**
+ * 查找交易中满足条件的代币余额，返回其 mint 和精度，找不到时按 SOL 计价
+ */
+function quoteOf(
+  tx: VersionedTransactionResponse,
+  match: (balance: TokenBalance, address: string | undefined) => boolean,
+): { quoteMint: string; quoteDecimals: number } {
+  const keys = tx.transaction.message.getAccountKeys({
+    accountKeysFromLookups: tx.meta?.loadedAddresses,
+  });
+  const balance = [
+    ...(tx.meta?.postTokenBalances ?? []),
+    ...(tx.meta?.preTokenBalances ?? []),
+  ].find((b) => match(b, keys.get(b.accountIndex)?.toBase58()));
+  return balance
+    ? { quoteMint: balance.mint, quoteDecimals: balance.uiTokenAmount.decimals }
+    : { quoteMint: SOL_MINT.toBase58(), quoteDecimals: 9 };
+}
+
+/**
+ * 交易中为 owner 新建的代币账户所占用的租金
+ * 交易内创建又关闭的账户（如临时 WSOL）不计入
+ */
+function newTokenAccountRent(
+  tx: VersionedTransactionResponse,
+  owner: string,
+): bigint {
+  const pre = new Set(
+    (tx.meta?.preTokenBalances ?? []).map((b) => b.accountIndex),
+  );
+  return (tx.meta?.postTokenBalances ?? [])
+    .filter((b) => b.owner === owner && !pre.has(b.accountIndex))
+    .reduce(
+      (sum, b) => sum + BigInt(tx.meta?.postBalances[b.accountIndex] ?? 0),
+      0n,
+    );
+}
+
+/**
+ * 按 discriminator 解析 Pump / Pump AMM 事件，未知事件返回 null
+ * 传入 tx 时，外盘成交会从代币余额中补全 mint
+ */
+function parsePumpEvent(
+  programId: PublicKey,
+  data: Buffer,
+  meta: EventMeta,
+  tx?: VersionedTransactionResponse,
+): PumpEvent | null {
+  const disc = data.subarray(0, 8);
+  let offset = 8;
+  const readKey = () => {
+    const key = new PublicKey(data.slice(offset, offset + 32));
+    offset += 32;
+    return key.toBase58();
+  };
+  const nextU64 = () => {
+    const value = data.readBigUInt64LE(offset);
+    offset += 8;
+    return value;
+  };
+  const nextI64 = () => {
+    const value = Number(data.readBigInt64LE(offset));
+    offset += 8;
+    return value;
+  };
+
+  if (programId.equals(PROGRAM_IDS.PUMP)) {
+    if (disc.equals(DISCRIMINATORS.TRADE_EVENT)) {
+      return { type: "trade", ...parseTradeEvent(data), ...meta };
+    }
+
+    if (disc.equals(DISCRIMINATORS.CREATE_EVENT)) {
+      const offsetObj = { offset };
+      const name = readString(data, offsetObj);
+      const symbol = readString(data, offsetObj);
+      const uri = readString(data, offsetObj);
+      offset = offsetObj.offset;
+
+      const event: TokenCreatedEvent = {
+        type: "create",
+        name,
+        symbol,
+        uri,
+        mint: readKey(),
+        bondingCurve: readKey(),
+        user: readKey(),
+        creator: readKey(),
+        timestamp: nextI64(),
+        isMayhemMode: false,
+        isCashbackEnabled: false,
+        ...meta,
+      };
+      if (offset + 64 <= data.length) {
+        event.virtualTokenReserves = nextU64();
+        event.virtualSolReserves = nextU64();
+        event.realTokenReserves = nextU64();
+        event.tokenTotalSupply = nextU64();
+        event.tokenProgram = readKey();
+      }
+      if (offset < data.length) event.isMayhemMode = data[offset++] === 1;
+      if (offset < data.length) event.isCashbackEnabled = data[offset++] === 1;
+      return event;
+    }
+
+    if (disc.equals(DISCRIMINATORS.COMPLETE_EVENT)) {
+      return {
+        type: "complete",
+        user: readKey(),
+        mint: readKey(),
+        bondingCurve: readKey(),
+        timestamp: nextI64(),
+        ...meta,
+      };
+    }
+
+    if (disc.equals(DISCRIMINATORS.MIGRATION_EVENT)) {
+      return {
+        type: "migrate",
+        user: readKey(),
+        mint: readKey(),
+        mintAmount: nextU64(),
+        solAmount: nextU64(),
+        poolMigrationFee: nextU64(),
+        bondingCurve: readKey(),
+        timestamp: nextI64(),
+        pool: readKey(),
+        ...meta,
+      };
+    }
+
+    if (disc.equals(DISCRIMINATORS.COLLECT_CREATOR_FEE_EVENT)) {
+      const timestamp = nextI64();
+      return {
+        type: "creatorFee",
+        program: "pump",
+        timestamp,
+        creator: readKey(),
+        amount: nextU64(),
+        ...meta,
+      };
+    }
+
+    return null;
+  }
+
+  if (programId.equals(PROGRAM_IDS.PUMP_AMM)) {
+    if (
+      disc.equals(DISCRIMINATORS.AMM_BUY_EVENT) ||
+      disc.equals(DISCRIMINATORS.AMM_SELL_EVENT)
+    ) {
+      const e = parseAmmSwapEvent(data);
+      return {
+        type: "ammTrade",
+        isBuy: e.isBuy,
+        timestamp: e.timestamp,
+        mint: tx ? tokenAccountMint(tx, e.userBaseTokenAccount) : undefined,
+        pool: e.pool,
+        user: e.user,
+        baseAmount: e.baseAmount,
+        userQuoteAmount: e.userQuoteAmount,
+        poolBaseTokenReserves: e.poolBaseTokenReserves,
+        poolQuoteTokenReserves: e.poolQuoteTokenReserves,
+        lpFee: e.lpFee,
+        protocolFee: e.protocolFee,
+        coinCreator: e.coinCreator,
+        coinCreatorFee: e.coinCreatorFee,
+        ...meta,
+      };
+    }
+
+    if (disc.equals(DISCRIMINATORS.CREATE_POOL_EVENT)) {
+      const timestamp = nextI64();
+      const index = data.readUInt16LE(offset);
+      offset += 2;
+      const creator = readKey();
+      const baseMint = readKey();
+      const quoteMint = readKey();
+      const baseMintDecimals = data[offset++];
+      const quoteMintDecimals = data[offset++];
+      const baseAmountIn = nextU64();
+      const quoteAmountIn = nextU64();
+      const poolBaseAmount = nextU64();
+      const poolQuoteAmount = nextU64();
+      // minimum_liquidity, initial_liquidity
+      offset += 16;
+      const lpTokenAmountOut = nextU64();
+      // pool_bump
+      offset += 1;
+      return {
+        type: "poolCreated",
+        timestamp,
+        index,
+        creator,
+        baseMint,
+        quoteMint,
+        baseMintDecimals,
+        quoteMintDecimals,
+        baseAmountIn,
+        quoteAmountIn,
+        poolBaseAmount,
+        poolQuoteAmount,
+        lpTokenAmountOut,
+        pool: readKey(),
+        lpMint: readKey(),
+        ...meta,
+      };
+    }
+
+    if (disc.equals(DISCRIMINATORS.COLLECT_COIN_CREATOR_FEE_EVENT)) {
+      const timestamp = nextI64();
+      return {
+        type: "creatorFee",
+        program: "pump_amm",
+        timestamp,
+        creator: readKey(),
+        amount: nextU64(),
+        ...meta,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 取出交易中 Pump / Pump AMM 发出的事件数据
+ * 优先读取 emit_cpi 自调用指令；没有时退回到 "Program data:" 日志
+ */
+function extractProgramEvents(
+  tx: VersionedTransactionResponse,
+): Array<{ programId: PublicKey; data: Buffer }> {
+  const keys = tx.transaction.message.getAccountKeys({
+    accountKeysFromLookups: tx.meta?.loadedAddresses,
+  });
+
+  const cpiEvents: Array<{ programId: PublicKey; data: Buffer }> = [];
+  for (const inner of tx.meta?.innerInstructions ?? []) {
+    for (const ix of inner.instructions) {
+      const programId = keys.get(ix.programIdIndex);
+      if (!programId) continue;
+      if (
+        !programId.equals(PROGRAM_IDS.PUMP) &&
+        !programId.equals(PROGRAM_IDS.PUMP_AMM)
+      ) {
+        continue;
+      }
+      const data = Buffer.from(bs58.decode(ix.data));
+      if (!data.subarray(0, 8).equals(DISCRIMINATORS.EVENT_IX_TAG)) continue;
+      cpiEvents.push({ programId, data: data.subarray(8) });
+    }
+  }
+  if (cpiEvents.length > 0) return cpiEvents;
+
+  return extractLogEvents(tx.meta?.logMessages ?? []);
+}
+
+/**
+ * 取出日志中的 "Program data:" 事件
+ * 按 invoke / success 日志维护调用栈，确定每条事件的来源程序
+ */
+function extractLogEvents(
+  logs: string[],
+): Array<{ programId: PublicKey; data: Buffer }> {
+  const logEvents: Array<{ programId: PublicKey; data: Buffer }> = [];
+  const stack: string[] = [];
+  for (const line of logs) {
+    const invoke = line.match(/^Program (\w+) invoke \[\d+\]$/);
+    if (invoke) {
+      stack.push(invoke[1]);
+      continue;
+    }
+    if (/^Program \w+ (success|failed)/.test(line)) {
+      stack.pop();
+      continue;
+    }
+    if (line.startsWith("Program data: ") && stack.length > 0) {
+      logEvents.push({
+        programId: new PublicKey(stack[stack.length - 1]),
+        data: Buffer.from(line.replace("Program data: ", ""), "base64"),
+      });
+    }
+  }
+  return logEvents;
+}
+
+/**
+ * sharing_config 账户：bump、version、status、mint、admin、admin_revoked、
+ * shareholders（Vec<{ address, share_bps: u16 }>）
+ */
+function parseSharingConfig(address: PublicKey, data: Buffer): SharingConfig {
+  let offset = 8;
+  const bump = data.readUInt8(offset);
+  const version = data.readUInt8(offset + 1);
+  const status = data.readUInt8(offset + 2) === 1 ? "active" : "paused";
+  offset += 3;
+  const mint = new PublicKey(data.subarray(offset, offset + 32));
+  offset += 32;
+  const admin = new PublicKey(data.subarray(offset, offset + 32));
+  offset += 32;
+  const adminRevoked = data.readUInt8(offset) === 1;
+  offset += 1;
+
+  const count = data.readUInt32LE(offset);
+  offset += 4;
+  const shareholders: Shareholder[] = [];
+  for (let i = 0; i < count; i++) {
+    shareholders.push({
+      address: new PublicKey(data.subarray(offset, offset + 32)),
+      shareBps: data.readUInt16LE(offset + 32),
+    });
+    offset += 34;
+  }
+
+  return {
+    address,
+    bump,
+    version,
+    status,
+    mint,
+    admin,
+    adminRevoked,
+    shareholders,
+  };
+}
+
+/**
+ * global_volume_accumulator：start_time、end_time、seconds_in_a_day、mint、
+ * total_token_supply[30]、sol_volumes[30]
+ */
+function parseGlobalVolumeAccumulator(data: Buffer) {
+  const startTime = Number(data.readBigInt64LE(8));
+  const endTime = Number(data.readBigInt64LE(16));
+  const secondsInADay = Number(data.readBigInt64LE(24));
+  const mint = new PublicKey(data.subarray(32, 64));
+  const totalTokenSupply: bigint[] = [];
+  const solVolumes: bigint[] = [];
+  for (let i = 0; i < 30; i++) {
+    totalTokenSupply.push(data.readBigUInt64LE(64 + i * 8));
+    solVolumes.push(data.readBigUInt64LE(64 + 240 + i * 8));
+  }
+  return {
+    startTime,
+    endTime,
+    secondsInADay,
+    mint,
+    totalTokenSupply,
+    solVolumes,
+  };
+}
+
+/**
+ * user_volume_accumulator：user、needs_claim、total_unclaimed_tokens、
+ * total_claimed_tokens、current_sol_volume、last_update_timestamp
+ */
+function parseUserVolumeAccumulator(data: Buffer) {
+  return {
+    user: new PublicKey(data.subarray(8, 40)),
+    needsClaim: data.readUInt8(40) === 1,
+    totalUnclaimedTokens: data.readBigUInt64LE(41),
+    totalClaimedTokens: data.readBigUInt64LE(49),
+    currentSolVolume: data.readBigUInt64LE(57),
+    lastUpdateTimestamp: Number(data.readBigInt64LE(65)),
+  };
+}
+
+function parsePoolKeys(data: Buffer) {
+  if (!data || data.length < 280) {
+    throw new Error("Invalid pool account data");
+  }
+
+  let offset = 8;
+
+  const poolBump = data.readUInt8(offset);
+  offset += 1;
+
+  const index = data.readUInt16LE(offset);
+  offset += 2;
+
+  const creator = new PublicKey(data.slice(offset, offset + 32));
   offset += 32;
 
   const baseMint = new PublicKey(data.slice(offset, offset + 32));
@@ -313,15 +1989,55 @@ function parsePoolKeys(data: Buffer) {
   };
 }
 
+function parseFeeConfig(data: Buffer): FeeConfigState {
+  let offset = 8 + 1; // discriminator + bump
+
+  const admin = new PublicKey(data.slice(offset, offset + 32));
+  offset += 32;
+
+  const readFees = (): FeeRates => {
+    const lpFeeBps = data.readBigUInt64LE(offset);
+    const protocolFeeBps = data.readBigUInt64LE(offset + 8);
+    const creatorFeeBps = data.readBigUInt64LE(offset + 16);
+    offset += 24;
+    return { lpFeeBps, protocolFeeBps, creatorFeeBps };
+  };
+
+  const flatFees = readFees();
+
+  const tierCount = data.readUInt32LE(offset);
+  offset += 4;
+
+  const feeTiers: FeeTier[] = [];
+  for (let i = 0; i < tierCount; i++) {
+    const lo = data.readBigUInt64LE(offset);
+    const hi = data.readBigUInt64LE(offset + 8);
+    offset += 16;
+    feeTiers.push({ marketCapThreshold: (hi << 64n) | lo, fees: readFees() });
+  }
+
+  return { admin, flatFees, feeTiers };
+}
+
 /* ================= PumpTrader 类 ================= */
 
 export class PumpTrader {
   private connection: Connection;
-  private _wallet: Keypair | { publicKey: PublicKey; signTransaction<T extends Transaction>(tx: T): Promise<T> };
+  private _wallet: Wallet;
   public publicKey: PublicKey;
   private global: PublicKey;
   private globalState: GlobalState | null;
   private tokenProgramCache: Map<string, TokenProgramType>;
+  private lookupTableCache: Map<string, AddressLookupTableAccount>;
+  private computeUnitCache: Map<string, number>;
+  private mintSupplyCache: Map<string, bigint>;
+  private chunkBatches: WeakMap<TradeResult, ChunkBatch>;
+  /** 重新报价发送时的重试次数，用于 priority.escalation */
+  private resubmitAttempts: WeakMap<TradeOptions, number>;
+  private feeConfigs: {
+    bonding?: FeeConfigState | null;
+    amm?: FeeConfigState | null;
+  };
 
   constructor(rpc: string, wallet: Wallet) {
     this.connection = new Connection(rpc, "confirmed");
@@ -333,11 +2049,24 @@ export class PumpTrader {
     )[0];
     this.globalState = null;
     this.tokenProgramCache = new Map();
+    this.lookupTableCache = new Map();
+    this.computeUnitCache = new Map();
+    this.mintSupplyCache = new Map();
+    this.chunkBatches = new WeakMap();
+    this.resubmitAttempts = new WeakMap();
+    this.feeConfigs = {};
   }
 
-  private async signTx(tx: Transaction): Promise<void> {
+  private async signTx(tx: Transaction | VersionedTransaction): Promise<void> {
     if (this._wallet instanceof Keypair) {
-      tx.sign(this._wallet);
+      if (tx instanceof VersionedTransaction) {
+        tx.sign([this._wallet]);
+      } else {
+        tx.sign(this._wallet);
+      }
+    } else if (tx instanceof VersionedTransaction) {
+      const signed = await this._wallet.signTransaction(tx);
+      tx.signatures = signed.signatures;
     } else {
       const signed = await this._wallet.signTransaction(tx);
       // Copy signatures back to the original tx (adapter returns a new tx)
@@ -345,92 +2074,637 @@ export class PumpTrader {
     }
   }
 
-  /* ---------- Token Program 检测 ---------- */
-
   /**
-   * 自动检测代币使用的 token program
+   * 批量签名：钱包适配器支持 signAllTransactions 时只弹出一次确认，
+   * 否则逐笔签名
    */
-  async detectTokenProgram(tokenAddr: string): Promise<TokenProgramType> {
-    // 检查缓存
-    if (this.tokenProgramCache.has(tokenAddr)) {
-      return this.tokenProgramCache.get(tokenAddr)!;
+  private async signAllTxs(
+    txs: Array<Transaction | VersionedTransaction>,
+  ): Promise<void> {
+    if (this._wallet instanceof Keypair || !this._wallet.signAllTransactions) {
+      for (const tx of txs) await this.signTx(tx);
+      return;
     }
+    const signed = await this._wallet.signAllTransactions(txs);
+    txs.forEach((tx, i) => {
+      if (tx instanceof VersionedTransaction) {
+        tx.signatures = (signed[i] as VersionedTransaction).signatures;
+      } else {
+        tx.signatures = (signed[i] as Transaction).signatures;
+      }
+    });
+  }
 
-    const mint = new PublicKey(tokenAddr);
+  /**
+   * 设置 blockhash（未签名），未传入 latest 时获取最新的 blockhash
+   * tradeOpt 指定 v0 或查找表时，把 tx 中的指令编译为 VersionedTransaction
+   */
+  private async compileTx(
+    tx: Transaction,
+    tradeOpt?: TradeOptions,
+    latest?: BlockhashWithExpiryBlockHeight,
+  ): Promise<{
+    transaction: Transaction | VersionedTransaction;
+    lastValidBlockHeight: number;
+  }> {
+    const { blockhash, lastValidBlockHeight } =
+      latest ?? (await this.connection.getLatestBlockhash("finalized"));
 
-    try {
-      // 首先尝试获取 TOKEN_2022 的代币信息
-      const mintData = await getMint(
-        this.connection,
-        mint,
-        "confirmed",
-        TOKEN_2022_PROGRAM_ID,
+    if (tradeOpt?.txVersion === 0 || tradeOpt?.lookupTables?.length) {
+      const lookupTables = await this.resolveLookupTables(
+        tradeOpt.lookupTables ?? [],
       );
-      const result: TokenProgramType = {
-        type: "TOKEN_2022_PROGRAM_ID",
-        programId: TOKEN_2022_PROGRAM_ID,
+      const message = new TransactionMessage({
+        payerKey: this.publicKey,
+        recentBlockhash: blockhash,
+        instructions: tx.instructions,
+      }).compileToV0Message(lookupTables);
+      return {
+        transaction: new VersionedTransaction(message),
+        lastValidBlockHeight,
       };
-      this.tokenProgramCache.set(tokenAddr, result);
-      return result;
-    } catch (e) {
-      try {
-        // 如果失败，尝试标准 TOKEN_PROGRAM_ID
-        const mintData = await getMint(
-          this.connection,
-          mint,
-          "confirmed",
-          TOKEN_PROGRAM_ID,
-        );
-        const result: TokenProgramType = {
-          type: "TOKEN_PROGRAM_ID",
-          programId: TOKEN_PROGRAM_ID,
-        };
-        this.tokenProgramCache.set(tokenAddr, result);
-        return result;
-      } catch (error) {
-        throw new Error(
-          `Failed to detect token program for ${tokenAddr}: ${error}`,
-        );
-      }
     }
+
+    tx.recentBlockhash = blockhash;
+    tx.feePayer = this.publicKey;
+    return { transaction: tx, lastValidBlockHeight };
   }
 
-  async detectQuoteTokenProgram(quoteMint: PublicKey): Promise<PublicKey> {
-    const quoteAddr = quoteMint.toBase58();
-    if (this.tokenProgramCache.has(quoteAddr)) {
-      return this.tokenProgramCache.get(quoteAddr)!.programId;
+  /**
+   * 多笔交易共用 blockhash 并统一签名（钱包只弹出一次确认），全部发送后再逐笔确认，
+   * 避免等待前面的交易确认时后面交易的 blockhash 过期；交易之间不能有先后依赖
+   */
+  private async sendAndConfirmTxs(
+    txs: Transaction[],
+    tradeOpt?: TradeOptions,
+  ): Promise<string[]> {
+    const latest = await this.connection.getLatestBlockhash("finalized");
+    const compiled: Array<Transaction | VersionedTransaction> = [];
+    for (const tx of txs) {
+      compiled.push((await this.compileTx(tx, tradeOpt, latest)).transaction);
     }
-    try {
-      await getMint(
-        this.connection,
-        quoteMint,
-        "confirmed",
-        TOKEN_2022_PROGRAM_ID,
+    await this.signAllTxs(compiled);
+
+    const signatures: string[] = [];
+    for (const transaction of compiled) {
+      signatures.push(
+        await this.connection.sendRawTransaction(transaction.serialize()),
+      );
+    }
+    for (const signature of signatures) {
+      await this.confirmTransactionWithPolling(
+        signature,
+        latest.lastValidBlockHeight,
       );
-      return TOKEN_2022_PROGRAM_ID;
-    } catch {
-      return TOKEN_PROGRAM_ID;
     }
+    return signatures;
   }
 
-  /* ---------- 内盘/外盘检测 ---------- */
+  /**
+   * 提交一笔拆单：按 tradeOpt.simulate 模拟和/或发送，并把结果写入 result
+   * 并行模式下只编译并加入批次，由 flushChunks 统一签名发送；
+   * 顺序模式逐笔获取 blockhash，保证后面的拆单按前面成交后的储备报价
+   */
+  private async submitTx(
+    result: TradeResult,
+    index: number,
+    tx: Transaction,
+    tradeOpt: TradeOptions,
+    extra: SubmitExtra = {},
+  ): Promise<void> {
+    let batch: ChunkBatch | undefined;
+    if (tradeOpt.execution?.mode === "parallel") {
+      batch = this.chunkBatches.get(result);
+      if (!batch) {
+        batch = {
+          latest: await this.connection.getLatestBlockhash("finalized"),
+          chunks: [],
+        };
+        this.chunkBatches.set(result, batch);
+      }
+    }
+
+    const computeUnitLimit = await this.applyComputeUnitLimit(tx, tradeOpt);
+    await this.applyPriorityFee(
+      tx,
+      tradeOpt,
+      computeUnitLimit,
+      this.resubmitAttempts.get(tradeOpt) ?? 0,
+    );
+    const { transaction, lastValidBlockHeight } = await this.compileTx(
+      tx,
+      tradeOpt,
+      batch?.latest,
+    );
+    const programIds = tx.instructions.map((ix) => ix.programId);
+
+    if (tradeOpt.simulate) {
+      const simulation = await this.simulateCompiled(transaction, programIds);
+      if (tradeOpt.simulate === "only") {
+        result.simulatedTransactions ??= [];
+        result.simulatedTransactions.push({
+          index,
+          fees: extra.fees,
+          ...simulation,
+        });
+        return;
+      }
+      if (simulation.err) {
+        result.failedTransactions.push({
+          index,
+          error:
+            simulation.programError?.message ??
+            `Simulation failed: ${JSON.stringify(simulation.err)}`,
+          programError: simulation.programError,
+        });
+        return;
+      }
+    }
+
+    const chunk: PreparedChunk = {
+      index,
+      transaction,
+      lastValidBlockHeight,
+      programIds,
+      computeUnitLimit,
+      extra,
+    };
+    if (batch) {
+      batch.chunks.push(chunk);
+      return;
+    }
+    await this.signTx(transaction);
+    await this.sendChunk(result, chunk);
+  }
 
   /**
-   * 检测代币是否在外盘 (AMM)
+   * 发送已签名的拆单；节点预检返回程序错误时记为失败，其他错误抛出
    */
-  async isAmmCompleted(tokenAddr: string): Promise<boolean> {
+  private async sendChunk(
+    result: TradeResult,
+    chunk: PreparedChunk,
+  ): Promise<void> {
+    const { index, transaction, programIds, extra } = chunk;
+    const rawTransaction = transaction.serialize();
+
+    let signature: string;
     try {
-      const mint = new PublicKey(tokenAddr);
-      const { state } = await this.loadBonding(mint);
-      return state.complete;
-    } catch (error) {
-      // 如果无法加载内盘，说明可能已经在外盘
-      return true;
+      signature = await this.connection.sendRawTransaction(
+        rawTransaction,
+        extra.sendOptions,
+      );
+    } catch (e) {
+      // 节点预检失败时，从错误信息中解析自定义错误码
+      const message = (e as Error).message ?? "";
+      const match = message.match(
+        /Error processing Instruction (\d+): custom program error: 0x([0-9a-f]+)/i,
+      );
+      if (!match) throw e;
+      const instructionIndex = Number(match[1]);
+      result.failedTransactions.push({
+        index,
+        error: message,
+        programError: buildProgramError(
+          parseInt(match[2], 16),
+          programIds[instructionIndex],
+          instructionIndex,
+        ),
+      });
+      return;
     }
+
+    result.pendingTransactions.push({
+      signature,
+      lastValidBlockHeight: chunk.lastValidBlockHeight,
+      index,
+      fees: extra.fees,
+      computeUnitLimit: chunk.computeUnitLimit,
+      amountIn: extra.amountIn,
+      expectedOut: extra.expectedOut,
+      rawTransaction,
+    });
   }
 
   /**
-   * 自动判断应该使用内盘还是外盘
+   * 统一签名批次中的拆单后按 execution.concurrency 并发发送；
+   * 顺序模式没有批次，直接返回 result
+   */
+  private async flushChunks(
+    result: TradeResult,
+    tradeOpt: TradeOptions,
+  ): Promise<TradeResult> {
+    const batch = this.chunkBatches.get(result);
+    this.chunkBatches.delete(result);
+    if (!batch || batch.chunks.length === 0) return result;
+
+    const fail = (index: number, e: unknown) =>
+      result.failedTransactions.push({ index, error: (e as Error).message });
+
+    try {
+      await this.signAllTxs(batch.chunks.map((c) => c.transaction));
+    } catch (e) {
+      batch.chunks.forEach((c) => fail(c.index, e));
+      return result;
+    }
+
+    const queue = [...batch.chunks];
+    const concurrency =
+      tradeOpt.execution?.mode === "parallel"
+        ? Math.max(
+            1,
+            tradeOpt.execution.concurrency ?? DEFAULT_SEND_CONCURRENCY,
+          )
+        : 1;
+    const worker = async () => {
+      for (let chunk = queue.shift(); chunk; chunk = queue.shift()) {
+        try {
+          await this.sendChunk(result, chunk);
+        } catch (e) {
+          fail(chunk.index, e);
+        }
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, queue.length) }, worker),
+    );
+
+    result.pendingTransactions.sort((a, b) => a.index - b.index);
+    result.failedTransactions.sort((a, b) => a.index - b.index);
+    return result;
+  }
+
+  /**
+   * 按 tradeOpt.computeUnits 改写 tx 中的 SetComputeUnitLimit 指令
+   * 自动估算失败时保留构建时的默认值
+   */
+  private async applyComputeUnitLimit(
+    tx: Transaction,
+    tradeOpt: TradeOptions,
+  ): Promise<number | undefined> {
+    const index = tx.instructions.findIndex(isComputeUnitLimitIx);
+    if (index < 0) return undefined;
+
+    const opt = tradeOpt.computeUnits ?? {};
+    const defaultUnits = tx.instructions[index].data.readUInt32LE(1);
+    let units = opt.units ?? defaultUnits;
+
+    if (opt.mode === "auto") {
+      const estimated = await this.estimateComputeUnits(tx, tradeOpt);
+      if (estimated !== undefined) {
+        const margin = opt.marginBps ?? DEFAULT_CU_MARGIN_BPS;
+        units = Math.ceil((estimated * (10_000 + margin)) / 10_000);
+      }
+    }
+
+    units = Math.max(units, opt.min ?? MIN_COMPUTE_UNITS);
+    units = Math.min(units, opt.max ?? MAX_COMPUTE_UNITS);
+
+    tx.instructions[index] = ComputeBudgetProgram.setComputeUnitLimit({
+      units,
+    });
+    return units;
+  }
+
+  /**
+   * 按 tradeOpt.priority 改写 tx 中的 SetComputeUnitPrice 指令
+   * random 策略沿用构建时 genPriority 的结果，再统一应用加价、上下限和总额上限
+   */
+  private async applyPriorityFee(
+    tx: Transaction,
+    tradeOpt: TradeOptions,
+    computeUnitLimit: number | undefined,
+    attempt: number,
+  ): Promise<number | undefined> {
+    const index = tx.instructions.findIndex(isComputeUnitPriceIx);
+    if (index < 0) return undefined;
+
+    const opt = tradeOpt.priority;
+    let microLamports = Number(tx.instructions[index].data.readBigUInt64LE(1));
+
+    if (opt.strategy === "percentile") {
+      const writable = tx.instructions.flatMap((ix) =>
+        ix.keys.filter((k) => k.isWritable && !k.isSigner).map((k) => k.pubkey),
+      );
+      const fee = await this.getRecentPriorityFee(
+        writable,
+        opt.percentile ?? DEFAULT_PRIORITY_PERCENTILE,
+      );
+      microLamports = fee > 0 ? fee : opt.base;
+    }
+
+    const escalation = opt.escalation?.length
+      ? opt.escalation[Math.min(attempt, opt.escalation.length - 1)]
+      : 1;
+    microLamports = Math.floor(microLamports * escalation);
+
+    if (opt.min !== undefined) microLamports = Math.max(microLamports, opt.min);
+    if (opt.max !== undefined) microLamports = Math.min(microLamports, opt.max);
+    if (opt.maxLamportsPerTx !== undefined && computeUnitLimit) {
+      microLamports = Math.min(
+        microLamports,
+        Math.floor((opt.maxLamportsPerTx * 1_000_000) / computeUnitLimit),
+      );
+    }
+
+    tx.instructions[index] = ComputeBudgetProgram.setComputeUnitPrice({
+      microLamports,
+    });
+    return microLamports;
+  }
+
+  /**
+   * 写入给定账户的交易近期优先费（microLamports）分位数
+   * @param accounts - 交易写入的账户（最多 128 个）
+   * @param percentile - 0-100，默认 75
+   */
+  async getRecentPriorityFee(
+    accounts: PublicKey[],
+    percentile: number = DEFAULT_PRIORITY_PERCENTILE,
+  ): Promise<number> {
+    const unique = [
+      ...new Map(accounts.map((a) => [a.toBase58(), a])).values(),
+    ].slice(0, 128);
+    const fees = await this.connection.getRecentPrioritizationFees({
+      lockedWritableAccounts: unique,
+    });
+    const values = fees
+      .map((f) => f.prioritizationFee)
+      .filter((v) => v > 0)
+      .sort((a, b) => a - b);
+    return percentileOf(values, percentile);
+  }
+
+  /**
+   * 模拟交易得到实际 CU 消耗（按交易路径缓存）
+   */
+  private async estimateComputeUnits(
+    tx: Transaction,
+    tradeOpt: TradeOptions,
+  ): Promise<number | undefined> {
+    const key = computeUnitCacheKey(tx.instructions);
+    const cached = this.computeUnitCache.get(key);
+    if (cached !== undefined) return cached;
+
+    const instructions = tx.instructions.map((ix) =>
+      isComputeUnitLimitIx(ix)
+        ? ComputeBudgetProgram.setComputeUnitLimit({ units: MAX_COMPUTE_UNITS })
+        : ix,
+    );
+    const lookupTables = await this.resolveLookupTables(
+      tradeOpt.lookupTables ?? [],
+    );
+    const message = new TransactionMessage({
+      payerKey: this.publicKey,
+      recentBlockhash: PublicKey.default.toBase58(),
+      instructions,
+    }).compileToV0Message(lookupTables);
+
+    try {
+      const { value } = await this.connection.simulateTransaction(
+        new VersionedTransaction(message),
+        { sigVerify: false, replaceRecentBlockhash: true },
+      );
+      if (value.err || !value.unitsConsumed) return undefined;
+      this.computeUnitCache.set(key, value.unitsConsumed);
+      return value.unitsConsumed;
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * 清除 CU 估算缓存
+   */
+  clearComputeUnitCache() {
+    this.computeUnitCache.clear();
+  }
+
+  /**
+   * 模拟未签名的交易（sigVerify 关闭，钱包适配器不会弹窗）
+   */
+  private async simulateCompiled(
+    transaction: Transaction | VersionedTransaction,
+    programIds: PublicKey[],
+  ): Promise<SimulationResult> {
+    const vtx =
+      transaction instanceof VersionedTransaction
+        ? transaction
+        : new VersionedTransaction(transaction.compileMessage());
+
+    const { value } = await this.connection.simulateTransaction(vtx, {
+      sigVerify: false,
+      commitment: "confirmed",
+    });
+
+    return {
+      unitsConsumed: value.unitsConsumed,
+      logs: value.logs ?? [],
+      err: value.err,
+      programError: decodeProgramError(value.err, programIds),
+    };
+  }
+
+  /* ---------- 地址查找表 ---------- */
+
+  /**
+   * 加载地址查找表（带缓存）
+   */
+  async loadLookupTable(
+    address: PublicKey,
+  ): Promise<AddressLookupTableAccount> {
+    const key = address.toBase58();
+    const cached = this.lookupTableCache.get(key);
+    if (cached) return cached;
+
+    const { value } = await this.connection.getAddressLookupTable(address);
+    if (!value) throw new Error(`Lookup table not found: ${key}`);
+    this.lookupTableCache.set(key, value);
+    return value;
+  }
+
+  private async resolveLookupTables(
+    tables: Array<PublicKey | AddressLookupTableAccount>,
+  ): Promise<AddressLookupTableAccount[]> {
+    return Promise.all(
+      tables.map((t) =>
+        t instanceof AddressLookupTableAccount ? t : this.loadLookupTable(t),
+      ),
+    );
+  }
+
+  /**
+   * 内盘/外盘交易中不随代币变化的静态账户，适合放入地址查找表
+   */
+  async getPumpLookupTableAddresses(): Promise<PublicKey[]> {
+    if (!this.globalState) await this.loadGlobal();
+
+    const pda = (seeds: Buffer[], programId: PublicKey) =>
+      PublicKey.findProgramAddressSync(seeds, programId)[0];
+
+    const addresses = [
+      this.global,
+      this.globalState!.feeRecipient,
+      this.getFeeConfigPda("bonding"),
+      this.getFeeConfigPda("amm"),
+      PROGRAM_IDS.EVENT_AUTHORITY,
+      pda([Buffer.from("__event_authority")], PROGRAM_IDS.PUMP_AMM),
+      pda([Buffer.from("global_config")], PROGRAM_IDS.PUMP_AMM),
+      pda([Buffer.from("global_volume_accumulator")], PROGRAM_IDS.PUMP),
+      pda([Buffer.from("global_volume_accumulator")], PROGRAM_IDS.PUMP_AMM),
+      ...PUMP_NEW_FEE_RECIPIENTS,
+      ...PUMP_BUYBACK_FEE_RECIPIENTS,
+      PROGRAM_IDS.PUMP,
+      PROGRAM_IDS.PUMP_AMM,
+      PROGRAM_IDS.FEE,
+      SystemProgram.programId,
+      ComputeBudgetProgram.programId,
+      TOKEN_PROGRAM_ID,
+      TOKEN_2022_PROGRAM_ID,
+      ASSOCIATED_TOKEN_PROGRAM_ID,
+      SOL_MINT,
+    ];
+
+    const seen = new Set<string>();
+    return addresses.filter((a) => {
+      const key = a.toBase58();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * 创建并写入包含 Pump 静态账户的地址查找表
+   * 查找表在写入后的下一个 slot 才能使用
+   * 后续写入依赖查找表已创建，因此先确认创建交易，再统一发送其余写入
+   */
+  async createPumpLookupTable(
+    extraAddresses: PublicKey[] = [],
+  ): Promise<{ lookupTable: PublicKey; signatures: string[] }> {
+    const addresses = await this.getPumpLookupTableAddresses();
+    for (const extra of extraAddresses) {
+      if (!addresses.some((a) => a.equals(extra))) addresses.push(extra);
+    }
+
+    const recentSlot = await this.connection.getSlot("finalized");
+    const [createIx, lookupTable] = AddressLookupTableProgram.createLookupTable(
+      {
+        authority: this.publicKey,
+        payer: this.publicKey,
+        recentSlot,
+      },
+    );
+
+    // 单笔交易写入 20 个地址，避免超过交易大小限制
+    const txs: Transaction[] = [];
+    for (let i = 0; i < addresses.length; i += 20) {
+      const tx = new Transaction();
+      if (i === 0) tx.add(createIx);
+      tx.add(
+        AddressLookupTableProgram.extendLookupTable({
+          payer: this.publicKey,
+          authority: this.publicKey,
+          lookupTable,
+          addresses: addresses.slice(i, i + 20),
+        }),
+      );
+      txs.push(tx);
+    }
+    const signatures = await this.sendAndConfirmTxs(txs.slice(0, 1));
+    if (txs.length > 1) {
+      signatures.push(...(await this.sendAndConfirmTxs(txs.slice(1))));
+    }
+
+    this.lookupTableCache.delete(lookupTable.toBase58());
+    return { lookupTable, signatures };
+  }
+
+  /* ---------- Token Program 检测 ---------- */
+
+  /**
+   * 自动检测代币使用的 token program
+   */
+  async detectTokenProgram(tokenAddr: string): Promise<TokenProgramType> {
+    // 检查缓存
+    if (this.tokenProgramCache.has(tokenAddr)) {
+      return this.tokenProgramCache.get(tokenAddr)!;
+    }
+
+    const mint = new PublicKey(tokenAddr);
+
+    try {
+      // 首先尝试获取 TOKEN_2022 的代币信息
+      const mintData = await getMint(
+        this.connection,
+        mint,
+        "confirmed",
+        TOKEN_2022_PROGRAM_ID,
+      );
+      const result: TokenProgramType = {
+        type: "TOKEN_2022_PROGRAM_ID",
+        programId: TOKEN_2022_PROGRAM_ID,
+      };
+      this.tokenProgramCache.set(tokenAddr, result);
+      return result;
+    } catch (e) {
+      try {
+        // 如果失败，尝试标准 TOKEN_PROGRAM_ID
+        const mintData = await getMint(
+          this.connection,
+          mint,
+          "confirmed",
+          TOKEN_PROGRAM_ID,
+        );
+        const result: TokenProgramType = {
+          type: "TOKEN_PROGRAM_ID",
+          programId: TOKEN_PROGRAM_ID,
+        };
+        this.tokenProgramCache.set(tokenAddr, result);
+        return result;
+      } catch (error) {
+        throw new Error(
+          `Failed to detect token program for ${tokenAddr}: ${error}`,
+        );
+      }
+    }
+  }
+
+  async detectQuoteTokenProgram(quoteMint: PublicKey): Promise<PublicKey> {
+    const quoteAddr = quoteMint.toBase58();
+    if (this.tokenProgramCache.has(quoteAddr)) {
+      return this.tokenProgramCache.get(quoteAddr)!.programId;
+    }
+    try {
+      await getMint(
+        this.connection,
+        quoteMint,
+        "confirmed",
+        TOKEN_2022_PROGRAM_ID,
+      );
+      return TOKEN_2022_PROGRAM_ID;
+    } catch {
+      return TOKEN_PROGRAM_ID;
+    }
+  }
+
+  /* ---------- 内盘/外盘检测 ---------- */
+
+  /**
+   * 检测代币是否在外盘 (AMM)
+   */
+  async isAmmCompleted(tokenAddr: string): Promise<boolean> {
+    try {
+      const mint = new PublicKey(tokenAddr);
+      const { state } = await this.loadBonding(mint);
+      return state.complete;
+    } catch (error) {
+      // 如果无法加载内盘，说明可能已经在外盘
+      return true;
+    }
+  }
+
+  /**
+   * 自动判断应该使用内盘还是外盘
    */
   async getTradeMode(tokenAddr: string): Promise<"bonding" | "amm"> {
     const isAmmMode = await this.isAmmCompleted(tokenAddr);
@@ -464,21 +2738,144 @@ export class PumpTrader {
       return v;
     };
 
+    // 字段顺序与链上 Global 账户一致
     this.globalState = {
       initialized: readBool(),
       authority: readPk(),
       feeRecipient: readPk(),
-      withdrawAuthority: readPk(),
       initialVirtualTokenReserves: readU64(),
       initialVirtualSolReserves: readU64(),
       initialRealTokenReserves: readU64(),
       tokenTotalSupply: readU64(),
       feeBasisPoints: readU64(),
+      withdrawAuthority: readPk(),
+      enableMigrate: readBool(),
+      poolMigrationFee: readU64(),
+      creatorFeeBasisPoints: readU64(),
+      feeRecipients: Array.from({ length: 7 }, readPk),
     };
 
     return this.globalState;
   }
 
+  /* ---------- Fee Config ---------- */
+
+  getFeeConfigPda(kind: "bonding" | "amm" = "bonding"): PublicKey {
+    return PublicKey.findProgramAddressSync(
+      [
+        Buffer.from("fee_config"),
+        kind === "bonding" ? SEEDS.FEE_CONFIG : SEEDS.AMM_FEE_CONFIG,
+      ],
+      PROGRAM_IDS.FEE,
+    )[0];
+  }
+
+  /**
+   * 读取 Fee 程序的费率配置（按市值分档），账户不存在时返回 null
+   */
+  async loadFeeConfig(
+    kind: "bonding" | "amm" = "bonding",
+  ): Promise<FeeConfigState | null> {
+    const acc = await this.connection.getAccountInfo(
+      this.getFeeConfigPda(kind),
+    );
+    const config = acc ? parseFeeConfig(acc.data) : null;
+    this.feeConfigs[kind] = config;
+    return config;
+  }
+
+  /**
+   * 内盘费率：优先使用 fee_config 的市值分档，否则回退到 Global 的固定费率
+   */
+  async getBondingFeeRates(
+    state: BondingCurveState,
+    creator?: PublicKey,
+  ): Promise<FeeRates> {
+    if (!this.globalState) await this.loadGlobal();
+    if (this.feeConfigs.bonding === undefined)
+      await this.loadFeeConfig("bonding");
+
+    const global = this.globalState!;
+    const config = this.feeConfigs.bonding;
+    let rates: FeeRates;
+
+    if (
+      config &&
+      config.feeTiers.length > 0 &&
+      state.virtualTokenReserves > 0n
+    ) {
+      // 按曲线记录的总供应量计算市值来选择费率档位（mayhem 币的供应量不同）
+      const marketCap =
+        (state.virtualSolReserves * state.tokenTotalSupply) /
+        state.virtualTokenReserves;
+      rates = { ...pickFeeTier(config.feeTiers, marketCap), lpFeeBps: 0n };
+    } else {
+      rates = {
+        lpFeeBps: 0n,
+        protocolFeeBps: global.feeBasisPoints,
+        creatorFeeBps: global.creatorFeeBasisPoints,
+      };
+    }
+
+    if (creator && creator.equals(PublicKey.default)) {
+      rates.creatorFeeBps = 0n;
+    }
+    return rates;
+  }
+
+  /**
+   * 外盘费率：官方迁移的池子使用 fee_config 分档，其他池子使用 global_config 固定费率
+   */
+  async getAmmFeeRates(
+    poolInfo: PoolInfo,
+    reserves: PoolReserves,
+  ): Promise<FeeRates> {
+    if (this.feeConfigs.amm === undefined) await this.loadFeeConfig("amm");
+
+    const { poolKeys, globalConfig, poolAuthority } = poolInfo;
+    const config = this.feeConfigs.amm;
+    let rates: FeeRates;
+
+    const isCanonicalPool = poolKeys.creator.equals(poolAuthority);
+    if (
+      config &&
+      config.feeTiers.length > 0 &&
+      isCanonicalPool &&
+      reserves.baseAmount > 0n
+    ) {
+      const supply = await this.getMintSupply(poolKeys.baseMint);
+      const marketCap = (reserves.quoteAmount * supply) / reserves.baseAmount;
+      rates = { ...pickFeeTier(config.feeTiers, marketCap) };
+    } else {
+      rates = {
+        lpFeeBps: globalConfig.lpFeeBasisPoints,
+        protocolFeeBps: globalConfig.protocolFeeBasisPoints,
+        creatorFeeBps: globalConfig.coinCreatorFeeBasisPoints,
+      };
+    }
+
+    if (
+      !poolKeys.coinCreator ||
+      poolKeys.coinCreator.equals(PublicKey.default)
+    ) {
+      rates.creatorFeeBps = 0n;
+    }
+    return rates;
+  }
+
+  /**
+   * 代币总供应量（最小单位）；pump 代币创建后不再增发，结果按 mint 缓存
+   */
+  private async getMintSupply(mint: PublicKey): Promise<bigint> {
+    const key = mint.toBase58();
+    const cached = this.mintSupplyCache.get(key);
+    if (cached !== undefined) return cached;
+    const { value } = await this.connection.getTokenSupply(mint);
+    const supply = BigInt(value.amount);
+    this.mintSupplyCache.set(key, supply);
+    return supply;
+  }
+
   /* ---------- Bonding Curve ---------- */
 
   getBondingPda(mint: PublicKey): PublicKey {
@@ -511,6 +2908,31 @@ export class PumpTrader {
     ];
   }
 
+  /**
+   * 内盘手续费接收账户：mayhem 币只接受预留的 fee recipient
+   */
+  private pickBondingFeeRecipient(
+    isMayhemMode?: boolean,
+    index = 0,
+  ): PublicKey {
+    return isMayhemMode
+      ? this.pickReservedFeeRecipient(index)
+      : this.pickFeeRecipient(index);
+  }
+
+  /**
+   * 外盘协议费接收账户：mayhem 池子使用 global_config 中的预留列表
+   */
+  private pickAmmProtocolFeeRecipient(poolInfo: PoolInfo): PublicKey {
+    const { poolKeys, globalConfig } = poolInfo;
+    if (poolKeys.isMayhemMode) {
+      if (!globalConfig.reservedFeeRecipients.length)
+        throw new Error("Reserved fee recipients not found for mayhem pool");
+      return globalConfig.reservedFeeRecipients[0];
+    }
+    return globalConfig.protocolFeeRecipients[0];
+  }
+
   getSharingConfigPda(mint: PublicKey): PublicKey {
     return PublicKey.findProgramAddressSync(
       [Buffer.from("sharing-config"), mint.toBuffer()],
@@ -668,29 +3090,73 @@ export class PumpTrader {
 
   /* ---------- 价格计算 ---------- */
 
-  calcBuy(solIn: bigint, state: BondingCurveState): bigint {
-    const newVirtualSol = state.virtualSolReserves + solIn;
-    const newVirtualToken =
-      (state.virtualSolReserves * state.virtualTokenReserves) / newVirtualSol;
-    return state.virtualTokenReserves - newVirtualToken;
+  /**
+   * 内盘买入：传入 fees 时先从 solIn 中扣除手续费，再按曲线计算代币数量
+   */
+  calcBuy(solIn: bigint, state: BondingCurveState, fees?: FeeRates): bigint {
+    if (!fees) {
+      const newVirtualSol = state.virtualSolReserves + solIn;
+      const newVirtualToken =
+        (state.virtualSolReserves * state.virtualTokenReserves) / newVirtualSol;
+      return state.virtualTokenReserves - newVirtualToken;
+    }
+
+    if (solIn === 0n || state.virtualTokenReserves === 0n) return 0n;
+    const netSolIn = this.calcBondingNetSolIn(solIn, fees);
+    const tokenOut =
+      (netSolIn * state.virtualTokenReserves) /
+      (state.virtualSolReserves + netSolIn);
+    return tokenOut < state.realTokenReserves
+      ? tokenOut
+      : state.realTokenReserves;
   }
 
-  calcSell(tokenIn: bigint, state: BondingCurveState): bigint {
+  /**
+   * 内盘卖出：传入 fees 时返回扣除手续费后的到手数量
+   */
+  calcSell(tokenIn: bigint, state: BondingCurveState, fees?: FeeRates): bigint {
     const newVirtualToken = state.virtualTokenReserves + tokenIn;
     const newVirtualSol =
       (state.virtualSolReserves * state.virtualTokenReserves) / newVirtualToken;
-    return state.virtualSolReserves - newVirtualSol;
+    const solOut = state.virtualSolReserves - newVirtualSol;
+    if (!fees) return solOut;
+    return solOut - calcFeeBreakdown(solOut, fees).totalFee;
   }
 
-  calculateAmmBuyOutput(quoteIn: bigint, reserves: PoolReserves): bigint {
-    const quoteInAfterFee =
-      (quoteIn * (BPS_DENOMINATOR - AMM_FEE_BPS)) / BPS_DENOMINATOR;
-    const numerator = reserves.baseAmount * quoteInAfterFee;
-    const denominator = reserves.quoteAmount + quoteInAfterFee;
+  /** 买入时实际进入曲线的 SOL（扣除协议费和创作者费） */
+  calcBondingNetSolIn(solIn: bigint, fees: FeeRates): bigint {
+    if (solIn === 0n) return 0n;
+    return (
+      ((solIn - 1n) * BPS_DENOMINATOR) / (BPS_DENOMINATOR + totalFeeBps(fees))
+    );
+  }
+
+  /**
+   * 外盘买入：未传 fees 时按固定 1% 估算
+   */
+  calculateAmmBuyOutput(
+    quoteIn: bigint,
+    reserves: PoolReserves,
+    fees?: FeeRates,
+  ): bigint {
+    const quoteInAfterFee = fees
+      ? this.calcAmmNetQuoteIn(quoteIn, fees)
+      : (quoteIn * (BPS_DENOMINATOR - AMM_FEE_BPS)) / BPS_DENOMINATOR;
+    const numerator = reserves.baseAmount * quoteInAfterFee;
+    const denominator = reserves.quoteAmount + quoteInAfterFee;
     return numerator / denominator;
   }
 
-  calculateAmmSellOutput(baseIn: bigint, reserves: PoolReserves): bigint {
+  calculateAmmSellOutput(
+    baseIn: bigint,
+    reserves: PoolReserves,
+    fees?: FeeRates,
+  ): bigint {
+    if (fees) {
+      const quoteOut =
+        (reserves.quoteAmount * baseIn) / (reserves.baseAmount + baseIn);
+      return quoteOut - calcFeeBreakdown(quoteOut, fees).totalFee;
+    }
     const baseInAfterFee =
       (baseIn * (BPS_DENOMINATOR - AMM_FEE_BPS)) / BPS_DENOMINATOR;
     const numerator = reserves.quoteAmount * baseInAfterFee;
@@ -698,6 +3164,100 @@ export class PumpTrader {
     return numerator / denominator;
   }
 
+  /** 外盘买入时实际进入池子的 quote（扣除 LP、协议和创作者费） */
+  calcAmmNetQuoteIn(quoteIn: bigint, fees: FeeRates): bigint {
+    return (quoteIn * BPS_DENOMINATOR) / (BPS_DENOMINATOR + totalFeeBps(fees));
+  }
+
+  /**
+   * 本地推演一笔内盘成交后的曲线状态，用于拆单之间更新储备
+   * 买入只有扣费后的 SOL 进入曲线；卖出曲线付出扣费前的 SOL
+   */
+  advanceBondingState(
+    state: BondingCurveState,
+    side: "buy" | "sell",
+    amountIn: bigint,
+    fees?: FeeRates,
+  ): BondingCurveState {
+    if (side === "buy") {
+      const netSolIn = fees
+        ? this.calcBondingNetSolIn(amountIn, fees)
+        : amountIn;
+      const tokenOut = this.calcBuy(amountIn, state, fees);
+      return shiftBondingReserves(state, netSolIn, -tokenOut);
+    }
+    const grossOut = this.calcSell(amountIn, state);
+    return shiftBondingReserves(state, -grossOut, amountIn);
+  }
+
+  /**
+   * 本地推演一笔外盘成交后的池子余额
+   * LP 费留在池子里，协议费和创作者费转出
+   */
+  advanceAmmReserves(
+    reserves: PoolReserves,
+    side: "buy" | "sell",
+    amountIn: bigint,
+    fees?: FeeRates,
+  ): PoolReserves {
+    if (side === "buy") {
+      const netQuoteIn = fees
+        ? this.calcAmmNetQuoteIn(amountIn, fees)
+        : amountIn;
+      const lpFee = fees ? calcFee(netQuoteIn, fees.lpFeeBps) : 0n;
+      const baseOut = this.calculateAmmBuyOutput(amountIn, reserves, fees);
+      return {
+        ...reserves,
+        baseAmount: reserves.baseAmount - baseOut,
+        quoteAmount: reserves.quoteAmount + netQuoteIn + lpFee,
+      };
+    }
+    const grossOut =
+      (reserves.quoteAmount * amountIn) / (reserves.baseAmount + amountIn);
+    const lpFee = fees ? calcFee(grossOut, fees.lpFeeBps) : 0n;
+    return {
+      ...reserves,
+      baseAmount: reserves.baseAmount + amountIn,
+      quoteAmount: reserves.quoteAmount - grossOut + lpFee,
+    };
+  }
+
+  /**
+   * reserveUpdate 为 "refetch" 时重新读取链上储备，与本地推演结果比较，
+   * 取本笔拆单成交更少的一个（同时覆盖他人的成交和己方尚未上链的拆单）
+   */
+  private async refreshReserves<T>(
+    tradeOpt: TradeOptions,
+    simulated: T,
+    fetch: () => Promise<T>,
+    calcOut: (reserves: T) => bigint,
+  ): Promise<T> {
+    if (tradeOpt.reserveUpdate !== "refetch") return simulated;
+    const fetched = await fetch();
+    return calcOut(fetched) < calcOut(simulated) ? fetched : simulated;
+  }
+
+  /**
+   * 单笔手续费明细
+   * 买入按实际进入曲线/池子的 quote 计费，卖出按扣费前的 quote 输出计费
+   */
+  calcTradeFees(
+    side: "buy" | "sell",
+    mode: "bonding" | "amm",
+    amount: bigint,
+    fees: FeeRates,
+    isCashbackCoin = false,
+  ): FeeBreakdown {
+    let base = amount;
+    if (side === "buy") {
+      base =
+        mode === "bonding"
+          ? this.calcBondingNetSolIn(amount, fees)
+          : this.calcAmmNetQuoteIn(amount, fees);
+    }
+    return calcFeeBreakdown(base, fees, isCashbackCoin);
+  }
+
   /* ---------- 价格查询 ---------- */
 
   private solPriceCache: { price: number; timestamp: number } | null = null;
@@ -744,14 +3304,16 @@ export class PumpTrader {
   async getPriceAndStatus(
     tokenAddr: string,
     quoteMint?: PublicKey,
-  ): Promise<{ price: number; completed: boolean }> {
+  ): Promise<{ price: number; completed: boolean; isMayhemMode: boolean }> {
     const mint = new PublicKey(tokenAddr);
     const { state } = await this.loadBonding(mint);
+    // 迁移后 bonding curve 账户仍保留 mayhem 标记
+    const isMayhemMode = state.isMayhemMode ?? false;
 
     if (state.complete) {
       const qm = quoteMint || (state.quoteMint && !state.quoteMint.equals(SOL_MINT) ? state.quoteMint : SOL_MINT);
       const price = await this.getAmmPrice(mint, qm);
-      return { price, completed: true };
+      return { price, completed: true, isMayhemMode };
     }
 
     const qm = quoteMint || state.quoteMint || SOL_MINT;
@@ -762,7 +3324,7 @@ export class PumpTrader {
     if (isSolQuote) {
       const solOut = this.calcSell(oneToken, state);
       const price = Number(solOut) / 1e9;
-      return { price, completed: false };
+      return { price, completed: false, isMayhemMode };
     }
 
     // USDC-paired bonding curve: pump stores USDC raw amount (6 decimals) in the
@@ -780,7 +3342,7 @@ export class PumpTrader {
 
     const solPrice = await this.getSolPriceInUsdc();
     const price = quotePrice / solPrice;
-    return { price, completed: false };
+    return { price, completed: false, isMayhemMode };
   }
 
   async getAmmPrice(mint: PublicKey, quoteMint: PublicKey = SOL_MINT): Promise<number> {
@@ -943,6 +3505,9 @@ export class PumpTrader {
 
   /* ---------- ATA 管理 ---------- */
 
+  /**
+   * ATA 不存在时加入创建指令；使用幂等创建，批量模式下多个拆单都创建同一个 ATA 时不会失败
+   */
   async ensureAta(
     tx: Transaction,
     mint: PublicKey,
@@ -960,7 +3525,7 @@ export class PumpTrader {
     const acc = await this.connection.getAccountInfo(ata);
     if (!acc) {
       tx.add(
-        createAssociatedTokenAccountInstruction(
+        createAssociatedTokenAccountIdempotentInstruction(
           this.publicKey,
           ata,
           this.publicKey,
@@ -974,6 +3539,10 @@ export class PumpTrader {
     return ata;
   }
 
+  /**
+   * 加入 wSOL ATA 的幂等创建指令（买入时同时转入 lamports 并同步）
+   * 调用方在同一笔交易末尾关闭该账户，因此每笔拆单都要创建，不能依赖账户当前是否存在
+   */
   async ensureWSOLAta(
     tx: Transaction,
     owner: PublicKey,
@@ -988,20 +3557,16 @@ export class PumpTrader {
       ASSOCIATED_TOKEN_PROGRAM_ID,
     );
 
-    const acc = await this.connection.getAccountInfo(wsolAta);
-
-    if (!acc) {
-      tx.add(
-        createAssociatedTokenAccountInstruction(
-          owner,
-          wsolAta,
-          owner,
-          SOL_MINT,
-          TOKEN_PROGRAM_ID,
-          ASSOCIATED_TOKEN_PROGRAM_ID,
-        ),
-      );
-    }
+    tx.add(
+      createAssociatedTokenAccountIdempotentInstruction(
+        owner,
+        wsolAta,
+        owner,
+        SOL_MINT,
+        TOKEN_PROGRAM_ID,
+        ASSOCIATED_TOKEN_PROGRAM_ID,
+      ),
+    );
 
     if (mode === "buy" && lamports) {
       tx.add(
@@ -1069,11 +3634,235 @@ export class PumpTrader {
     return chunks;
   }
 
+  /**
+   * 卖单拆分：按预计得到的 quote 数量计算笔数，再把代币平均分配
+   */
+  splitSellChunks(
+    totalTokenIn: bigint,
+    totalQuoteOut: bigint,
+    maxQuotePerTx: bigint,
+  ): bigint[] {
+    if (totalQuoteOut <= maxQuotePerTx) return [totalTokenIn];
+    return this.splitIntoN(
+      totalTokenIn,
+      Number((totalQuoteOut + maxQuotePerTx - 1n) / maxQuotePerTx),
+    );
+  }
+
+  /* ---------- 交易预览 ---------- */
+
+  /**
+   * 预览买入结果（不发送交易）
+   * 自动判断内盘/外盘，返回预计得到的代币、滑点上限、价格影响、手续费和拆单计划
+   */
+  async quoteBuy(
+    tokenAddr: string,
+    totalSolIn: bigint,
+    tradeOpt: TradeOptions,
+    quoteMint: PublicKey = SOL_MINT,
+  ): Promise<TradeQuote> {
+    const mint = new PublicKey(tokenAddr);
+    const mode = await this.getTradeMode(tokenAddr);
+    const solChunks = this.splitByMax(totalSolIn, tradeOpt.maxSolPerTx);
+
+    // 当前储备快照、按当前储备报价、推演一笔成交
+    let snapshot: () => QuoteReserves;
+    let calcOut: (solIn: bigint) => bigint;
+    let advance: (solIn: bigint) => void;
+    let feeRates: FeeRates;
+    let isCashbackCoin: boolean;
+
+    if (mode === "bonding") {
+      const { state, creator } = await this.loadBonding(mint);
+      feeRates = await this.getBondingFeeRates(state, creator);
+      isCashbackCoin = !!state.isCashbackCoin;
+      let curve = state;
+      snapshot = () => ({
+        base: curve.virtualTokenReserves,
+        quote: curve.virtualSolReserves,
+      });
+      calcOut = (solIn) => this.calcBuy(solIn, curve, feeRates);
+      advance = (solIn) => {
+        curve = this.advanceBondingState(curve, "buy", solIn, feeRates);
+      };
+    } else {
+      const poolInfo = await this.getAmmPoolInfo(mint, quoteMint);
+      const reserves = await this.getAmmPoolReserves(poolInfo.poolKeys);
+      feeRates = await this.getAmmFeeRates(poolInfo, reserves);
+      isCashbackCoin = !!poolInfo.poolKeys.isCashbackCoin;
+      let pool = reserves;
+      snapshot = () => ({ base: pool.baseAmount, quote: pool.quoteAmount });
+      calcOut = (solIn) => this.calculateAmmBuyOutput(solIn, pool, feeRates);
+      advance = (solIn) => {
+        pool = this.advanceAmmReserves(pool, "buy", solIn, feeRates);
+      };
+    }
+
+    const reservesBefore = snapshot();
+    // 拆单依次成交，每笔按前面拆单推演后的储备报价
+    const chunks: ChunkQuote[] = solChunks.map((solIn, index) => {
+      const tokenOut = calcOut(solIn);
+      const slippageBps = this.calcSlippage({
+        tradeSize: solIn,
+        reserve: snapshot().quote,
+        slippageOpt: tradeOpt.slippage,
+      });
+      advance(solIn);
+      return {
+        index,
+        amountIn: solIn,
+        expectedOut: tokenOut,
+        maxIn: (solIn * BigInt(10_000 + slippageBps)) / 10_000n,
+        minOut: tokenOut,
+        slippageBps,
+        fees: this.calcTradeFees("buy", mode, solIn, feeRates, isCashbackCoin),
+      };
+    });
+
+    const expectedOut = chunks.reduce((sum, c) => sum + c.expectedOut, 0n);
+    const fees = sumFeeBreakdowns(chunks.map((c) => c.fees));
+
+    return {
+      mode,
+      side: "buy",
+      mint: tokenAddr,
+      quoteMint,
+      amountIn: totalSolIn,
+      expectedOut,
+      minOut: chunks.reduce((sum, c) => sum + c.minOut, 0n),
+      maxIn: chunks.reduce((sum, c) => sum + c.maxIn, 0n),
+      priceImpactBps: calcPriceImpactBps(
+        "buy",
+        totalSolIn,
+        expectedOut,
+        reservesBefore,
+      ),
+      fees,
+      feeRates,
+      chunks,
+      reservesBefore,
+      reservesAfter: snapshot(),
+    };
+  }
+
+  /**
+   * 预览卖出结果（不发送交易）
+   */
+  async quoteSell(
+    tokenAddr: string,
+    totalTokenIn: bigint,
+    tradeOpt: TradeOptions,
+    quoteMint: PublicKey = SOL_MINT,
+  ): Promise<TradeQuote> {
+    const mint = new PublicKey(tokenAddr);
+    const mode = await this.getTradeMode(tokenAddr);
+
+    // 当前储备快照、按当前储备报价、推演一笔成交
+    let snapshot: () => QuoteReserves;
+    let calcOut: (tokenIn: bigint) => bigint;
+    let advance: (tokenIn: bigint) => void;
+    let feeRates: FeeRates;
+    let isCashbackCoin: boolean;
+
+    if (mode === "bonding") {
+      const { state, creator } = await this.loadBonding(mint);
+      feeRates = await this.getBondingFeeRates(state, creator);
+      isCashbackCoin = !!state.isCashbackCoin;
+      let curve = state;
+      snapshot = () => ({
+        base: curve.virtualTokenReserves,
+        quote: curve.virtualSolReserves,
+      });
+      calcOut = (tokenIn) => this.calcSell(tokenIn, curve, feeRates);
+      advance = (tokenIn) => {
+        curve = this.advanceBondingState(curve, "sell", tokenIn);
+      };
+    } else {
+      const poolInfo = await this.getAmmPoolInfo(mint, quoteMint);
+      const reserves = await this.getAmmPoolReserves(poolInfo.poolKeys);
+      feeRates = await this.getAmmFeeRates(poolInfo, reserves);
+      isCashbackCoin = !!poolInfo.poolKeys.isCashbackCoin;
+      let pool = reserves;
+      snapshot = () => ({ base: pool.baseAmount, quote: pool.quoteAmount });
+      calcOut = (tokenIn) =>
+        this.calculateAmmSellOutput(tokenIn, pool, feeRates);
+      advance = (tokenIn) => {
+        pool = this.advanceAmmReserves(pool, "sell", tokenIn, feeRates);
+      };
+    }
+
+    // 扣费前的 quote 输出，用于计算手续费
+    const grossOut = (tokenIn: bigint) => {
+      const { base, quote } = snapshot();
+      return (quote * tokenIn) / (base + tokenIn);
+    };
+
+    const reservesBefore = snapshot();
+    const tokenChunks = this.splitSellChunks(
+      totalTokenIn,
+      calcOut(totalTokenIn),
+      tradeOpt.maxSolPerTx,
+    );
+
+    // 拆单依次成交，每笔按前面拆单推演后的储备报价
+    const chunks: ChunkQuote[] = tokenChunks.map((tokenIn, index) => {
+      const solOut = calcOut(tokenIn);
+      const slippageBps = this.calcSlippage({
+        tradeSize: tokenIn,
+        reserve: snapshot().base,
+        slippageOpt: tradeOpt.slippage,
+      });
+      const minSol = (solOut * BigInt(10_000 - slippageBps)) / 10_000n;
+      const chunkFees = this.calcTradeFees(
+        "sell",
+        mode,
+        grossOut(tokenIn),
+        feeRates,
+        isCashbackCoin,
+      );
+      advance(tokenIn);
+      return {
+        index,
+        amountIn: tokenIn,
+        expectedOut: solOut,
+        maxIn: tokenIn,
+        minOut: minSol > 0n ? minSol : 1n,
+        slippageBps,
+        fees: chunkFees,
+      };
+    });
+
+    const expectedOut = chunks.reduce((sum, c) => sum + c.expectedOut, 0n);
+    const fees = sumFeeBreakdowns(chunks.map((c) => c.fees));
+
+    return {
+      mode,
+      side: "sell",
+      mint: tokenAddr,
+      quoteMint,
+      amountIn: totalTokenIn,
+      expectedOut,
+      minOut: chunks.reduce((sum, c) => sum + c.minOut, 0n),
+      maxIn: totalTokenIn,
+      priceImpactBps: calcPriceImpactBps(
+        "sell",
+        totalTokenIn,
+        expectedOut,
+        reservesBefore,
+      ),
+      fees,
+      feeRates,
+      chunks,
+      reservesBefore,
+      reservesAfter: snapshot(),
+    };
+  }
+
   /* ---------- 统一交易接口 ---------- */
 
   /**
    * 自动判断内盘/外盘并执行买入
-   * @param useV2 - use buy_v2 instruction (supports USDC quote) instead of legacy buy
+   * @param useV2 - use buy_exact_quote_in_v2 instruction (supports USDC quote) instead of legacy buy
    * @param quoteMint - quote mint for V2 (SOL_MINT for SOL-paired, or USDC mint for USDC-paired)
    */
   async autoBuy(
@@ -1086,7 +3875,25 @@ export class PumpTrader {
     const mode = await this.getTradeMode(tokenAddr);
     if (mode === "bonding") {
       if (useV2) {
-        return this.buyV2(tokenAddr, totalSolIn, tradeOpt, quoteMint);
+        // 精确花费 quote，最少得到的代币数量按滑点从报价中扣除
+        const quote = await this.quoteBuy(
+          tokenAddr,
+          totalSolIn,
+          tradeOpt,
+          quoteMint,
+        );
+        const minTokensOut = quote.chunks.reduce(
+          (sum, c) =>
+            sum + (c.expectedOut * BigInt(10_000 - c.slippageBps)) / 10_000n,
+          0n,
+        );
+        return this.buyExactQuoteInV2(
+          tokenAddr,
+          totalSolIn,
+          minTokensOut,
+          tradeOpt,
+          quoteMint,
+        );
       }
       return this.buy(tokenAddr, totalSolIn, tradeOpt);
     } else {
@@ -1117,6 +3924,199 @@ export class PumpTrader {
     }
   }
 
+  /* ---------- 分时执行 ---------- */
+
+  /**
+   * 按 TWAP / DCA / 价格影响约束分时执行大额买卖
+   * 每个分片执行前重新读取储备并报价，通过 onProgress 报告进度
+   */
+  scheduleOrder(params: ScheduleParams): ScheduledOrder {
+    let amounts: bigint[];
+    let intervalMs: number;
+    if (params.strategy === "dca") {
+      if (!params.amountPerSlice || params.intervalMs === undefined) {
+        throw new Error("DCA requires amountPerSlice and intervalMs");
+      }
+      amounts = this.splitByMax(params.totalAmount, params.amountPerSlice);
+      intervalMs = params.intervalMs;
+    } else {
+      const slices = params.slices ?? 10;
+      amounts = this.splitIntoN(params.totalAmount, slices);
+      if (params.strategy === "twap") {
+        if (params.durationMs === undefined) {
+          throw new Error("TWAP requires durationMs");
+        }
+        intervalMs = Math.floor(params.durationMs / slices);
+      } else {
+        if (params.maxImpactBps === undefined) {
+          throw new Error("Impact strategy requires maxImpactBps");
+        }
+        intervalMs = params.intervalMs ?? 0;
+      }
+    }
+
+    const progress: ScheduleProgress = {
+      status: "running",
+      totalAmount: params.totalAmount,
+      executedAmount: 0n,
+      remainingAmount: params.totalAmount,
+      slicesDone: 0,
+      slicesTotal: amounts.length,
+      results: [],
+    };
+    const report = () => params.onProgress?.({ ...progress });
+
+    let cancelled = false;
+    let wake: (() => void) | null = null;
+    const sleep = (ms: number) =>
+      new Promise<void>((resolve) => {
+        const timer = setTimeout(resolve, ms);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+
+    const quote = (amount: bigint) =>
+      params.side === "buy"
+        ? this.quoteBuy(
+            params.tokenAddr,
+            amount,
+            params.tradeOpt,
+            params.quoteMint,
+          )
+        : this.quoteSell(
+            params.tokenAddr,
+            amount,
+            params.tradeOpt,
+            params.quoteMint,
+          );
+
+    const run = async (): Promise<ScheduleProgress> => {
+      for (let i = 0; i < amounts.length && !cancelled; i++) {
+        if (i > 0 && intervalMs > 0) {
+          await sleep(intervalMs);
+          if (cancelled) break;
+        }
+
+        try {
+          progress.lastQuote = await quote(amounts[i]);
+
+          // 价格影响过大时等待，直到回落或被取消
+          while (
+            params.strategy === "impact" &&
+            progress.lastQuote.priceImpactBps > params.maxImpactBps! &&
+            !cancelled
+          ) {
+            progress.status = "waiting";
+            report();
+            await sleep(params.pollIntervalMs ?? 2000);
+            if (!cancelled) progress.lastQuote = await quote(amounts[i]);
+          }
+          if (cancelled) break;
+          progress.status = "running";
+
+          const result =
+            params.side === "buy"
+              ? await this.autoBuy(
+                  params.tokenAddr,
+                  amounts[i],
+                  params.tradeOpt,
+                  params.useV2,
+                  params.quoteMint,
+                )
+              : await this.autoSell(
+                  params.tokenAddr,
+                  amounts[i],
+                  params.tradeOpt,
+                  params.useV2,
+                  params.quoteMint,
+                );
+          progress.results.push(result);
+
+          let executed = result.pendingTransactions.reduce(
+            (sum, p) => sum + (p.amountIn ?? 0n),
+            0n,
+          );
+          if (params.waitForConfirmation ?? true) {
+            const confirmation = await this.confirmTradeResult(result);
+            executed = result.pendingTransactions
+              .filter((_, j) => confirmation.chunks[j].status === "confirmed")
+              .reduce((sum, p) => sum + (p.amountIn ?? 0n), 0n);
+          }
+          if (executed === 0n) {
+            progress.lastError =
+              result.failedTransactions[0]?.error ?? "Slice was not executed";
+          }
+
+          progress.executedAmount += executed;
+          progress.remainingAmount =
+            params.totalAmount - progress.executedAmount;
+        } catch (e) {
+          progress.lastError = (e as Error).message;
+        }
+
+        progress.slicesDone++;
+        report();
+      }
+
+      progress.status = cancelled
+        ? "cancelled"
+        : progress.remainingAmount === 0n
+          ? "completed"
+          : "failed";
+      report();
+      return { ...progress };
+    };
+
+    return {
+      cancel: () => {
+        cancelled = true;
+        wake?.();
+      },
+      progress: () => ({ ...progress }),
+      done: run(),
+    };
+  }
+
+  /**
+   * 模拟 autoBuy（不发送），返回每笔拆单的 CU 消耗、日志和解析后的错误
+   */
+  async simulateBuy(
+    tokenAddr: string,
+    totalSolIn: bigint,
+    tradeOpt: TradeOptions,
+    useV2: boolean = false,
+    quoteMint: PublicKey = SOL_MINT,
+  ): Promise<TradeResult> {
+    return this.autoBuy(
+      tokenAddr,
+      totalSolIn,
+      { ...tradeOpt, simulate: "only" },
+      useV2,
+      quoteMint,
+    );
+  }
+
+  /**
+   * 模拟 autoSell（不发送）
+   */
+  async simulateSell(
+    tokenAddr: string,
+    totalTokenIn: bigint,
+    tradeOpt: TradeOptions,
+    useV2: boolean = false,
+    quoteMint: PublicKey = SOL_MINT,
+  ): Promise<TradeResult> {
+    return this.autoSell(
+      tokenAddr,
+      totalTokenIn,
+      { ...tradeOpt, simulate: "only" },
+      useV2,
+      quoteMint,
+    );
+  }
+
   /* ---------- 内盘交易 ---------- */
 
   async buy(
@@ -1132,10 +4132,21 @@ export class PumpTrader {
 
     const { bonding, state, creator } = await this.loadBonding(mint);
     if (state.complete) throw new Error("Bonding curve already completed");
+    const feeRates = await this.getBondingFeeRates(state, creator);
+    let curve = state;
 
     const solChunks = this.splitByMax(totalSolIn, tradeOpt.maxSolPerTx);
-    const pendingTransactions: PendingTransaction[] = [];
-    const failedTransactions: FailedTransaction[] = [];
+    const result: TradeResult = {
+      pendingTransactions: [],
+      failedTransactions: [],
+      context: {
+        side: "buy",
+        tokenAddr,
+        quoteMint: SOL_MINT,
+        useV2: false,
+        tradeOpt,
+      },
+    };
 
     const associatedBondingCurve = getAssociatedTokenAddressSync(
       mint,
@@ -1167,15 +4178,26 @@ export class PumpTrader {
       [Buffer.from("fee_config"), SEEDS.FEE_CONFIG],
       PROGRAM_IDS.FEE,
     );
-    const feeRecipient = this.pickFeeRecipient();
+    const feeRecipient = this.pickBondingFeeRecipient(state.isMayhemMode);
+    const globalFeeRecipient = state.isMayhemMode
+      ? feeRecipient
+      : this.globalState!.feeRecipient;
 
     for (let i = 0; i < solChunks.length; i++) {
       try {
         const solIn = solChunks[i];
-        const tokenOut = this.calcBuy(solIn, state);
+        if (i > 0) {
+          curve = await this.refreshReserves(
+            tradeOpt,
+            curve,
+            async () => (await this.loadBonding(mint)).state,
+            (s) => this.calcBuy(solIn, s, feeRates),
+          );
+        }
+        const tokenOut = this.calcBuy(solIn, curve, feeRates);
         const slippageBps = this.calcSlippage({
           tradeSize: solIn,
-          reserve: state.virtualSolReserves,
+          reserve: curve.virtualSolReserves,
           slippageOpt: tradeOpt.slippage,
         });
         const maxSol = (solIn * BigInt(10_000 + slippageBps)) / 10_000n;
@@ -1193,7 +4215,7 @@ export class PumpTrader {
             programId: PROGRAM_IDS.PUMP,
             keys: this.buildBondingBuyKeys({
               global: this.global,
-              globalFeeRecipient: this.globalState!.feeRecipient,
+              globalFeeRecipient,
               mint,
               bonding,
               associatedBondingCurve,
@@ -1218,34 +4240,28 @@ export class PumpTrader {
           }),
         );
 
-        const { blockhash, lastValidBlockHeight } =
-          await this.connection.getLatestBlockhash("finalized");
-        tx.recentBlockhash = blockhash;
-        tx.feePayer = this.publicKey;
-        await this.signTx(tx);
-
-        const signature = await this.connection.sendRawTransaction(
-          tx.serialize(),
-          {
-            skipPreflight: false,
-            maxRetries: 2,
-          },
-        );
-
-        pendingTransactions.push({
-          signature,
-          lastValidBlockHeight,
-          index: i,
+        await this.submitTx(result, i, tx, tradeOpt, {
+          amountIn: solIn,
+          expectedOut: tokenOut,
+          sendOptions: { skipPreflight: false, maxRetries: 2 },
+          fees: this.calcTradeFees(
+            "buy",
+            "bonding",
+            solIn,
+            feeRates,
+            !!state.isCashbackCoin,
+          ),
         });
+        curve = this.advanceBondingState(curve, "buy", solIn, feeRates);
       } catch (e) {
-        failedTransactions.push({
+        result.failedTransactions.push({
           index: i,
           error: (e as Error).message,
         });
       }
     }
 
-    return { pendingTransactions, failedTransactions };
+    return this.flushChunks(result, tradeOpt);
   }
 
   async sell(
@@ -1262,19 +4278,26 @@ export class PumpTrader {
     const { bonding, state, creator } = await this.loadBonding(mint);
     if (state.complete) throw new Error("Bonding curve already completed");
 
-    const totalSolOut = this.calcSell(totalTokenIn, state);
-    const tokenChunks =
-      totalSolOut <= tradeOpt.maxSolPerTx
-        ? [totalTokenIn]
-        : this.splitIntoN(
-          totalTokenIn,
-          Number(
-            (totalSolOut + tradeOpt.maxSolPerTx - 1n) / tradeOpt.maxSolPerTx,
-          ),
-        );
-
-    const pendingTransactions: PendingTransaction[] = [];
-    const failedTransactions: FailedTransaction[] = [];
+    const feeRates = await this.getBondingFeeRates(state, creator);
+    const totalSolOut = this.calcSell(totalTokenIn, state, feeRates);
+    const tokenChunks = this.splitSellChunks(
+      totalTokenIn,
+      totalSolOut,
+      tradeOpt.maxSolPerTx,
+    );
+    let curve = state;
+
+    const result: TradeResult = {
+      pendingTransactions: [],
+      failedTransactions: [],
+      context: {
+        side: "sell",
+        tokenAddr,
+        quoteMint: SOL_MINT,
+        useV2: false,
+        tradeOpt,
+      },
+    };
 
     const associatedBondingCurve = getAssociatedTokenAddressSync(
       mint,
@@ -1309,15 +4332,26 @@ export class PumpTrader {
       ],
       PROGRAM_IDS.PUMP,
     );
-    const feeRecipient = this.pickFeeRecipient();
+    const feeRecipient = this.pickBondingFeeRecipient(state.isMayhemMode);
+    const globalFeeRecipient = state.isMayhemMode
+      ? feeRecipient
+      : this.globalState!.feeRecipient;
 
     for (let i = 0; i < tokenChunks.length; i++) {
       try {
         const tokenIn = tokenChunks[i];
-        const solOut = this.calcSell(tokenIn, state);
+        if (i > 0) {
+          curve = await this.refreshReserves(
+            tradeOpt,
+            curve,
+            async () => (await this.loadBonding(mint)).state,
+            (s) => this.calcSell(tokenIn, s, feeRates),
+          );
+        }
+        const solOut = this.calcSell(tokenIn, curve, feeRates);
         const slippageBps = this.calcSlippage({
           tradeSize: tokenIn,
-          reserve: state.virtualTokenReserves,
+          reserve: curve.virtualTokenReserves,
           slippageOpt: tradeOpt.slippage,
         });
         const minSol = (solOut * BigInt(10_000 - slippageBps)) / 10_000n;
@@ -1333,7 +4367,7 @@ export class PumpTrader {
             programId: PROGRAM_IDS.PUMP,
             keys: this.buildBondingSellKeys({
               global: this.global,
-              globalFeeRecipient: this.globalState!.feeRecipient,
+              globalFeeRecipient,
               mint,
               bonding,
               associatedBondingCurve,
@@ -1358,29 +4392,27 @@ export class PumpTrader {
           }),
         );
 
-        const { blockhash, lastValidBlockHeight } =
-          await this.connection.getLatestBlockhash("finalized");
-        tx.recentBlockhash = blockhash;
-        tx.feePayer = this.publicKey;
-        await this.signTx(tx);
-
-        const signature = await this.connection.sendRawTransaction(
-          tx.serialize(),
-        );
-        pendingTransactions.push({
-          signature,
-          lastValidBlockHeight,
-          index: i,
+        await this.submitTx(result, i, tx, tradeOpt, {
+          amountIn: tokenIn,
+          expectedOut: solOut,
+          fees: this.calcTradeFees(
+            "sell",
+            "bonding",
+            this.calcSell(tokenIn, curve),
+            feeRates,
+            !!state.isCashbackCoin,
+          ),
         });
+        curve = this.advanceBondingState(curve, "sell", tokenIn);
       } catch (e) {
-        failedTransactions.push({
+        result.failedTransactions.push({
           index: i,
           error: (e as Error).message,
         });
       }
     }
 
-    return { pendingTransactions, failedTransactions };
+    return this.flushChunks(result, tradeOpt);
   }
 
   /* ---------- 外盘交易 ---------- */
@@ -1394,22 +4426,36 @@ export class PumpTrader {
     const mint = new PublicKey(tokenAddr);
     const poolInfo = await this.getAmmPoolInfo(mint, quoteMint);
     const reserves = await this.getAmmPoolReserves(poolInfo.poolKeys);
+    const feeRates = await this.getAmmFeeRates(poolInfo, reserves);
+    const isCashbackCoin = !!poolInfo.poolKeys.isCashbackCoin;
     const solChunks = this.splitByMax(totalSolIn, tradeOpt.maxSolPerTx);
     const tokenProgram = await this.detectTokenProgram(tokenAddr);
     const isSolQuote = quoteMint.equals(SOL_MINT);
     const quoteTokenProgramId = isSolQuote
       ? TOKEN_PROGRAM_ID
       : await this.detectQuoteTokenProgram(quoteMint);
-    const pendingTransactions: PendingTransaction[] = [];
-    const failedTransactions: FailedTransaction[] = [];
+    let pool = reserves;
+    const result: TradeResult = {
+      pendingTransactions: [],
+      failedTransactions: [],
+      context: { side: "buy", tokenAddr, quoteMint, useV2: false, tradeOpt },
+    };
 
     for (let i = 0; i < solChunks.length; i++) {
       try {
         const solIn = solChunks[i];
-        const baseAmountOut = this.calculateAmmBuyOutput(solIn, reserves);
+        if (i > 0) {
+          pool = await this.refreshReserves(
+            tradeOpt,
+            pool,
+            () => this.getAmmPoolReserves(poolInfo.poolKeys),
+            (r) => this.calculateAmmBuyOutput(solIn, r, feeRates),
+          );
+        }
+        const baseAmountOut = this.calculateAmmBuyOutput(solIn, pool, feeRates);
         const slippageBps = this.calcSlippage({
           tradeSize: solIn,
-          reserve: reserves.quoteAmount,
+          reserve: pool.quoteAmount,
           slippageOpt: tradeOpt.slippage,
         });
         const maxQuoteIn = (solIn * BigInt(10_000 + slippageBps)) / 10_000n;
@@ -1454,34 +4500,28 @@ export class PumpTrader {
           );
         }
 
-        const { blockhash, lastValidBlockHeight } =
-          await this.connection.getLatestBlockhash("finalized");
-        tx.recentBlockhash = blockhash;
-        tx.feePayer = this.publicKey;
-        await this.signTx(tx);
-
-        const signature = await this.connection.sendRawTransaction(
-          tx.serialize(),
-          {
-            skipPreflight: false,
-            maxRetries: 2,
-          },
-        );
-
-        pendingTransactions.push({
-          signature,
-          lastValidBlockHeight,
-          index: i,
+        await this.submitTx(result, i, tx, tradeOpt, {
+          amountIn: solIn,
+          expectedOut: baseAmountOut,
+          sendOptions: { skipPreflight: false, maxRetries: 2 },
+          fees: this.calcTradeFees(
+            "buy",
+            "amm",
+            solIn,
+            feeRates,
+            isCashbackCoin,
+          ),
         });
+        pool = this.advanceAmmReserves(pool, "buy", solIn, feeRates);
       } catch (e) {
-        failedTransactions.push({
+        result.failedTransactions.push({
           index: i,
           error: (e as Error).message,
         });
       }
     }
 
-    return { pendingTransactions, failedTransactions };
+    return this.flushChunks(result, tradeOpt);
   }
 
   async ammSell(
@@ -1493,32 +4533,46 @@ export class PumpTrader {
     const mint = new PublicKey(tokenAddr);
     const poolInfo = await this.getAmmPoolInfo(mint, quoteMint);
     const reserves = await this.getAmmPoolReserves(poolInfo.poolKeys);
-    const totalSolOut = this.calculateAmmSellOutput(totalTokenIn, reserves);
+    const feeRates = await this.getAmmFeeRates(poolInfo, reserves);
+    const isCashbackCoin = !!poolInfo.poolKeys.isCashbackCoin;
+    const totalSolOut = this.calculateAmmSellOutput(
+      totalTokenIn,
+      reserves,
+      feeRates,
+    );
     const tokenProgram = await this.detectTokenProgram(tokenAddr);
     const isSolQuote = quoteMint.equals(SOL_MINT);
     const quoteTokenProgramId = isSolQuote
       ? TOKEN_PROGRAM_ID
       : await this.detectQuoteTokenProgram(quoteMint);
-    const tokenChunks =
-      totalSolOut <= tradeOpt.maxSolPerTx
-        ? [totalTokenIn]
-        : this.splitIntoN(
-          totalTokenIn,
-          Number(
-            (totalSolOut + tradeOpt.maxSolPerTx - 1n) / tradeOpt.maxSolPerTx,
-          ),
-        );
+    const tokenChunks = this.splitSellChunks(
+      totalTokenIn,
+      totalSolOut,
+      tradeOpt.maxSolPerTx,
+    );
 
-    const pendingTransactions: PendingTransaction[] = [];
-    const failedTransactions: FailedTransaction[] = [];
+    let pool = reserves;
+    const result: TradeResult = {
+      pendingTransactions: [],
+      failedTransactions: [],
+      context: { side: "sell", tokenAddr, quoteMint, useV2: false, tradeOpt },
+    };
 
     for (let i = 0; i < tokenChunks.length; i++) {
       try {
         const tokenIn = tokenChunks[i];
-        const solOut = this.calculateAmmSellOutput(tokenIn, reserves);
+        if (i > 0) {
+          pool = await this.refreshReserves(
+            tradeOpt,
+            pool,
+            () => this.getAmmPoolReserves(poolInfo.poolKeys),
+            (r) => this.calculateAmmSellOutput(tokenIn, r, feeRates),
+          );
+        }
+        const solOut = this.calculateAmmSellOutput(tokenIn, pool, feeRates);
         const slippageBps = this.calcSlippage({
           tradeSize: tokenIn,
-          reserve: reserves.baseAmount,
+          reserve: pool.baseAmount,
           slippageOpt: tradeOpt.slippage,
         });
         const minQuoteOut = (solOut * BigInt(10_000 - slippageBps)) / 10_000n;
@@ -1558,38 +4612,47 @@ export class PumpTrader {
           );
         }
 
-        const { blockhash, lastValidBlockHeight } =
-          await this.connection.getLatestBlockhash("finalized");
-        tx.recentBlockhash = blockhash;
-        tx.feePayer = this.publicKey;
-        await this.signTx(tx);
-
-        const signature = await this.connection.sendRawTransaction(
-          tx.serialize(),
-          {
-            skipPreflight: false,
-            maxRetries: 2,
-          },
-        );
-
-        pendingTransactions.push({
-          signature,
-          lastValidBlockHeight,
-          index: i,
+        await this.submitTx(result, i, tx, tradeOpt, {
+          amountIn: tokenIn,
+          expectedOut: solOut,
+          sendOptions: { skipPreflight: false, maxRetries: 2 },
+          fees: this.calcTradeFees(
+            "sell",
+            "amm",
+            (pool.quoteAmount * tokenIn) / (pool.baseAmount + tokenIn),
+            feeRates,
+            isCashbackCoin,
+          ),
         });
+        pool = this.advanceAmmReserves(pool, "sell", tokenIn, feeRates);
       } catch (e) {
-        failedTransactions.push({
+        result.failedTransactions.push({
           index: i,
           error: (e as Error).message,
         });
       }
     }
 
-    return { pendingTransactions, failedTransactions };
+    return this.flushChunks(result, tradeOpt);
   }
 
   /* ---------- AMM 池信息 ---------- */
 
+  /**
+   * 与 getAmmPoolInfo 相同，池子不存在（尚未迁移）时返回 null，其他错误照常抛出
+   */
+  private async findAmmPoolInfo(
+    mint: PublicKey,
+    quoteMint: PublicKey = SOL_MINT,
+  ): Promise<PoolInfo | null> {
+    try {
+      return await this.getAmmPoolInfo(mint, quoteMint);
+    } catch (e) {
+      if ((e as Error).message === "AMM pool not found") return null;
+      throw e;
+    }
+  }
+
   async getAmmPoolInfo(
     mint: PublicKey,
     quoteMint: PublicKey = SOL_MINT,
@@ -1638,9 +4701,11 @@ export class PumpTrader {
     const admin = new PublicKey(data.slice(offset, offset + 32));
     offset += 32;
 
+    const lpFeeBasisPoints = data.readBigUInt64LE(offset);
     offset += 8;
+    const protocolFeeBasisPoints = data.readBigUInt64LE(offset);
     offset += 8;
-    offset += 1;
+    offset += 1; // disable_flags
 
     const protocolFeeRecipients: PublicKey[] = [];
     for (let i = 0; i < 8; i++) {
@@ -1650,7 +4715,37 @@ export class PumpTrader {
       offset += 32;
     }
 
-    return { address, admin, protocolFeeRecipients };
+    const coinCreatorFeeBasisPoints =
+      offset + 8 <= data.length ? data.readBigUInt64LE(offset) : 0n;
+    offset += 8;
+    offset += 32; // admin_set_coin_creator_authority
+    offset += 32; // whitelist_pda
+
+    // mayhem 池子的协议费只能转给预留的 fee recipient（旧账户没有这些字段）
+    const reservedFeeRecipients: PublicKey[] = [];
+    if (offset + 32 + 1 + 7 * 32 <= data.length) {
+      reservedFeeRecipients.push(
+        new PublicKey(data.slice(offset, offset + 32)),
+      );
+      offset += 32;
+      offset += 1; // mayhem_mode_enabled
+      for (let i = 0; i < 7; i++) {
+        reservedFeeRecipients.push(
+          new PublicKey(data.slice(offset, offset + 32)),
+        );
+        offset += 32;
+      }
+    }
+
+    return {
+      address,
+      admin,
+      lpFeeBasisPoints,
+      protocolFeeBasisPoints,
+      coinCreatorFeeBasisPoints,
+      protocolFeeRecipients,
+      reservedFeeRecipients,
+    };
   }
 
   async getAmmPoolReserves(poolKeys: any): Promise<PoolReserves> {
@@ -1723,7 +4818,7 @@ export class PumpTrader {
       PROGRAM_IDS.FEE,
     );
 
-    const protocolFeeRecipient = globalConfig.protocolFeeRecipients[0];
+    const protocolFeeRecipient = this.pickAmmProtocolFeeRecipient(poolInfo);
     const protocolFeeRecipientTokenAccount = getAssociatedTokenAddressSync(
       SOL_MINT,
       protocolFeeRecipient,
@@ -1865,7 +4960,7 @@ export class PumpTrader {
       PROGRAM_IDS.FEE,
     );
 
-    const protocolFeeRecipient = globalConfig.protocolFeeRecipients[0];
+    const protocolFeeRecipient = this.pickAmmProtocolFeeRecipient(poolInfo);
     const protocolFeeRecipientTokenAccount = getAssociatedTokenAddressSync(
       SOL_MINT,
       protocolFeeRecipient,
@@ -2166,10 +5261,74 @@ export class PumpTrader {
     ];
   }
 
-  /* ---------- V2 交易 ---------- */
-
   /**
-   * Buy using buy_v2 instruction (supports both SOL-paired and USDC-paired coins)
+   * Derive the PDAs / ATAs shared by buy_v2, sell_v2 and buy_exact_quote_in_v2
+   */
+  private deriveBondingV2Accounts(args: {
+    baseMint: PublicKey;
+    quoteMint: PublicKey;
+    bonding: PublicKey;
+    creator: PublicKey;
+    baseTokenProgram: PublicKey;
+    quoteTokenProgram: PublicKey;
+    isMayhemMode?: boolean;
+  }) {
+    const { baseMint, quoteMint, bonding, creator, quoteTokenProgram } = args;
+    const ata = (owner: PublicKey, allowOwnerOffCurve = true) =>
+      getAssociatedTokenAddressSync(
+        quoteMint,
+        owner,
+        allowOwnerOffCurve,
+        quoteTokenProgram,
+        ASSOCIATED_TOKEN_PROGRAM_ID,
+      );
+
+    const [creatorVault] = PublicKey.findProgramAddressSync(
+      [Buffer.from("creator-vault"), creator.toBuffer()],
+      PROGRAM_IDS.PUMP,
+    );
+    const [globalVolumeAccumulator] = PublicKey.findProgramAddressSync(
+      [Buffer.from("global_volume_accumulator")],
+      PROGRAM_IDS.PUMP,
+    );
+    const [userVolumeAccumulator] = PublicKey.findProgramAddressSync(
+      [
+        Buffer.from("user_volume_accumulator"),
+        this.publicKey.toBuffer(),
+      ],
+      PROGRAM_IDS.PUMP,
+    );
+    const feeRecipient = this.pickBondingFeeRecipient(args.isMayhemMode);
+    const buybackFeeRecipient = this.pickBuybackFeeRecipient();
+
+    return {
+      associatedBaseBondingCurve: getAssociatedTokenAddressSync(
+        baseMint,
+        bonding,
+        true,
+        args.baseTokenProgram,
+        ASSOCIATED_TOKEN_PROGRAM_ID,
+      ),
+      associatedQuoteBondingCurve: ata(bonding),
+      creatorVault,
+      associatedCreatorVault: ata(creatorVault),
+      sharingConfig: this.getSharingConfigPda(baseMint),
+      globalVolumeAccumulator,
+      userVolumeAccumulator,
+      associatedUserVolumeAccumulator: ata(userVolumeAccumulator),
+      feeConfig: this.getFeeConfigPda("bonding"),
+      feeRecipient,
+      associatedQuoteFeeRecipient: ata(feeRecipient),
+      buybackFeeRecipient,
+      associatedQuoteBuybackFeeRecipient: ata(buybackFeeRecipient),
+      associatedQuoteUser: ata(this.publicKey, false),
+    };
+  }
+
+  /* ---------- V2 交易 ---------- */
+
+  /**
+   * Buy using buy_v2 instruction (supports both SOL-paired and USDC-paired coins)
    * For SOL-paired coins: quoteMint = SOL_MINT, quoteTokenProgram = TOKEN_PROGRAM_ID
    * For USDC-paired coins: quoteMint = USDC mint, quoteTokenProgram = TOKEN_PROGRAM_ID
    */
@@ -2183,107 +5342,52 @@ export class PumpTrader {
     const baseTokenProgram = await this.detectTokenProgram(tokenAddr);
     const quoteTokenProgramId = quoteMint.equals(SOL_MINT)
       ? TOKEN_PROGRAM_ID
-      : TOKEN_PROGRAM_ID;
+      : await this.detectQuoteTokenProgram(quoteMint);
 
     if (!this.globalState) await this.loadGlobal();
 
     const { bonding, state, creator } = await this.loadBonding(baseMint);
     if (state.complete) throw new Error("Bonding curve already completed");
+    const feeRates = await this.getBondingFeeRates(state, creator);
 
     const solEquivalent = quoteMint.equals(SOL_MINT) ? totalQuoteIn : 0n;
     const quoteChunks =
       solEquivalent > 0n
         ? this.splitByMax(solEquivalent, tradeOpt.maxSolPerTx)
         : this.splitByMax(totalQuoteIn, tradeOpt.maxSolPerTx);
+    let curve = state;
 
-    const pendingTransactions: PendingTransaction[] = [];
-    const failedTransactions: FailedTransaction[] = [];
+    const result: TradeResult = {
+      pendingTransactions: [],
+      failedTransactions: [],
+      context: { side: "buy", tokenAddr, quoteMint, useV2: true, tradeOpt },
+    };
 
-    // Pre-compute PDAs
-    const associatedBaseBondingCurve = getAssociatedTokenAddressSync(
+    const accounts = this.deriveBondingV2Accounts({
       baseMint,
-      bonding,
-      true,
-      baseTokenProgram.programId,
-      ASSOCIATED_TOKEN_PROGRAM_ID,
-    );
-    const associatedQuoteBondingCurve = getAssociatedTokenAddressSync(
       quoteMint,
       bonding,
-      true,
-      quoteTokenProgramId,
-      ASSOCIATED_TOKEN_PROGRAM_ID,
-    );
-
-    const [creatorVault] = PublicKey.findProgramAddressSync(
-      [Buffer.from("creator-vault"), creator.toBuffer()],
-      PROGRAM_IDS.PUMP,
-    );
-    const associatedCreatorVault = getAssociatedTokenAddressSync(
-      quoteMint,
-      creatorVault,
-      true,
-      quoteTokenProgramId,
-      ASSOCIATED_TOKEN_PROGRAM_ID,
-    );
-
-    const [globalVolumeAccumulator] = PublicKey.findProgramAddressSync(
-      [Buffer.from("global_volume_accumulator")],
-      PROGRAM_IDS.PUMP,
-    );
-    const [userVolumeAccumulator] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from("user_volume_accumulator"),
-        this.publicKey.toBuffer(),
-      ],
-      PROGRAM_IDS.PUMP,
-    );
-    const associatedUserVolumeAccumulator = getAssociatedTokenAddressSync(
-      quoteMint,
-      userVolumeAccumulator,
-      true,
-      quoteTokenProgramId,
-      ASSOCIATED_TOKEN_PROGRAM_ID,
-    );
-
-    const [feeConfig] = PublicKey.findProgramAddressSync(
-      [Buffer.from("fee_config"), SEEDS.FEE_CONFIG],
-      PROGRAM_IDS.FEE,
-    );
-
-    const sharingConfig = this.getSharingConfigPda(baseMint);
-    const feeRecipient = this.pickFeeRecipient();
-    const associatedQuoteFeeRecipient = getAssociatedTokenAddressSync(
-      quoteMint,
-      feeRecipient,
-      true,
-      quoteTokenProgramId,
-      ASSOCIATED_TOKEN_PROGRAM_ID,
-    );
-    const buybackFeeRecipient = this.pickBuybackFeeRecipient();
-    const associatedQuoteBuybackFeeRecipient = getAssociatedTokenAddressSync(
-      quoteMint,
-      buybackFeeRecipient,
-      true,
-      quoteTokenProgramId,
-      ASSOCIATED_TOKEN_PROGRAM_ID,
-    );
-
-    const associatedQuoteUser = getAssociatedTokenAddressSync(
-      quoteMint,
-      this.publicKey,
-      false,
-      quoteTokenProgramId,
-      ASSOCIATED_TOKEN_PROGRAM_ID,
-    );
+      creator,
+      baseTokenProgram: baseTokenProgram.programId,
+      quoteTokenProgram: quoteTokenProgramId,
+      isMayhemMode: state.isMayhemMode,
+    });
 
     for (let i = 0; i < quoteChunks.length; i++) {
       try {
         const quoteIn = quoteChunks[i];
-        const tokenOut = this.calcBuy(quoteIn, state);
+        if (i > 0) {
+          curve = await this.refreshReserves(
+            tradeOpt,
+            curve,
+            async () => (await this.loadBonding(baseMint)).state,
+            (s) => this.calcBuy(quoteIn, s, feeRates),
+          );
+        }
+        const tokenOut = this.calcBuy(quoteIn, curve, feeRates);
         const slippageBps = this.calcSlippage({
           tradeSize: quoteIn,
-          reserve: state.virtualSolReserves,
+          reserve: curve.virtualSolReserves,
           slippageOpt: tradeOpt.slippage,
         });
         const maxQuoteCost = (quoteIn * BigInt(10_000 + slippageBps)) / 10_000n;
@@ -2304,26 +5408,7 @@ export class PumpTrader {
           );
         } else {
           // For non-SOL quote (e.g. USDC), ensure user has the quote token ATA
-          const userQuoteAta = getAssociatedTokenAddressSync(
-            quoteMint,
-            this.publicKey,
-            false,
-            quoteTokenProgramId,
-            ASSOCIATED_TOKEN_PROGRAM_ID,
-          );
-          const acc = await this.connection.getAccountInfo(userQuoteAta);
-          if (!acc) {
-            tx.add(
-              createAssociatedTokenAccountInstruction(
-                this.publicKey,
-                userQuoteAta,
-                this.publicKey,
-                quoteMint,
-                quoteTokenProgramId,
-                ASSOCIATED_TOKEN_PROGRAM_ID,
-              ),
-            );
-          }
+          await this.ensureAta(tx, quoteMint, quoteTokenProgramId);
         }
 
         const userBaseAta = await this.ensureAta(
@@ -2336,28 +5421,15 @@ export class PumpTrader {
           new TransactionInstruction({
             programId: PROGRAM_IDS.PUMP,
             keys: this.buildBondingBuyV2Keys({
+              ...accounts,
               global: this.global,
               baseMint,
               quoteMint,
               baseTokenProgram: baseTokenProgram.programId,
               quoteTokenProgram: quoteTokenProgramId,
-              feeRecipient,
-              associatedQuoteFeeRecipient,
-              buybackFeeRecipient,
-              associatedQuoteBuybackFeeRecipient,
               bondingCurve: bonding,
-              associatedBaseBondingCurve,
-              associatedQuoteBondingCurve,
               user: this.publicKey,
               associatedBaseUser: userBaseAta,
-              associatedQuoteUser,
-              creatorVault,
-              associatedCreatorVault,
-              sharingConfig,
-              globalVolumeAccumulator,
-              userVolumeAccumulator,
-              associatedUserVolumeAccumulator,
-              feeConfig,
               feeProgram: PROGRAM_IDS.FEE,
               eventAuthority: PROGRAM_IDS.EVENT_AUTHORITY,
               pumpProgram: PROGRAM_IDS.PUMP,
@@ -2388,35 +5460,40 @@ export class PumpTrader {
           );
         }
 
-        const { blockhash, lastValidBlockHeight } =
-          await this.connection.getLatestBlockhash("finalized");
-        tx.recentBlockhash = blockhash;
-        tx.feePayer = this.publicKey;
-        await this.signTx(tx);
-
-        const signature = await this.connection.sendRawTransaction(
-          tx.serialize(),
-          {
-            skipPreflight: false,
-            maxRetries: 2,
-          },
-        );
-
-        pendingTransactions.push({ signature, lastValidBlockHeight, index: i });
+        await this.submitTx(result, i, tx, tradeOpt, {
+          amountIn: quoteIn,
+          expectedOut: tokenOut,
+          sendOptions: { skipPreflight: false, maxRetries: 2 },
+          fees: this.calcTradeFees(
+            "buy",
+            "bonding",
+            quoteIn,
+            feeRates,
+            !!state.isCashbackCoin,
+          ),
+        });
+        curve = this.advanceBondingState(curve, "buy", quoteIn, feeRates);
       } catch (e) {
-        failedTransactions.push({ index: i, error: (e as Error).message });
+        result.failedTransactions.push({
+          index: i,
+          error: (e as Error).message,
+        });
       }
     }
 
-    return { pendingTransactions, failedTransactions };
+    return this.flushChunks(result, tradeOpt);
   }
 
   /**
-   * Sell using sell_v2 instruction (supports both SOL-paired and USDC-paired coins)
+   * Buy using buy_exact_quote_in_v2: spends exactly `quoteIn` and reverts if
+   * fewer than `minTokensOut` tokens are received.
+   * When split into chunks, `minTokensOut` is distributed in proportion to
+   * each chunk's expected output, simulating the curve forward between chunks.
    */
-  async sellV2(
+  async buyExactQuoteInV2(
     tokenAddr: string,
-    totalTokenIn: bigint,
+    quoteIn: bigint,
+    minTokensOut: bigint,
     tradeOpt: TradeOptions,
     quoteMint: PublicKey = SOL_MINT,
   ): Promise<TradeResult> {
@@ -2424,120 +5501,52 @@ export class PumpTrader {
     const baseTokenProgram = await this.detectTokenProgram(tokenAddr);
     const quoteTokenProgramId = quoteMint.equals(SOL_MINT)
       ? TOKEN_PROGRAM_ID
-      : TOKEN_PROGRAM_ID;
+      : await this.detectQuoteTokenProgram(quoteMint);
 
     if (!this.globalState) await this.loadGlobal();
 
     const { bonding, state, creator } = await this.loadBonding(baseMint);
     if (state.complete) throw new Error("Bonding curve already completed");
+    const feeRates = await this.getBondingFeeRates(state, creator);
 
-    const totalQuoteOut = this.calcSell(totalTokenIn, state);
-    const tokenChunks =
-      totalQuoteOut <= tradeOpt.maxSolPerTx
-        ? [totalTokenIn]
-        : this.splitIntoN(
-          totalTokenIn,
-          Number(
-            (totalQuoteOut + tradeOpt.maxSolPerTx - 1n) /
-            tradeOpt.maxSolPerTx,
-          ),
-        );
-
-    const pendingTransactions: PendingTransaction[] = [];
-    const failedTransactions: FailedTransaction[] = [];
+    const quoteChunks = this.splitByMax(quoteIn, tradeOpt.maxSolPerTx);
+    const result: TradeResult = {
+      pendingTransactions: [],
+      failedTransactions: [],
+      context: { side: "buy", tokenAddr, quoteMint, useV2: true, tradeOpt },
+    };
 
-    // Pre-compute PDAs
-    const associatedBaseBondingCurve = getAssociatedTokenAddressSync(
+    const accounts = this.deriveBondingV2Accounts({
       baseMint,
-      bonding,
-      true,
-      baseTokenProgram.programId,
-      ASSOCIATED_TOKEN_PROGRAM_ID,
-    );
-    const associatedQuoteBondingCurve = getAssociatedTokenAddressSync(
       quoteMint,
       bonding,
-      true,
-      quoteTokenProgramId,
-      ASSOCIATED_TOKEN_PROGRAM_ID,
-    );
-
-    const [creatorVault] = PublicKey.findProgramAddressSync(
-      [Buffer.from("creator-vault"), creator.toBuffer()],
-      PROGRAM_IDS.PUMP,
-    );
-    const associatedCreatorVault = getAssociatedTokenAddressSync(
-      quoteMint,
-      creatorVault,
-      true,
-      quoteTokenProgramId,
-      ASSOCIATED_TOKEN_PROGRAM_ID,
-    );
-
-    const [userVolumeAccumulator] = PublicKey.findProgramAddressSync(
-      [
-        Buffer.from("user_volume_accumulator"),
-        this.publicKey.toBuffer(),
-      ],
-      PROGRAM_IDS.PUMP,
-    );
-    const associatedUserVolumeAccumulator = getAssociatedTokenAddressSync(
-      quoteMint,
-      userVolumeAccumulator,
-      true,
-      quoteTokenProgramId,
-      ASSOCIATED_TOKEN_PROGRAM_ID,
-    );
-
-    const [feeConfig] = PublicKey.findProgramAddressSync(
-      [Buffer.from("fee_config"), SEEDS.FEE_CONFIG],
-      PROGRAM_IDS.FEE,
-    );
-
-    const sharingConfig = this.getSharingConfigPda(baseMint);
-    const feeRecipient = this.pickFeeRecipient();
-    const associatedQuoteFeeRecipient = getAssociatedTokenAddressSync(
-      quoteMint,
-      feeRecipient,
-      true,
-      quoteTokenProgramId,
-      ASSOCIATED_TOKEN_PROGRAM_ID,
-    );
-    const buybackFeeRecipient = this.pickBuybackFeeRecipient();
-    const associatedQuoteBuybackFeeRecipient = getAssociatedTokenAddressSync(
-      quoteMint,
-      buybackFeeRecipient,
-      true,
-      quoteTokenProgramId,
-      ASSOCIATED_TOKEN_PROGRAM_ID,
-    );
+      creator,
+      baseTokenProgram: baseTokenProgram.programId,
+      quoteTokenProgram: quoteTokenProgramId,
+      isMayhemMode: state.isMayhemMode,
+    });
 
-    const associatedQuoteUser = getAssociatedTokenAddressSync(
-      quoteMint,
-      this.publicKey,
-      false,
-      quoteTokenProgramId,
-      ASSOCIATED_TOKEN_PROGRAM_ID,
-    );
+    // 后面的拆单成交在更高的价格上，按推演出的预期数量分配 minTokensOut
+    let curve = state;
+    const expectedOuts = quoteChunks.map((chunkQuoteIn) => {
+      const out = this.calcBuy(chunkQuoteIn, curve, feeRates);
+      curve = this.advanceBondingState(curve, "buy", chunkQuoteIn, feeRates);
+      return out;
+    });
+    const totalExpectedOut = expectedOuts.reduce((sum, o) => sum + o, 0n);
+    let minOutAssigned = 0n;
 
-    const userBaseAta = getAssociatedTokenAddressSync(
-      baseMint,
-      this.publicKey,
-      false,
-      baseTokenProgram.programId,
-      ASSOCIATED_TOKEN_PROGRAM_ID,
-    );
+    for (let i = 0; i < quoteChunks.length; i++) {
+      const chunkQuoteIn = quoteChunks[i];
+      const chunkMinOut =
+        i === quoteChunks.length - 1
+          ? minTokensOut - minOutAssigned
+          : totalExpectedOut > 0n
+            ? (minTokensOut * expectedOuts[i]) / totalExpectedOut
+            : (minTokensOut * chunkQuoteIn) / quoteIn;
+      minOutAssigned += chunkMinOut;
 
-    for (let i = 0; i < tokenChunks.length; i++) {
       try {
-        const tokenIn = tokenChunks[i];
-        const quoteOut = this.calcSell(tokenIn, state);
-        const slippageBps = this.calcSlippage({
-          tradeSize: tokenIn,
-          reserve: state.virtualTokenReserves,
-          slippageOpt: tradeOpt.slippage,
-        });
-        const minQuoteOut = (quoteOut * BigInt(10_000 - slippageBps)) / 10_000n;
         const priority = this.genPriority(tradeOpt.priority);
 
         const tx = new Transaction().add(
@@ -2545,344 +5554,3310 @@ export class PumpTrader {
           ComputeBudgetProgram.setComputeUnitPrice({ microLamports: priority }),
         );
 
-        // For non-SOL quotes, ensure user has the quote token ATA (to receive proceeds)
-        if (!quoteMint.equals(SOL_MINT)) {
-          const userQuoteAta = getAssociatedTokenAddressSync(
-            quoteMint,
-            this.publicKey,
-            false,
-            quoteTokenProgramId,
-            ASSOCIATED_TOKEN_PROGRAM_ID,
-          );
-          const acc = await this.connection.getAccountInfo(userQuoteAta);
-          if (!acc) {
-            tx.add(
-              createAssociatedTokenAccountInstruction(
-                this.publicKey,
-                userQuoteAta,
-                this.publicKey,
-                quoteMint,
-                quoteTokenProgramId,
-                ASSOCIATED_TOKEN_PROGRAM_ID,
-              ),
-            );
-          }
+        if (quoteMint.equals(SOL_MINT)) {
+          await this.ensureWSOLAta(tx, this.publicKey, "buy", chunkQuoteIn);
+        } else {
+          await this.ensureAta(tx, quoteMint, quoteTokenProgramId);
         }
 
+        const userBaseAta = await this.ensureAta(
+          tx,
+          baseMint,
+          baseTokenProgram.programId,
+        );
+
         tx.add(
           new TransactionInstruction({
             programId: PROGRAM_IDS.PUMP,
-            keys: this.buildBondingSellV2Keys({
+            keys: this.buildBondingBuyV2Keys({
+              ...accounts,
               global: this.global,
               baseMint,
               quoteMint,
               baseTokenProgram: baseTokenProgram.programId,
               quoteTokenProgram: quoteTokenProgramId,
-              feeRecipient,
-              associatedQuoteFeeRecipient,
-              buybackFeeRecipient,
-              associatedQuoteBuybackFeeRecipient,
               bondingCurve: bonding,
-              associatedBaseBondingCurve,
-              associatedQuoteBondingCurve,
               user: this.publicKey,
               associatedBaseUser: userBaseAta,
-              associatedQuoteUser,
-              creatorVault,
-              associatedCreatorVault,
-              sharingConfig,
-              userVolumeAccumulator,
-              associatedUserVolumeAccumulator,
-              feeConfig,
               feeProgram: PROGRAM_IDS.FEE,
               eventAuthority: PROGRAM_IDS.EVENT_AUTHORITY,
               pumpProgram: PROGRAM_IDS.PUMP,
             }),
             data: Buffer.concat([
-              DISCRIMINATORS.SELL_V2,
-              u64(tokenIn),
-              u64(minQuoteOut > 0n ? minQuoteOut : 1n),
+              DISCRIMINATORS.BUY_EXACT_QUOTE_IN_V2,
+              u64(chunkQuoteIn),
+              u64(chunkMinOut > 0n ? chunkMinOut : 1n),
             ]),
           }),
         );
 
-        const { blockhash, lastValidBlockHeight } =
-          await this.connection.getLatestBlockhash("finalized");
-        tx.recentBlockhash = blockhash;
-        tx.feePayer = this.publicKey;
-        await this.signTx(tx);
-
-        const signature = await this.connection.sendRawTransaction(
-          tx.serialize(),
-        );
-        pendingTransactions.push({ signature, lastValidBlockHeight, index: i });
-      } catch (e) {
-        failedTransactions.push({ index: i, error: (e as Error).message });
-      }
+        if (quoteMint.equals(SOL_MINT)) {
+          tx.add(
+            createCloseAccountInstruction(
+              accounts.associatedQuoteUser,
+              this.publicKey,
+              this.publicKey,
+            ),
+          );
+        }
+
+        await this.submitTx(result, i, tx, tradeOpt, {
+          amountIn: chunkQuoteIn,
+          expectedOut: expectedOuts[i],
+          sendOptions: { skipPreflight: false, maxRetries: 2 },
+          fees: this.calcTradeFees(
+            "buy",
+            "bonding",
+            chunkQuoteIn,
+            feeRates,
+            !!state.isCashbackCoin,
+          ),
+        });
+      } catch (e) {
+        result.failedTransactions.push({
+          index: i,
+          error: (e as Error).message,
+        });
+      }
     }
 
-    return { pendingTransactions, failedTransactions };
+    return this.flushChunks(result, tradeOpt);
   }
 
-  /* ---------- Collect Creator Fee V2 ---------- */
-
   /**
-   * Collect creator fees from bonding curve creator vault (collect_creator_fee_v2)
-   * Ref: https://github.com/pump-fun/pump-public-docs/blob/main/docs/instructions/COLLECT_CREATOR_FEE.md
+   * Sell using sell_v2 instruction (supports both SOL-paired and USDC-paired coins)
    */
-  async collectCreatorFeeV2(
-    creator: PublicKey,
+  async sellV2(
+    tokenAddr: string,
+    totalTokenIn: bigint,
+    tradeOpt: TradeOptions,
     quoteMint: PublicKey = SOL_MINT,
-  ): Promise<string> {
+  ): Promise<TradeResult> {
+    const baseMint = new PublicKey(tokenAddr);
+    const baseTokenProgram = await this.detectTokenProgram(tokenAddr);
     const quoteTokenProgramId = quoteMint.equals(SOL_MINT)
       ? TOKEN_PROGRAM_ID
-      : TOKEN_PROGRAM_ID;
+      : await this.detectQuoteTokenProgram(quoteMint);
 
-    const [creatorVault] = PublicKey.findProgramAddressSync(
-      [Buffer.from("creator-vault"), creator.toBuffer()],
-      PROGRAM_IDS.PUMP,
+    if (!this.globalState) await this.loadGlobal();
+
+    const { bonding, state, creator } = await this.loadBonding(baseMint);
+    if (state.complete) throw new Error("Bonding curve already completed");
+
+    const feeRates = await this.getBondingFeeRates(state, creator);
+    const totalQuoteOut = this.calcSell(totalTokenIn, state, feeRates);
+    const tokenChunks = this.splitSellChunks(
+      totalTokenIn,
+      totalQuoteOut,
+      tradeOpt.maxSolPerTx,
     );
+    let curve = state;
 
-    const creatorTokenAccount = getAssociatedTokenAddressSync(
+    const result: TradeResult = {
+      pendingTransactions: [],
+      failedTransactions: [],
+      context: { side: "sell", tokenAddr, quoteMint, useV2: true, tradeOpt },
+    };
+
+    const accounts = this.deriveBondingV2Accounts({
+      baseMint,
       quoteMint,
+      bonding,
       creator,
+      baseTokenProgram: baseTokenProgram.programId,
+      quoteTokenProgram: quoteTokenProgramId,
+      isMayhemMode: state.isMayhemMode,
+    });
+
+    const userBaseAta = getAssociatedTokenAddressSync(
+      baseMint,
+      this.publicKey,
       false,
-      quoteTokenProgramId,
+      baseTokenProgram.programId,
       ASSOCIATED_TOKEN_PROGRAM_ID,
     );
 
-    const creatorVaultTokenAccount = getAssociatedTokenAddressSync(
-      quoteMint,
-      creatorVault,
+    for (let i = 0; i < tokenChunks.length; i++) {
+      try {
+        const tokenIn = tokenChunks[i];
+        if (i > 0) {
+          curve = await this.refreshReserves(
+            tradeOpt,
+            curve,
+            async () => (await this.loadBonding(baseMint)).state,
+            (s) => this.calcSell(tokenIn, s, feeRates),
+          );
+        }
+        const quoteOut = this.calcSell(tokenIn, curve, feeRates);
+        const slippageBps = this.calcSlippage({
+          tradeSize: tokenIn,
+          reserve: curve.virtualTokenReserves,
+          slippageOpt: tradeOpt.slippage,
+        });
+        const minQuoteOut = (quoteOut * BigInt(10_000 - slippageBps)) / 10_000n;
+        const priority = this.genPriority(tradeOpt.priority);
+
+        const tx = new Transaction().add(
+          ComputeBudgetProgram.setComputeUnitLimit({ units: 400_000 }),
+          ComputeBudgetProgram.setComputeUnitPrice({ microLamports: priority }),
+        );
+
+        // For non-SOL quotes, ensure user has the quote token ATA (to receive proceeds)
+        if (!quoteMint.equals(SOL_MINT)) {
+          await this.ensureAta(tx, quoteMint, quoteTokenProgramId);
+        }
+
+        tx.add(
+          new TransactionInstruction({
+            programId: PROGRAM_IDS.PUMP,
+            keys: this.buildBondingSellV2Keys({
+              ...accounts,
+              global: this.global,
+              baseMint,
+              quoteMint,
+              baseTokenProgram: baseTokenProgram.programId,
+              quoteTokenProgram: quoteTokenProgramId,
+              bondingCurve: bonding,
+              user: this.publicKey,
+              associatedBaseUser: userBaseAta,
+              feeProgram: PROGRAM_IDS.FEE,
+              eventAuthority: PROGRAM_IDS.EVENT_AUTHORITY,
+              pumpProgram: PROGRAM_IDS.PUMP,
+            }),
+            data: Buffer.concat([
+              DISCRIMINATORS.SELL_V2,
+              u64(tokenIn),
+              u64(minQuoteOut > 0n ? minQuoteOut : 1n),
+            ]),
+          }),
+        );
+
+        await this.submitTx(result, i, tx, tradeOpt, {
+          amountIn: tokenIn,
+          expectedOut: quoteOut,
+          fees: this.calcTradeFees(
+            "sell",
+            "bonding",
+            this.calcSell(tokenIn, curve),
+            feeRates,
+            !!state.isCashbackCoin,
+          ),
+        });
+        curve = this.advanceBondingState(curve, "sell", tokenIn);
+      } catch (e) {
+        result.failedTransactions.push({
+          index: i,
+          error: (e as Error).message,
+        });
+      }
+    }
+
+    return this.flushChunks(result, tradeOpt);
+  }
+
+  /* ---------- 发币 ---------- */
+
+  /**
+   * 创建代币和内盘曲线，可在同一笔交易中完成开发者买入
+   * 交易发送后返回，需要时用 confirmTransactionWithPolling 确认
+   */
+  async createToken(params: CreateTokenParams): Promise<CreateTokenResult> {
+    const mintKeypair = params.mintKeypair ?? Keypair.generate();
+    const mint = mintKeypair.publicKey;
+    const creator = params.creator ?? this.publicKey;
+    const legacy = params.tokenProgram === "legacy";
+    const tokenProgramId = legacy ? TOKEN_PROGRAM_ID : TOKEN_2022_PROGRAM_ID;
+    const quoteMint = params.quoteMint ?? SOL_MINT;
+    if (!quoteMint.equals(SOL_MINT)) {
+      throw new Error("createToken only supports SOL-quoted bonding curves");
+    }
+
+    if (!this.globalState) await this.loadGlobal();
+
+    const [bonding] = PublicKey.findProgramAddressSync(
+      [SEEDS.BONDING, mint.toBuffer()],
+      PROGRAM_IDS.PUMP,
+    );
+    const associatedBondingCurve = getAssociatedTokenAddressSync(
+      mint,
+      bonding,
       true,
-      quoteTokenProgramId,
+      tokenProgramId,
       ASSOCIATED_TOKEN_PROGRAM_ID,
     );
 
-    const [eventAuthority] = PublicKey.findProgramAddressSync(
-      [Buffer.from("__event_authority")],
+    const tx = new Transaction().add(
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 400_000 }),
+      ComputeBudgetProgram.setComputeUnitPrice({
+        microLamports: params.tradeOpt
+          ? this.genPriority(params.tradeOpt.priority)
+          : 0,
+      }),
+      legacy
+        ? this.buildCreateIx(
+            mint,
+            bonding,
+            associatedBondingCurve,
+            creator,
+            params,
+          )
+        : this.buildCreateV2Ix(
+            mint,
+            bonding,
+            associatedBondingCurve,
+            creator,
+            params,
+          ),
+    );
+
+    let initialBuyTokens: bigint | undefined;
+    if (params.initialBuy && params.initialBuy > 0n) {
+      initialBuyTokens = await this.addInitialBuy(tx, {
+        mint,
+        bonding,
+        associatedBondingCurve,
+        creator,
+        tokenProgramId,
+        quoteIn: params.initialBuy,
+        useV2: params.quoteMint !== undefined,
+        isMayhemMode: !legacy && params.isMayhemMode,
+        tradeOpt: params.tradeOpt,
+      });
+    }
+
+    if (params.tradeOpt) {
+      const computeUnitLimit = await this.applyComputeUnitLimit(
+        tx,
+        params.tradeOpt,
+      );
+      await this.applyPriorityFee(tx, params.tradeOpt, computeUnitLimit, 0);
+    }
+    const { transaction, lastValidBlockHeight } = await this.compileTx(
+      tx,
+      params.tradeOpt,
+    );
+    await this.signTx(transaction);
+    if (transaction instanceof VersionedTransaction) {
+      transaction.sign([mintKeypair]);
+    } else {
+      transaction.partialSign(mintKeypair);
+    }
+
+    const signature = await this.connection.sendRawTransaction(
+      transaction.serialize(),
+      { skipPreflight: false, maxRetries: 2 },
+    );
+
+    return {
+      mint,
+      bondingCurve: bonding,
+      associatedBondingCurve,
+      signature,
+      lastValidBlockHeight,
+      initialBuyTokens,
+    };
+  }
+
+  /** create：SPL Token + Metaplex 元数据 */
+  private buildCreateIx(
+    mint: PublicKey,
+    bonding: PublicKey,
+    associatedBondingCurve: PublicKey,
+    creator: PublicKey,
+    params: CreateTokenParams,
+  ): TransactionInstruction {
+    const [mintAuthority] = PublicKey.findProgramAddressSync(
+      [Buffer.from("mint-authority")],
       PROGRAM_IDS.PUMP,
     );
+    const [metadata] = PublicKey.findProgramAddressSync(
+      [
+        Buffer.from("metadata"),
+        PROGRAM_IDS.METADATA.toBuffer(),
+        mint.toBuffer(),
+      ],
+      PROGRAM_IDS.METADATA,
+    );
 
-    const tx = new Transaction().add(
-      ComputeBudgetProgram.setComputeUnitLimit({ units: 200_000 }),
-      new TransactionInstruction({
-        programId: PROGRAM_IDS.PUMP,
-        keys: [
-          { pubkey: creator, isSigner: false, isWritable: false },
-          { pubkey: creatorTokenAccount, isSigner: false, isWritable: true },
-          { pubkey: creatorVault, isSigner: false, isWritable: true },
-          {
-            pubkey: creatorVaultTokenAccount,
-            isSigner: false,
-            isWritable: true,
-          },
-          { pubkey: quoteMint, isSigner: false, isWritable: false },
-          { pubkey: quoteTokenProgramId, isSigner: false, isWritable: false },
-          {
-            pubkey: ASSOCIATED_TOKEN_PROGRAM_ID,
-            isSigner: false,
-            isWritable: false,
-          },
-          {
-            pubkey: SystemProgram.programId,
-            isSigner: false,
-            isWritable: false,
-          },
-          { pubkey: eventAuthority, isSigner: false, isWritable: false },
-          { pubkey: PROGRAM_IDS.PUMP, isSigner: false, isWritable: false },
-        ],
-        data: DISCRIMINATORS.COLLECT_CREATOR_FEE_V2,
-      }),
+    return new TransactionInstruction({
+      programId: PROGRAM_IDS.PUMP,
+      keys: [
+        { pubkey: mint, isSigner: true, isWritable: true },
+        { pubkey: mintAuthority, isSigner: false, isWritable: false },
+        { pubkey: bonding, isSigner: false, isWritable: true },
+        { pubkey: associatedBondingCurve, isSigner: false, isWritable: true },
+        { pubkey: this.global, isSigner: false, isWritable: false },
+        { pubkey: PROGRAM_IDS.METADATA, isSigner: false, isWritable: false },
+        { pubkey: metadata, isSigner: false, isWritable: true },
+        { pubkey: this.publicKey, isSigner: true, isWritable: true },
+        { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+        { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+        {
+          pubkey: ASSOCIATED_TOKEN_PROGRAM_ID,
+          isSigner: false,
+          isWritable: false,
+        },
+        { pubkey: SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },
+        {
+          pubkey: PROGRAM_IDS.EVENT_AUTHORITY,
+          isSigner: false,
+          isWritable: false,
+        },
+        { pubkey: PROGRAM_IDS.PUMP, isSigner: false, isWritable: false },
+      ],
+      data: Buffer.concat([
+        DISCRIMINATORS.CREATE,
+        borshString(params.name),
+        borshString(params.symbol),
+        borshString(params.uri),
+        creator.toBuffer(),
+      ]),
+    });
+  }
+
+  /** create_v2：Token-2022，附带 mayhem 程序账户 */
+  private buildCreateV2Ix(
+    mint: PublicKey,
+    bonding: PublicKey,
+    associatedBondingCurve: PublicKey,
+    creator: PublicKey,
+    params: CreateTokenParams,
+  ): TransactionInstruction {
+    const [mintAuthority] = PublicKey.findProgramAddressSync(
+      [Buffer.from("mint-authority")],
+      PROGRAM_IDS.PUMP,
+    );
+    const [globalParams] = PublicKey.findProgramAddressSync(
+      [Buffer.from("global-params")],
+      PROGRAM_IDS.MAYHEM,
+    );
+    const [solVault] = PublicKey.findProgramAddressSync(
+      [Buffer.from("sol-vault")],
+      PROGRAM_IDS.MAYHEM,
+    );
+    const [mayhemState] = PublicKey.findProgramAddressSync(
+      [Buffer.from("mayhem-state"), mint.toBuffer()],
+      PROGRAM_IDS.MAYHEM,
+    );
+    const mayhemTokenVault = getAssociatedTokenAddressSync(
+      mint,
+      solVault,
+      true,
+      TOKEN_2022_PROGRAM_ID,
+      ASSOCIATED_TOKEN_PROGRAM_ID,
     );
 
-    const { blockhash, lastValidBlockHeight } =
-      await this.connection.getLatestBlockhash("finalized");
-    tx.recentBlockhash = blockhash;
-    tx.feePayer = this.publicKey;
-    await this.signTx(tx);
+    return new TransactionInstruction({
+      programId: PROGRAM_IDS.PUMP,
+      keys: [
+        { pubkey: mint, isSigner: true, isWritable: true },
+        { pubkey: mintAuthority, isSigner: false, isWritable: false },
+        { pubkey: bonding, isSigner: false, isWritable: true },
+        { pubkey: associatedBondingCurve, isSigner: false, isWritable: true },
+        { pubkey: this.global, isSigner: false, isWritable: false },
+        { pubkey: this.publicKey, isSigner: true, isWritable: true },
+        { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+        { pubkey: TOKEN_2022_PROGRAM_ID, isSigner: false, isWritable: false },
+        {
+          pubkey: ASSOCIATED_TOKEN_PROGRAM_ID,
+          isSigner: false,
+          isWritable: false,
+        },
+        { pubkey: PROGRAM_IDS.MAYHEM, isSigner: false, isWritable: true },
+        { pubkey: globalParams, isSigner: false, isWritable: false },
+        { pubkey: solVault, isSigner: false, isWritable: true },
+        { pubkey: mayhemState, isSigner: false, isWritable: true },
+        { pubkey: mayhemTokenVault, isSigner: false, isWritable: true },
+        {
+          pubkey: PROGRAM_IDS.EVENT_AUTHORITY,
+          isSigner: false,
+          isWritable: false,
+        },
+        { pubkey: PROGRAM_IDS.PUMP, isSigner: false, isWritable: false },
+      ],
+      data: Buffer.concat([
+        DISCRIMINATORS.CREATE_V2,
+        borshString(params.name),
+        borshString(params.symbol),
+        borshString(params.uri),
+        creator.toBuffer(),
+        Buffer.from([params.isMayhemMode ? 1 : 0]),
+        Buffer.from([params.isCashbackEnabled ? 1 : 0]),
+      ]),
+    });
+  }
+
+  /**
+   * 在创建指令之后追加开发者买入，按 Global 的初始储备报价
+   * 返回买入的代币数量
+   */
+  private async addInitialBuy(
+    tx: Transaction,
+    args: {
+      mint: PublicKey;
+      bonding: PublicKey;
+      associatedBondingCurve: PublicKey;
+      creator: PublicKey;
+      tokenProgramId: PublicKey;
+      quoteIn: bigint;
+      useV2: boolean;
+      isMayhemMode?: boolean;
+      tradeOpt?: TradeOptions;
+    },
+  ): Promise<bigint> {
+    const global = this.globalState!;
+    const state: BondingCurveState = {
+      virtualTokenReserves: global.initialVirtualTokenReserves,
+      virtualSolReserves: global.initialVirtualSolReserves,
+      realTokenReserves: global.initialRealTokenReserves,
+      realSolReserves: 0n,
+      tokenTotalSupply: global.tokenTotalSupply,
+      complete: false,
+      isMayhemMode: args.isMayhemMode,
+    };
+    const feeRecipient = this.pickBondingFeeRecipient(args.isMayhemMode);
+    const feeRates = await this.getBondingFeeRates(state, args.creator);
+    const tokenOut = this.calcBuy(args.quoteIn, state, feeRates);
+    const slippageBps = args.tradeOpt
+      ? this.calcSlippage({
+          tradeSize: args.quoteIn,
+          reserve: state.virtualSolReserves,
+          slippageOpt: args.tradeOpt.slippage,
+        })
+      : 0;
+    const maxQuoteCost =
+      (args.quoteIn * BigInt(10_000 + slippageBps)) / 10_000n;
+
+    const userAta = getAssociatedTokenAddressSync(
+      args.mint,
+      this.publicKey,
+      false,
+      args.tokenProgramId,
+      ASSOCIATED_TOKEN_PROGRAM_ID,
+    );
+    tx.add(
+      createAssociatedTokenAccountInstruction(
+        this.publicKey,
+        userAta,
+        this.publicKey,
+        args.mint,
+        args.tokenProgramId,
+        ASSOCIATED_TOKEN_PROGRAM_ID,
+      ),
+    );
+
+    if (!args.useV2) {
+      const [creatorVault] = PublicKey.findProgramAddressSync(
+        [Buffer.from("creator-vault"), args.creator.toBuffer()],
+        PROGRAM_IDS.PUMP,
+      );
+      const [globalVolumeAccumulator] = PublicKey.findProgramAddressSync(
+        [Buffer.from("global_volume_accumulator")],
+        PROGRAM_IDS.PUMP,
+      );
+      const [userVolumeAccumulator] = PublicKey.findProgramAddressSync(
+        [Buffer.from("user_volume_accumulator"), this.publicKey.toBuffer()],
+        PROGRAM_IDS.PUMP,
+      );
+      tx.add(
+        new TransactionInstruction({
+          programId: PROGRAM_IDS.PUMP,
+          keys: this.buildBondingBuyKeys({
+            global: this.global,
+            globalFeeRecipient: args.isMayhemMode
+              ? feeRecipient
+              : global.feeRecipient,
+            mint: args.mint,
+            bonding: args.bonding,
+            associatedBondingCurve: args.associatedBondingCurve,
+            userAta,
+            wallet: this.publicKey,
+            creatorVault,
+            eventAuthority: PROGRAM_IDS.EVENT_AUTHORITY,
+            pumpProgram: PROGRAM_IDS.PUMP,
+            globalVolumeAccumulator,
+            userVolumeAccumulator,
+            feeConfig: this.getFeeConfigPda("bonding"),
+            feeProgram: PROGRAM_IDS.FEE,
+            bondingCurveV2: this.deriveBondingCurveV2(args.mint),
+            feeRecipient,
+            tokenProgramId: args.tokenProgramId,
+          }),
+          data: Buffer.concat([
+            DISCRIMINATORS.BUY,
+            u64(tokenOut),
+            u64(maxQuoteCost),
+          ]),
+        }),
+      );
+      return tokenOut;
+    }
+
+    const accounts = this.deriveBondingV2Accounts({
+      baseMint: args.mint,
+      quoteMint: SOL_MINT,
+      bonding: args.bonding,
+      creator: args.creator,
+      baseTokenProgram: args.tokenProgramId,
+      quoteTokenProgram: TOKEN_PROGRAM_ID,
+      isMayhemMode: args.isMayhemMode,
+    });
+    await this.ensureWSOLAta(tx, this.publicKey, "buy", maxQuoteCost);
+    tx.add(
+      new TransactionInstruction({
+        programId: PROGRAM_IDS.PUMP,
+        keys: this.buildBondingBuyV2Keys({
+          ...accounts,
+          global: this.global,
+          baseMint: args.mint,
+          quoteMint: SOL_MINT,
+          baseTokenProgram: args.tokenProgramId,
+          quoteTokenProgram: TOKEN_PROGRAM_ID,
+          bondingCurve: args.bonding,
+          user: this.publicKey,
+          associatedBaseUser: userAta,
+          feeProgram: PROGRAM_IDS.FEE,
+          eventAuthority: PROGRAM_IDS.EVENT_AUTHORITY,
+          pumpProgram: PROGRAM_IDS.PUMP,
+        }),
+        data: Buffer.concat([
+          DISCRIMINATORS.BUY_V2,
+          u64(tokenOut),
+          u64(maxQuoteCost),
+        ]),
+      }),
+      createCloseAccountInstruction(
+        accounts.associatedQuoteUser,
+        this.publicKey,
+        this.publicKey,
+      ),
+    );
+    return tokenOut;
+  }
+
+  /* ---------- Collect Creator Fee V2 ---------- */
+
+  /**
+   * Collect creator fees from bonding curve creator vault (collect_creator_fee_v2)
+   * Ref: https://github.com/pump-fun/pump-public-docs/blob/main/docs/instructions/COLLECT_CREATOR_FEE.md
+   * 传入多个 quote mint 时每个 mint 一笔交易，统一签名并全部发送后再确认
+   */
+  async collectCreatorFeeV2(
+    creator: PublicKey,
+    quoteMint?: PublicKey,
+  ): Promise<string>;
+  async collectCreatorFeeV2(
+    creator: PublicKey,
+    quoteMints: PublicKey[],
+  ): Promise<string[]>;
+  async collectCreatorFeeV2(
+    creator: PublicKey,
+    quoteMints: PublicKey | PublicKey[] = SOL_MINT,
+  ): Promise<string | string[]> {
+    const txs: Transaction[] = [];
+    for (const quoteMint of Array.isArray(quoteMints)
+      ? quoteMints
+      : [quoteMints]) {
+      const quoteTokenProgramId = quoteMint.equals(SOL_MINT)
+        ? TOKEN_PROGRAM_ID
+        : await this.detectQuoteTokenProgram(quoteMint);
+      txs.push(
+        new Transaction().add(
+          ComputeBudgetProgram.setComputeUnitLimit({ units: 200_000 }),
+          this.buildCollectCreatorFeeV2Ix(
+            creator,
+            quoteMint,
+            quoteTokenProgramId,
+          ),
+        ),
+      );
+    }
+    const signatures = await this.sendAndConfirmTxs(txs);
+    return Array.isArray(quoteMints) ? signatures : signatures[0];
+  }
+
+  private buildCollectCreatorFeeV2Ix(
+    creator: PublicKey,
+    quoteMint: PublicKey,
+    quoteTokenProgramId: PublicKey,
+  ): TransactionInstruction {
+    const [creatorVault] = PublicKey.findProgramAddressSync(
+      [Buffer.from("creator-vault"), creator.toBuffer()],
+      PROGRAM_IDS.PUMP,
+    );
+
+    const creatorTokenAccount = getAssociatedTokenAddressSync(
+      quoteMint,
+      creator,
+      false,
+      quoteTokenProgramId,
+      ASSOCIATED_TOKEN_PROGRAM_ID,
+    );
+
+    const creatorVaultTokenAccount = getAssociatedTokenAddressSync(
+      quoteMint,
+      creatorVault,
+      true,
+      quoteTokenProgramId,
+      ASSOCIATED_TOKEN_PROGRAM_ID,
+    );
+
+    const [eventAuthority] = PublicKey.findProgramAddressSync(
+      [Buffer.from("__event_authority")],
+      PROGRAM_IDS.PUMP,
+    );
+
+    return new TransactionInstruction({
+      programId: PROGRAM_IDS.PUMP,
+      keys: [
+        { pubkey: creator, isSigner: false, isWritable: false },
+        { pubkey: creatorTokenAccount, isSigner: false, isWritable: true },
+        { pubkey: creatorVault, isSigner: false, isWritable: true },
+        {
+          pubkey: creatorVaultTokenAccount,
+          isSigner: false,
+          isWritable: true,
+        },
+        { pubkey: quoteMint, isSigner: false, isWritable: false },
+        { pubkey: quoteTokenProgramId, isSigner: false, isWritable: false },
+        {
+          pubkey: ASSOCIATED_TOKEN_PROGRAM_ID,
+          isSigner: false,
+          isWritable: false,
+        },
+        {
+          pubkey: SystemProgram.programId,
+          isSigner: false,
+          isWritable: false,
+        },
+        { pubkey: eventAuthority, isSigner: false, isWritable: false },
+        { pubkey: PROGRAM_IDS.PUMP, isSigner: false, isWritable: false },
+      ],
+      data: DISCRIMINATORS.COLLECT_CREATOR_FEE_V2,
+    });
+  }
+
+  /* ---------- 创作者费 ---------- */
+
+  /**
+   * 查询创作者在内盘 creator-vault（原生 SOL 和各 quote mint 的 token 账户）
+   * 和外盘 creator_vault 中可领取的手续费
+   */
+  async getCreatorFees(
+    creator: PublicKey = this.publicKey,
+  ): Promise<CreatorFees> {
+    const [pumpVault] = PublicKey.findProgramAddressSync(
+      [Buffer.from("creator-vault"), creator.toBuffer()],
+      PROGRAM_IDS.PUMP,
+    );
+    const [ammVault] = PublicKey.findProgramAddressSync(
+      [Buffer.from("creator_vault"), creator.toBuffer()],
+      PROGRAM_IDS.PUMP_AMM,
+    );
+
+    const [vaultInfo, rentExempt, pumpTokens, ammTokens] = await Promise.all([
+      this.connection.getAccountInfo(pumpVault),
+      this.connection.getMinimumBalanceForRentExemption(0),
+      this.getVaultTokenBalances("pump", pumpVault),
+      this.getVaultTokenBalances("pump_amm", ammVault),
+    ]);
+
+    const balances: CreatorFeeBalance[] = [];
+    const nativeAmount = vaultInfo
+      ? BigInt(vaultInfo.lamports) - BigInt(rentExempt)
+      : 0n;
+    if (nativeAmount > 0n) {
+      balances.push({
+        program: "pump",
+        quoteMint: SOL_MINT,
+        native: true,
+        vault: pumpVault,
+        amount: nativeAmount,
+        tokenProgram: SystemProgram.programId,
+      });
+    }
+    balances.push(...pumpTokens, ...ammTokens);
+
+    const totals: Record<string, bigint> = {};
+    for (const b of balances) {
+      const key = b.quoteMint.toBase58();
+      totals[key] = (totals[key] ?? 0n) + b.amount;
+    }
+    return { creator, balances, totals };
+  }
+
+  /** vault 名下余额不为 0 的 token 账户（SPL Token 和 Token-2022） */
+  private async getVaultTokenBalances(
+    program: "pump" | "pump_amm",
+    vault: PublicKey,
+  ): Promise<CreatorFeeBalance[]> {
+    const balances: CreatorFeeBalance[] = [];
+    for (const tokenProgram of [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]) {
+      const { value } = await this.connection.getParsedTokenAccountsByOwner(
+        vault,
+        { programId: tokenProgram },
+      );
+      for (const { pubkey, account } of value) {
+        const info = account.data.parsed.info;
+        const amount = BigInt(info.tokenAmount.amount);
+        if (amount === 0n) continue;
+        balances.push({
+          program,
+          quoteMint: new PublicKey(info.mint),
+          native: false,
+          vault: pubkey,
+          amount,
+          tokenProgram,
+        });
+      }
+    }
+    return balances;
+  }
+
+  /**
+   * 领取当前钱包所有不为空的创作者费 vault：
+   * 内盘原生 SOL（collect_creator_fee）、内盘 token 账户（collect_creator_fee_v2）、
+   * 外盘（collect_coin_creator_fee）。多个领取指令合并到尽量少的交易中
+   */
+  async collectAllCreatorFees(
+    tradeOpt: TradeOptions = DEFAULT_TX_OPTIONS,
+  ): Promise<CreatorFeeCollectResult> {
+    const { balances } = await this.getCreatorFees(this.publicKey);
+    const result: CreatorFeeCollectResult = {
+      pendingTransactions: [],
+      failedTransactions: [],
+      claims: [],
+    };
+
+    for (let i = 0; i < balances.length; i += MAX_COLLECTS_PER_TX) {
+      const claims = balances.slice(i, i + MAX_COLLECTS_PER_TX);
+      const index = result.claims.length;
+      result.claims.push(claims);
+      try {
+        const tx = new Transaction().add(
+          ComputeBudgetProgram.setComputeUnitLimit({ units: 400_000 }),
+        );
+        if (
+          tradeOpt.priority.base > 0 ||
+          tradeOpt.priority.strategy === "percentile"
+        ) {
+          tx.add(
+            ComputeBudgetProgram.setComputeUnitPrice({
+              microLamports: this.genPriority(tradeOpt.priority),
+            }),
+          );
+        }
+        for (const claim of claims) {
+          tx.add(...this.buildCollectCreatorFeeIxs(claim));
+        }
+        await this.submitTx(result, index, tx, tradeOpt);
+      } catch (e) {
+        result.failedTransactions.push({
+          index,
+          error: (e as Error).message,
+        });
+      }
+    }
+
+    return (await this.flushChunks(
+      result,
+      tradeOpt,
+    )) as CreatorFeeCollectResult;
+  }
+
+  /** 领取单个 vault 的指令 */
+  private buildCollectCreatorFeeIxs(
+    claim: CreatorFeeBalance,
+  ): TransactionInstruction[] {
+    const creator = this.publicKey;
+
+    if (claim.program === "pump" && claim.native) {
+      return [
+        new TransactionInstruction({
+          programId: PROGRAM_IDS.PUMP,
+          keys: [
+            { pubkey: creator, isSigner: false, isWritable: true },
+            { pubkey: claim.vault, isSigner: false, isWritable: true },
+            {
+              pubkey: SystemProgram.programId,
+              isSigner: false,
+              isWritable: false,
+            },
+            {
+              pubkey: PROGRAM_IDS.EVENT_AUTHORITY,
+              isSigner: false,
+              isWritable: false,
+            },
+            { pubkey: PROGRAM_IDS.PUMP, isSigner: false, isWritable: false },
+          ],
+          data: DISCRIMINATORS.COLLECT_CREATOR_FEE,
+        }),
+      ];
+    }
+
+    if (claim.program === "pump") {
+      return [
+        this.buildCollectCreatorFeeV2Ix(
+          creator,
+          claim.quoteMint,
+          claim.tokenProgram,
+        ),
+      ];
+    }
+
+    const [vaultAuthority] = PublicKey.findProgramAddressSync(
+      [Buffer.from("creator_vault"), creator.toBuffer()],
+      PROGRAM_IDS.PUMP_AMM,
+    );
+    const [eventAuthority] = PublicKey.findProgramAddressSync(
+      [Buffer.from("__event_authority")],
+      PROGRAM_IDS.PUMP_AMM,
+    );
+    const creatorTokenAccount = getAssociatedTokenAddressSync(
+      claim.quoteMint,
+      creator,
+      false,
+      claim.tokenProgram,
+      ASSOCIATED_TOKEN_PROGRAM_ID,
+    );
+
+    const ixs = [
+      createAssociatedTokenAccountIdempotentInstruction(
+        creator,
+        creatorTokenAccount,
+        creator,
+        claim.quoteMint,
+        claim.tokenProgram,
+        ASSOCIATED_TOKEN_PROGRAM_ID,
+      ),
+      new TransactionInstruction({
+        programId: PROGRAM_IDS.PUMP_AMM,
+        keys: [
+          { pubkey: claim.quoteMint, isSigner: false, isWritable: false },
+          { pubkey: claim.tokenProgram, isSigner: false, isWritable: false },
+          { pubkey: creator, isSigner: true, isWritable: false },
+          { pubkey: vaultAuthority, isSigner: false, isWritable: false },
+          { pubkey: claim.vault, isSigner: false, isWritable: true },
+          { pubkey: creatorTokenAccount, isSigner: false, isWritable: true },
+          { pubkey: eventAuthority, isSigner: false, isWritable: false },
+          { pubkey: PROGRAM_IDS.PUMP_AMM, isSigner: false, isWritable: false },
+        ],
+        data: DISCRIMINATORS.COLLECT_COIN_CREATOR_FEE,
+      }),
+    ];
+    // 领到的 wSOL 解包为 SOL
+    if (claim.quoteMint.equals(SOL_MINT)) {
+      ixs.push(
+        createCloseAccountInstruction(creatorTokenAccount, creator, creator),
+      );
+    }
+    return ixs;
+  }
+
+  /* ---------- 创作者费分成 ---------- */
+
+  /**
+   * 读取代币的创作者费分成配置，未创建时返回 null
+   */
+  async getSharingConfig(mint: PublicKey): Promise<SharingConfig | null> {
+    const address = this.getSharingConfigPda(mint);
+    const acc = await this.connection.getAccountInfo(address);
+    if (!acc) return null;
+    return parseSharingConfig(address, acc.data);
+  }
+
+  /**
+   * 创建分成配置（当前钱包须为代币创作者），传入 shareholders 时在同一笔交易中设置股东
+   * 创建后代币的创作者费改由 sharing_config 收取，再通过 distributeCreatorFees 分配
+   */
+  async createSharingConfig(
+    mint: PublicKey,
+    shareholders?: Shareholder[],
+  ): Promise<string> {
+    const sharingConfig = this.getSharingConfigPda(mint);
+    const [bonding] = PublicKey.findProgramAddressSync(
+      [SEEDS.BONDING, mint.toBuffer()],
+      PROGRAM_IDS.PUMP,
+    );
+    // 已迁移的代币需要传入外盘池子，否则用程序 ID 占位（Anchor 可选账户）
+    // 只有池子不存在时视为尚未迁移，RPC 错误直接抛出
+    const poolInfo = await this.findAmmPoolInfo(mint);
+    const pool = poolInfo?.pool ?? PROGRAM_IDS.FEE;
+
+    const tx = new Transaction().add(
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 400_000 }),
+      new TransactionInstruction({
+        programId: PROGRAM_IDS.FEE,
+        keys: [
+          ...this.programEventKeys(PROGRAM_IDS.FEE),
+          { pubkey: this.publicKey, isSigner: true, isWritable: true },
+          { pubkey: this.global, isSigner: false, isWritable: false },
+          { pubkey: mint, isSigner: false, isWritable: false },
+          { pubkey: sharingConfig, isSigner: false, isWritable: true },
+          {
+            pubkey: SystemProgram.programId,
+            isSigner: false,
+            isWritable: false,
+          },
+          { pubkey: bonding, isSigner: false, isWritable: true },
+          { pubkey: PROGRAM_IDS.PUMP, isSigner: false, isWritable: false },
+          {
+            pubkey: PROGRAM_IDS.EVENT_AUTHORITY,
+            isSigner: false,
+            isWritable: false,
+          },
+          { pubkey: pool, isSigner: false, isWritable: true },
+          { pubkey: PROGRAM_IDS.PUMP_AMM, isSigner: false, isWritable: false },
+          {
+            pubkey: this.ammEventAuthority(),
+            isSigner: false,
+            isWritable: false,
+          },
+        ],
+        data: DISCRIMINATORS.CREATE_FEE_SHARING_CONFIG,
+      }),
+    );
+
+    // 新建的配置只有创作者一个股东（10000 bps）
+    if (shareholders) {
+      tx.add(this.buildUpdateFeeSharesIx(mint, [this.publicKey], shareholders));
+    }
+
+    const [signature] = await this.sendAndConfirmTxs([tx]);
+    return signature;
+  }
+
+  /**
+   * 更新股东和分成比例（当前钱包须为配置的 admin）
+   * 链上会先把已累积的创作者费按旧比例分配给现有股东
+   */
+  async updateSharingConfig(
+    mint: PublicKey,
+    shareholders: Shareholder[],
+  ): Promise<string> {
+    const config = await this.getSharingConfig(mint);
+    if (!config) throw new Error("Sharing config not found");
+    if (config.adminRevoked) throw new Error("Sharing config admin revoked");
+    if (!config.admin.equals(this.publicKey)) {
+      throw new Error("Wallet is not the sharing config admin");
+    }
+
+    const tx = new Transaction().add(
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 400_000 }),
+      this.buildUpdateFeeSharesIx(
+        mint,
+        config.shareholders.map((s) => s.address),
+        shareholders,
+      ),
+    );
+    const [signature] = await this.sendAndConfirmTxs([tx]);
+    return signature;
+  }
+
+  /**
+   * 把累积的创作者费按比例分配给股东
+   * 已迁移的代币会先把外盘 creator_vault 的 wSOL 转入内盘 creator-vault
+   */
+  async distributeCreatorFees(mint: PublicKey): Promise<string> {
+    const config = await this.getSharingConfig(mint);
+    if (!config) throw new Error("Sharing config not found");
+
+    const sharingConfig = config.address;
+    const [bonding] = PublicKey.findProgramAddressSync(
+      [SEEDS.BONDING, mint.toBuffer()],
+      PROGRAM_IDS.PUMP,
+    );
+    const { creatorVault, ammVaultAuthority, ammVaultAta } =
+      this.deriveSharingVaults(sharingConfig);
+
+    const tx = new Transaction().add(
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 400_000 }),
+    );
+
+    const ammVault = await this.connection.getAccountInfo(ammVaultAta);
+    if (
+      ammVault &&
+      ammVault.data.length >= 72 &&
+      readU64(ammVault.data, 64)[0] > 0n
+    ) {
+      tx.add(
+        new TransactionInstruction({
+          programId: PROGRAM_IDS.PUMP_AMM,
+          keys: [
+            { pubkey: SOL_MINT, isSigner: false, isWritable: false },
+            { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+            {
+              pubkey: SystemProgram.programId,
+              isSigner: false,
+              isWritable: false,
+            },
+            {
+              pubkey: ASSOCIATED_TOKEN_PROGRAM_ID,
+              isSigner: false,
+              isWritable: false,
+            },
+            { pubkey: sharingConfig, isSigner: false, isWritable: false },
+            { pubkey: ammVaultAuthority, isSigner: false, isWritable: true },
+            { pubkey: ammVaultAta, isSigner: false, isWritable: true },
+            { pubkey: creatorVault, isSigner: false, isWritable: true },
+            {
+              pubkey: this.ammEventAuthority(),
+              isSigner: false,
+              isWritable: false,
+            },
+            {
+              pubkey: PROGRAM_IDS.PUMP_AMM,
+              isSigner: false,
+              isWritable: false,
+            },
+          ],
+          data: DISCRIMINATORS.TRANSFER_CREATOR_FEES_TO_PUMP,
+        }),
+      );
+    }
+
+    tx.add(
+      new TransactionInstruction({
+        programId: PROGRAM_IDS.PUMP,
+        keys: [
+          { pubkey: mint, isSigner: false, isWritable: false },
+          { pubkey: bonding, isSigner: false, isWritable: false },
+          { pubkey: sharingConfig, isSigner: false, isWritable: false },
+          { pubkey: creatorVault, isSigner: false, isWritable: true },
+          {
+            pubkey: SystemProgram.programId,
+            isSigner: false,
+            isWritable: false,
+          },
+          {
+            pubkey: PROGRAM_IDS.EVENT_AUTHORITY,
+            isSigner: false,
+            isWritable: false,
+          },
+          { pubkey: PROGRAM_IDS.PUMP, isSigner: false, isWritable: false },
+          ...config.shareholders.map((s) => ({
+            pubkey: s.address,
+            isSigner: false,
+            isWritable: true,
+          })),
+        ],
+        data: DISCRIMINATORS.DISTRIBUTE_CREATOR_FEES,
+      }),
+    );
+
+    const [signature] = await this.sendAndConfirmTxs([tx]);
+    return signature;
+  }
+
+  /**
+   * update_fee_shares：currentShareholders 作为 remaining accounts 传入，
+   * 链上用于先结清旧比例下的创作者费
+   */
+  private buildUpdateFeeSharesIx(
+    mint: PublicKey,
+    currentShareholders: PublicKey[],
+    shareholders: Shareholder[],
+  ): TransactionInstruction {
+    const totalBps = shareholders.reduce((sum, s) => sum + s.shareBps, 0);
+    if (shareholders.length === 0 || totalBps !== 10_000) {
+      throw new Error("Shareholder shares must add up to 10000 bps");
+    }
+
+    const sharingConfig = this.getSharingConfigPda(mint);
+    const [bonding] = PublicKey.findProgramAddressSync(
+      [SEEDS.BONDING, mint.toBuffer()],
+      PROGRAM_IDS.PUMP,
+    );
+    const { creatorVault, ammVaultAuthority, ammVaultAta } =
+      this.deriveSharingVaults(sharingConfig);
+
+    const count = Buffer.alloc(4);
+    count.writeUInt32LE(shareholders.length);
+    const args = shareholders.map((s) => {
+      const bps = Buffer.alloc(2);
+      bps.writeUInt16LE(s.shareBps);
+      return Buffer.concat([s.address.toBuffer(), bps]);
+    });
+
+    return new TransactionInstruction({
+      programId: PROGRAM_IDS.FEE,
+      keys: [
+        ...this.programEventKeys(PROGRAM_IDS.FEE),
+        { pubkey: this.publicKey, isSigner: true, isWritable: false },
+        { pubkey: this.global, isSigner: false, isWritable: false },
+        { pubkey: mint, isSigner: false, isWritable: false },
+        { pubkey: sharingConfig, isSigner: false, isWritable: true },
+        { pubkey: bonding, isSigner: false, isWritable: false },
+        { pubkey: creatorVault, isSigner: false, isWritable: true },
+        { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+        { pubkey: PROGRAM_IDS.PUMP, isSigner: false, isWritable: false },
+        {
+          pubkey: PROGRAM_IDS.EVENT_AUTHORITY,
+          isSigner: false,
+          isWritable: false,
+        },
+        { pubkey: PROGRAM_IDS.PUMP_AMM, isSigner: false, isWritable: false },
+        {
+          pubkey: this.ammEventAuthority(),
+          isSigner: false,
+          isWritable: false,
+        },
+        { pubkey: SOL_MINT, isSigner: false, isWritable: false },
+        { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+        {
+          pubkey: ASSOCIATED_TOKEN_PROGRAM_ID,
+          isSigner: false,
+          isWritable: false,
+        },
+        { pubkey: ammVaultAuthority, isSigner: false, isWritable: true },
+        { pubkey: ammVaultAta, isSigner: false, isWritable: true },
+        ...currentShareholders.map((pubkey) => ({
+          pubkey,
+          isSigner: false,
+          isWritable: true,
+        })),
+      ],
+      data: Buffer.concat([DISCRIMINATORS.UPDATE_FEE_SHARES, count, ...args]),
+    });
+  }
+
+  /** sharing_config 作为代币创作者时的内盘 creator-vault 和外盘 creator_vault */
+  private deriveSharingVaults(sharingConfig: PublicKey) {
+    const [creatorVault] = PublicKey.findProgramAddressSync(
+      [Buffer.from("creator-vault"), sharingConfig.toBuffer()],
+      PROGRAM_IDS.PUMP,
+    );
+    const [ammVaultAuthority] = PublicKey.findProgramAddressSync(
+      [Buffer.from("creator_vault"), sharingConfig.toBuffer()],
+      PROGRAM_IDS.PUMP_AMM,
+    );
+    const ammVaultAta = getAssociatedTokenAddressSync(
+      SOL_MINT,
+      ammVaultAuthority,
+      true,
+      TOKEN_PROGRAM_ID,
+      ASSOCIATED_TOKEN_PROGRAM_ID,
+    );
+    return { creatorVault, ammVaultAuthority, ammVaultAta };
+  }
+
+  private ammEventAuthority(): PublicKey {
+    return PublicKey.findProgramAddressSync(
+      [Buffer.from("__event_authority")],
+      PROGRAM_IDS.PUMP_AMM,
+    )[0];
+  }
+
+  /* ---------- 交易量奖励与返现 ---------- */
+
+  /**
+   * 读取内盘和外盘的 user_volume_accumulator：交易量、可领取奖励和 cashback
+   */
+  async getUserVolumeStats(
+    user: PublicKey = this.publicKey,
+  ): Promise<UserVolumeStats> {
+    const [pump, amm] = await Promise.all([
+      this.loadVolumeStats(PROGRAM_IDS.PUMP, user),
+      this.loadVolumeStats(PROGRAM_IDS.PUMP_AMM, user),
+    ]);
+    return {
+      user,
+      incentiveMint: pump.incentiveMint ?? amm.incentiveMint,
+      pump: pump.stats,
+      amm: amm.stats,
+    };
+  }
+
+  private async loadVolumeStats(
+    programId: PublicKey,
+    user: PublicKey,
+  ): Promise<{
+    stats: VolumeAccumulatorStats;
+    incentiveMint: PublicKey | null;
+  }> {
+    const { globalAccumulator, userAccumulator, userAccumulatorWsol } =
+      this.deriveVolumeAccumulators(programId, user);
+    const [globalInfo, userInfo, wsolInfo] =
+      await this.connection.getMultipleAccountsInfo([
+        globalAccumulator,
+        userAccumulator,
+        userAccumulatorWsol,
+      ]);
+
+    const stats: VolumeAccumulatorStats = {
+      program: programId.equals(PROGRAM_IDS.PUMP) ? "pump" : "pump_amm",
+      address: userAccumulator,
+      initialized: !!userInfo,
+      currentSolVolume: 0n,
+      lastUpdateTimestamp: 0,
+      unclaimedTokens: 0n,
+      claimedTokens: 0n,
+      cashback: 0n,
+    };
+    const global = globalInfo
+      ? parseGlobalVolumeAccumulator(globalInfo.data)
+      : null;
+    if (!userInfo) return { stats, incentiveMint: global?.mint ?? null };
+
+    const acc = parseUserVolumeAccumulator(userInfo.data);
+    stats.currentSolVolume = acc.currentSolVolume;
+    stats.lastUpdateTimestamp = acc.lastUpdateTimestamp;
+    stats.claimedTokens = acc.totalClaimedTokens;
+    stats.unclaimedTokens = acc.totalUnclaimedTokens;
+
+    // 上次交易所在的周期已结束但尚未结算：按该周期的奖励总量和总交易量折算
+    if (global && global.secondsInADay > 0) {
+      const dayOf = (ts: number) =>
+        Math.floor((ts - global.startTime) / global.secondsInADay);
+      const lastDay = dayOf(acc.lastUpdateTimestamp);
+      const today = dayOf(Math.floor(Date.now() / 1000));
+      if (
+        today > lastDay &&
+        lastDay >= 0 &&
+        lastDay < global.solVolumes.length &&
+        global.solVolumes[lastDay] > 0n
+      ) {
+        stats.unclaimedTokens +=
+          (acc.currentSolVolume * global.totalTokenSupply[lastDay]) /
+          global.solVolumes[lastDay];
+      }
+    }
+
+    const rentExempt = await this.connection.getMinimumBalanceForRentExemption(
+      userInfo.data.length,
+    );
+    const excess = BigInt(userInfo.lamports) - BigInt(rentExempt);
+    stats.cashback = excess > 0n ? excess : 0n;
+    if (wsolInfo && wsolInfo.data.length >= 72) {
+      stats.cashback += readU64(wsolInfo.data, 64)[0];
+    }
+
+    return { stats, incentiveMint: global?.mint ?? null };
+  }
+
+  /**
+   * 领取内盘和外盘有余额的交易量奖励代币，奖励转入钱包的奖励代币账户
+   * 奖励只记在已存在的 user_volume_accumulator 上（首次交易时由程序创建），
+   * 账户缺失的程序没有可领取的奖励，因此不需要追加初始化指令
+   */
+  async claimRewards(): Promise<string> {
+    const stats = await this.getUserVolumeStats();
+    const { incentiveMint } = stats;
+    if (!incentiveMint) throw new Error("Global volume accumulator not found");
+    const programs = [stats.pump, stats.amm]
+      .filter((s) => s.unclaimedTokens > 0n)
+      .map((s) =>
+        s.program === "pump" ? PROGRAM_IDS.PUMP : PROGRAM_IDS.PUMP_AMM,
+      );
+    if (programs.length === 0) throw new Error("No rewards to claim");
+    const tokenProgram = await this.detectQuoteTokenProgram(incentiveMint);
+    const userAta = getAssociatedTokenAddressSync(
+      incentiveMint,
+      this.publicKey,
+      false,
+      tokenProgram,
+      ASSOCIATED_TOKEN_PROGRAM_ID,
+    );
+
+    const tx = new Transaction().add(
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 400_000 }),
+    );
+    for (const programId of programs) {
+      const { globalAccumulator, userAccumulator } =
+        this.deriveVolumeAccumulators(programId, this.publicKey);
+      tx.add(
+        new TransactionInstruction({
+          programId,
+          keys: [
+            { pubkey: this.publicKey, isSigner: false, isWritable: false },
+            { pubkey: userAta, isSigner: false, isWritable: true },
+            { pubkey: globalAccumulator, isSigner: false, isWritable: false },
+            {
+              pubkey: getAssociatedTokenAddressSync(
+                incentiveMint,
+                globalAccumulator,
+                true,
+                tokenProgram,
+                ASSOCIATED_TOKEN_PROGRAM_ID,
+              ),
+              isSigner: false,
+              isWritable: true,
+            },
+            { pubkey: userAccumulator, isSigner: false, isWritable: true },
+            { pubkey: incentiveMint, isSigner: false, isWritable: false },
+            { pubkey: tokenProgram, isSigner: false, isWritable: false },
+            {
+              pubkey: SystemProgram.programId,
+              isSigner: false,
+              isWritable: false,
+            },
+            {
+              pubkey: ASSOCIATED_TOKEN_PROGRAM_ID,
+              isSigner: false,
+              isWritable: false,
+            },
+            ...this.programEventKeys(programId),
+            { pubkey: this.publicKey, isSigner: true, isWritable: true },
+          ],
+          data: DISCRIMINATORS.CLAIM_TOKEN_INCENTIVES,
+        }),
+      );
+    }
+
+    const [signature] = await this.sendAndConfirmTxs([tx]);
+    return signature;
+  }
+
+  /**
+   * 领取 cashback 币种交易返还的 SOL，只处理有余额的程序（内盘 / 外盘）
+   * 外盘返还的 wSOL 会解包为 SOL；wSOL 账户只在本交易中创建时才关闭
+   */
+  async claimCashback(): Promise<string> {
+    const stats = await this.getUserVolumeStats();
+    const claimPump = stats.pump.cashback > 0n;
+    const claimAmm = stats.amm.cashback > 0n;
+    if (!claimPump && !claimAmm) throw new Error("No cashback to claim");
+
+    const tx = new Transaction().add(
+      ComputeBudgetProgram.setComputeUnitLimit({ units: 300_000 }),
+    );
+
+    if (claimPump) {
+      tx.add(
+        new TransactionInstruction({
+          programId: PROGRAM_IDS.PUMP,
+          keys: [
+            { pubkey: this.publicKey, isSigner: true, isWritable: true },
+            {
+              pubkey: stats.pump.address,
+              isSigner: false,
+              isWritable: true,
+            },
+            {
+              pubkey: SystemProgram.programId,
+              isSigner: false,
+              isWritable: false,
+            },
+            ...this.programEventKeys(PROGRAM_IDS.PUMP),
+          ],
+          data: DISCRIMINATORS.CLAIM_CASHBACK,
+        }),
+      );
+    }
+
+    if (claimAmm) {
+      const amm = this.deriveVolumeAccumulators(
+        PROGRAM_IDS.PUMP_AMM,
+        this.publicKey,
+      );
+      const userWsol = getAssociatedTokenAddressSync(
+        SOL_MINT,
+        this.publicKey,
+        false,
+        TOKEN_PROGRAM_ID,
+        ASSOCIATED_TOKEN_PROGRAM_ID,
+      );
+      // 已有的 wSOL 账户属于用户，领取后保留
+      const createdWsol = !(await this.connection.getAccountInfo(userWsol));
+      if (createdWsol) {
+        tx.add(
+          createAssociatedTokenAccountIdempotentInstruction(
+            this.publicKey,
+            userWsol,
+            this.publicKey,
+            SOL_MINT,
+            TOKEN_PROGRAM_ID,
+            ASSOCIATED_TOKEN_PROGRAM_ID,
+          ),
+        );
+      }
+      tx.add(
+        new TransactionInstruction({
+          programId: PROGRAM_IDS.PUMP_AMM,
+          keys: [
+            { pubkey: this.publicKey, isSigner: true, isWritable: true },
+            { pubkey: amm.userAccumulator, isSigner: false, isWritable: true },
+            { pubkey: SOL_MINT, isSigner: false, isWritable: false },
+            { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+            {
+              pubkey: amm.userAccumulatorWsol,
+              isSigner: false,
+              isWritable: true,
+            },
+            { pubkey: userWsol, isSigner: false, isWritable: true },
+            {
+              pubkey: SystemProgram.programId,
+              isSigner: false,
+              isWritable: false,
+            },
+            ...this.programEventKeys(PROGRAM_IDS.PUMP_AMM),
+          ],
+          data: DISCRIMINATORS.CLAIM_CASHBACK,
+        }),
+      );
+      if (createdWsol) {
+        tx.add(
+          createCloseAccountInstruction(
+            userWsol,
+            this.publicKey,
+            this.publicKey,
+          ),
+        );
+      }
+    }
+
+    const [signature] = await this.sendAndConfirmTxs([tx]);
+    return signature;
+  }
+
+  /** global / user volume accumulator 及其 wSOL 账户 */
+  private deriveVolumeAccumulators(programId: PublicKey, user: PublicKey) {
+    const [globalAccumulator] = PublicKey.findProgramAddressSync(
+      [Buffer.from("global_volume_accumulator")],
+      programId,
+    );
+    const [userAccumulator] = PublicKey.findProgramAddressSync(
+      [Buffer.from("user_volume_accumulator"), user.toBuffer()],
+      programId,
+    );
+    const userAccumulatorWsol = getAssociatedTokenAddressSync(
+      SOL_MINT,
+      userAccumulator,
+      true,
+      TOKEN_PROGRAM_ID,
+      ASSOCIATED_TOKEN_PROGRAM_ID,
+    );
+    return { globalAccumulator, userAccumulator, userAccumulatorWsol };
+  }
+
+  /** Anchor emit_cpi 指令末尾的 event_authority 和 program 账户 */
+  private programEventKeys(programId: PublicKey): AccountMeta[] {
+    const eventAuthority = programId.equals(PROGRAM_IDS.PUMP)
+      ? PROGRAM_IDS.EVENT_AUTHORITY
+      : PublicKey.findProgramAddressSync(
+          [Buffer.from("__event_authority")],
+          programId,
+        )[0];
+    return [
+      { pubkey: eventAuthority, isSigner: false, isWritable: false },
+      { pubkey: programId, isSigner: false, isWritable: false },
+    ];
+  }
+
+  /* ---------- 交易确认 ---------- */
+
+  async confirmTransactionWithPolling(
+    signature: string,
+    lastValidBlockHeight: number,
+    maxAttempts: number = 5,
+    delayMs: number = 2000,
+  ): Promise<string> {
+    console.log("✅ 交易已发送:", signature);
+    console.log("🔗 查看交易: https://solscan.io/tx/" + signature);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+
+      try {
+        console.log(`🔍 检查交易状态 (${attempt}/${maxAttempts})...`);
+
+        const txInfo = await this.connection.getTransaction(signature, {
+          commitment: "confirmed",
+          maxSupportedTransactionVersion: 0,
+        });
+
+        if (txInfo) {
+          if (txInfo.meta?.err) {
+            console.error("❌ 交易失败:", txInfo.meta.err);
+            throw new Error("交易失败: " + JSON.stringify(txInfo.meta.err));
+          }
+
+          console.log("✅ 交易已确认!");
+          return signature;
+        }
+
+        const currentBlockHeight =
+          await this.connection.getBlockHeight("finalized");
+        if (currentBlockHeight > lastValidBlockHeight) {
+          console.log("⚠️ 交易已过期（超过有效区块高度）");
+          throw new Error("交易过期：未在有效区块高度内确认");
+        }
+      } catch (error) {
+        const err = error as Error;
+        if (
+          err.message?.includes("交易失败") ||
+          err.message?.includes("交易过期")
+        ) {
+          throw error;
+        }
+        console.log(`⚠️ 查询出错，继续重试: ${err.message}`);
+      }
+    }
+
+    throw new Error(
+      `交易确认超时（已尝试 ${maxAttempts} 次），签名: ${signature}。请手动检查交易状态。`,
+    );
+  }
+
+  /**
+   * 并发确认 TradeResult 中的所有拆单
+   * 在 lastValidBlockHeight 之前持续重新广播已签名交易，返回每个拆单的最终状态；
+   * requote 为 true 时，blockhash 已过期的拆单按原参数重新报价并发送
+   */
+  async confirmTradeResult(
+    result: TradeResult,
+    opts: ConfirmTradeOptions = {},
+  ): Promise<TradeConfirmation> {
+    const commitment = opts.commitment ?? "confirmed";
+    const pollIntervalMs = opts.pollIntervalMs ?? 2000;
+    const rebroadcast = opts.rebroadcast ?? true;
+    const deadline = Date.now() + (opts.timeoutMs ?? 120_000);
+
+    const resolved = new Map<string, ChunkConfirmation>();
+    let pending = [...result.pendingTransactions];
+    /** blockhash 过期时仍停留在 processed 的拆单 */
+    const processedPastExpiry = new Set<string>();
+
+    while (pending.length > 0 && Date.now() < deadline) {
+      if (rebroadcast) {
+        await Promise.all(
+          pending
+            .filter((p) => p.rawTransaction)
+            .map((p) =>
+              this.connection
+                .sendRawTransaction(p.rawTransaction!, {
+                  skipPreflight: true,
+                  maxRetries: 0,
+                })
+                .catch(() => undefined),
+            ),
+        );
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, pollIntervalMs));
+
+      let statuses: Awaited<
+        ReturnType<Connection["getSignatureStatuses"]>
+      >["value"];
+      let blockHeight: number;
+      try {
+        [{ value: statuses }, blockHeight] = await Promise.all([
+          this.connection.getSignatureStatuses(pending.map((p) => p.signature)),
+          this.connection.getBlockHeight("confirmed"),
+        ]);
+      } catch {
+        continue;
+      }
+
+      const next: PendingTransaction[] = [];
+      pending.forEach((p, i) => {
+        const status = statuses[i];
+        if (status?.err) {
+          const programError = decodeProgramError(
+            status.err,
+            programIdsOf(p.rawTransaction),
+          );
+          resolved.set(p.signature, {
+            index: p.index,
+            signature: p.signature,
+            status: "failed",
+            slot: status.slot,
+            error: programError?.message ?? JSON.stringify(status.err),
+            programError,
+          });
+        } else if (
+          status?.confirmationStatus === "finalized" ||
+          (commitment === "confirmed" &&
+            status?.confirmationStatus === "confirmed")
+        ) {
+          resolved.set(p.signature, {
+            index: p.index,
+            signature: p.signature,
+            status: "confirmed",
+            slot: status.slot,
+          });
+        } else if (!status && blockHeight > p.lastValidBlockHeight) {
+          resolved.set(p.signature, {
+            index: p.index,
+            signature: p.signature,
+            status: "expired",
+            error: "Blockhash expired before confirmation",
+          });
+        } else {
+          if (
+            status?.confirmationStatus === "processed" &&
+            blockHeight > p.lastValidBlockHeight
+          ) {
+            processedPastExpiry.add(p.signature);
+          } else {
+            processedPastExpiry.delete(p.signature);
+          }
+          next.push(p);
+        }
+      });
+      pending = next;
+    }
+
+    for (const p of pending) {
+      // 所在分叉被丢弃的交易无法再上链，截止时仍未确认则按过期处理
+      resolved.set(
+        p.signature,
+        processedPastExpiry.has(p.signature)
+          ? {
+              index: p.index,
+              signature: p.signature,
+              status: "expired",
+              error: "Blockhash expired before confirmation",
+            }
+          : {
+              index: p.index,
+              signature: p.signature,
+              status: "timeout",
+              error: "Confirmation timed out before blockhash expiry",
+            },
+      );
+    }
+
+    const chunks = result.pendingTransactions.map(
+      (p) => resolved.get(p.signature)!,
+    );
+
+    const maxResubmits = opts.maxResubmits ?? 1;
+    if (opts.requote && result.context && maxResubmits > 0) {
+      const resubmits: Array<[ChunkConfirmation, TradeResult]> = [];
+      for (const p of result.pendingTransactions) {
+        const chunk = resolved.get(p.signature)!;
+        if (chunk.status !== "expired" || p.amountIn === undefined) continue;
+        try {
+          resubmits.push([
+            chunk,
+            await this.resubmitChunk(result.context, p.amountIn),
+          ]);
+        } catch (e) {
+          chunk.error = `${chunk.error}; resubmit failed: ${(e as Error).message}`;
+        }
+      }
+      await Promise.all(
+        resubmits.map(async ([chunk, resubmitted]) => {
+          chunk.resubmission = await this.confirmTradeResult(resubmitted, {
+            ...opts,
+            maxResubmits: maxResubmits - 1,
+          });
+        }),
+      );
+    }
+
+    return {
+      chunks,
+      confirmed: chunks.filter((c) => c.status === "confirmed").length,
+      failed: chunks.filter((c) => c.status === "failed").length,
+      expired: chunks.filter((c) => c.status === "expired").length,
+      timeout: chunks.filter((c) => c.status === "timeout").length,
+    };
+  }
+
+  /**
+   * 按原交易参数重新报价并发送一个拆单，优先费按 escalation 加价
+   */
+  private async resubmitChunk(
+    context: TradeContext,
+    amountIn: bigint,
+  ): Promise<TradeResult> {
+    const tradeOpt: TradeOptions = { ...context.tradeOpt };
+    this.resubmitAttempts.set(
+      tradeOpt,
+      (this.resubmitAttempts.get(context.tradeOpt) ?? 0) + 1,
+    );
+
+    return context.side === "buy"
+      ? this.autoBuy(
+          context.tokenAddr,
+          amountIn,
+          tradeOpt,
+          context.useV2,
+          context.quoteMint,
+        )
+      : this.autoSell(
+          context.tokenAddr,
+          amountIn,
+          tradeOpt,
+          context.useV2,
+          context.quoteMint,
+        );
+  }
+
+  /* ---------- 成交解析 ---------- */
+
+  /**
+   * 解析交易中实际成交的数量、手续费和成交均价
+   * 传入 TradeResult 时，把本钱包的成交写入每个 PendingTransaction.fills，
+   * 并按 expectedOut 计算滑点；未确认的交易保持不变，读取失败的交易把错误写入 fillsError
+   */
+  async getTradeFills(signature: string): Promise<TradeFill[]>;
+  async getTradeFills(result: TradeResult): Promise<TradeResult>;
+  async getTradeFills(
+    target: string | TradeResult,
+  ): Promise<TradeFill[] | TradeResult> {
+    if (typeof target === "string") {
+      const tx = await this.connection.getTransaction(target, {
+        commitment: "confirmed",
+        maxSupportedTransactionVersion: 0,
+      });
+      return tx ? this.decodeTradeFills(target, tx) : [];
+    }
+
+    const user = this.publicKey.toBase58();
+    const settled = await Promise.allSettled(
+      target.pendingTransactions.map((p) => this.getTradeFills(p.signature)),
+    );
+    target.pendingTransactions.forEach((p, i) => {
+      const outcome = settled[i];
+      if (outcome.status === "rejected") {
+        p.fillsError =
+          (outcome.reason as Error)?.message ?? String(outcome.reason);
+        return;
+      }
+      delete p.fillsError;
+      const fills = outcome.value.filter((f) => f.user === user);
+      if (fills.length === 0) return;
+
+      if (p.expectedOut) {
+        const actual = fills.reduce(
+          (sum, f) => sum + (f.side === "buy" ? f.tokenAmount : f.quoteAmount),
+          0n,
+        );
+        const slippageBps = Number(
+          ((p.expectedOut - actual) * 10_000n) / p.expectedOut,
+        );
+        for (const f of fills) f.slippageBps = slippageBps;
+      }
+      p.fills = fills;
+    });
+    return target;
+  }
+
+  private decodeTradeFills(
+    signature: string,
+    tx: VersionedTransactionResponse,
+  ): TradeFill[] {
+    const fills: TradeFill[] = [];
+    const base = { signature, slot: tx.slot, blockTime: tx.blockTime ?? null };
+    const price = (quote: bigint, token: bigint) =>
+      token === 0n ? 0 : (Number(quote) * 1e6) / Number(token);
+
+    for (const { programId, data } of extractProgramEvents(tx)) {
+      const disc = data.subarray(0, 8);
+
+      if (
+        programId.equals(PROGRAM_IDS.PUMP) &&
+        disc.equals(DISCRIMINATORS.TRADE_EVENT)
+      ) {
+        const e = parseTradeEvent(data);
+        // V2 曲线的 quote 代币由 bonding curve 的代币账户持有，SOL 曲线没有
+        const bonding = PublicKey.findProgramAddressSync(
+          [SEEDS.BONDING, new PublicKey(e.mint).toBuffer()],
+          PROGRAM_IDS.PUMP,
+        )[0].toBase58();
+        const quote = quoteOf(
+          tx,
+          (b) =>
+            b.owner === bonding &&
+            b.mint !== e.mint &&
+            b.mint !== SOL_MINT.toBase58(),
+        );
+        const totalFee = e.fee + e.creatorFee + e.cashback;
+        const quoteAmount = e.isBuy
+          ? e.solAmount + totalFee
+          : e.solAmount - totalFee;
+        fills.push({
+          ...base,
+          mode: "bonding",
+          side: e.isBuy ? "buy" : "sell",
+          mint: e.mint,
+          user: e.user,
+          tokenAmount: e.tokenAmount,
+          ...quote,
+          quoteAmount,
+          fees: {
+            lpFee: 0n,
+            protocolFee: e.fee,
+            creatorFee: e.creatorFee,
+            cashback: e.cashback,
+            totalFee,
+          },
+          price: price(quoteAmount, e.tokenAmount),
+        });
+        continue;
+      }
+
+      if (
+        programId.equals(PROGRAM_IDS.PUMP_AMM) &&
+        (disc.equals(DISCRIMINATORS.AMM_BUY_EVENT) ||
+          disc.equals(DISCRIMINATORS.AMM_SELL_EVENT))
+      ) {
+        const e = parseAmmSwapEvent(data);
+        fills.push({
+          ...base,
+          mode: "amm",
+          side: e.isBuy ? "buy" : "sell",
+          mint: tokenAccountMint(tx, e.userBaseTokenAccount),
+          pool: e.pool,
+          user: e.user,
+          tokenAmount: e.baseAmount,
+          ...quoteOf(tx, (_, address) => address === e.userQuoteTokenAccount),
+          quoteAmount: e.userQuoteAmount,
+          fees: {
+            lpFee: e.lpFee,
+            protocolFee: e.protocolFee,
+            creatorFee: e.coinCreatorFee,
+            cashback: 0n,
+            totalFee: e.lpFee + e.protocolFee + e.coinCreatorFee,
+          },
+          price: price(e.userQuoteAmount, e.baseAmount),
+        });
+      }
+    }
+
+    const payer = tx.transaction.message
+      .getAccountKeys({ accountKeysFromLookups: tx.meta?.loadedAddresses })
+      .get(0)
+      ?.toBase58();
+    const payerFill = fills.find((f) => f.user === payer);
+    if (payer && payerFill) {
+      payerFill.networkFee = BigInt(tx.meta?.fee ?? 0);
+      payerFill.rentPaid = newTokenAccountRent(tx, payer);
+    }
+
+    return fills;
+  }
+
+  /**
+   * 查询代币的历史成交，按时间顺序返回
+   * 同时查询 bonding curve 和外盘池子（已迁移时）的签名
+   */
+  async getTradeHistory(
+    mint: PublicKey | string,
+    opts: TradeHistoryOptions = {},
+  ): Promise<HistoricalTrade[]> {
+    return (await this.getTradeHistoryPage(mint, opts)).trades;
+  }
+
+  /**
+   * 与 getTradeHistory 相同，另外返回下一页的游标
+   * next 只包含还有更早签名的地址，为空对象时表示已查询完毕
+   */
+  async getTradeHistoryPage(
+    mint: PublicKey | string,
+    opts: TradeHistoryOptions = {},
+  ): Promise<{ trades: HistoricalTrade[]; next: TradeHistoryCursor }> {
+    const mintKey = new PublicKey(mint);
+    const mintStr = mintKey.toBase58();
+    const addresses: Array<[keyof TradeHistoryCursor, PublicKey]> = [
+      ["bonding", this.getBondingPda(mintKey)],
+    ];
+
+    const poolInfo = await this.findAmmPoolInfo(
+      mintKey,
+      opts.quoteMint ?? SOL_MINT,
+    );
+    const pool = poolInfo?.pool.toBase58();
+    if (poolInfo) addresses.push(["pool", poolInfo.pool]);
+
+    // 签名按时间倒序返回，收集后统一按 slot 排序
+    const signatures = new Map<string, number>();
+    const next: TradeHistoryCursor = {};
+    for (const [key, address] of addresses) {
+      if (opts.before && !(key in opts.before)) continue;
+      let before = opts.before?.[key];
+      let remaining = opts.limit ?? 1000;
+      while (remaining > 0) {
+        const limit = Math.min(remaining, 1000);
+        const page = await this.connection.getSignaturesForAddress(
+          address,
+          { before, until: opts.until?.[key], limit },
+          "confirmed",
+        );
+        for (const sig of page) {
+          if (!sig.err) signatures.set(sig.signature, sig.slot);
+        }
+        if (page.length < limit) break;
+        remaining -= page.length;
+        before = page[page.length - 1].signature;
+        if (remaining === 0) next[key] = before;
+      }
+    }
+
+    const ordered = [...signatures.entries()]
+      .reverse()
+      .sort((a, b) => a[1] - b[1])
+      .map(([signature]) => signature);
+
+    const trades: HistoricalTrade[] = [];
+    const batchSize = opts.batchSize ?? 20;
+    for (let i = 0; i < ordered.length; i += batchSize) {
+      const batch = ordered.slice(i, i + batchSize);
+      const txs = await this.connection.getTransactions(batch, {
+        commitment: "confirmed",
+        maxSupportedTransactionVersion: 0,
+      });
+
+      txs.forEach((tx, j) => {
+        if (!tx || tx.meta?.err) return;
+        const meta = { signature: batch[j], slot: tx.slot };
+        for (const { programId, data } of extractProgramEvents(tx)) {
+          const event = parsePumpEvent(programId, data, meta, tx);
+          if (event?.type === "trade" && event.mint === mintStr) {
+            trades.push(event);
+          } else if (
+            event?.type === "ammTrade" &&
+            (event.pool === pool || event.mint === mintStr)
+          ) {
+            trades.push(event);
+          }
+        }
+      });
+    }
+
+    return { trades, next };
+  }
+
+  /* ---------- 持仓 ---------- */
+
+  /**
+   * 解析交易的实际成交并记入 PositionBook（只记录本钱包的成交）
+   * @returns 新记录的成交数量
+   */
+  async recordTrades(
+    book: PositionBook,
+    trades: TradeResult | string,
+  ): Promise<number> {
+    if (typeof trades !== "string") {
+      return book.record(await this.getTradeFills(trades));
+    }
+    const user = this.publicKey.toBase58();
+    const fills = await this.getTradeFills(trades);
+    return book.record(fills.filter((f) => f.user === user));
+  }
+
+  /**
+   * 按 getPriceAndStatus 的当前价格计算每个持仓的盈亏（单位 SOL）
+   * USDC 计价的持仓按 getSolPriceInUsdc 换算，其他计价代币的持仓不计算
+   */
+  async getPositionPnl(book: PositionBook): Promise<PositionPnl[]> {
+    const prices = new Map<string, { price: number; completed: boolean }>();
+    await Promise.all(
+      book
+        .all()
+        .filter((p) => p.tokenAmount > 0n)
+        .map(async (p) => {
+          prices.set(p.mint, await this.getPriceAndStatus(p.mint));
+        }),
+    );
+
+    // 已清仓的持仓价格不影响盈亏
+    for (const p of book.all()) {
+      if (!prices.has(p.mint))
+        prices.set(p.mint, { price: 0, completed: false });
+    }
+
+    const quotePrices = new Map<string, number>();
+    const usdc = USDC_MINT.toBase58();
+    if (book.all().some((p) => p.quoteMint === usdc)) {
+      quotePrices.set(usdc, 1 / (await this.getSolPriceInUsdc()));
+    }
+    return book.valuate(prices, quotePrices);
+  }
+
+  /* ---------- 条件单 ---------- */
+
+  /**
+   * 默认价格源：按成交事件推送 SOL 计价的价格（内盘用虚拟储备，外盘用池子储备），
+   * 超过 pollIntervalMs 没有成交时用 getPriceAndStatus 轮询
+   */
+  createPriceFeed(options: { pollIntervalMs?: number } = {}): PriceFeed {
+    const pollIntervalMs = options.pollIntervalMs ?? 5000;
+
+    return {
+      subscribe: (mint, onPrice) => {
+        let lastUpdate = 0;
+        const push = (price: number) => {
+          lastUpdate = Date.now();
+          onPrice(price, lastUpdate);
+        };
+
+        // 储备按计价代币精度换算；非 SOL 计价时再按 SOL/USDC 价格换成 SOL，
+        // 与 getPriceAndStatus 保持一致
+        const quote = this.loadBonding(new PublicKey(mint)).then(
+          async ({ state }) => {
+            const quoteMint = state.quoteMint ?? SOL_MINT;
+            if (quoteMint.equals(SOL_MINT)) return { decimals: 9, isSol: true };
+            const info = await getMint(
+              this.connection,
+              quoteMint,
+              "confirmed",
+              await this.detectQuoteTokenProgram(quoteMint),
+            );
+            return { decimals: info.decimals, isSol: false };
+          },
+        );
+        // 加载失败时事件推送会跳过，由轮询兜底
+        quote.catch(() => undefined);
+        // 串行处理，保证价格按事件顺序推送
+        let queue = Promise.resolve();
+        const pushReserves = (quoteReserves: bigint, baseReserves: bigint) => {
+          // 旧版 TradeEvent 没有储备字段
+          if (baseReserves === 0n) return;
+          queue = queue
+            .then(async () => {
+              const { decimals, isSol } = await quote;
+              const price =
+                Number(quoteReserves) /
+                10 ** decimals /
+                (Number(baseReserves) / 1e6);
+              push(isSol ? price : price / (await this.getSolPriceInUsdc()));
+            })
+            .catch(() => undefined);
+        };
+
+        const stream = this.createEventStream({
+          mints: [mint],
+          fetchCpiEvents: true,
+        })
+          .on("trade", (e) =>
+            pushReserves(e.virtualSolReserves, e.virtualTokenReserves),
+          )
+          .on("ammTrade", (e) =>
+            pushReserves(e.poolQuoteTokenReserves, e.poolBaseTokenReserves),
+          )
+          .start();
+
+        const timer = setInterval(async () => {
+          if (Date.now() - lastUpdate < pollIntervalMs) return;
+          try {
+            push((await this.getPriceAndStatus(mint)).price);
+          } catch {
+            // 下一轮重试
+          }
+        }, pollIntervalMs);
+        timer.unref?.();
+
+        return () => {
+          clearInterval(timer);
+          stream.stop().catch(() => undefined);
+        };
+      },
+    };
+  }
+
+  /**
+   * 创建条件单引擎，触发时调用 autoSell，并用 confirmTradeResult 确认成交
+   */
+  createOrderEngine(
+    options: Partial<Omit<OrderEngineOptions, "execute">> & {
+      pollIntervalMs?: number;
+    } = {},
+  ): OrderEngine {
+    return new OrderEngine({
+      ...options,
+      feed:
+        options.feed ??
+        this.createPriceFeed({ pollIntervalMs: options.pollIntervalMs }),
+      confirm: options.confirm ?? ((result) => this.confirmTradeResult(result)),
+      execute: (order, amount) =>
+        this.autoSell(
+          order.mint,
+          amount,
+          order.tradeOpt,
+          order.useV2,
+          order.quoteMint,
+        ),
+    });
+  }
+
+  /* ---------- 事件监听 ---------- */
+
+  listenTrades(
+    callback: (event: TradeEvent) => void,
+    mintFilter?: PublicKey | null,
+  ) {
+    return this.connection.onLogs(
+      PROGRAM_IDS.PUMP,
+      (log) => {
+        for (const logLine of log.logs) {
+          if (!logLine.startsWith("Program data: ")) continue;
+
+          const buf = Buffer.from(
+            logLine.replace("Program data: ", ""),
+            "base64",
+          );
+
+          if (!buf.subarray(0, 8).equals(DISCRIMINATORS.TRADE_EVENT)) continue;
+
+          const event = parseTradeEvent(buf);
+
+          if (mintFilter && event.mint !== mintFilter.toBase58()) continue;
+
+          callback({ ...event, signature: log.signature });
+        }
+      },
+      "confirmed",
+    );
+  }
+
+  /**
+   * 监听内盘成交，断线时自动重新订阅并补齐
+   * @param mintFilter - 只接收指定代币（可传多个）
+   * @returns 监听句柄，stop() 停止监听
+   */
+  watchTrades(
+    callback: (event: TradeEvent) => void,
+    mintFilter?: PublicKey | PublicKey[] | null,
+    options: Omit<EventStreamOptions, "programs" | "mints"> = {},
+  ): ListenerHandle {
+    const mints = mintFilter
+      ? Array.isArray(mintFilter)
+        ? mintFilter
+        : [mintFilter]
+      : undefined;
+
+    return this.createEventStream({ ...options, programs: ["pump"], mints })
+      .on("trade", ({ type, slot, ...event }) => callback(event))
+      .start();
+  }
+
+  /**
+   * 创建同时订阅 Pump 和 Pump AMM 的事件流
+   */
+  createEventStream(options: EventStreamOptions = {}): EventStream {
+    return new EventStream(this.connection, options);
+  }
+
+  /**
+   * 实时 K 线：订阅内盘和外盘成交，并用历史成交补齐
+   * SOL/USD 价格每分钟从 getSolPriceInUsdc 刷新；拿不到历史 SOL 价格，补齐的成交不计入 usd K 线
+   */
+  async watchCandles(
+    tokenAddr: string,
+    options: CandleAggregatorOptions & {
+      /** 历史补齐参数，false 表示不补齐 */
+      history?: TradeHistoryOptions | false;
+      solPriceRefreshMs?: number;
+    } = {},
+  ): Promise<{ aggregator: CandleAggregator; stop: () => Promise<void> }> {
+    const aggregator = new CandleAggregator(options);
+
+    const refreshSolPrice = async () => {
+      try {
+        aggregator.setSolPrice(await this.getSolPriceInUsdc());
+      } catch {
+        // 保留上一次的价格
+      }
+    };
+    await refreshSolPrice();
+    const timer = setInterval(
+      refreshSolPrice,
+      options.solPriceRefreshMs ?? 60_000,
+    );
+    timer.unref?.();
+
+    const stream = this.createEventStream({
+      mints: [tokenAddr],
+      fetchCpiEvents: true,
+    })
+      .on("trade", (event) => aggregator.addTrade(event))
+      .on("ammTrade", (event) => aggregator.addTrade(event))
+      .start();
+
+    if (options.history !== false) {
+      const trades = await this.getTradeHistory(tokenAddr, options.history);
+      for (const trade of trades) aggregator.addTrade(trade, null);
+    }
+
+    return {
+      aggregator,
+      stop: async () => {
+        clearInterval(timer);
+        await stream.stop();
+      },
+    };
+  }
+
+  /* ---------- 元数据查询 ---------- */
+
+  async fetchMeta(tokenAddr: string): Promise<MetadataInfo | null> {
+    const mint = new PublicKey(tokenAddr);
+
+    try {
+      const metadata = await getTokenMetadata(
+        this.connection,
+        mint,
+        "confirmed",
+        TOKEN_2022_PROGRAM_ID,
+      );
+
+      return {
+        name: metadata?.name || "",
+        symbol: metadata?.symbol || "",
+        uri: metadata?.uri || "",
+      };
+    } catch (e) {
+      const metadataPda = PublicKey.findProgramAddressSync(
+        [
+          Buffer.from("metadata"),
+          PROGRAM_IDS.METADATA.toBuffer(),
+          mint.toBuffer(),
+        ],
+        PROGRAM_IDS.METADATA,
+      )[0];
+
+      const acc = await this.connection.getAccountInfo(metadataPda);
+      if (!acc) return null;
+
+      const meta = parseMetadataAccount(acc.data);
+
+      return {
+        name: meta?.name?.replace(/\u0000/g, "") || "",
+        symbol: meta?.symbol?.replace(/\u0000/g, "") || "",
+        uri: meta?.uri?.replace(/\u0000/g, "") || "",
+      };
+    }
+  }
+
+  /**
+   * 获取原始 wallet 对象（Keypair 或前端 WalletAdapter）
+   */
+  getWallet(): Wallet {
+    return this._wallet;
+  }
+
+  getPublicKey(): PublicKey {
+    return this.publicKey;
+  }
+
+  getConnection() {
+    return this.connection;
+  }
+
+  /**
+   * 清除token program缓存
+   */
+  clearTokenProgramCache(tokenAddr: string) {
+    if (tokenAddr) {
+      this.tokenProgramCache.delete(tokenAddr);
+    } else {
+      this.tokenProgramCache.clear();
+    }
+  }
+
+  /**
+   * 获取缓存的token program信息
+   */
+  getCachedTokenProgram(tokenAddr: string) {
+    return this.tokenProgramCache.get(tokenAddr);
+  }
+}
+
+/* ================= 事件流 ================= */
+
+/**
+ * 程序调用自身的次数（每次 emit_cpi! 都会产生一次自调用）
+ */
+const countSelfInvokes = (logs: string[], programId: PublicKey): number => {
+  const id = programId.toBase58();
+  const stack: string[] = [];
+  let count = 0;
+  for (const line of logs) {
+    const invoke = line.match(/^Program (\w+) invoke \[\d+\]$/);
+    if (invoke) {
+      if (invoke[1] === id && stack[stack.length - 1] === id) count++;
+      stack.push(invoke[1]);
+    } else if (/^Program \w+ (success|failed)/.test(line)) {
+      stack.pop();
+    }
+  }
+  return count;
+};
+
+const SEEN_SIGNATURE_LIMIT = 2000;
+
+/**
+ * Pump / Pump AMM 事件流
+ *
+ * const stream = trader.createEventStream()
+ *   .on("create", (e) => console.log(e.mint, e.name))
+ *   .on("complete", (e) => console.log("graduated", e.mint))
+ *   .start();
+ *
+ * 长时间没有推送时自动重新订阅，并用 getSignaturesForAddress 补齐断线期间的交易
+ * 解析、补齐和回调中的异常通过 "error" 事件通知
+ */
+export class EventStream implements ListenerHandle {
+  private connection: Connection;
+  private options: EventStreamOptions;
+  private handlers: Map<string, Set<(event: PumpEvent) => void>>;
+  private errorHandlers: Set<(error: Error) => void>;
+  private subscriptions: number[];
+  private slotSubscription: number | null;
+  private heartbeatSlot: number | null;
+  private programIds: PublicKey[];
+  private mints: Set<string> | null;
+  private heartbeat: ReturnType<typeof setInterval> | null;
+  private seen: Set<string>;
+  private status: ListenerHealth;
+  private startedAt: number;
+
+  constructor(connection: Connection, options: EventStreamOptions = {}) {
+    this.connection = connection;
+    this.options = options;
+    this.handlers = new Map();
+    this.errorHandlers = new Set();
+    this.subscriptions = [];
+    this.slotSubscription = null;
+    this.heartbeatSlot = null;
+    this.programIds = (options.programs ?? ["pump", "pump_amm"]).map((p) =>
+      p === "pump" ? PROGRAM_IDS.PUMP : PROGRAM_IDS.PUMP_AMM,
+    );
+    this.mints = options.mints?.length
+      ? new Set(options.mints.map((m) => m.toString()))
+      : null;
+    this.heartbeat = null;
+    this.seen = new Set();
+    this.startedAt = 0;
+    this.status = {
+      running: false,
+      lastNotificationAt: null,
+      lastHeartbeatAt: null,
+      lastSlot: null,
+      reconnects: 0,
+      backfilled: 0,
+    };
+  }
+
+  /**
+   * 注册事件回调，type 为 "*" 时接收所有事件，"error" 接收异常
+   */
+  on(type: "error", handler: (error: Error) => void): this;
+  on<K extends PumpEventType>(
+    type: K | "*",
+    handler: (event: Extract<PumpEvent, { type: K }>) => void,
+  ): this;
+  on(type: string, handler: (arg: any) => void): this {
+    if (type === "error") {
+      this.errorHandlers.add(handler);
+      return this;
+    }
+    if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+    this.handlers.get(type)!.add(handler);
+    return this;
+  }
+
+  off(type: "error", handler: (error: Error) => void): this;
+  off<K extends PumpEventType>(
+    type: K | "*",
+    handler: (event: Extract<PumpEvent, { type: K }>) => void,
+  ): this;
+  off(type: string, handler: (arg: any) => void): this {
+    if (type === "error") this.errorHandlers.delete(handler);
+    else this.handlers.get(type)?.delete(handler);
+    return this;
+  }
+
+  get isRunning(): boolean {
+    return this.status.running;
+  }
+
+  health(): ListenerHealth {
+    return { ...this.status };
+  }
+
+  start(): this {
+    if (this.status.running) return this;
+    this.status.running = true;
+    this.startedAt = Date.now();
+    this.subscribe();
+
+    this.heartbeat = setInterval(
+      () => this.checkHealth(),
+      this.options.heartbeatMs ?? 15_000,
+    );
+    this.heartbeat.unref?.();
+    return this;
+  }
+
+  async stop(): Promise<void> {
+    this.status.running = false;
+    if (this.heartbeat) clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    await this.unsubscribe();
+  }
+
+  /**
+   * 重新订阅并补齐断线期间的交易
+   */
+  async resubscribe(): Promise<void> {
+    await this.unsubscribe();
+    if (!this.status.running) return;
+    this.status.reconnects++;
+    this.subscribe();
+    await this.backfill();
+  }
+
+  private subscribe() {
+    const commitment = this.options.commitment ?? "confirmed";
+    // 指定 mint 时按 mint 订阅（mentions），否则按程序订阅
+    const addresses = this.mints
+      ? [...this.mints].map((m) => new PublicKey(m))
+      : this.programIds;
+
+    for (const address of addresses) {
+      this.subscriptions.push(
+        this.connection.onLogs(
+          address,
+          (log, ctx) => {
+            this.status.lastNotificationAt = Date.now();
+            this.status.lastSlot = Math.max(
+              this.status.lastSlot ?? 0,
+              ctx.slot,
+            );
+            if (log.err) return;
+            this.handleLogs(log.signature, log.logs, ctx.slot).catch((e) =>
+              this.reportError(e),
+            );
+          },
+          commitment,
+        ),
+      );
+    }
+
+    // 日志推送可能长时间为空，用 slot 订阅判断连接是否存活
+    this.slotSubscription = this.connection.onSlotChange(({ slot }) => {
+      this.status.lastHeartbeatAt = Date.now();
+      this.heartbeatSlot = slot;
+    });
+  }
+
+  private async unsubscribe() {
+    const ids = this.subscriptions;
+    const slotId = this.slotSubscription;
+    this.subscriptions = [];
+    this.slotSubscription = null;
+    await Promise.all([
+      ...ids.map((id) =>
+        this.connection.removeOnLogsListener(id).catch(() => undefined),
+      ),
+      slotId === null
+        ? undefined
+        : this.connection
+            .removeSlotChangeListener(slotId)
+            .catch(() => undefined),
+    ]);
+  }
+
+  private checkHealth() {
+    this.options.onHealth?.(this.health());
+
+    const staleAfterMs = this.options.staleAfterMs ?? 60_000;
+    if (staleAfterMs <= 0) return;
+    const last = this.status.lastHeartbeatAt ?? this.startedAt;
+    if (Date.now() - last < staleAfterMs) return;
+
+    // 重连期间不再重复触发
+    this.status.lastHeartbeatAt = Date.now();
+    this.resubscribe().catch((e) => this.reportError(e));
+  }
+
+  /**
+   * 拉取最近一次推送（没有推送时为最近一次心跳）所在 slot 之后的签名，按时间顺序重新解析
+   */
+  private async backfill() {
+    const fromSlot = this.status.lastSlot ?? this.heartbeatSlot;
+    if (fromSlot === null) return;
+
+    const addresses = this.mints
+      ? [...this.mints].map((m) => new PublicKey(m))
+      : this.programIds;
+
+    for (const address of addresses) {
+      const signatures = await this.connection.getSignaturesForAddress(
+        address,
+        { limit: this.options.maxBackfill ?? 200 },
+        "confirmed",
+      );
+      const missed = signatures
+        .filter(
+          (s) => s.slot >= fromSlot && !s.err && !this.seen.has(s.signature),
+        )
+        .reverse();
+
+      for (const { signature, slot } of missed) {
+        // 先标记，避免等待 getTransaction 期间的实时推送重复处理
+        if (this.seen.has(signature)) continue;
+        this.markSeen(signature);
+        let tx: VersionedTransactionResponse | null;
+        try {
+          tx = await this.connection.getTransaction(signature, {
+            commitment: "confirmed",
+            maxSupportedTransactionVersion: 0,
+          });
+        } catch (e) {
+          this.seen.delete(signature);
+          throw e;
+        }
+        if (!tx) {
+          this.seen.delete(signature);
+          continue;
+        }
+        if (tx.meta?.err) continue;
+        this.status.backfilled++;
+        this.emitAll(extractProgramEvents(tx), signature, slot, tx);
+      }
+    }
+  }
+
+  private async handleLogs(signature: string, logs: string[], slot: number) {
+    if (this.seen.has(signature)) return;
+    this.markSeen(signature);
+
+    let events = extractLogEvents(logs);
+    let tx: VersionedTransactionResponse | null = null;
+
+    // 自调用比日志事件多，说明有事件只通过 emit_cpi 发出
+    const needsFetch = this.programIds.some(
+      (id) =>
+        countSelfInvokes(logs, id) >
+        events.filter((e) => e.programId.equals(id)).length,
+    );
+    if (needsFetch && this.options.fetchCpiEvents) {
+      tx = await this.connection.getTransaction(signature, {
+        commitment: "confirmed",
+        maxSupportedTransactionVersion: 0,
+      });
+      if (tx) events = extractProgramEvents(tx);
+    }
+
+    this.emitAll(events, signature, slot, tx ?? undefined);
+  }
 
-    const signature = await this.connection.sendRawTransaction(tx.serialize());
-    await this.confirmTransactionWithPolling(signature, lastValidBlockHeight);
-    return signature;
+  private emitAll(
+    events: Array<{ programId: PublicKey; data: Buffer }>,
+    signature: string,
+    slot: number,
+    tx?: VersionedTransactionResponse,
+  ) {
+    for (const { programId, data } of events) {
+      if (!this.programIds.some((id) => id.equals(programId))) continue;
+      const event = parsePumpEvent(programId, data, { signature, slot }, tx);
+      if (event && this.matchesMint(event)) this.emit(event);
+    }
   }
 
-  /* ---------- 交易确认 ---------- */
+  private matchesMint(event: PumpEvent): boolean {
+    if (!this.mints) return true;
+    const mint =
+      "mint" in event
+        ? event.mint
+        : "baseMint" in event
+          ? event.baseMint
+          : undefined;
+    return mint !== undefined && this.mints.has(mint);
+  }
 
-  async confirmTransactionWithPolling(
-    signature: string,
-    lastValidBlockHeight: number,
-    maxAttempts: number = 5,
-    delayMs: number = 2000,
-  ): Promise<string> {
-    console.log("✅ 交易已发送:", signature);
-    console.log("🔗 查看交易: https://solscan.io/tx/" + signature);
+  private markSeen(signature: string) {
+    this.seen.add(signature);
+    if (this.seen.size > SEEN_SIGNATURE_LIMIT) {
+      // Set 按插入顺序迭代，删除最早的签名
+      this.seen.delete(this.seen.values().next().value!);
+    }
+  }
 
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      await new Promise((resolve) => setTimeout(resolve, delayMs));
+  private emit(event: PumpEvent) {
+    for (const key of [event.type, "*"]) {
+      for (const handler of this.handlers.get(key) ?? []) {
+        try {
+          handler(event);
+        } catch (e) {
+          this.reportError(e);
+        }
+      }
+    }
+  }
 
+  private reportError(e: unknown) {
+    const error = e instanceof Error ? e : new Error(String(e));
+    this.status.lastError = error.message;
+    for (const handler of this.errorHandlers) {
       try {
-        console.log(`🔍 检查交易状态 (${attempt}/${maxAttempts})...`);
+        handler(error);
+      } catch {
+        // error 回调本身的异常不再上报，避免循环
+      }
+    }
+  }
+}
 
-        const txInfo = await this.connection.getTransaction(signature, {
-          commitment: "confirmed",
-          maxSupportedTransactionVersion: 0,
-        });
+/* ================= K 线聚合 ================= */
 
-        if (txInfo) {
-          if (txInfo.meta?.err) {
-            console.error("❌ 交易失败:", txInfo.meta.err);
-            throw new Error("交易失败: " + JSON.stringify(txInfo.meta.err));
-          }
+const CANDLE_INTERVAL_SECONDS: Record<CandleInterval, number> = {
+  "1s": 1,
+  "1m": 60,
+  "5m": 300,
+  "1h": 3600,
+};
 
-          console.log("✅ 交易已确认!");
-          return signature;
-        }
+const SEEN_TRADE_LIMIT = 5000;
+
+/**
+ * 把成交事件聚合为 OHLCV K 线
+ * 内盘 TradeEvent 和外盘 AmmTradeEvent 都按 SOL 计价，毕业前后价格连续
+ */
+export class CandleAggregator {
+  private intervals: CandleInterval[];
+  private maxCandles: number;
+  private solPriceUsd: number | undefined;
+  private candles: Map<CandleInterval, Map<number, Candle>>;
+  // 乱序成交（历史补齐）也要保证 open / close 正确
+  private bounds: Map<Candle, { first: number; last: number }>;
+  private seen: Set<string>;
+  private handlers: Set<(candle: Candle) => void>;
+
+  constructor(options: CandleAggregatorOptions = {}) {
+    this.intervals = options.intervals ?? ["1m"];
+    this.maxCandles = options.maxCandles ?? 1000;
+    this.solPriceUsd = options.solPriceUsd;
+    this.candles = new Map(this.intervals.map((i) => [i, new Map()]));
+    this.bounds = new Map();
+    this.seen = new Set();
+    this.handlers = new Set();
+  }
 
-        const currentBlockHeight =
-          await this.connection.getBlockHeight("finalized");
-        if (currentBlockHeight > lastValidBlockHeight) {
-          console.log("⚠️ 交易已过期（超过有效区块高度）");
-          throw new Error("交易过期：未在有效区块高度内确认");
-        }
-      } catch (error) {
-        const err = error as Error;
+  setSolPrice(usd: number) {
+    this.solPriceUsd = usd;
+  }
+
+  /**
+   * K 线更新时回调（同一根 K 线会多次回调）
+   */
+  onCandle(handler: (candle: Candle) => void): () => void {
+    this.handlers.add(handler);
+    return () => this.handlers.delete(handler);
+  }
+
+  /**
+   * 加入一笔成交，重复的成交会被忽略
+   * 不带 type 的事件（listenTrades 回调）按内盘成交处理
+   * @param solPriceUsd - 成交时的 SOL/USD 价格，默认使用当前价格；null 表示不计入 usd K 线
+   */
+  addTrade(
+    trade: TradeEvent | HistoricalTrade,
+    solPriceUsd: number | null = this.solPriceUsd ?? null,
+  ) {
+    const isAmm = "type" in trade && trade.type === "ammTrade";
+
+    let solAmount: bigint;
+    let tokenAmount: bigint;
+    if (isAmm) {
+      const fees = trade.lpFee + trade.protocolFee + trade.coinCreatorFee;
+      solAmount = trade.isBuy
+        ? trade.userQuoteAmount - fees
+        : trade.userQuoteAmount + fees;
+      tokenAmount = trade.baseAmount;
+    } else {
+      solAmount = (trade as TradeEvent).solAmount;
+      tokenAmount = (trade as TradeEvent).tokenAmount;
+    }
+    if (tokenAmount === 0n) return;
+
+    const key = `${trade.signature}:${tokenAmount}:${trade.isBuy}`;
+    if (this.seen.has(key)) return;
+    this.seen.add(key);
+    if (this.seen.size > SEEN_TRADE_LIMIT) {
+      this.seen.delete(this.seen.values().next().value!);
+    }
+
+    const sol = Number(solAmount) / 1e9;
+    const tokens = Number(tokenAmount) / 1e6;
+    const price = sol / tokens;
+    const usdPrice = solPriceUsd !== null ? price * solPriceUsd : undefined;
+
+    for (const interval of this.intervals) {
+      const size = CANDLE_INTERVAL_SECONDS[interval];
+      const start = Math.floor(trade.timestamp / size) * size;
+      const series = this.candles.get(interval)!;
+
+      let candle = series.get(start);
+      if (!candle) {
+        // K 线已满时早于保留窗口的成交直接忽略，否则新建后会被立即淘汰
         if (
-          err.message?.includes("交易失败") ||
-          err.message?.includes("交易过期")
-        ) {
-          throw error;
+          series.size >= this.maxCandles &&
+          start < Math.min(...series.keys())
+        )
+          continue;
+        candle = {
+          interval,
+          start,
+          open: price,
+          high: price,
+          low: price,
+          close: price,
+          volume: 0,
+          tokenVolume: 0,
+          trades: 0,
+          mode: isAmm ? "amm" : "bonding",
+        };
+        series.set(start, candle);
+        this.bounds.set(candle, {
+          first: trade.timestamp,
+          last: trade.timestamp,
+        });
+        this.trim(series);
+      }
+
+      const bound = this.bounds.get(candle)!;
+      if (trade.timestamp < bound.first) {
+        bound.first = trade.timestamp;
+        candle.open = price;
+        if (candle.usd && usdPrice !== undefined) candle.usd.open = usdPrice;
+      }
+      if (trade.timestamp >= bound.last) {
+        bound.last = trade.timestamp;
+        candle.close = price;
+        candle.mode = isAmm ? "amm" : "bonding";
+        if (candle.usd && usdPrice !== undefined) candle.usd.close = usdPrice;
+      }
+      candle.high = Math.max(candle.high, price);
+      candle.low = Math.min(candle.low, price);
+      candle.volume += sol;
+      candle.tokenVolume += tokens;
+      candle.trades++;
+
+      if (usdPrice !== undefined) {
+        if (!candle.usd) {
+          candle.usd = {
+            open: usdPrice,
+            high: usdPrice,
+            low: usdPrice,
+            close: usdPrice,
+            volume: 0,
+          };
         }
-        console.log(`⚠️ 查询出错，继续重试: ${err.message}`);
+        candle.usd.high = Math.max(candle.usd.high, usdPrice);
+        candle.usd.low = Math.min(candle.usd.low, usdPrice);
+        candle.usd.volume += sol * solPriceUsd!;
       }
+
+      for (const handler of this.handlers) handler(candle);
     }
+  }
 
-    throw new Error(
-      `交易确认超时（已尝试 ${maxAttempts} 次），签名: ${signature}。请手动检查交易状态。`,
-    );
+  /**
+   * 按时间顺序返回 K 线
+   */
+  getCandles(interval: CandleInterval): Candle[] {
+    const series = this.candles.get(interval);
+    if (!series) throw new Error(`Interval ${interval} is not aggregated`);
+    return [...series.values()].sort((a, b) => a.start - b.start);
   }
 
-  /* ---------- 事件监听 ---------- */
+  private trim(series: Map<number, Candle>) {
+    if (series.size <= this.maxCandles) return;
+    const oldest = Math.min(...series.keys());
+    this.bounds.delete(series.get(oldest)!);
+    series.delete(oldest);
+  }
+}
 
-  listenTrades(
-    callback: (event: TradeEvent) => void,
-    mintFilter?: PublicKey | null,
-  ) {
-    return this.connection.onLogs(
-      PROGRAM_IDS.PUMP,
-      (log) => {
-        for (const logLine of log.logs) {
-          if (!logLine.startsWith("Program data: ")) continue;
+/* ================= 持仓 ================= */
 
-          const buf = Buffer.from(
-            logLine.replace("Program data: ", ""),
-            "base64",
-          );
+/**
+ * 默认存储：Node.js 文件系统
+ * 模块名放在变量里按需加载，浏览器打包时不会引入 fs
+ */
+const FS_MODULE = "fs/promises";
+const fileStorage: PositionStorage = {
+  async read(path) {
+    const { readFile } = await import(FS_MODULE);
+    try {
+      return await readFile(path, "utf8");
+    } catch (e) {
+      if ((e as NodeJS.ErrnoException).code === "ENOENT") return null;
+      throw e;
+    }
+  },
+  async write(path, data) {
+    const { writeFile } = await import(FS_MODULE);
+    await writeFile(path, data);
+  },
+};
 
-          if (!buf.subarray(0, 8).equals(DISCRIMINATORS.TRADE_EVENT)) continue;
+const positionKey = (mint: string, quoteMint: string) => `${mint}:${quoteMint}`;
 
-          let offset = 8;
-          const mint = new PublicKey(buf.slice(offset, offset + 32));
-          offset += 32;
-
-          if (mintFilter && !mint.equals(mintFilter)) return;
-
-          const solAmount = buf.readBigUInt64LE(offset);
-          offset += 8;
-          const tokenAmount = buf.readBigUInt64LE(offset);
-          offset += 8;
-          const isBuy = buf[offset++] === 1;
-          const user = new PublicKey(buf.slice(offset, offset + 32));
-          offset += 32;
-          const timestamp = Number(buf.readBigInt64LE(offset));
-
-          callback({
-            mint: mint.toBase58(),
-            solAmount,
-            tokenAmount,
-            isBuy,
-            user: user.toBase58(),
-            timestamp,
-            signature: log.signature,
-          });
-        }
-      },
-      "confirmed",
-    );
+/**
+ * 记录自己的成交，按平均成本法计算持仓成本和已实现盈亏
+ * 同一代币按计价代币分别记账；可保存为 JSON 文件（或自定义存储），重启后继续使用
+ */
+export class PositionBook {
+  private positions: Map<string, Position>;
+  // 已记录的成交，避免重复记账
+  private recorded: Set<string>;
+
+  constructor() {
+    this.positions = new Map();
+    this.recorded = new Set();
   }
 
-  /* ---------- 元数据查询 ---------- */
+  /**
+   * 记录成交；传入 TradeResult 时使用 getTradeFills 写入的 fills
+   * @returns 新记录的成交数量
+   */
+  record(fills: TradeFill[] | TradeResult): number {
+    const list = Array.isArray(fills)
+      ? fills
+      : fills.pendingTransactions.flatMap((p) => p.fills ?? []);
+
+    let count = 0;
+    for (const fill of list) {
+      if (!fill.mint) continue;
+      const key = `${fill.signature}:${fill.side}:${fill.tokenAmount}`;
+      if (this.recorded.has(key)) continue;
+      this.recorded.add(key);
+      this.apply(fill.mint, fill);
+      count++;
+    }
+    return count;
+  }
 
-  async fetchMeta(tokenAddr: string): Promise<MetadataInfo | null> {
-    const mint = new PublicKey(tokenAddr);
+  /**
+   * @param quoteMint - 计价代币，不传时返回该代币的第一个持仓
+   */
+  get(mint: string, quoteMint?: string): Position | undefined {
+    if (quoteMint) return this.positions.get(positionKey(mint, quoteMint));
+    return this.all().find((p) => p.mint === mint);
+  }
 
-    try {
-      const metadata = await getTokenMetadata(
-        this.connection,
-        mint,
-        "confirmed",
-        TOKEN_2022_PROGRAM_ID,
-      );
+  all(): Position[] {
+    return [...this.positions.values()];
+  }
 
-      return {
-        name: metadata?.name || "",
-        symbol: metadata?.symbol || "",
-        uri: metadata?.uri || "",
-      };
-    } catch (e) {
-      const metadataPda = PublicKey.findProgramAddressSync(
-        [
-          Buffer.from("metadata"),
-          PROGRAM_IDS.METADATA.toBuffer(),
-          mint.toBuffer(),
-        ],
-        PROGRAM_IDS.METADATA,
-      )[0];
+  /**
+   * 按价格计算未实现盈亏，结果统一换算为 SOL
+   * @param prices - mint => { price（SOL / 每个代币）, completed }
+   * @param quotePrices - 非 SOL 计价代币的价格（SOL / 每个完整 quote 代币），缺少时跳过对应持仓
+   */
+  valuate(
+    prices: Map<string, { price: number; completed: boolean }>,
+    quotePrices: Map<string, number> = new Map(),
+  ): PositionPnl[] {
+    const sol = SOL_MINT.toBase58();
+    return this.all()
+      .filter(
+        (p) =>
+          prices.has(p.mint) &&
+          (p.quoteMint === sol || quotePrices.has(p.quoteMint)),
+      )
+      .map((p) => {
+        const { price, completed } = prices.get(p.mint)!;
+        const isSol = p.quoteMint === sol;
+        const quotePrice = isSol ? 1 : quotePrices.get(p.quoteMint)!;
+        const toSol = (amount: bigint) =>
+          (Number(amount) / 10 ** p.quoteDecimals) * quotePrice;
+        // 非 SOL 计价时交易费和租金不在 costBasis 中，单独扣除
+        const solCosts = isSol ? 0 : Number(p.networkFees + p.rent) / 1e9;
+
+        const marketValue = (Number(p.tokenAmount) / 1e6) * price;
+        const unrealizedPnl = marketValue - toSol(p.costBasis);
+        return {
+          ...p,
+          price,
+          completed,
+          marketValue,
+          unrealizedPnl,
+          totalPnl: unrealizedPnl + toSol(p.realizedPnl) - solCosts,
+        };
+      });
+  }
 
-      const acc = await this.connection.getAccountInfo(metadataPda);
-      if (!acc) return null;
+  toJSON() {
+    return {
+      version: 2,
+      positions: this.all().map((p) => ({
+        ...p,
+        tokenAmount: p.tokenAmount.toString(),
+        costBasis: p.costBasis.toString(),
+        realizedPnl: p.realizedPnl.toString(),
+        fees: p.fees.toString(),
+        networkFees: p.networkFees.toString(),
+        rent: p.rent.toString(),
+      })),
+      recorded: [...this.recorded],
+    };
+  }
 
-      const meta = parseMetadataAccount(acc.data);
+  static fromJSON(json: ReturnType<PositionBook["toJSON"]>): PositionBook {
+    const book = new PositionBook();
+    for (const p of json.positions) {
+      // version 1 只记录 SOL 计价的持仓
+      const quoteMint = p.quoteMint ?? SOL_MINT.toBase58();
+      book.positions.set(positionKey(p.mint, quoteMint), {
+        ...p,
+        quoteMint,
+        quoteDecimals: p.quoteDecimals ?? 9,
+        tokenAmount: BigInt(p.tokenAmount),
+        costBasis: BigInt(p.costBasis),
+        realizedPnl: BigInt(p.realizedPnl),
+        fees: BigInt(p.fees),
+        networkFees: BigInt(p.networkFees),
+        rent: BigInt(p.rent),
+      });
+    }
+    book.recorded = new Set(json.recorded);
+    return book;
+  }
 
-      return {
-        name: meta?.name?.replace(/\u0000/g, "") || "",
-        symbol: meta?.symbol?.replace(/\u0000/g, "") || "",
-        uri: meta?.uri?.replace(/\u0000/g, "") || "",
-      };
+  /**
+   * @param storage - 存储适配器，默认写入本地文件
+   */
+  async save(
+    path: string,
+    storage: PositionStorage = fileStorage,
+  ): Promise<void> {
+    await storage.write(path, JSON.stringify(this.toJSON(), null, 2));
+  }
+
+  /**
+   * 从 JSON 文件（或自定义存储）加载，不存在时返回空的 PositionBook
+   */
+  static async load(
+    path: string,
+    storage: PositionStorage = fileStorage,
+  ): Promise<PositionBook> {
+    const data = await storage.read(path);
+    return data === null
+      ? new PositionBook()
+      : PositionBook.fromJSON(JSON.parse(data));
+  }
+
+  private apply(mint: string, fill: TradeFill) {
+    const key = positionKey(mint, fill.quoteMint);
+    const position = this.positions.get(key) ?? {
+      mint,
+      quoteMint: fill.quoteMint,
+      quoteDecimals: fill.quoteDecimals,
+      tokenAmount: 0n,
+      costBasis: 0n,
+      realizedPnl: 0n,
+      fees: 0n,
+      networkFees: 0n,
+      rent: 0n,
+      buys: 0,
+      sells: 0,
+      updatedAt: 0,
+    };
+    const networkFee = fill.networkFee ?? 0n;
+    const rent = fill.rentPaid ?? 0n;
+    // 交易费和租金以 lamports 计，只有 SOL 计价时才计入成本
+    const solCosts =
+      fill.quoteMint === SOL_MINT.toBase58() ? networkFee + rent : 0n;
+
+    if (fill.side === "buy") {
+      position.tokenAmount += fill.tokenAmount;
+      position.costBasis += fill.quoteAmount + solCosts;
+      position.buys++;
+    } else {
+      // 卖出超过记录的持仓时（例如在别处买入），超出部分按零成本处理
+      const sold =
+        fill.tokenAmount < position.tokenAmount
+          ? fill.tokenAmount
+          : position.tokenAmount;
+      const costSold =
+        position.tokenAmount === 0n
+          ? 0n
+          : (position.costBasis * sold) / position.tokenAmount;
+      position.realizedPnl += fill.quoteAmount - solCosts - costSold;
+      position.costBasis -= costSold;
+      position.tokenAmount -= sold;
+      position.sells++;
     }
+
+    position.fees += fill.fees.totalFee;
+    position.networkFees += networkFee;
+    position.rent += rent;
+    position.updatedAt =
+      (fill.blockTime ?? Math.floor(Date.now() / 1000)) * 1000;
+    this.positions.set(key, position);
+  }
+}
+
+/* ================= 条件单 ================= */
+
+/**
+ * 本地条件单引擎：止盈阶梯、止损、移动止损、到期卖出
+ * 价格源和执行函数都通过构造参数注入
+ */
+export class OrderEngine {
+  private options: OrderEngineOptions;
+  private orders: Map<string, ConditionalOrder>;
+  private feeds: Map<string, () => void>;
+  private busy: Set<string>;
+  private timer: ReturnType<typeof setInterval> | null;
+  private nextId: number;
+
+  constructor(options: OrderEngineOptions) {
+    this.options = options;
+    this.orders = new Map();
+    this.feeds = new Map();
+    this.busy = new Set();
+    this.timer = null;
+    this.nextId = 1;
   }
 
   /**
-   * 获取原始 wallet 对象（Keypair 或前端 WalletAdapter）
+   * 下条件单，返回订单 id
    */
-  getWallet(): Wallet {
-    return this._wallet;
+  place(params: ConditionalOrderParams): string {
+    if (params.amount <= 0n) throw new Error("Order amount must be positive");
+    if (
+      !params.takeProfit?.length &&
+      !params.stopLoss &&
+      !params.trailingStop &&
+      params.expireAt === undefined
+    ) {
+      throw new Error("Order has no exit rule");
+    }
+
+    const id = String(this.nextId++);
+    this.orders.set(id, {
+      ...params,
+      id,
+      status: "active",
+      remaining: params.amount,
+      attempts: 0,
+      filledLevels: [],
+      executions: [],
+    });
+
+    if (!this.feeds.has(params.mint)) {
+      this.feeds.set(
+        params.mint,
+        this.options.feed.subscribe(params.mint, (price) =>
+          this.onPrice(params.mint, price),
+        ),
+      );
+    }
+    if (params.expireAt !== undefined && !this.timer) {
+      this.timer = setInterval(
+        () => this.checkExpiry(),
+        this.options.timerMs ?? 1000,
+      );
+      this.timer.unref?.();
+    }
+    return id;
   }
 
-  getPublicKey(): PublicKey {
-    return this.publicKey;
+  cancel(id: string): boolean {
+    const order = this.orders.get(id);
+    if (!order || order.status !== "active") return false;
+    order.status = "cancelled";
+    this.release(order.mint);
+    return true;
   }
 
-  getConnection() {
-    return this.connection;
+  get(id: string): ConditionalOrder | undefined {
+    return this.orders.get(id);
+  }
+
+  list(): ConditionalOrder[] {
+    return [...this.orders.values()];
   }
 
   /**
-   * 清除token program缓存
+   * 取消所有条件单并停止价格订阅
    */
-  clearTokenProgramCache(tokenAddr: string) {
-    if (tokenAddr) {
-      this.tokenProgramCache.delete(tokenAddr);
-    } else {
-      this.tokenProgramCache.clear();
+  stop() {
+    for (const order of this.orders.values()) {
+      if (order.status === "active") order.status = "cancelled";
     }
+    for (const unsubscribe of this.feeds.values()) unsubscribe();
+    this.feeds.clear();
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
   }
 
   /**
-   * 获取缓存的token program信息
+   * 处理一次价格更新（价格源回调，也可以手动调用）
    */
-  getCachedTokenProgram(tokenAddr: string) {
-    return this.tokenProgramCache.get(tokenAddr);
+  async onPrice(mint: string, price: number): Promise<void> {
+    const active = this.list().filter(
+      (o) => o.mint === mint && o.status === "active",
+    );
+    await Promise.all(active.map((order) => this.evaluate(order, price)));
+  }
+
+  /**
+   * 检查到期的条件单
+   */
+  async checkExpiry(): Promise<void> {
+    const now = this.now();
+    const expired = this.list().filter(
+      (o) =>
+        o.status === "active" && o.expireAt !== undefined && now >= o.expireAt,
+    );
+    await Promise.all(
+      expired.map((o) => this.fire(o, "expire", o.remaining, o.lastPrice ?? 0)),
+    );
+  }
+
+  private async evaluate(order: ConditionalOrder, price: number) {
+    order.lastPrice = price;
+
+    const trailing = order.trailingStop;
+    if (
+      trailing &&
+      (order.highWater !== undefined ||
+        trailing.activationPrice === undefined ||
+        price >= trailing.activationPrice)
+    ) {
+      order.highWater = Math.max(order.highWater ?? price, price);
+    }
+
+    if (order.expireAt !== undefined && this.now() >= order.expireAt) {
+      return this.fire(order, "expire", order.remaining, price);
+    }
+
+    if (
+      order.stopLoss &&
+      !order.stopTriggered &&
+      price <= order.stopLoss.price
+    ) {
+      return this.fire(
+        order,
+        "stopLoss",
+        this.portion(order, order.stopLoss.sizeBps),
+        price,
+      );
+    }
+
+    if (
+      trailing &&
+      order.highWater !== undefined &&
+      price <= order.highWater * (1 - trailing.trailBps / 10_000)
+    ) {
+      return this.fire(order, "trailingStop", order.remaining, price);
+    }
+
+    // 一次价格跳过多个档位时合并卖出
+    const levels = (order.takeProfit ?? [])
+      .map((level, index) => ({ ...level, index }))
+      .filter((l) => price >= l.price && !order.filledLevels.includes(l.index));
+    if (levels.length > 0) {
+      const sizeBps = levels.reduce((sum, l) => sum + l.sizeBps, 0);
+      await this.fire(
+        order,
+        "takeProfit",
+        this.portion(order, sizeBps),
+        price,
+        levels.map((l) => l.index),
+      );
+    }
+  }
+
+  /** 按原始数量计算 sizeBps 对应的数量，不超过剩余数量 */
+  private portion(order: ConditionalOrder, sizeBps?: number): bigint {
+    if (sizeBps === undefined) return order.remaining;
+    const amount = (order.amount * BigInt(sizeBps)) / 10_000n;
+    return amount < order.remaining ? amount : order.remaining;
+  }
+
+  private async fire(
+    order: ConditionalOrder,
+    trigger: OrderTrigger,
+    amount: bigint,
+    price: number,
+    levels: number[] = [],
+  ) {
+    // 同一订单同时只执行一笔，避免连续的价格更新重复卖出
+    if (this.busy.has(order.id) || amount <= 0n) return;
+    if (order.retryAt !== undefined && this.now() < order.retryAt) return;
+    this.busy.add(order.id);
+
+    const execution: OrderExecution = {
+      trigger,
+      amount,
+      price,
+      timestamp: this.now(),
+    };
+    try {
+      const result = await this.options.execute(order, amount);
+      execution.result = result;
+      if (result.pendingTransactions.length === 0) {
+        throw new Error(
+          result.failedTransactions[0]?.error ?? "No transaction sent",
+        );
+      }
+
+      // 只扣除确认上链的拆单，失败或过期的部分保留在 remaining 中
+      const confirmation = await this.options.confirm(result);
+      const filled = result.pendingTransactions
+        .filter((_, i) => confirmation.chunks[i]?.status === "confirmed")
+        .reduce((sum, p) => sum + (p.amountIn ?? 0n), 0n);
+      if (filled === 0n) {
+        throw new Error(
+          confirmation.chunks.find((c) => c.error)?.error ??
+            "No transaction confirmed",
+        );
+      }
+
+      execution.filledAmount = filled < amount ? filled : amount;
+      if (filled < amount) {
+        execution.error = `Partially filled: ${filled} of ${amount}`;
+      }
+      order.remaining -= execution.filledAmount;
+      order.attempts = 0;
+      order.retryAt = undefined;
+      // 部分成交时档位同样视为已触发，未成交部分由其他规则处理
+      order.filledLevels.push(...levels);
+      if (trigger === "stopLoss") order.stopTriggered = true;
+      if (order.remaining <= 0n) {
+        order.status = "filled";
+        this.release(order.mint);
+      }
+    } catch (e) {
+      execution.error = (e as Error).message;
+      this.scheduleRetry(order);
+    } finally {
+      this.busy.delete(order.id);
+    }
+
+    order.executions.push(execution);
+    this.options.onExecution?.(order, execution);
+  }
+
+  /**
+   * 失败后按指数退避等待重试，连续失败达到上限时标记为 failed
+   */
+  private scheduleRetry(order: ConditionalOrder) {
+    order.attempts++;
+    if (order.attempts >= (this.options.maxAttempts ?? 3)) {
+      order.status = "failed";
+      order.retryAt = undefined;
+      this.release(order.mint);
+      return;
+    }
+    const delay =
+      (this.options.retryDelayMs ?? 5000) * 2 ** (order.attempts - 1);
+    order.retryAt = this.now() + delay;
+  }
+
+  private release(mint: string) {
+    const stillActive = this.list().some(
+      (o) => o.mint === mint && o.status === "active",
+    );
+    if (stillActive) return;
+    this.feeds.get(mint)?.();
+    this.feeds.delete(mint);
+  }
+
+  private now(): number {
+    return (this.options.now ?? Date.now)();
   }
 }
 
@@ -2900,4 +8875,58 @@ export type {
   TokenProgramType,
   PoolInfo,
   MetadataInfo,
+  QuoteReserves,
+  ChunkQuote,
+  TradeQuote,
+  FeeRates,
+  FeeBreakdown,
+  FeeTier,
+  FeeConfigState,
+  SimulationResult,
+  SimulatedTransaction,
+  TradeContext,
+  ConfirmTradeOptions,
+  ChunkConfirmation,
+  TradeConfirmation,
+  TradeFill,
+  EventMeta,
+  TokenCreatedEvent,
+  CurveCompletedEvent,
+  PoolMigratedEvent,
+  PoolCreatedEvent,
+  AmmTradeEvent,
+  CreatorFeeCollectedEvent,
+  PumpEvent,
+  PumpEventType,
+  EventStreamOptions,
+  ListenerHealth,
+  ListenerHandle,
+  HistoricalTrade,
+  TradeHistoryCursor,
+  TradeHistoryOptions,
+  CandleInterval,
+  CandleOHLCV,
+  Candle,
+  CandleAggregatorOptions,
+  Position,
+  PositionPnl,
+  PositionStorage,
+  PriceFeed,
+  ConditionalOrderParams,
+  ConditionalOrder,
+  OrderTrigger,
+  OrderExecution,
+  OrderEngineOptions,
+  ScheduleParams,
+  ScheduleProgress,
+  ScheduledOrder,
+  CreateTokenParams,
+  CreateTokenResult,
+  CreatorFeeBalance,
+  CreatorFees,
+  CreatorFeeCollectResult,
+  Shareholder,
+  SharingConfig,
+  VolumeAccumulatorStats,
+  UserVolumeStats,
 };
@@ -0,0 +1,112 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Keypair, PublicKey, type AccountInfo } from "@solana/web3.js";
+import type { TradeOptions } from "../index";
+import {
+  PUMP,
+  SOL,
+  SOL_MINT,
+  TOKEN_2022_PROGRAM,
+  TOKEN_PROGRAM,
+  accountRpc,
+  addBondingCurve,
+  addMint,
+  batchWallet,
+  createTrader,
+  instructionsOf,
+  sendRpc,
+} from "./helpers";
+
+const tradeOpt: TradeOptions = {
+  maxSolPerTx: SOL,
+  slippage: { base: 100 },
+  priority: { base: 1000 },
+  computeUnits: { mode: "fixed", units: 200_000 },
+};
+
+const COLLECT_CREATOR_FEE_V2 = Buffer.from([207, 17, 138, 242, 4, 34, 19, 56]);
+
+test("sequential chunks are signed one at a time, parallel chunks together", async () => {
+  const mint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addBondingCurve(accounts, mint);
+  addMint(accounts, mint);
+  const send = sendRpc();
+  const { wallet, calls, singles } = batchWallet();
+  const t = createTrader({ ...accountRpc(accounts), ...send.rpc }, wallet);
+
+  // 顺序模式每笔拆单按前一笔成交后的储备报价，不能提前统一签名
+  const sequential = await t.buy(mint.toBase58(), 3n * SOL, tradeOpt);
+  assert.deepEqual(calls, []);
+  assert.equal(singles.count, 3);
+  assert.deepEqual(
+    sequential.pendingTransactions.map((p) => [p.index, p.signature]),
+    [
+      [0, "sig-1"],
+      [1, "sig-2"],
+      [2, "sig-3"],
+    ],
+  );
+
+  await t.buy(mint.toBase58(), 3n * SOL, {
+    ...tradeOpt,
+    execution: { mode: "parallel" },
+  });
+  assert.deepEqual(calls, [3]);
+  assert.equal(singles.count, 3);
+});
+
+test("collectCreatorFeeV2 signs every quote mint in one prompt", async () => {
+  const quoteMint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addMint(accounts, quoteMint, { program: TOKEN_2022_PROGRAM });
+  const send = sendRpc();
+  const { wallet, calls } = batchWallet();
+  const order: string[] = [];
+  const t = createTrader(
+    {
+      ...accountRpc(accounts),
+      ...send.rpc,
+      sendRawTransaction: async (raw: Uint8Array) => {
+        const signature = await send.rpc.sendRawTransaction(raw);
+        order.push(`send ${signature}`);
+        return signature;
+      },
+      getTransaction: async (signature: string) => {
+        order.push(`confirm ${signature}`);
+        return { meta: { err: null } };
+      },
+      getBlockHeight: async () => 1,
+    },
+    wallet,
+  );
+  const creator = Keypair.generate().publicKey;
+
+  const signatures = await t.collectCreatorFeeV2(creator, [
+    SOL_MINT,
+    quoteMint,
+  ]);
+  assert.deepEqual(signatures, ["sig-1", "sig-2"]);
+  assert.deepEqual(calls, [2]);
+  // 全部发送后再确认，后面的交易不会在等待中过期
+  assert.deepEqual(order, [
+    "send sig-1",
+    "send sig-2",
+    "confirm sig-1",
+    "confirm sig-2",
+  ]);
+
+  const [sol, other] = send.sent.map((raw) => instructionsOf(raw, PUMP)[0]);
+  assert.deepEqual(sol.data, COLLECT_CREATOR_FEE_V2);
+  assert.ok(sol.keys[0].pubkey.equals(creator));
+  assert.ok(sol.keys[4].pubkey.equals(SOL_MINT));
+  assert.ok(sol.keys[5].pubkey.equals(TOKEN_PROGRAM));
+  assert.ok(other.keys[4].pubkey.equals(quoteMint));
+  assert.ok(other.keys[5].pubkey.equals(TOKEN_2022_PROGRAM));
+  assert.ok(sol.keys[9].pubkey.equals(PUMP));
+  const [vault] = PublicKey.findProgramAddressSync(
+    [Buffer.from("creator-vault"), creator.toBuffer()],
+    PUMP,
+  );
+  assert.ok(sol.keys[2].pubkey.equals(vault));
+});
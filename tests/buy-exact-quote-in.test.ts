@@ -0,0 +1,122 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Keypair, type AccountInfo } from "@solana/web3.js";
+import type { TradeOptions } from "../index";
+import {
+  PUMP,
+  SOL,
+  TOKEN_2022_PROGRAM,
+  accountRpc,
+  addBondingCurve,
+  addMint,
+  createTrader,
+  instructionsOf,
+  sendRpc,
+} from "./helpers";
+
+const BUY_V2 = Buffer.from([184, 23, 238, 97, 103, 197, 211, 61]);
+const BUY_EXACT_QUOTE_IN_V2 = Buffer.from([194, 171, 28, 70, 104, 77, 91, 47]);
+
+const tradeOpt: TradeOptions = {
+  maxSolPerTx: SOL,
+  slippage: { base: 100 },
+  priority: { base: 1000 },
+};
+
+function setup() {
+  const mint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addBondingCurve(accounts, mint);
+  addMint(accounts, mint);
+  const send = sendRpc();
+  const t = createTrader({ ...accountRpc(accounts), ...send.rpc });
+  return { t, mint: mint.toBase58(), sent: send.sent };
+}
+
+/** 每笔交易中 Pump 程序指令的数据 */
+function pumpData(sent: Buffer[]) {
+  return sent.map((raw) => {
+    const [ix] = instructionsOf(raw, PUMP);
+    return {
+      discriminator: ix.data.subarray(0, 8),
+      quoteIn: ix.data.readBigUInt64LE(8),
+      minTokensOut: ix.data.readBigUInt64LE(16),
+      keys: ix.keys,
+    };
+  });
+}
+
+test("buyExactQuoteInV2 spends exact chunks and splits minTokensOut pro rata", async () => {
+  const { t, mint, sent } = setup();
+  const quote = await t.quoteBuy(mint, (5n * SOL) / 2n, tradeOpt);
+  const result = await t.buyExactQuoteInV2(
+    mint,
+    (5n * SOL) / 2n,
+    1_000n,
+    tradeOpt,
+  );
+
+  assert.equal(result.failedTransactions.length, 0);
+  assert.equal(result.pendingTransactions.length, 3);
+  const data = pumpData(sent);
+  for (const ix of data) {
+    assert.deepEqual(ix.discriminator, BUY_EXACT_QUOTE_IN_V2);
+  }
+  assert.deepEqual(
+    data.map((ix) => ix.quoteIn),
+    [SOL, SOL, SOL / 2n],
+  );
+  // 按各笔拆单的预期成交分配，最后一笔补齐取整差额
+  const [a, b] = quote.chunks.map((c) => c.expectedOut);
+  const first = (1_000n * a) / quote.expectedOut;
+  const second = (1_000n * b) / quote.expectedOut;
+  assert.deepEqual(
+    data.map((ix) => ix.minTokensOut),
+    [first, second, 1_000n - first - second],
+  );
+  assert.ok(first > second);
+});
+
+test("buy_exact_quote_in_v2 uses the buy_v2 account list", async () => {
+  const { t, mint, sent } = setup();
+  await t.buyV2(mint, SOL, tradeOpt);
+  await t.buyExactQuoteInV2(mint, SOL, 1n, tradeOpt);
+
+  const [buyV2, exact] = pumpData(sent);
+  assert.deepEqual(buyV2.discriminator, BUY_V2);
+  assert.deepEqual(
+    exact.keys.map((k) => [k.pubkey.toBase58(), k.isSigner, k.isWritable]),
+    buyV2.keys.map((k) => [k.pubkey.toBase58(), k.isSigner, k.isWritable]),
+  );
+});
+
+test("autoBuy with V2 spends the exact quote and derives minTokensOut from the quote", async () => {
+  const { t, mint, sent } = setup();
+  const quote = await t.quoteBuy(mint, SOL, tradeOpt);
+  await t.autoBuy(mint, SOL, tradeOpt, true);
+
+  const [ix] = pumpData(sent);
+  assert.deepEqual(ix.discriminator, BUY_EXACT_QUOTE_IN_V2);
+  assert.equal(ix.quoteIn, SOL);
+  const [chunk] = quote.chunks;
+  assert.equal(
+    ix.minTokensOut,
+    (chunk.expectedOut * BigInt(10_000 - chunk.slippageBps)) / 10_000n,
+  );
+});
+
+test("V2 trades use the quote mint's token program", async () => {
+  const mint = Keypair.generate().publicKey;
+  const quoteMint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addBondingCurve(accounts, mint, { flags: { quoteMint } });
+  addMint(accounts, mint);
+  addMint(accounts, quoteMint, { program: TOKEN_2022_PROGRAM });
+  const send = sendRpc();
+  const t = createTrader({ ...accountRpc(accounts), ...send.rpc });
+
+  await t.buyExactQuoteInV2(mint.toBase58(), SOL, 1n, tradeOpt, quoteMint);
+  const [ix] = pumpData(send.sent);
+  assert.deepEqual(ix.discriminator, BUY_EXACT_QUOTE_IN_V2);
+  assert.ok(ix.keys.some((k) => k.pubkey.equals(TOKEN_2022_PROGRAM)));
+});
@@ -0,0 +1,163 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { CandleAggregator } from "../index";
+import type { Candle, HistoricalTrade, TradeEvent } from "../index";
+
+let counter = 0;
+
+/** 价格 = sol / tokens（SOL / 每个代币） */
+function trade(timestamp: number, sol: number, tokens = 1): TradeEvent {
+  counter++;
+  return {
+    mint: "mint",
+    solAmount: BigInt(Math.round(sol * 1e9)),
+    tokenAmount: BigInt(tokens * 1e6),
+    isBuy: true,
+    user: "user",
+    timestamp,
+    signature: `sig-${counter}`,
+    virtualSolReserves: 0n,
+    virtualTokenReserves: 0n,
+    realSolReserves: 0n,
+    realTokenReserves: 0n,
+    feeRecipient: "fee",
+    feeBasisPoints: 0n,
+    fee: 0n,
+    creatorFeeBasisPoints: 0n,
+    creatorFee: 0n,
+    mayhemMode: false,
+    cashbackFeeBasisPoints: 0n,
+    cashback: 0n,
+  };
+}
+
+test("aggregates OHLCV and keeps open / close for out-of-order trades", () => {
+  const aggregator = new CandleAggregator({ intervals: ["1m"] });
+  aggregator.addTrade(trade(30, 2));
+  aggregator.addTrade(trade(10, 1));
+  aggregator.addTrade(trade(50, 3));
+  aggregator.addTrade(trade(20, 0.5));
+
+  const [candle] = aggregator.getCandles("1m");
+  assert.equal(candle.start, 0);
+  assert.equal(candle.open, 1);
+  assert.equal(candle.close, 3);
+  assert.equal(candle.high, 3);
+  assert.equal(candle.low, 0.5);
+  assert.equal(candle.trades, 4);
+  assert.equal(candle.volume, 6.5);
+  assert.equal(candle.tokenVolume, 4);
+  assert.equal(candle.mode, "bonding");
+});
+
+test("ignores duplicate trades", () => {
+  const aggregator = new CandleAggregator();
+  const t = trade(10, 1);
+  aggregator.addTrade(t);
+  aggregator.addTrade(t);
+  assert.equal(aggregator.getCandles("1m")[0].trades, 1);
+});
+
+test("each interval gets its own candles and notifies onCandle", () => {
+  const aggregator = new CandleAggregator({ intervals: ["1m", "5m"] });
+  const updates: Candle[] = [];
+  const off = aggregator.onCandle((c) => updates.push(c));
+  aggregator.addTrade(trade(30, 1));
+  aggregator.addTrade(trade(90, 2));
+
+  assert.equal(aggregator.getCandles("1m").length, 2);
+  const [fiveMinutes] = aggregator.getCandles("5m");
+  assert.equal(fiveMinutes.trades, 2);
+  assert.equal(fiveMinutes.close, 2);
+  assert.equal(updates.length, 4);
+
+  off();
+  aggregator.addTrade(trade(100, 1));
+  assert.equal(updates.length, 4);
+  assert.throws(() => aggregator.getCandles("1h"), /not aggregated/);
+});
+
+test("AMM trades are priced without the swap fees", () => {
+  const aggregator = new CandleAggregator({ intervals: ["1m"] });
+  const swap: HistoricalTrade = {
+    type: "ammTrade",
+    signature: "amm",
+    slot: 1,
+    isBuy: true,
+    timestamp: 10,
+    pool: "pool",
+    user: "user",
+    baseAmount: 2_000_000n,
+    userQuoteAmount: 1_003_000_000n,
+    poolBaseTokenReserves: 0n,
+    poolQuoteTokenReserves: 0n,
+    lpFee: 2_000_000n,
+    protocolFee: 500_000n,
+    coinCreator: "creator",
+    coinCreatorFee: 500_000n,
+  };
+  aggregator.addTrade(swap);
+
+  const [candle] = aggregator.getCandles("1m");
+  assert.equal(candle.mode, "amm");
+  assert.equal(candle.close, 0.5);
+  assert.equal(candle.volume, 1);
+});
+
+test("evicts the oldest candle when a newer one is created", () => {
+  const aggregator = new CandleAggregator({ intervals: ["1m"], maxCandles: 2 });
+  aggregator.addTrade(trade(0, 1));
+  aggregator.addTrade(trade(60, 1));
+  aggregator.addTrade(trade(120, 1));
+
+  assert.deepEqual(
+    aggregator.getCandles("1m").map((c) => c.start),
+    [60, 120],
+  );
+});
+
+test("drops trades older than the retained window", () => {
+  const aggregator = new CandleAggregator({ intervals: ["1m"], maxCandles: 2 });
+  const updates: Candle[] = [];
+  aggregator.onCandle((c) => updates.push(c));
+  aggregator.addTrade(trade(600, 1));
+  aggregator.addTrade(trade(660, 1));
+  aggregator.addTrade(trade(60, 1));
+
+  // 过旧的成交不会挤掉已有的 K 线
+  assert.deepEqual(
+    aggregator.getCandles("1m").map((c) => c.start),
+    [600, 660],
+  );
+  assert.equal(updates.length, 2);
+});
+
+test("converts to usd with the SOL price", () => {
+  const aggregator = new CandleAggregator({
+    intervals: ["1m"],
+    solPriceUsd: 100,
+  });
+  aggregator.addTrade(trade(0, 2));
+  aggregator.setSolPrice(150);
+  aggregator.addTrade(trade(10, 1));
+
+  const [candle] = aggregator.getCandles("1m");
+  assert.equal(candle.usd?.open, 200);
+  assert.equal(candle.usd?.close, 150);
+  assert.equal(candle.usd?.volume, 350);
+});
+
+test("converts to usd only when a SOL price is available", () => {
+  const aggregator = new CandleAggregator({
+    intervals: ["1m"],
+    solPriceUsd: 100,
+  });
+  aggregator.addTrade(trade(0, 2));
+  // 补齐的历史成交没有当时的 SOL 价格
+  aggregator.addTrade(trade(60, 1), null);
+
+  const [live, backfilled] = aggregator.getCandles("1m");
+  assert.equal(live.usd?.close, 200);
+  assert.equal(live.usd?.volume, 200);
+  assert.equal(backfilled.usd, undefined);
+});
@@ -0,0 +1,116 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Keypair, type AccountInfo } from "@solana/web3.js";
+import type { TradeOptions } from "../index";
+import {
+  SOL,
+  accountRpc,
+  addBondingCurve,
+  addMint,
+  computeBudgetOf,
+  createTrader,
+  sendRpc,
+} from "./helpers";
+
+const tradeOpt: TradeOptions = {
+  maxSolPerTx: SOL,
+  slippage: { base: 100 },
+  priority: { base: 1000 },
+};
+
+/** simulateTransaction 返回 unitsConsumed，为 null 时模拟失败 */
+function setup(unitsConsumed: number | null) {
+  const mint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addBondingCurve(accounts, mint);
+  addMint(accounts, mint);
+  const send = sendRpc();
+  let simulations = 0;
+  const t = createTrader({
+    ...accountRpc(accounts),
+    ...send.rpc,
+    simulateTransaction: async () => {
+      simulations++;
+      return {
+        context: { slot: 1 },
+        value: {
+          err:
+            unitsConsumed === null ? { InstructionError: [2, "Custom"] } : null,
+          logs: [],
+          unitsConsumed: unitsConsumed ?? 0,
+        },
+      };
+    },
+  });
+  return {
+    t,
+    mint: mint.toBase58(),
+    sent: send.sent,
+    simulations: () => simulations,
+  };
+}
+
+test("auto mode sizes the limit from simulation plus the margin", async () => {
+  const { t, mint, sent } = setup(100_000);
+  const result = await t.buy(mint, SOL, {
+    ...tradeOpt,
+    computeUnits: { mode: "auto" },
+  });
+
+  // 默认余量 15%
+  assert.equal(computeBudgetOf(sent[0]).unitLimit, 115_000);
+  assert.equal(result.pendingTransactions[0].computeUnitLimit, 115_000);
+
+  await t.buy(mint, SOL, {
+    ...tradeOpt,
+    computeUnits: { mode: "auto", marginBps: 0, min: 120_000 },
+  });
+  assert.equal(computeBudgetOf(sent[1]).unitLimit, 120_000);
+});
+
+test("estimates are cached per transaction path", async () => {
+  const { t, mint, simulations } = setup(80_000);
+  const opt: TradeOptions = { ...tradeOpt, computeUnits: { mode: "auto" } };
+
+  await t.buy(mint, 3n * SOL, opt);
+  assert.equal(simulations(), 1);
+
+  // 卖出是另一条路径
+  await t.sell(mint, 1_000_000n, opt);
+  assert.equal(simulations(), 2);
+
+  t.clearComputeUnitCache();
+  await t.buy(mint, SOL, opt);
+  assert.equal(simulations(), 3);
+});
+
+test("a failed estimate keeps the builder's default limit", async () => {
+  const { t, mint, sent } = setup(null);
+  await t.buy(mint, SOL, { ...tradeOpt, computeUnits: { mode: "auto" } });
+  assert.equal(computeBudgetOf(sent[0]).unitLimit, 200_000);
+});
+
+test("fixed mode uses the given units without simulating", async () => {
+  const { t, mint, sent, simulations } = setup(100_000);
+  await t.buy(mint, SOL, {
+    ...tradeOpt,
+    computeUnits: { mode: "fixed", units: 90_000 },
+  });
+  await t.buy(mint, SOL, {
+    ...tradeOpt,
+    computeUnits: { mode: "fixed", units: 2_000_000 },
+  });
+
+  assert.equal(simulations(), 0);
+  assert.equal(computeBudgetOf(sent[0]).unitLimit, 90_000);
+  // 不超过单笔交易的上限
+  assert.equal(computeBudgetOf(sent[1]).unitLimit, 1_400_000);
+});
+
+test("without computeUnits the builder's default limit is used unsimulated", async () => {
+  const { t, mint, sent, simulations } = setup(100_000);
+  await t.buy(mint, SOL, tradeOpt);
+
+  assert.equal(simulations(), 0);
+  assert.equal(computeBudgetOf(sent[0]).unitLimit, 200_000);
+});
@@ -0,0 +1,229 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Keypair, Transaction, type AccountInfo } from "@solana/web3.js";
+import type { TradeOptions } from "../index";
+import {
+  PUMP,
+  SOL,
+  accountRpc,
+  addBondingCurve,
+  addMint,
+  computeBudgetOf,
+  createTrader,
+  sendRpc,
+} from "./helpers";
+
+const LAST_VALID_BLOCK_HEIGHT = 1_000;
+
+const tradeOpt: TradeOptions = {
+  maxSolPerTx: SOL,
+  slippage: { base: 100 },
+  priority: { base: 1000, escalation: [1, 2, 3] },
+  computeUnits: { mode: "fixed", units: 200_000 },
+};
+
+type Status = {
+  slot: number;
+  confirmations: number | null;
+  err: unknown;
+  confirmationStatus?: "processed" | "confirmed" | "finalized";
+} | null;
+
+/**
+ * statuses 按签名给出 getSignatureStatuses 的结果（未给出的为 null），
+ * chain.blockHeight 为 getBlockHeight 返回的当前高度
+ */
+function setup() {
+  const mint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addBondingCurve(accounts, mint);
+  addMint(accounts, mint);
+  const send = sendRpc(LAST_VALID_BLOCK_HEIGHT);
+  const statuses = new Map<string, Status>();
+  const chain = { blockHeight: 900, polls: 0 };
+  const t = createTrader({
+    ...accountRpc(accounts),
+    ...send.rpc,
+    getSignatureStatuses: async (signatures: string[]) => {
+      chain.polls++;
+      return {
+        context: { slot: 1 },
+        value: signatures.map((s) => statuses.get(s) ?? null),
+      };
+    },
+    getBlockHeight: async () => chain.blockHeight,
+  });
+  return { t, mint: mint.toBase58(), sent: send.sent, statuses, chain };
+}
+
+const status = (
+  confirmationStatus: "processed" | "confirmed" | "finalized",
+  err: unknown = null,
+): Status => ({ slot: 42, confirmations: 1, err, confirmationStatus });
+
+test("each chunk resolves to confirmed, failed or expired", async () => {
+  const { t, mint, sent, statuses, chain } = setup();
+  const result = await t.buy(mint, 3n * SOL, tradeOpt);
+  const pumpIndex = Transaction.from(sent[1]).instructions.findIndex((ix) =>
+    ix.programId.equals(PUMP),
+  );
+
+  statuses.set("sig-1", status("confirmed"));
+  statuses.set(
+    "sig-2",
+    status("processed", { InstructionError: [pumpIndex, { Custom: 6002 }] }),
+  );
+  chain.blockHeight = LAST_VALID_BLOCK_HEIGHT + 1;
+
+  const confirmation = await t.confirmTradeResult(result, {
+    pollIntervalMs: 0,
+    rebroadcast: false,
+  });
+  assert.deepEqual(
+    confirmation.chunks.map((c) => [c.index, c.status]),
+    [
+      [0, "confirmed"],
+      [1, "failed"],
+      [2, "expired"],
+    ],
+  );
+  assert.equal(confirmation.chunks[0].slot, 42);
+  // 从已签名交易中找到出错指令所属的程序
+  const failed = confirmation.chunks[1].programError!;
+  assert.equal(failed.program, "pump");
+  assert.equal(failed.errorName, "TooMuchSolRequired");
+  assert.equal(confirmation.chunks[1].error, failed.message);
+  assert.equal(confirmation.confirmed, 1);
+  assert.equal(confirmation.failed, 1);
+  assert.equal(confirmation.expired, 1);
+});
+
+test("finalized commitment waits past confirmed", async () => {
+  const { t, mint, statuses, chain } = setup();
+  const result = await t.buy(mint, SOL, tradeOpt);
+  statuses.set("sig-1", status("confirmed"));
+
+  const pending = t.confirmTradeResult(result, {
+    commitment: "finalized",
+    pollIntervalMs: 0,
+    rebroadcast: false,
+  });
+  while (chain.polls < 3) await new Promise((r) => setImmediate(r));
+  statuses.set("sig-1", status("finalized"));
+
+  assert.equal((await pending).confirmed, 1);
+  assert.ok(chain.polls >= 3);
+});
+
+test("signed bytes are rebroadcast until the chunk resolves", async () => {
+  const { t, mint, sent, statuses, chain } = setup();
+  const result = await t.buy(mint, SOL, tradeOpt);
+  const [raw] = sent;
+
+  const pending = t.confirmTradeResult(result, { pollIntervalMs: 0 });
+  while (chain.polls < 2) await new Promise((r) => setImmediate(r));
+  statuses.set("sig-1", status("confirmed"));
+  await pending;
+
+  // 首次发送之外，每轮轮询前各重新广播一次
+  const rebroadcasts = sent.slice(1);
+  assert.ok(rebroadcasts.length >= 2);
+  for (const copy of rebroadcasts) assert.deepEqual(copy, raw);
+
+  const quiet = setup();
+  const other = await quiet.t.buy(quiet.mint, SOL, tradeOpt);
+  quiet.statuses.set("sig-1", status("confirmed"));
+  await quiet.t.confirmTradeResult(other, {
+    pollIntervalMs: 0,
+    rebroadcast: false,
+  });
+  assert.equal(quiet.sent.length, 1);
+});
+
+test("chunks still unresolved at the deadline time out without a requote", async () => {
+  const { t, mint, sent, statuses } = setup();
+  const result = await t.buy(mint, SOL, tradeOpt);
+  statuses.set("sig-1", status("processed"));
+
+  const confirmation = await t.confirmTradeResult(result, {
+    pollIntervalMs: 5,
+    timeoutMs: 20,
+    rebroadcast: false,
+    requote: true,
+  });
+  // blockhash 仍有效，交易可能稍后上链，不能重新报价
+  const [chunk] = confirmation.chunks;
+  assert.equal(chunk.status, "timeout");
+  assert.match(chunk.error!, /timed out/);
+  assert.equal(chunk.resubmission, undefined);
+  assert.equal(confirmation.timeout, 1);
+  assert.equal(confirmation.expired, 0);
+  assert.equal(sent.length, 1);
+});
+
+test("a chunk stuck at processed past its blockhash expiry ends expired", async () => {
+  const { t, mint, statuses, chain } = setup();
+  const result = await t.buy(mint, SOL, tradeOpt);
+  // 交易只到 processed，之后所在分叉被丢弃，始终没有确认
+  statuses.set("sig-1", status("processed"));
+  chain.blockHeight = LAST_VALID_BLOCK_HEIGHT + 1;
+
+  const confirmation = await t.confirmTradeResult(result, {
+    pollIntervalMs: 5,
+    timeoutMs: 20,
+    rebroadcast: false,
+  });
+  const [chunk] = confirmation.chunks;
+  assert.equal(chunk.status, "expired");
+  assert.match(chunk.error!, /expired/);
+  assert.equal(confirmation.expired, 1);
+  assert.equal(confirmation.timeout, 0);
+});
+
+test("expired chunks are requoted with escalated priority up to maxResubmits", async () => {
+  const { t, mint, sent, chain } = setup();
+  const result = await t.buy(mint, SOL, tradeOpt);
+  // 所有交易都在过期后才被查询
+  chain.blockHeight = LAST_VALID_BLOCK_HEIGHT + 1;
+
+  const confirmation = await t.confirmTradeResult(result, {
+    pollIntervalMs: 0,
+    rebroadcast: false,
+    requote: true,
+    maxResubmits: 2,
+  });
+
+  const [chunk] = confirmation.chunks;
+  assert.equal(chunk.status, "expired");
+  const first = chunk.resubmission!.chunks[0];
+  assert.equal(first.signature, "sig-2");
+  assert.equal(first.status, "expired");
+  const second = first.resubmission!.chunks[0];
+  assert.equal(second.signature, "sig-3");
+  assert.equal(second.resubmission, undefined);
+
+  // 每次重新发送按 escalation 加价
+  assert.deepEqual(
+    sent.map((raw) => computeBudgetOf(raw).unitPrice),
+    [1000n, 2000n, 3000n],
+  );
+});
+
+test("requote is off by default and skips confirmed chunks", async () => {
+  const { t, mint, sent, statuses, chain } = setup();
+  const result = await t.buy(mint, 2n * SOL, tradeOpt);
+  statuses.set("sig-1", status("confirmed"));
+  chain.blockHeight = LAST_VALID_BLOCK_HEIGHT + 1;
+
+  await t.confirmTradeResult(result, { pollIntervalMs: 0, rebroadcast: false });
+  assert.equal(sent.length, 2);
+
+  const confirmation = await t.confirmTradeResult(result, {
+    pollIntervalMs: 0,
+    rebroadcast: false,
+    requote: true,
+  });
+  assert.equal(sent.length, 3);
+  assert.equal(confirmation.chunks[0].resubmission, undefined);
+  assert.ok(confirmation.chunks[1].resubmission);
+});
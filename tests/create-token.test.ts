@@ -0,0 +1,201 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  AddressLookupTableAccount,
+  Keypair,
+  PublicKey,
+  Transaction,
+  VersionedTransaction,
+  type AccountInfo,
+} from "@solana/web3.js";
+import type { TradeOptions } from "../index";
+import {
+  FRESH_CURVE,
+  PUMP,
+  SOL,
+  SOL_MINT,
+  TOKEN_PROGRAM,
+  TOKEN_2022_PROGRAM,
+  account,
+  accountRpc,
+  bondingCurvePda,
+  createTrader,
+  encodeGlobal,
+  globalPda,
+  instructionsOf,
+  sendRpc,
+} from "./helpers";
+
+const METADATA = new PublicKey("metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s");
+const MAYHEM = new PublicKey("MAyhSmzXzV1pTf7LsNkrNwkWKTo4ougAJ1PPg47MD4e");
+
+const DISCRIMINATORS = {
+  CREATE: Buffer.from([24, 30, 200, 40, 5, 28, 7, 119]),
+  CREATE_V2: Buffer.from([214, 144, 76, 236, 95, 139, 49, 180]),
+  BUY: Buffer.from([102, 6, 61, 18, 1, 218, 235, 234]),
+  BUY_V2: Buffer.from([184, 23, 238, 97, 103, 197, 211, 61]),
+};
+
+const tradeOpt: TradeOptions = {
+  maxSolPerTx: 10n * SOL,
+  slippage: { base: 100 },
+  priority: { base: 1000 },
+  computeUnits: { mode: "fixed", units: 300_000 },
+};
+
+const metadata = {
+  name: "My Token",
+  symbol: "MTK",
+  uri: "https://example.com/metadata.json",
+};
+
+function setup() {
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  accounts.set(
+    globalPda().toBase58(),
+    account(
+      encodeGlobal({
+        feeRecipient: Keypair.generate().publicKey,
+        feeBasisPoints: 95n,
+        creatorFeeBasisPoints: 30n,
+        feeRecipients: [],
+      }),
+    ),
+  );
+  const send = sendRpc();
+  const t = createTrader({ ...accountRpc(accounts), ...send.rpc });
+  return { t, send };
+}
+
+/** Borsh 字符串：u32 长度 + UTF-8 字节 */
+function borshString(value: string): Buffer {
+  const bytes = Buffer.from(value, "utf8");
+  const len = Buffer.alloc(4);
+  len.writeUInt32LE(bytes.length);
+  return Buffer.concat([len, bytes]);
+}
+
+test("create_v2 is the default and is signed by the mint", async () => {
+  const { t, send } = setup();
+  const mintKeypair = Keypair.generate();
+  const mint = mintKeypair.publicKey;
+  const result = await t.createToken({
+    ...metadata,
+    mintKeypair,
+    isCashbackEnabled: true,
+  });
+
+  assert.ok(result.mint.equals(mint));
+  assert.ok(result.bondingCurve.equals(bondingCurvePda(mint)));
+  assert.equal(result.signature, "sig-1");
+  assert.equal(result.initialBuyTokens, undefined);
+
+  const [raw] = send.sent;
+  const [create, ...rest] = instructionsOf(raw, PUMP);
+  assert.equal(rest.length, 0);
+  assert.deepEqual(
+    create.data,
+    Buffer.concat([
+      DISCRIMINATORS.CREATE_V2,
+      borshString(metadata.name),
+      borshString(metadata.symbol),
+      borshString(metadata.uri),
+      t.publicKey.toBuffer(),
+      Buffer.from([0, 1]),
+    ]),
+  );
+  assert.equal(create.keys.length, 16);
+  assert.ok(create.keys[0].pubkey.equals(mint));
+  assert.ok(create.keys[0].isSigner);
+  assert.ok(create.keys[2].pubkey.equals(result.bondingCurve));
+  assert.ok(create.keys[3].pubkey.equals(result.associatedBondingCurve));
+  assert.ok(create.keys[4].pubkey.equals(globalPda()));
+  assert.ok(create.keys[5].pubkey.equals(t.publicKey));
+  assert.ok(create.keys[7].pubkey.equals(TOKEN_2022_PROGRAM));
+  assert.ok(create.keys[9].pubkey.equals(MAYHEM));
+  assert.ok(create.keys[15].pubkey.equals(PUMP));
+
+  const signers = Transaction.from(raw).signatures;
+  assert.ok(signers.some((s) => s.publicKey.equals(mint) && s.signature));
+  assert.ok(
+    signers.some((s) => s.publicKey.equals(t.publicKey) && s.signature),
+  );
+});
+
+test("legacy create bundles the dev buy priced on the initial curve", async () => {
+  const { t, send } = setup();
+  const result = await t.createToken({
+    ...metadata,
+    tokenProgram: "legacy",
+    initialBuy: SOL,
+    tradeOpt,
+  });
+
+  const rates = await t.getBondingFeeRates(FRESH_CURVE, t.publicKey);
+  const tokenOut = t.calcBuy(SOL, FRESH_CURVE, rates);
+  assert.equal(result.initialBuyTokens, tokenOut);
+
+  const [create, buy] = instructionsOf(send.sent[0], PUMP);
+  assert.deepEqual(create.data.subarray(0, 8), DISCRIMINATORS.CREATE);
+  assert.equal(create.keys.length, 14);
+  assert.ok(create.keys[5].pubkey.equals(METADATA));
+  assert.ok(create.keys[7].pubkey.equals(t.publicKey));
+  assert.ok(create.keys[9].pubkey.equals(TOKEN_PROGRAM));
+
+  assert.deepEqual(buy.data.subarray(0, 8), DISCRIMINATORS.BUY);
+  assert.equal(buy.data.readBigUInt64LE(8), tokenOut);
+  const slippageBps = t.calcSlippage({
+    tradeSize: SOL,
+    reserve: FRESH_CURVE.virtualSolReserves,
+    slippageOpt: tradeOpt.slippage,
+  });
+  assert.equal(
+    buy.data.readBigUInt64LE(16),
+    (SOL * BigInt(10_000 + slippageBps)) / 10_000n,
+  );
+  assert.ok(buy.keys.some((k) => k.pubkey.equals(result.mint)));
+  assert.ok(buy.keys.some((k) => k.pubkey.equals(result.bondingCurve)));
+});
+
+test("a SOL quote mint bundles buy_v2", async () => {
+  const { t, send } = setup();
+  // create + buy_v2 超出旧版交易大小，需要查找表
+  const table = new AddressLookupTableAccount({
+    key: Keypair.generate().publicKey,
+    state: {
+      deactivationSlot: BigInt("18446744073709551615"),
+      lastExtendedSlot: 0,
+      lastExtendedSlotStartIndex: 0,
+      authority: undefined,
+      addresses: await t.getPumpLookupTableAddresses(),
+    },
+  });
+  const result = await t.createToken({
+    ...metadata,
+    quoteMint: SOL_MINT,
+    initialBuy: SOL,
+    tradeOpt: { ...tradeOpt, lookupTables: [table] },
+  });
+
+  const tx = VersionedTransaction.deserialize(send.sent[0]);
+  const keys = tx.message.staticAccountKeys;
+  const [create, buy] = tx.message.compiledInstructions.filter((ix) =>
+    keys[ix.programIdIndex].equals(PUMP),
+  );
+  assert.deepEqual(
+    Buffer.from(create.data).subarray(0, 8),
+    DISCRIMINATORS.CREATE_V2,
+  );
+  const buyData = Buffer.from(buy.data);
+  assert.deepEqual(buyData.subarray(0, 8), DISCRIMINATORS.BUY_V2);
+  assert.equal(buyData.readBigUInt64LE(8), result.initialBuyTokens);
+});
+
+test("only SOL-quoted curves can be created", async () => {
+  const { t, send } = setup();
+  await assert.rejects(
+    t.createToken({ ...metadata, quoteMint: Keypair.generate().publicKey }),
+    /only supports SOL-quoted/,
+  );
+  assert.equal(send.sent.length, 0);
+});
@@ -0,0 +1,300 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  ComputeBudgetProgram,
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  type AccountInfo,
+} from "@solana/web3.js";
+import type { TradeOptions } from "../index";
+import {
+  PUMP,
+  PUMP_AMM,
+  SOL_MINT,
+  TOKEN_2022_PROGRAM,
+  TOKEN_PROGRAM,
+  account,
+  accountRpc,
+  createTrader,
+  sendRpc,
+} from "./helpers";
+
+const ASSOCIATED_TOKEN_PROGRAM = new PublicKey(
+  "ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL",
+);
+const RENT_EXEMPT = 890_880;
+
+const DISCRIMINATORS = {
+  COLLECT_CREATOR_FEE: Buffer.from([20, 22, 86, 123, 198, 28, 219, 132]),
+  COLLECT_CREATOR_FEE_V2: Buffer.from([207, 17, 138, 242, 4, 34, 19, 56]),
+  COLLECT_COIN_CREATOR_FEE: Buffer.from([160, 57, 89, 42, 181, 139, 43, 66]),
+};
+
+const tradeOpt: TradeOptions = {
+  maxSolPerTx: 0n,
+  slippage: { base: 0 },
+  priority: { base: 0 },
+  computeUnits: { mode: "fixed", units: 400_000 },
+};
+
+const pda = (seed: string, key: PublicKey, program: PublicKey) =>
+  PublicKey.findProgramAddressSync(
+    [Buffer.from(seed), key.toBuffer()],
+    program,
+  )[0];
+
+const eventAuthority = (program: PublicKey) =>
+  PublicKey.findProgramAddressSync(
+    [Buffer.from("__event_authority")],
+    program,
+  )[0];
+
+const ata = (mint: PublicKey, owner: PublicKey, program: PublicKey) =>
+  PublicKey.findProgramAddressSync(
+    [owner.toBuffer(), program.toBuffer(), mint.toBuffer()],
+    ASSOCIATED_TOKEN_PROGRAM,
+  )[0];
+
+interface VaultToken {
+  owner: PublicKey;
+  mint: PublicKey;
+  program: PublicKey;
+  amount: bigint;
+}
+
+/**
+ * 当前钱包作为创作者：内盘 creator-vault 的 lamports 和各 vault 名下的 token 账户
+ */
+function setup(
+  vaultLamports: number,
+  tokens: (vaults: { pump: PublicKey; amm: PublicKey }) => VaultToken[],
+) {
+  const wallet = Keypair.generate();
+  const creator = wallet.publicKey;
+  const vaults = {
+    pump: pda("creator-vault", creator, PUMP),
+    amm: pda("creator_vault", creator, PUMP_AMM),
+  };
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  accounts.set(
+    vaults.pump.toBase58(),
+    account(Buffer.alloc(0), SystemProgram.programId, vaultLamports),
+  );
+  const tokenAccounts = tokens(vaults).map((token) => ({
+    ...token,
+    address: ata(token.mint, token.owner, token.program),
+  }));
+  const send = sendRpc();
+  const t = createTrader(
+    {
+      ...accountRpc(accounts),
+      ...send.rpc,
+      getMinimumBalanceForRentExemption: async () => RENT_EXEMPT,
+      getParsedTokenAccountsByOwner: async (
+        owner: PublicKey,
+        { programId }: { programId: PublicKey },
+      ) => ({
+        context: { slot: 1 },
+        value: tokenAccounts
+          .filter((a) => a.owner.equals(owner) && a.program.equals(programId))
+          .map((a) => ({
+            pubkey: a.address,
+            account: {
+              data: {
+                parsed: {
+                  info: {
+                    mint: a.mint.toBase58(),
+                    tokenAmount: { amount: a.amount.toString() },
+                  },
+                },
+              },
+            },
+          })),
+      }),
+    },
+    wallet,
+  );
+  return { t, creator, vaults, tokenAccounts, send };
+}
+
+const keysOf = (ix: { keys: { pubkey: PublicKey }[] }) =>
+  ix.keys.map((k) => k.pubkey.toBase58());
+
+test("getCreatorFees reports every non-empty vault above rent", async () => {
+  const usdc = Keypair.generate().publicKey;
+  const token2022 = Keypair.generate().publicKey;
+  const { t, creator, vaults, tokenAccounts } = setup(
+    RENT_EXEMPT + 5_000,
+    ({ pump, amm }) => [
+      { owner: pump, mint: usdc, program: TOKEN_PROGRAM, amount: 100n },
+      { owner: pump, mint: token2022, program: TOKEN_PROGRAM, amount: 0n },
+      { owner: amm, mint: SOL_MINT, program: TOKEN_PROGRAM, amount: 300n },
+      { owner: amm, mint: token2022, program: TOKEN_2022_PROGRAM, amount: 7n },
+    ],
+  );
+
+  const fees = await t.getCreatorFees();
+  assert.ok(fees.creator.equals(creator));
+  assert.deepEqual(
+    fees.balances.map((b) => [
+      b.program,
+      b.quoteMint.toBase58(),
+      b.native,
+      b.vault.toBase58(),
+      b.amount,
+      b.tokenProgram.toBase58(),
+    ]),
+    [
+      [
+        "pump",
+        SOL_MINT.toBase58(),
+        true,
+        vaults.pump.toBase58(),
+        5_000n,
+        SystemProgram.programId.toBase58(),
+      ],
+      [
+        "pump",
+        usdc.toBase58(),
+        false,
+        tokenAccounts[0].address.toBase58(),
+        100n,
+        TOKEN_PROGRAM.toBase58(),
+      ],
+      [
+        "pump_amm",
+        SOL_MINT.toBase58(),
+        false,
+        tokenAccounts[2].address.toBase58(),
+        300n,
+        TOKEN_PROGRAM.toBase58(),
+      ],
+      [
+        "pump_amm",
+        token2022.toBase58(),
+        false,
+        tokenAccounts[3].address.toBase58(),
+        7n,
+        TOKEN_2022_PROGRAM.toBase58(),
+      ],
+    ],
+  );
+  assert.deepEqual(fees.totals, {
+    [SOL_MINT.toBase58()]: 5_300n,
+    [usdc.toBase58()]: 100n,
+    [token2022.toBase58()]: 7n,
+  });
+});
+
+test("a rent-only vault has nothing to claim", async () => {
+  const { t, send } = setup(RENT_EXEMPT, () => []);
+  const fees = await t.getCreatorFees();
+  assert.deepEqual(fees.balances, []);
+
+  const report = await t.collectAllCreatorFees(tradeOpt);
+  assert.deepEqual(report.claims, []);
+  assert.deepEqual(report.pendingTransactions, []);
+  assert.equal(send.sent.length, 0);
+});
+
+test("collectAllCreatorFees uses each vault's claim layout", async () => {
+  const usdc = Keypair.generate().publicKey;
+  const { t, creator, vaults, tokenAccounts, send } = setup(
+    RENT_EXEMPT + 5_000,
+    ({ pump, amm }) => [
+      { owner: pump, mint: usdc, program: TOKEN_PROGRAM, amount: 100n },
+      { owner: amm, mint: SOL_MINT, program: TOKEN_PROGRAM, amount: 300n },
+    ],
+  );
+
+  const report = await t.collectAllCreatorFees(tradeOpt);
+  assert.deepEqual(
+    report.pendingTransactions.map((p) => p.index),
+    [0],
+  );
+  assert.equal(report.claims[0].length, 3);
+
+  const ixs = Transaction.from(send.sent[0]).instructions.filter(
+    (ix) => !ix.programId.equals(ComputeBudgetProgram.programId),
+  );
+  assert.deepEqual(
+    ixs.map((ix) => ix.programId.toBase58()),
+    [
+      PUMP.toBase58(),
+      PUMP.toBase58(),
+      ASSOCIATED_TOKEN_PROGRAM.toBase58(),
+      PUMP_AMM.toBase58(),
+      TOKEN_PROGRAM.toBase58(),
+    ],
+  );
+  const [native, v2, , amm, close] = ixs;
+
+  // 内盘原生 SOL：collect_creator_fee
+  assert.deepEqual(native.data, DISCRIMINATORS.COLLECT_CREATOR_FEE);
+  assert.deepEqual(keysOf(native), [
+    creator.toBase58(),
+    vaults.pump.toBase58(),
+    SystemProgram.programId.toBase58(),
+    eventAuthority(PUMP).toBase58(),
+    PUMP.toBase58(),
+  ]);
+
+  // 内盘 token 账户：collect_creator_fee_v2
+  assert.deepEqual(v2.data, DISCRIMINATORS.COLLECT_CREATOR_FEE_V2);
+  assert.deepEqual(keysOf(v2), [
+    creator.toBase58(),
+    ata(usdc, creator, TOKEN_PROGRAM).toBase58(),
+    vaults.pump.toBase58(),
+    tokenAccounts[0].address.toBase58(),
+    usdc.toBase58(),
+    TOKEN_PROGRAM.toBase58(),
+    ASSOCIATED_TOKEN_PROGRAM.toBase58(),
+    SystemProgram.programId.toBase58(),
+    eventAuthority(PUMP).toBase58(),
+    PUMP.toBase58(),
+  ]);
+
+  // 外盘：collect_coin_creator_fee，领到的 wSOL 随后关闭
+  const creatorWsol = ata(SOL_MINT, creator, TOKEN_PROGRAM);
+  assert.deepEqual(amm.data, DISCRIMINATORS.COLLECT_COIN_CREATOR_FEE);
+  assert.deepEqual(keysOf(amm), [
+    SOL_MINT.toBase58(),
+    TOKEN_PROGRAM.toBase58(),
+    creator.toBase58(),
+    vaults.amm.toBase58(),
+    tokenAccounts[1].address.toBase58(),
+    creatorWsol.toBase58(),
+    eventAuthority(PUMP_AMM).toBase58(),
+    PUMP_AMM.toBase58(),
+  ]);
+  assert.ok(amm.keys[2].isSigner);
+  assert.ok(close.keys[0].pubkey.equals(creatorWsol));
+});
+
+test("claims are split across transactions four at a time", async () => {
+  const mints = Array.from({ length: 5 }, () => Keypair.generate().publicKey);
+  const { t, send } = setup(RENT_EXEMPT, ({ pump }) =>
+    mints.map((mint) => ({
+      owner: pump,
+      mint,
+      program: TOKEN_PROGRAM,
+      amount: 1n,
+    })),
+  );
+
+  const report = await t.collectAllCreatorFees(tradeOpt);
+  assert.deepEqual(
+    report.claims.map((c) => c.map((b) => b.quoteMint.toBase58())),
+    [mints.slice(0, 4), mints.slice(4)].map((m) => m.map((k) => k.toBase58())),
+  );
+  assert.deepEqual(
+    report.pendingTransactions.map((p) => [p.index, p.signature]),
+    [
+      [0, "sig-1"],
+      [1, "sig-2"],
+    ],
+  );
+  assert.equal(send.sent.length, 2);
+});
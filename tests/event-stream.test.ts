@@ -0,0 +1,472 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Keypair, type VersionedTransactionResponse } from "@solana/web3.js";
+import type { EventStreamOptions, PumpEvent } from "../index";
+import {
+  PUMP,
+  PUMP_AMM,
+  SOL,
+  TOKEN_PROGRAM,
+  Writer,
+  createTrader,
+  encodeAmmSwapEvent,
+  encodeTradeEvent,
+  eventTransaction,
+  logsRpc,
+  programLogs,
+} from "./helpers";
+
+const CREATE_EVENT = [27, 114, 169, 77, 222, 235, 99, 118];
+const COMPLETE_EVENT = [95, 114, 97, 156, 212, 46, 152, 8];
+
+const mint = Keypair.generate().publicKey;
+const user = Keypair.generate().publicKey;
+const bondingCurve = Keypair.generate().publicKey;
+
+const createEvent = new Writer(CREATE_EVENT)
+  .string("Test")
+  .string("TST")
+  .string("https://example.com/tst.json")
+  .pubkey(mint)
+  .pubkey(bondingCurve)
+  .pubkey(user)
+  .pubkey(user)
+  .i64(1_700_000_000)
+  .u64(1_073_000_000_000_000n)
+  .u64(30n * SOL)
+  .u64(793_100_000_000_000n)
+  .u64(1_000_000_000_000_000n)
+  .pubkey(TOKEN_PROGRAM)
+  .bool(true)
+  .bool(false)
+  .toBuffer();
+
+const completeEvent = new Writer(COMPLETE_EVENT)
+  .pubkey(user)
+  .pubkey(mint)
+  .pubkey(bondingCurve)
+  .i64(1_700_000_100)
+  .toBuffer();
+
+/**
+ * 启动事件流并记录收到的事件：getTransaction 返回 txs 中的交易（返回前调用 onFetch），
+ * getSignaturesForAddress 返回 signatures（新的在前）
+ */
+function setup(options: EventStreamOptions = {}) {
+  const logs = logsRpc();
+  const txs = new Map<string, VersionedTransactionResponse>();
+  const signatures: Array<{ signature: string; slot: number; err: null }> = [];
+  const fetched: string[] = [];
+  const hooks: { onFetch?: (signature: string) => void } = {};
+  const t = createTrader({
+    ...logs.rpc,
+    getTransaction: async (signature: string) => {
+      fetched.push(signature);
+      hooks.onFetch?.(signature);
+      return txs.get(signature) ?? null;
+    },
+    getSignaturesForAddress: async () => signatures,
+  });
+  const stream = t.createEventStream(options);
+  const all: PumpEvent[] = [];
+  stream.on("*", (e) => all.push(e)).start();
+  return { stream, logs, txs, signatures, fetched, all, hooks };
+}
+
+const trade = (tradeMint = mint) =>
+  encodeTradeEvent({
+    mint: tradeMint,
+    user,
+    isBuy: true,
+    solAmount: SOL,
+    tokenAmount: 1_000_000n,
+  });
+
+/** 等待异步的日志处理完成 */
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test("events in Pump logs are decoded and dispatched by type", async () => {
+  const { stream, logs, all } = setup();
+  const created: string[] = [];
+  const onCreate = (e: { name: string }) => created.push(e.name);
+  stream.on("create", onCreate);
+
+  logs.emit(
+    PUMP,
+    {
+      signature: "create-sig",
+      logs: programLogs(PUMP, [createEvent, trade()]),
+    },
+    77,
+  );
+  await flush();
+
+  assert.deepEqual(created, ["Test"]);
+  assert.deepEqual(
+    all.map((e) => e.type),
+    ["create", "trade"],
+  );
+  const [create, traded] = all;
+  assert.equal(create.type, "create");
+  if (create.type === "create") {
+    assert.equal(create.symbol, "TST");
+    assert.equal(create.mint, mint.toBase58());
+    assert.equal(create.bondingCurve, bondingCurve.toBase58());
+    assert.equal(create.tokenProgram, TOKEN_PROGRAM.toBase58());
+    assert.equal(create.isMayhemMode, true);
+    assert.equal(create.isCashbackEnabled, false);
+  }
+  assert.equal(traded.signature, "create-sig");
+  assert.equal(traded.slot, 77);
+
+  stream.off("create", onCreate);
+  logs.emit(PUMP, {
+    signature: "complete-sig",
+    logs: programLogs(PUMP, [createEvent, completeEvent]),
+  });
+  await flush();
+  assert.deepEqual(created, ["Test"]);
+  assert.deepEqual(
+    all.slice(2).map((e) => e.type),
+    ["create", "complete"],
+  );
+});
+
+test("failed transactions are skipped", async () => {
+  const { logs, all } = setup();
+  logs.emit(PUMP, {
+    signature: "failed",
+    err: { InstructionError: [2, { Custom: 6002 }] },
+    logs: programLogs(PUMP, [completeEvent]),
+  });
+  await flush();
+  assert.equal(all.length, 0);
+});
+
+test("events only emitted through CPI are fetched from the transaction", async () => {
+  const { logs, txs, fetched, all } = setup({ fetchCpiEvents: true });
+  const pool = Keypair.generate().publicKey;
+  txs.set(
+    "amm-sig",
+    eventTransaction({
+      payer: user,
+      events: [
+        {
+          programId: PUMP_AMM,
+          data: encodeAmmSwapEvent({
+            isBuy: false,
+            pool,
+            user,
+            userBaseTokenAccount: Keypair.generate().publicKey,
+            baseAmount: 5_000_000n,
+            userQuoteAmount: 99_700n,
+          }),
+        },
+      ],
+    }),
+  );
+
+  // 只有一次自调用、没有 Program data
+  logs.emit(PUMP_AMM, {
+    signature: "amm-sig",
+    logs: programLogs(PUMP_AMM, [], 1),
+  });
+  await flush();
+
+  assert.deepEqual(fetched, ["amm-sig"]);
+  const [swap] = all;
+  assert.equal(swap.type, "ammTrade");
+  if (swap.type === "ammTrade") {
+    assert.equal(swap.isBuy, false);
+    assert.equal(swap.pool, pool.toBase58());
+    assert.equal(swap.userQuoteAmount, 99_700n);
+  }
+
+  // 日志事件与自调用数量一致时不再查询交易
+  logs.emit(PUMP, {
+    signature: "logged",
+    logs: programLogs(PUMP, [completeEvent], 1),
+  });
+  await flush();
+  assert.deepEqual(fetched, ["amm-sig"]);
+  assert.equal(all[1].type, "complete");
+});
+
+test("CPI events are not fetched by default", async () => {
+  const { logs, fetched, all } = setup();
+  logs.emit(PUMP_AMM, {
+    signature: "amm-sig",
+    logs: programLogs(PUMP_AMM, [], 1),
+  });
+  await flush();
+  assert.deepEqual(fetched, []);
+  assert.equal(all.length, 0);
+});
+
+test("handler and fetch failures are reported through the error event", async () => {
+  const { stream, logs, all } = setup({ fetchCpiEvents: true });
+  const errors: string[] = [];
+  const onError = (e: Error) => errors.push(e.message);
+  stream.on("error", onError);
+  stream.on("trade", () => {
+    throw new Error("handler failed");
+  });
+
+  logs.emit(PUMP, { signature: "t", logs: programLogs(PUMP, [trade()]) });
+  await flush();
+  // 其他回调照常收到事件
+  assert.equal(all.length, 1);
+  assert.deepEqual(errors, ["handler failed"]);
+
+  const failing = createTrader({
+    ...logs.rpc,
+    getTransaction: async () => {
+      throw new Error("fetch failed");
+    },
+  }).createEventStream({ fetchCpiEvents: true, programs: ["pump_amm"] });
+  failing.on("error", onError).start();
+  logs.emit(PUMP_AMM, {
+    signature: "amm-sig",
+    logs: programLogs(PUMP_AMM, [], 1),
+  });
+  await flush();
+  assert.deepEqual(errors, ["handler failed", "fetch failed"]);
+  assert.equal(failing.health().lastError, "fetch failed");
+
+  stream.off("error", onError);
+  logs.emit(PUMP, { signature: "t2", logs: programLogs(PUMP, [trade()]) });
+  await flush();
+  assert.equal(errors.length, 2);
+  await stream.stop();
+  await failing.stop();
+});
+
+test("start subscribes to both programs once and stop removes them", async () => {
+  const { stream, logs } = setup();
+  assert.equal(stream.isRunning, true);
+  stream.start();
+  assert.deepEqual(
+    [...logs.subscriptions.values()].map((s) => s.programId.toBase58()),
+    [PUMP.toBase58(), PUMP_AMM.toBase58()],
+  );
+
+  await stream.stop();
+  assert.equal(stream.isRunning, false);
+  assert.equal(logs.subscriptions.size, 0);
+});
+
+test("mint filters subscribe by mint and drop other mints' events", async () => {
+  const other = Keypair.generate().publicKey;
+  const { stream, logs, all } = setup({ mints: [mint] });
+  assert.deepEqual(
+    [...logs.subscriptions.values()].map((s) => s.programId.toBase58()),
+    [mint.toBase58()],
+  );
+
+  logs.emit(mint, {
+    signature: "mixed",
+    logs: programLogs(PUMP, [trade(other), trade()]),
+  });
+  await flush();
+  assert.equal(all.length, 1);
+  assert.equal(all[0].type === "trade" && all[0].mint, mint.toBase58());
+  await stream.stop();
+});
+
+test("repeated notifications for a signature are emitted once", async () => {
+  const { stream, logs, all } = setup();
+  for (const slot of [10, 11]) {
+    logs.emit(
+      PUMP,
+      { signature: "dup", logs: programLogs(PUMP, [trade()]) },
+      slot,
+    );
+  }
+  await flush();
+  assert.equal(all.length, 1);
+  assert.equal(stream.health().lastSlot, 11);
+  await stream.stop();
+});
+
+test("resubscribe backfills missed transactions in slot order", async () => {
+  const { stream, logs, txs, signatures, fetched, all } = setup({
+    programs: ["pump"],
+  });
+  logs.emit(PUMP, { signature: "a", logs: programLogs(PUMP, [trade()]) }, 10);
+  await flush();
+
+  for (const signature of ["b", "c"]) {
+    txs.set(
+      signature,
+      eventTransaction({
+        payer: user,
+        events: [{ programId: PUMP, data: trade() }],
+      }),
+    );
+  }
+  signatures.push(
+    { signature: "c", slot: 12, err: null },
+    { signature: "b", slot: 11, err: null },
+    { signature: "a", slot: 10, err: null },
+    { signature: "old", slot: 5, err: null },
+  );
+
+  await stream.resubscribe();
+  // 已推送过的 a 和更早的 old 不再拉取
+  assert.deepEqual(fetched, ["b", "c"]);
+  assert.deepEqual(
+    all.map((e) => [e.signature, e.slot]),
+    [
+      ["a", 10],
+      ["b", 11],
+      ["c", 12],
+    ],
+  );
+  const health = stream.health();
+  assert.equal(health.reconnects, 1);
+  assert.equal(health.backfilled, 2);
+  assert.equal(logs.subscriptions.size, 1);
+  await stream.stop();
+});
+
+test("a stream without notifications resubscribes on its heartbeat", async () => {
+  const reports: number[] = [];
+  const { stream, logs } = setup({
+    heartbeatMs: 5,
+    staleAfterMs: 10,
+    onHealth: (health) => reports.push(health.reconnects),
+  });
+
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  await stream.stop();
+  assert.ok(reports.length > 1);
+  assert.ok(stream.health().reconnects >= 1);
+  assert.equal(logs.subscriptions.size, 0);
+});
+
+test("watchTrades returns a handle for one or more mints", async () => {
+  const other = Keypair.generate().publicKey;
+  const logs = logsRpc();
+  const t = createTrader(logs.rpc);
+  const mints: string[] = [];
+  const handle = t.watchTrades((e) => mints.push(e.mint), [mint, other]);
+  assert.equal(logs.subscriptions.size, 2);
+  assert.equal(handle.health().running, true);
+
+  logs.emit(other, {
+    signature: "other",
+    logs: programLogs(PUMP, [trade(other)]),
+  });
+  await flush();
+  assert.deepEqual(mints, [other.toBase58()]);
+
+  await handle.stop();
+  assert.equal(logs.subscriptions.size, 0);
+  assert.equal(logs.slotSubscriptions.size, 0);
+  assert.equal(handle.health().running, false);
+});
+
+test("listenTrades keeps returning the onLogs subscription id", async () => {
+  const logs = logsRpc();
+  const t = createTrader(logs.rpc);
+  const mints: string[] = [];
+  const id = t.listenTrades((e) => mints.push(e.mint), mint);
+  assert.equal(typeof id, "number");
+  assert.equal(
+    logs.subscriptions.get(id)?.programId.toBase58(),
+    PUMP.toBase58(),
+  );
+
+  logs.emit(PUMP, {
+    signature: "sig",
+    logs: programLogs(PUMP, [trade(), trade(Keypair.generate().publicKey)]),
+  });
+  assert.deepEqual(mints, [mint.toBase58()]);
+  await logs.rpc.removeOnLogsListener(id);
+});
+
+test("listenTrades skips other mints and keeps reading the transaction", async () => {
+  const logs = logsRpc();
+  const t = createTrader(logs.rpc);
+  const mints: string[] = [];
+  const id = t.listenTrades((e) => mints.push(e.mint), mint);
+
+  // 同一笔交易里先出现其他代币的成交
+  logs.emit(PUMP, {
+    signature: "sig",
+    logs: programLogs(PUMP, [trade(Keypair.generate().publicKey), trade()]),
+  });
+  assert.deepEqual(mints, [mint.toBase58()]);
+  await logs.rpc.removeOnLogsListener(id);
+});
+
+test("slot heartbeats keep a quiet stream subscribed", async () => {
+  const { stream, logs } = setup({ heartbeatMs: 5, staleAfterMs: 20 });
+  assert.equal(logs.slotSubscriptions.size, 1);
+
+  // 没有任何日志推送，但连接仍有 slot 心跳
+  for (let slot = 1; slot <= 12; slot++) {
+    logs.slot(slot);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  const health = stream.health();
+  assert.equal(health.reconnects, 0);
+  assert.equal(health.lastNotificationAt, null);
+  assert.ok(health.lastHeartbeatAt !== null);
+  await stream.stop();
+  assert.equal(logs.slotSubscriptions.size, 0);
+});
+
+test("backfill starts from the last heartbeat slot before any notification", async () => {
+  const { stream, logs, txs, signatures, fetched, all } = setup({
+    programs: ["pump"],
+  });
+  logs.slot(20);
+  txs.set(
+    "new",
+    eventTransaction({
+      payer: user,
+      events: [{ programId: PUMP, data: trade() }],
+    }),
+  );
+  signatures.push(
+    { signature: "new", slot: 21, err: null },
+    { signature: "old", slot: 19, err: null },
+  );
+
+  await stream.resubscribe();
+  assert.deepEqual(fetched, ["new"]);
+  assert.deepEqual(
+    all.map((e) => e.signature),
+    ["new"],
+  );
+  await stream.stop();
+});
+
+test("a live notification during backfill is not emitted twice", async () => {
+  const { stream, logs, txs, signatures, all, hooks } = setup({
+    programs: ["pump"],
+  });
+  logs.emit(PUMP, { signature: "a", logs: programLogs(PUMP, [trade()]) }, 10);
+  await flush();
+  txs.set(
+    "b",
+    eventTransaction({
+      payer: user,
+      events: [{ programId: PUMP, data: trade() }],
+    }),
+  );
+  signatures.push({ signature: "b", slot: 11, err: null });
+
+  // getTransaction 返回之前同一笔交易的实时推送先到达
+  hooks.onFetch = (signature) =>
+    logs.emit(PUMP, { signature, logs: programLogs(PUMP, [trade()]) }, 11);
+  await stream.resubscribe();
+  await flush();
+
+  assert.deepEqual(
+    all.map((e) => e.signature),
+    ["a", "b"],
+  );
+  await stream.stop();
+});
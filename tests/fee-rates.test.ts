@@ -0,0 +1,167 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Keypair, PublicKey, type AccountInfo } from "@solana/web3.js";
+import type { TradeOptions } from "../index";
+import {
+  FRESH_CURVE,
+  SOL,
+  account,
+  accountRpc,
+  addAmmPool,
+  addBondingCurve,
+  addMint,
+  createTrader,
+  encodeFeeConfig,
+} from "./helpers";
+
+const LOW = { lpFeeBps: 20n, protocolFeeBps: 95n, creatorFeeBps: 30n };
+const HIGH = { lpFeeBps: 20n, protocolFeeBps: 50n, creatorFeeBps: 5n };
+
+const tradeOpt: TradeOptions = {
+  maxSolPerTx: SOL,
+  slippage: { base: 100 },
+  priority: { base: 1000 },
+};
+
+function setup() {
+  const mint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  const rpc = accountRpc(accounts);
+  let supplyCalls = 0;
+  const t = createTrader({
+    ...rpc,
+    getTokenSupply: async (address: PublicKey) => {
+      supplyCalls++;
+      return rpc.getTokenSupply(address);
+    },
+  });
+  return { t, mint, accounts, supplyCalls: () => supplyCalls };
+}
+
+test("bonding fees fall back to the Global rates without a fee config", async () => {
+  const { t, mint, accounts } = setup();
+  addBondingCurve(accounts, mint);
+
+  const rates = await t.getBondingFeeRates(FRESH_CURVE);
+  assert.deepEqual(rates, {
+    lpFeeBps: 0n,
+    protocolFeeBps: 95n,
+    creatorFeeBps: 30n,
+  });
+
+  // 没有创作者的代币不收创作者费
+  const noCreator = await t.getBondingFeeRates(FRESH_CURVE, PublicKey.default);
+  assert.equal(noCreator.creatorFeeBps, 0n);
+});
+
+test("bonding fees pick the fee config tier by market cap", async () => {
+  const { t, mint, accounts } = setup();
+  addBondingCurve(accounts, mint);
+  // 市值 100 SOL 以上使用 HIGH 档位
+  accounts.set(
+    t.getFeeConfigPda("bonding").toBase58(),
+    account(
+      encodeFeeConfig(LOW, [
+        [0n, LOW],
+        [100n * SOL, HIGH],
+      ]),
+    ),
+  );
+
+  // 30 SOL * 1e15 / 1.073e15 ≈ 28 SOL
+  const low = await t.getBondingFeeRates(FRESH_CURVE);
+  assert.deepEqual(low, { ...LOW, lpFeeBps: 0n });
+
+  const high = await t.getBondingFeeRates({
+    ...FRESH_CURVE,
+    virtualSolReserves: 120n * SOL,
+  });
+  assert.deepEqual(high, { ...HIGH, lpFeeBps: 0n });
+});
+
+test("bonding math deducts fees from the SOL in and from the SOL out", () => {
+  const t = createTrader();
+  const fees = { lpFeeBps: 0n, protocolFeeBps: 95n, creatorFeeBps: 30n };
+
+  const netIn = t.calcBondingNetSolIn(SOL, fees);
+  const buyFees = t.calcTradeFees("buy", "bonding", SOL, fees);
+  // 手续费按扣费后的 SOL 计算，二者之和不超过付出的 SOL
+  assert.ok(netIn + buyFees.totalFee <= SOL);
+  assert.ok(netIn + buyFees.totalFee >= SOL - 2n);
+  assert.ok(t.calcBuy(SOL, FRESH_CURVE, fees) < t.calcBuy(SOL, FRESH_CURVE));
+
+  const tokenIn = 10_000_000_000_000n;
+  const gross = t.calcSell(tokenIn, FRESH_CURVE);
+  const sellFees = t.calcTradeFees("sell", "bonding", gross, fees);
+  assert.equal(
+    t.calcSell(tokenIn, FRESH_CURVE, fees),
+    gross - sellFees.totalFee,
+  );
+  // 手续费向上取整
+  assert.equal(sellFees.protocolFee, (gross * 95n + 9_999n) / 10_000n);
+});
+
+test("cashback coins pay the creator fee back to the trader", () => {
+  const t = createTrader();
+  const fees = { lpFeeBps: 0n, protocolFeeBps: 95n, creatorFeeBps: 30n };
+  const normal = t.calcTradeFees("sell", "bonding", SOL, fees);
+  const cashback = t.calcTradeFees("sell", "bonding", SOL, fees, true);
+
+  assert.equal(cashback.creatorFee, 0n);
+  assert.equal(cashback.cashback, normal.creatorFee);
+  assert.equal(cashback.totalFee, normal.totalFee);
+});
+
+test("amm fees come from global_config when there is no fee config", async () => {
+  const { t, mint, accounts } = setup();
+  addAmmPool(accounts, mint, {
+    baseAmount: 200_000_000_000_000n,
+    quoteAmount: 85n * SOL,
+  });
+
+  const quote = await t.quoteBuy(mint.toBase58(), SOL, tradeOpt);
+  assert.equal(quote.mode, "amm");
+  assert.deepEqual(quote.feeRates, {
+    lpFeeBps: 20n,
+    protocolFeeBps: 5n,
+    creatorFeeBps: 5n,
+  });
+  const pool = {
+    baseAmount: 200_000_000_000_000n,
+    quoteAmount: 85n * SOL,
+    baseDecimals: 6,
+    quoteDecimals: 9,
+  };
+  assert.equal(
+    quote.expectedOut,
+    t.calculateAmmBuyOutput(SOL, pool, quote.feeRates),
+  );
+  // LP 费留在池子里
+  const after = t.advanceAmmReserves(pool, "buy", SOL, quote.feeRates);
+  assert.equal(quote.reservesAfter.quote, after.quoteAmount);
+  assert.ok(after.quoteAmount > 85n * SOL + SOL - quote.fees.totalFee);
+});
+
+test("amm fee tier uses the cached mint supply", async () => {
+  const { t, mint, accounts, supplyCalls } = setup();
+  // mayhem 币的供应量翻倍：85 SOL * 2e15 / 2e14 = 850 SOL
+  addMint(accounts, mint, { supply: 2_000_000_000_000_000n });
+  addAmmPool(accounts, mint, {
+    baseAmount: 200_000_000_000_000n,
+    quoteAmount: 85n * SOL,
+  });
+  accounts.set(
+    t.getFeeConfigPda("amm").toBase58(),
+    account(
+      encodeFeeConfig(LOW, [
+        [0n, LOW],
+        [500n * SOL, HIGH],
+      ]),
+    ),
+  );
+
+  const quote = await t.quoteBuy(mint.toBase58(), SOL, tradeOpt);
+  assert.deepEqual(quote.feeRates, HIGH);
+  await t.quoteBuy(mint.toBase58(), SOL, tradeOpt);
+  assert.equal(supplyCalls(), 1);
+});
@@ -0,0 +1,934 @@
+import {
+  ComputeBudgetProgram,
+  Keypair,
+  PublicKey,
+  Transaction,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+  type AccountInfo,
+  type CompiledInnerInstruction,
+  type Context,
+  type Logs,
+  type SlotInfo,
+  type TokenBalance,
+  type VersionedTransactionResponse,
+} from "@solana/web3.js";
+import bs58 from "bs58";
+import { PumpTrader } from "../index";
+import type { Wallet } from "../index";
+
+export const PUMP = new PublicKey(
+  "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P",
+);
+export const PUMP_AMM = new PublicKey(
+  "pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA",
+);
+export const SOL_MINT = new PublicKey(
+  "So11111111111111111111111111111111111111112",
+);
+export const TOKEN_PROGRAM = new PublicKey(
+  "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA",
+);
+export const TOKEN_2022_PROGRAM = new PublicKey(
+  "TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb",
+);
+export const SOL = 1_000_000_000n;
+
+type RpcMock = (...args: any[]) => unknown;
+
+/**
+ * 创建指向本地地址的 PumpTrader，并用 rpc 中的方法替换 Connection 上的同名方法
+ * 测试用到的 RPC 都应在 rpc 中给出，未替换的方法会真正发起请求
+ */
+export function createTrader(
+  rpc: Record<string, RpcMock> = {},
+  wallet: Wallet = Keypair.generate(),
+): PumpTrader {
+  const trader = new PumpTrader("http://127.0.0.1:8899", wallet);
+  Object.assign(trader.getConnection(), rpc);
+  return trader;
+}
+
+export function account(
+  data: Buffer,
+  owner: PublicKey = PUMP,
+  lamports = 1_000_000,
+): AccountInfo<Buffer> {
+  return { data, owner, lamports, executable: false };
+}
+
+/**
+ * 按地址读取账户表的 getAccountInfo / getMultipleAccountsInfo；
+ * getTokenAccountBalance 从代币账户数据中读取余额，精度取自账户表中的 mint（默认 6）
+ */
+export function accountRpc(accounts: Map<string, AccountInfo<Buffer>>) {
+  const get = (address: PublicKey) => accounts.get(address.toBase58()) ?? null;
+  return {
+    getAccountInfo: async (address: PublicKey) => get(address),
+    getMultipleAccountsInfo: async (addresses: PublicKey[]) =>
+      addresses.map(get),
+    getTokenAccountBalance: async (address: PublicKey) => {
+      const acc = get(address);
+      if (!acc) throw new Error(`could not find account ${address}`);
+      const mint = new PublicKey(acc.data.subarray(0, 32));
+      const decimals = mint.equals(SOL_MINT) ? 9 : (get(mint)?.data[44] ?? 6);
+      const amount = acc.data.readBigUInt64LE(64);
+      return {
+        value: {
+          amount: amount.toString(),
+          decimals,
+          uiAmount: Number(amount) / 10 ** decimals,
+        },
+      };
+    },
+    getTokenSupply: async (mint: PublicKey) => {
+      const acc = get(mint);
+      if (!acc) throw new Error(`could not find mint ${mint}`);
+      return {
+        value: {
+          amount: acc.data.readBigUInt64LE(36).toString(),
+          decimals: acc.data[44],
+        },
+      };
+    },
+  };
+}
+
+/** SPL Token mint 账户（82 字节） */
+export function encodeMint(supply: bigint, decimals = 6): Buffer {
+  const data = Buffer.alloc(82);
+  data.writeBigUInt64LE(supply, 36);
+  data.writeUInt8(decimals, 44);
+  data.writeUInt8(1, 45); // initialized
+  return data;
+}
+
+/** 按字段顺序拼接账户数据 */
+export class Writer {
+  private parts: Buffer[];
+
+  constructor(discriminator: Buffer | number[] = Buffer.alloc(8)) {
+    this.parts = [Buffer.from(discriminator)];
+  }
+
+  u8(value: number): this {
+    this.parts.push(Buffer.from([value]));
+    return this;
+  }
+
+  bool(value: boolean): this {
+    return this.u8(value ? 1 : 0);
+  }
+
+  u16(value: number): this {
+    const buf = Buffer.alloc(2);
+    buf.writeUInt16LE(value);
+    this.parts.push(buf);
+    return this;
+  }
+
+  u32(value: number): this {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32LE(value);
+    this.parts.push(buf);
+    return this;
+  }
+
+  u64(value: bigint): this {
+    const buf = Buffer.alloc(8);
+    buf.writeBigUInt64LE(value);
+    this.parts.push(buf);
+    return this;
+  }
+
+  i64(value: number): this {
+    const buf = Buffer.alloc(8);
+    buf.writeBigInt64LE(BigInt(value));
+    this.parts.push(buf);
+    return this;
+  }
+
+  pubkey(key: PublicKey): this {
+    this.parts.push(key.toBuffer());
+    return this;
+  }
+
+  string(value: string): this {
+    const bytes = Buffer.from(value);
+    return this.u32(bytes.length).bytes(bytes);
+  }
+
+  bytes(data: Buffer): this {
+    this.parts.push(data);
+    return this;
+  }
+
+  toBuffer(): Buffer {
+    return Buffer.concat(this.parts);
+  }
+}
+
+export interface CurveFixture {
+  virtualTokenReserves: bigint;
+  virtualSolReserves: bigint;
+  realTokenReserves: bigint;
+  realSolReserves: bigint;
+  tokenTotalSupply: bigint;
+  complete: boolean;
+}
+
+/** 刚创建的内盘：30 SOL / 10.73 亿代币 */
+export const FRESH_CURVE: CurveFixture = {
+  virtualTokenReserves: 1_073_000_000_000_000n,
+  virtualSolReserves: 30n * SOL,
+  realTokenReserves: 793_100_000_000_000n,
+  realSolReserves: 0n,
+  tokenTotalSupply: 1_000_000_000_000_000n,
+  complete: false,
+};
+
+export interface CurveFlags {
+  quoteMint?: PublicKey;
+  isMayhemMode?: boolean;
+  isCashbackCoin?: boolean;
+}
+
+/**
+ * bonding_curve 账户：不传 flags 时为旧版 81 字节布局，
+ * 否则追加 quote mint、quote 储备和 mayhem / cashback 标记
+ */
+export function encodeBondingCurve(
+  state: CurveFixture,
+  creator: PublicKey,
+  flags?: CurveFlags,
+): Buffer {
+  const writer = new Writer()
+    .u64(state.virtualTokenReserves)
+    .u64(state.virtualSolReserves)
+    .u64(state.realTokenReserves)
+    .u64(state.realSolReserves)
+    .u64(state.tokenTotalSupply)
+    .bool(state.complete)
+    .pubkey(creator);
+  if (!flags) return writer.toBuffer();
+  return writer
+    .pubkey(flags.quoteMint ?? PublicKey.default)
+    .u64(0n)
+    .u64(0n)
+    .bool(flags.isMayhemMode ?? false)
+    .bool(flags.isCashbackCoin ?? false)
+    .toBuffer();
+}
+
+export interface FeeRatesFixture {
+  lpFeeBps: bigint;
+  protocolFeeBps: bigint;
+  creatorFeeBps: bigint;
+}
+
+/** Fee 程序的 fee_config 账户，tiers 为 [市值门槛, 费率] */
+export function encodeFeeConfig(
+  flatFees: FeeRatesFixture,
+  tiers: Array<[bigint, FeeRatesFixture]>,
+): Buffer {
+  const fees = (writer: Writer, rates: FeeRatesFixture) =>
+    writer
+      .u64(rates.lpFeeBps)
+      .u64(rates.protocolFeeBps)
+      .u64(rates.creatorFeeBps);
+  const writer = new Writer().u8(255).pubkey(PublicKey.default);
+  fees(writer, flatFees);
+  writer.u32(tiers.length);
+  for (const [threshold, rates] of tiers) {
+    fees(writer.u64(threshold).u64(0n), rates);
+  }
+  return writer.toBuffer();
+}
+
+export interface GlobalFixture {
+  feeRecipient: PublicKey;
+  feeBasisPoints: bigint;
+  creatorFeeBasisPoints: bigint;
+  feeRecipients: PublicKey[];
+}
+
+/** 内盘 Global 账户 */
+export function encodeGlobal(global: GlobalFixture): Buffer {
+  const writer = new Writer()
+    .bool(true)
+    .pubkey(PublicKey.default)
+    .pubkey(global.feeRecipient)
+    .u64(FRESH_CURVE.virtualTokenReserves)
+    .u64(FRESH_CURVE.virtualSolReserves)
+    .u64(FRESH_CURVE.realTokenReserves)
+    .u64(FRESH_CURVE.tokenTotalSupply)
+    .u64(global.feeBasisPoints)
+    .pubkey(PublicKey.default)
+    .bool(true)
+    .u64(15_000_001n)
+    .u64(global.creatorFeeBasisPoints);
+  for (let i = 0; i < 7; i++) {
+    writer.pubkey(global.feeRecipients[i] ?? global.feeRecipient);
+  }
+  return writer.toBuffer();
+}
+
+export function globalPda(): PublicKey {
+  return PublicKey.findProgramAddressSync([Buffer.from("global")], PUMP)[0];
+}
+
+export function bondingCurvePda(mint: PublicKey): PublicKey {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from("bonding-curve"), mint.toBuffer()],
+    PUMP,
+  )[0];
+}
+
+/**
+ * 把一个内盘代币的 Global 和 bonding curve 账户写入账户表
+ */
+export function addBondingCurve(
+  accounts: Map<string, AccountInfo<Buffer>>,
+  mint: PublicKey,
+  options: {
+    curve?: CurveFixture;
+    creator?: PublicKey;
+    flags?: CurveFlags;
+    feeBasisPoints?: bigint;
+    creatorFeeBasisPoints?: bigint;
+  } = {},
+): void {
+  accounts.set(
+    globalPda().toBase58(),
+    account(
+      encodeGlobal({
+        feeRecipient: Keypair.generate().publicKey,
+        feeBasisPoints: options.feeBasisPoints ?? 95n,
+        creatorFeeBasisPoints: options.creatorFeeBasisPoints ?? 30n,
+        feeRecipients: [],
+      }),
+    ),
+  );
+  accounts.set(
+    bondingCurvePda(mint).toBase58(),
+    account(
+      encodeBondingCurve(
+        options.curve ?? FRESH_CURVE,
+        options.creator ?? Keypair.generate().publicKey,
+        options.flags,
+      ),
+    ),
+  );
+}
+
+/** SPL Token 账户（165 字节），amount 位于偏移 64 */
+export function encodeTokenAccount(
+  mint: PublicKey,
+  owner: PublicKey,
+  amount: bigint,
+): Buffer {
+  const data = Buffer.alloc(165);
+  mint.toBuffer().copy(data, 0);
+  owner.toBuffer().copy(data, 32);
+  data.writeBigUInt64LE(amount, 64);
+  data.writeUInt8(1, 108); // initialized
+  return data;
+}
+
+export interface AmmConfigFixture {
+  lpFeeBps: bigint;
+  protocolFeeBps: bigint;
+  creatorFeeBps: bigint;
+  protocolFeeRecipients: PublicKey[];
+  /** 传入时追加 mayhem 池子使用的 8 个预留 fee recipient */
+  reservedFeeRecipients?: PublicKey[];
+}
+
+/** Pump AMM 的 global_config 账户 */
+export function encodeAmmGlobalConfig(config: AmmConfigFixture): Buffer {
+  const writer = new Writer()
+    .pubkey(PublicKey.default)
+    .u64(config.lpFeeBps)
+    .u64(config.protocolFeeBps)
+    .u8(0);
+  for (let i = 0; i < 8; i++) {
+    writer.pubkey(
+      config.protocolFeeRecipients[i] ?? config.protocolFeeRecipients[0],
+    );
+  }
+  writer.u64(config.creatorFeeBps);
+  const reserved = config.reservedFeeRecipients;
+  if (!reserved) return writer.toBuffer();
+  writer
+    .bytes(Buffer.alloc(64)) // admin_set_coin_creator_authority + whitelist_pda
+    .pubkey(reserved[0])
+    .bool(true);
+  for (let i = 1; i < 8; i++) writer.pubkey(reserved[i] ?? reserved[0]);
+  return writer.toBuffer();
+}
+
+export function ammPoolPdas(mint: PublicKey, quoteMint: PublicKey = SOL_MINT) {
+  const [poolAuthority] = PublicKey.findProgramAddressSync(
+    [Buffer.from("pool-authority"), mint.toBuffer()],
+    PUMP,
+  );
+  const [pool] = PublicKey.findProgramAddressSync(
+    [
+      Buffer.from("pool"),
+      Buffer.from([0, 0]),
+      poolAuthority.toBuffer(),
+      mint.toBuffer(),
+      quoteMint.toBuffer(),
+    ],
+    PUMP_AMM,
+  );
+  const [globalConfig] = PublicKey.findProgramAddressSync(
+    [Buffer.from("global_config")],
+    PUMP_AMM,
+  );
+  return { pool, poolAuthority, globalConfig };
+}
+
+export interface PoolFixture {
+  baseAmount: bigint;
+  quoteAmount: bigint;
+  coinCreator?: PublicKey;
+  isMayhemMode?: boolean;
+  isCashbackCoin?: boolean;
+}
+
+/**
+ * 把迁移后的外盘池子、池子的两个代币账户和 AMM global_config 写入账户表
+ * 池子由 pool-authority 创建（canonical pool），默认 LP 20 / 协议 5 / 创作者 5 bps
+ */
+export function addAmmPool(
+  accounts: Map<string, AccountInfo<Buffer>>,
+  mint: PublicKey,
+  fixture: PoolFixture,
+  config: Partial<AmmConfigFixture> = {},
+) {
+  const { pool, poolAuthority, globalConfig } = ammPoolPdas(mint);
+  const poolBaseTokenAccount = Keypair.generate().publicKey;
+  const poolQuoteTokenAccount = Keypair.generate().publicKey;
+  const protocolFeeRecipients = config.protocolFeeRecipients ?? [
+    Keypair.generate().publicKey,
+  ];
+
+  const data = new Writer()
+    .u8(255)
+    .u16(0)
+    .pubkey(poolAuthority)
+    .pubkey(mint)
+    .pubkey(SOL_MINT)
+    .pubkey(Keypair.generate().publicKey)
+    .pubkey(poolBaseTokenAccount)
+    .pubkey(poolQuoteTokenAccount)
+    .u64(0n)
+    .pubkey(fixture.coinCreator ?? Keypair.generate().publicKey)
+    .bool(fixture.isMayhemMode ?? false)
+    .bool(fixture.isCashbackCoin ?? false)
+    .bytes(Buffer.alloc(40))
+    .toBuffer();
+
+  accounts.set(pool.toBase58(), account(data, PUMP_AMM));
+  accounts.set(
+    globalConfig.toBase58(),
+    account(
+      encodeAmmGlobalConfig({
+        lpFeeBps: config.lpFeeBps ?? 20n,
+        protocolFeeBps: config.protocolFeeBps ?? 5n,
+        creatorFeeBps: config.creatorFeeBps ?? 5n,
+        protocolFeeRecipients,
+        reservedFeeRecipients: config.reservedFeeRecipients,
+      }),
+      PUMP_AMM,
+    ),
+  );
+  accounts.set(
+    poolBaseTokenAccount.toBase58(),
+    account(encodeTokenAccount(mint, pool, fixture.baseAmount), TOKEN_PROGRAM),
+  );
+  accounts.set(
+    poolQuoteTokenAccount.toBase58(),
+    account(
+      encodeTokenAccount(SOL_MINT, pool, fixture.quoteAmount),
+      TOKEN_PROGRAM,
+    ),
+  );
+  return {
+    pool,
+    poolAuthority,
+    globalConfig,
+    poolBaseTokenAccount,
+    poolQuoteTokenAccount,
+    protocolFeeRecipients,
+  };
+}
+
+/** 把代币 mint 账户写入账户表 */
+export function addMint(
+  accounts: Map<string, AccountInfo<Buffer>>,
+  mint: PublicKey,
+  options: { supply?: bigint; decimals?: number; program?: PublicKey } = {},
+): void {
+  accounts.set(
+    mint.toBase58(),
+    account(
+      encodeMint(
+        options.supply ?? FRESH_CURVE.tokenTotalSupply,
+        options.decimals,
+      ),
+      options.program ?? TOKEN_PROGRAM,
+    ),
+  );
+}
+
+/**
+ * 发送相关的 RPC：getLatestBlockhash 返回固定的 blockhash，
+ * sendRawTransaction 记录原始交易并按发送顺序返回 sig-1、sig-2…
+ */
+export function sendRpc(lastValidBlockHeight = 1_000) {
+  const sent: Buffer[] = [];
+  const blockhash = Keypair.generate().publicKey.toBase58();
+  return {
+    sent,
+    blockhash,
+    rpc: {
+      getLatestBlockhash: async () => ({ blockhash, lastValidBlockHeight }),
+      sendRawTransaction: async (raw: Uint8Array) => {
+        sent.push(Buffer.from(raw));
+        return `sig-${sent.length}`;
+      },
+    },
+  };
+}
+
+/**
+ * 支持 signAllTransactions 的钱包适配器：calls 记录每次批量签名的笔数，
+ * singles 记录逐笔签名的次数；fail 为 true 时模拟用户拒绝
+ */
+export function batchWallet(fail = false) {
+  const keypair = Keypair.generate();
+  const calls: number[] = [];
+  const singles = { count: 0 };
+  const sign = <T extends Transaction | VersionedTransaction>(tx: T) => {
+    if (tx instanceof VersionedTransaction) tx.sign([keypair]);
+    else tx.partialSign(keypair);
+  };
+  const wallet: Wallet = {
+    publicKey: keypair.publicKey,
+    async signTransaction<T extends Transaction | VersionedTransaction>(tx: T) {
+      if (fail) throw new Error("User rejected the request");
+      singles.count++;
+      sign(tx);
+      return tx;
+    },
+    async signAllTransactions<T extends Transaction | VersionedTransaction>(
+      txs: T[],
+    ) {
+      if (fail) throw new Error("User rejected the request");
+      calls.push(txs.length);
+      txs.forEach(sign);
+      return txs;
+    },
+  };
+  return { wallet, calls, singles };
+}
+
+/** 旧版交易中指定程序的指令 */
+export function instructionsOf(
+  raw: Buffer,
+  programId: PublicKey,
+): TransactionInstruction[] {
+  return Transaction.from(raw).instructions.filter((ix) =>
+    ix.programId.equals(programId),
+  );
+}
+
+/** 旧版交易中 SetComputeUnitLimit / SetComputeUnitPrice 的取值 */
+export function computeBudgetOf(raw: Buffer): {
+  unitLimit?: number;
+  unitPrice?: bigint;
+} {
+  const result: { unitLimit?: number; unitPrice?: bigint } = {};
+  for (const ix of instructionsOf(raw, ComputeBudgetProgram.programId)) {
+    if (ix.data[0] === 2) result.unitLimit = ix.data.readUInt32LE(1);
+    if (ix.data[0] === 3) result.unitPrice = ix.data.readBigUInt64LE(1);
+  }
+  return result;
+}
+
+export const EVENT_DISCRIMINATORS = {
+  TRADE: Buffer.from([189, 219, 127, 211, 78, 230, 97, 238]),
+  AMM_BUY: Buffer.from([103, 244, 82, 31, 44, 245, 119, 119]),
+  AMM_SELL: Buffer.from([62, 47, 55, 10, 165, 3, 220, 42]),
+};
+
+/** Anchor emit_cpi! 自调用指令的前缀 */
+const EVENT_IX_TAG = Buffer.from([228, 69, 165, 46, 81, 203, 154, 29]);
+
+export interface TradeEventFixture {
+  mint: PublicKey;
+  user: PublicKey;
+  isBuy: boolean;
+  solAmount: bigint;
+  tokenAmount: bigint;
+  timestamp?: number;
+  virtualSolReserves?: bigint;
+  virtualTokenReserves?: bigint;
+  realSolReserves?: bigint;
+  realTokenReserves?: bigint;
+  feeRecipient?: PublicKey;
+  feeBasisPoints?: bigint;
+  fee?: bigint;
+  creator?: PublicKey;
+  creatorFeeBasisPoints?: bigint;
+  creatorFee?: bigint;
+  trackVolume?: boolean;
+  totalUnclaimedTokens?: bigint;
+  totalClaimedTokens?: bigint;
+  currentSolVolume?: bigint;
+  lastUpdateTimestamp?: number;
+  ixName?: string;
+  mayhemMode?: boolean;
+  cashbackFeeBasisPoints?: bigint;
+  cashback?: bigint;
+}
+
+/**
+ * 旧版 TradeEvent 的长度（含 discriminator），用于截断 encodeTradeEvent 的结果：
+ * afterTimestamp 到 timestamp 为止，afterVirtualReserves 到虚拟储备为止，
+ * afterFee 到 fee 为止（无 creator 字段），afterCreatorFee 到 creator_fee 为止
+ */
+export const TRADE_EVENT_LENGTHS = {
+  afterTimestamp: 97,
+  afterVirtualReserves: 113,
+  afterFee: 177,
+  afterCreatorFee: 225,
+};
+
+/** Pump TradeEvent 的完整布局，未给出的字段取默认值 */
+export function encodeTradeEvent(event: TradeEventFixture): Buffer {
+  return new Writer(EVENT_DISCRIMINATORS.TRADE)
+    .pubkey(event.mint)
+    .u64(event.solAmount)
+    .u64(event.tokenAmount)
+    .bool(event.isBuy)
+    .pubkey(event.user)
+    .i64(event.timestamp ?? 1_700_000_000)
+    .u64(event.virtualSolReserves ?? FRESH_CURVE.virtualSolReserves)
+    .u64(event.virtualTokenReserves ?? FRESH_CURVE.virtualTokenReserves)
+    .u64(event.realSolReserves ?? FRESH_CURVE.realSolReserves)
+    .u64(event.realTokenReserves ?? FRESH_CURVE.realTokenReserves)
+    .pubkey(event.feeRecipient ?? PublicKey.default)
+    .u64(event.feeBasisPoints ?? 95n)
+    .u64(event.fee ?? 0n)
+    .pubkey(event.creator ?? PublicKey.default)
+    .u64(event.creatorFeeBasisPoints ?? 30n)
+    .u64(event.creatorFee ?? 0n)
+    .bool(event.trackVolume ?? false)
+    .u64(event.totalUnclaimedTokens ?? 0n)
+    .u64(event.totalClaimedTokens ?? 0n)
+    .u64(event.currentSolVolume ?? 0n)
+    .i64(event.lastUpdateTimestamp ?? 0)
+    .string(event.ixName ?? (event.isBuy ? "buy" : "sell"))
+    .bool(event.mayhemMode ?? false)
+    .u64(event.cashbackFeeBasisPoints ?? 0n)
+    .u64(event.cashback ?? 0n)
+    .toBuffer();
+}
+
+export interface AmmSwapEventFixture {
+  isBuy: boolean;
+  pool: PublicKey;
+  user: PublicKey;
+  userBaseTokenAccount: PublicKey;
+  userQuoteTokenAccount?: PublicKey;
+  /** 买入为 base_amount_out，卖出为 base_amount_in */
+  baseAmount: bigint;
+  /** 买入为 user_quote_amount_in，卖出为 user_quote_amount_out */
+  userQuoteAmount: bigint;
+  timestamp?: number;
+  lpFee?: bigint;
+  protocolFee?: bigint;
+  coinCreatorFee?: bigint;
+  coinCreator?: PublicKey;
+}
+
+/** Pump AMM BuyEvent / SellEvent，未给出的字段取默认值 */
+export function encodeAmmSwapEvent(event: AmmSwapEventFixture): Buffer {
+  return new Writer(
+    event.isBuy ? EVENT_DISCRIMINATORS.AMM_BUY : EVENT_DISCRIMINATORS.AMM_SELL,
+  )
+    .i64(event.timestamp ?? 1_700_000_000)
+    .u64(event.baseAmount)
+    .u64(0n) // max_quote_amount_in / min_quote_amount_out
+    .u64(0n)
+    .u64(0n)
+    .u64(200_000_000_000_000n)
+    .u64(85n * SOL)
+    .u64(0n) // quote_amount_in / quote_amount_out
+    .u64(20n)
+    .u64(event.lpFee ?? 0n)
+    .u64(5n)
+    .u64(event.protocolFee ?? 0n)
+    .u64(0n) // quote_amount_in_with_lp_fee / quote_amount_out_without_lp_fee
+    .u64(event.userQuoteAmount)
+    .pubkey(event.pool)
+    .pubkey(event.user)
+    .pubkey(event.userBaseTokenAccount)
+    .pubkey(event.userQuoteTokenAccount ?? PublicKey.default)
+    .pubkey(PublicKey.default)
+    .pubkey(PublicKey.default)
+    .pubkey(event.coinCreator ?? PublicKey.default)
+    .u64(5n)
+    .u64(event.coinCreatorFee ?? 0n)
+    .toBuffer();
+}
+
+export interface EventTransactionFixture {
+  payer: PublicKey;
+  events: Array<{ programId: PublicKey; data: Buffer }>;
+  /** "cpi" 通过 emit_cpi 自调用指令发出事件（默认），"logs" 通过 Program data 日志 */
+  via?: "cpi" | "logs";
+  /**
+   * 交易涉及的代币账户，写入 pre/postTokenBalances；
+   * 给出 createdRent 的账户在交易中新建，只出现在 postTokenBalances，租金计入 postBalances
+   */
+  tokenAccounts?: Array<{
+    address: PublicKey;
+    mint: PublicKey;
+    owner?: PublicKey;
+    createdRent?: number;
+  }>;
+  slot?: number;
+  blockTime?: number;
+  fee?: number;
+}
+
+/**
+ * getTransaction 返回的 v0 交易：每个发出事件的程序各有一条顶层指令，
+ * 代币账户作为这些指令的账户出现在 staticAccountKeys 中
+ */
+export function eventTransaction(
+  fixture: EventTransactionFixture,
+): VersionedTransactionResponse {
+  const tokenAccounts = fixture.tokenAccounts ?? [];
+  const programs = [
+    ...new Map(
+      fixture.events.map((e) => [e.programId.toBase58(), e.programId]),
+    ).values(),
+  ];
+  const message = new TransactionMessage({
+    payerKey: fixture.payer,
+    recentBlockhash: PublicKey.default.toBase58(),
+    instructions: programs.map(
+      (programId) =>
+        new TransactionInstruction({
+          programId,
+          keys: tokenAccounts.map(({ address }) => ({
+            pubkey: address,
+            isSigner: false,
+            isWritable: true,
+          })),
+          data: Buffer.alloc(0),
+        }),
+    ),
+  }).compileToV0Message();
+  const keys = message.staticAccountKeys;
+  const indexOf = (key: PublicKey) => keys.findIndex((k) => k.equals(key));
+
+  const innerInstructions: CompiledInnerInstruction[] = [];
+  const logMessages: string[] = [];
+  for (const { programId, data } of fixture.events) {
+    if (fixture.via === "logs") {
+      logMessages.push(
+        `Program ${programId.toBase58()} invoke [1]`,
+        `Program data: ${data.toString("base64")}`,
+        `Program ${programId.toBase58()} success`,
+      );
+      continue;
+    }
+    const programIdIndex = indexOf(programId);
+    innerInstructions.push({
+      index: programs.findIndex((p) => p.equals(programId)),
+      instructions: [
+        {
+          programIdIndex,
+          accounts: [],
+          data: bs58.encode(Buffer.concat([EVENT_IX_TAG, data])),
+        },
+      ],
+    });
+  }
+
+  const postTokenBalances: TokenBalance[] = tokenAccounts.map(
+    ({ address, mint, owner }) => ({
+      accountIndex: indexOf(address),
+      mint: mint.toBase58(),
+      owner: owner?.toBase58(),
+      uiTokenAmount: { amount: "0", decimals: 6, uiAmount: 0 },
+    }),
+  );
+  const postBalances = keys.map(() => 0);
+  for (const { address, createdRent } of tokenAccounts) {
+    if (createdRent !== undefined) postBalances[indexOf(address)] = createdRent;
+  }
+  return {
+    slot: fixture.slot ?? 100,
+    blockTime: fixture.blockTime ?? 1_700_000_000,
+    version: 0,
+    transaction: { message, signatures: ["sig"] },
+    meta: {
+      err: null,
+      fee: fixture.fee ?? 5_000,
+      preBalances: keys.map(() => 0),
+      postBalances,
+      innerInstructions,
+      logMessages,
+      preTokenBalances: postTokenBalances.filter(
+        (_, i) => tokenAccounts[i].createdRent === undefined,
+      ),
+      postTokenBalances,
+      loadedAddresses: { writable: [], readonly: [] },
+    },
+  };
+}
+
+/**
+ * 一次调用 programId 的日志：events 写成 Program data，
+ * cpiEvents 个数的事件只通过 emit_cpi 自调用发出，日志中只有自调用记录
+ */
+export function programLogs(
+  programId: PublicKey,
+  events: Buffer[] = [],
+  cpiEvents = 0,
+): string[] {
+  const id = programId.toBase58();
+  const logs = [`Program ${id} invoke [1]`];
+  for (const data of events) {
+    logs.push(`Program data: ${data.toString("base64")}`);
+  }
+  for (let i = 0; i < cpiEvents; i++) {
+    logs.push(`Program ${id} invoke [2]`, `Program ${id} success`);
+  }
+  logs.push(`Program ${id} success`);
+  return logs;
+}
+
+/**
+ * onLogs / removeOnLogsListener：记录当前订阅，
+ * emit 把日志推给订阅了 programId 的回调，slot 推送 slot 心跳
+ */
+export function logsRpc() {
+  const subscriptions = new Map<
+    number,
+    { programId: PublicKey; callback: (logs: Logs, ctx: Context) => void }
+  >();
+  const slotSubscriptions = new Map<number, (info: SlotInfo) => void>();
+  let nextId = 0;
+  return {
+    subscriptions,
+    slotSubscriptions,
+    slot(slot: number) {
+      for (const callback of [...slotSubscriptions.values()]) {
+        callback({ slot, parent: slot - 1, root: slot - 32 });
+      }
+    },
+    emit(
+      programId: PublicKey,
+      logs: Omit<Logs, "err"> & { err?: Logs["err"] },
+      slot = 1,
+    ) {
+      for (const sub of [...subscriptions.values()]) {
+        if (!sub.programId.equals(programId)) continue;
+        sub.callback({ err: null, ...logs }, { slot });
+      }
+    },
+    rpc: {
+      onLogs: (
+        programId: PublicKey,
+        callback: (logs: Logs, ctx: Context) => void,
+      ) => {
+        subscriptions.set(++nextId, { programId, callback });
+        return nextId;
+      },
+      removeOnLogsListener: async (id: number) => {
+        subscriptions.delete(id);
+      },
+      onSlotChange: (callback: (info: SlotInfo) => void) => {
+        slotSubscriptions.set(++nextId, callback);
+        return nextId;
+      },
+      removeSlotChangeListener: async (id: number) => {
+        slotSubscriptions.delete(id);
+      },
+    },
+  };
+}
+
+/**
+ * getSignaturesForAddress：按地址返回 history 中的签名（新的在前），
+ * 支持 before / until / limit，并记录每次查询
+ */
+export function signaturesRpc() {
+  const history = new Map<
+    string,
+    Array<{ signature: string; slot: number; err?: unknown }>
+  >();
+  const calls: Array<{
+    address: string;
+    before?: string;
+    until?: string;
+    limit?: number;
+  }> = [];
+  return {
+    history,
+    calls,
+    rpc: {
+      getSignaturesForAddress: async (
+        address: PublicKey,
+        options: { before?: string; until?: string; limit?: number } = {},
+      ) => {
+        calls.push({ address: address.toBase58(), ...options });
+        let list = history.get(address.toBase58()) ?? [];
+        if (options.before) {
+          const i = list.findIndex((s) => s.signature === options.before);
+          list = i < 0 ? [] : list.slice(i + 1);
+        }
+        if (options.until) {
+          const i = list.findIndex((s) => s.signature === options.until);
+          if (i >= 0) list = list.slice(0, i);
+        }
+        return list.slice(0, options.limit ?? 1000).map((s) => ({
+          signature: s.signature,
+          slot: s.slot,
+          err: s.err ?? null,
+          memo: null,
+          blockTime: null,
+        }));
+      },
+    },
+  };
+}
+
+/**
+ * getTransaction / getTransactions：按签名返回 txs 中的交易（未给出的为 null），
+ * batches 记录每次 getTransactions 的签名
+ */
+export function transactionsRpc() {
+  const txs = new Map<string, VersionedTransactionResponse>();
+  const batches: string[][] = [];
+  return {
+    txs,
+    batches,
+    rpc: {
+      getTransaction: async (signature: string) => txs.get(signature) ?? null,
+      getTransactions: async (signatures: string[]) => {
+        batches.push(signatures);
+        return signatures.map((s) => txs.get(s) ?? null);
+      },
+    },
+  };
+}
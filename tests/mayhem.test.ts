@@ -0,0 +1,141 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Keypair, PublicKey, type AccountInfo } from "@solana/web3.js";
+import type { TradeOptions } from "../index";
+import {
+  FRESH_CURVE,
+  PUMP,
+  PUMP_AMM,
+  SOL,
+  account,
+  accountRpc,
+  addAmmPool,
+  addBondingCurve,
+  addMint,
+  createTrader,
+  encodeFeeConfig,
+  instructionsOf,
+  sendRpc,
+} from "./helpers";
+
+/** 内盘预留的第一个 fee recipient */
+const RESERVED_FEE_RECIPIENT = new PublicKey(
+  "GesfTA3X2arioaHp8bbKdjG9vJtskViWACZoYvxp4twS",
+);
+
+const LOW = { lpFeeBps: 20n, protocolFeeBps: 95n, creatorFeeBps: 30n };
+const HIGH = { lpFeeBps: 20n, protocolFeeBps: 50n, creatorFeeBps: 5n };
+
+const tradeOpt: TradeOptions = {
+  maxSolPerTx: SOL,
+  slippage: { base: 100 },
+  priority: { base: 1000 },
+  computeUnits: { mode: "fixed", units: 200_000 },
+};
+
+function setup() {
+  const mint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addMint(accounts, mint);
+  const send = sendRpc();
+  const t = createTrader({ ...accountRpc(accounts), ...send.rpc });
+  return { t, mint, accounts, send };
+}
+
+test("mayhem bonding buys pay the reserved fee recipient", async () => {
+  const mayhem = setup();
+  addBondingCurve(mayhem.accounts, mayhem.mint, {
+    flags: { isMayhemMode: true },
+  });
+  await mayhem.t.buy(mayhem.mint.toBase58(), SOL, tradeOpt);
+  const [buy] = instructionsOf(mayhem.send.sent[0], PUMP);
+  // global fee recipient 和 fee recipient 都必须是预留账户
+  assert.ok(buy.keys[1].pubkey.equals(RESERVED_FEE_RECIPIENT));
+  assert.ok(buy.keys.at(-1)!.pubkey.equals(RESERVED_FEE_RECIPIENT));
+
+  const normal = setup();
+  addBondingCurve(normal.accounts, normal.mint, { flags: {} });
+  await normal.t.buy(normal.mint.toBase58(), SOL, tradeOpt);
+  const [normalBuy] = instructionsOf(normal.send.sent[0], PUMP);
+  assert.ok(
+    !normalBuy.keys.some((k) => k.pubkey.equals(RESERVED_FEE_RECIPIENT)),
+  );
+});
+
+test("mayhem pools pay the global_config reserved recipient", async () => {
+  const reserved = Keypair.generate().publicKey;
+  const { t, mint, accounts, send } = setup();
+  const { protocolFeeRecipients } = addAmmPool(
+    accounts,
+    mint,
+    {
+      baseAmount: 200_000_000_000_000n,
+      quoteAmount: 85n * SOL,
+      isMayhemMode: true,
+    },
+    { reservedFeeRecipients: [reserved] },
+  );
+
+  await t.ammBuy(mint.toBase58(), SOL, tradeOpt);
+  const [swap] = instructionsOf(send.sent[0], PUMP_AMM);
+  assert.ok(swap.keys[9].pubkey.equals(reserved));
+  assert.ok(!swap.keys[9].pubkey.equals(protocolFeeRecipients[0]));
+});
+
+test("mayhem pools without reserved recipients fail the chunk", async () => {
+  const { t, mint, accounts, send } = setup();
+  // 旧版 global_config 没有预留列表
+  addAmmPool(accounts, mint, {
+    baseAmount: 200_000_000_000_000n,
+    quoteAmount: 85n * SOL,
+    isMayhemMode: true,
+  });
+
+  const result = await t.ammBuy(mint.toBase58(), SOL, tradeOpt);
+  assert.deepEqual(result.failedTransactions, [
+    { index: 0, error: "Reserved fee recipients not found for mayhem pool" },
+  ]);
+  assert.equal(send.sent.length, 0);
+});
+
+test("getPriceAndStatus reports mayhem mode", async () => {
+  const mayhem = setup();
+  addBondingCurve(mayhem.accounts, mayhem.mint, {
+    flags: { isMayhemMode: true },
+  });
+  const status = await mayhem.t.getPriceAndStatus(mayhem.mint.toBase58());
+  assert.equal(status.isMayhemMode, true);
+  assert.equal(status.completed, false);
+
+  // 旧版 bonding curve 布局没有 mayhem 标记
+  const legacy = setup();
+  addBondingCurve(legacy.accounts, legacy.mint);
+  const legacyStatus = await legacy.t.getPriceAndStatus(legacy.mint.toBase58());
+  assert.equal(legacyStatus.isMayhemMode, false);
+});
+
+test("mayhem coins pick the fee tier on the curve's doubled supply", async () => {
+  const { t, mint, accounts } = setup();
+  addBondingCurve(accounts, mint);
+  accounts.set(
+    t.getFeeConfigPda("bonding").toBase58(),
+    account(
+      encodeFeeConfig(LOW, [
+        [0n, LOW],
+        [100n * SOL, HIGH],
+      ]),
+    ),
+  );
+
+  // 60 SOL * 1e15 / 1.073e15 ≈ 56 SOL，供应量翻倍后约 112 SOL
+  const curve = { ...FRESH_CURVE, virtualSolReserves: 60n * SOL };
+  const normal = await t.getBondingFeeRates(curve);
+  assert.deepEqual(normal, { ...LOW, lpFeeBps: 0n });
+
+  const mayhem = await t.getBondingFeeRates({
+    ...curve,
+    tokenTotalSupply: 2n * FRESH_CURVE.tokenTotalSupply,
+    isMayhemMode: true,
+  });
+  assert.deepEqual(mayhem, { ...HIGH, lpFeeBps: 0n });
+});
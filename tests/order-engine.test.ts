@@ -0,0 +1,327 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Keypair, type AccountInfo } from "@solana/web3.js";
+import { OrderEngine } from "../index";
+import {
+  PUMP,
+  TOKEN_PROGRAM,
+  accountRpc,
+  addBondingCurve,
+  addMint,
+  createTrader,
+  encodeTradeEvent,
+  logsRpc,
+  programLogs,
+} from "./helpers";
+import type {
+  ChunkConfirmation,
+  ConditionalOrder,
+  ConditionalOrderParams,
+  PriceFeed,
+  TradeOptions,
+  TradeResult,
+} from "../index";
+
+const MINT = "mint";
+
+const tradeOpt: TradeOptions = {
+  maxSolPerTx: 1_000_000_000n,
+  slippage: { base: 100 },
+  priority: { base: 1000 },
+};
+
+interface Harness {
+  engine: OrderEngine;
+  sells: bigint[];
+  subscribed: string[];
+  unsubscribed: string[];
+  clock: { now: number };
+  /**
+   * fail 为 true 时 execute 直接抛错；execute 按 chunks 拆单返回，
+   * confirm 按 statuses 逐笔给出确认状态（默认 confirmed）
+   */
+  control: {
+    fail: boolean;
+    chunks: number;
+    statuses: ChunkConfirmation["status"][];
+  };
+}
+
+function harness(options: { maxAttempts?: number } = {}): Harness {
+  const sells: bigint[] = [];
+  const subscribed: string[] = [];
+  const unsubscribed: string[] = [];
+  const clock = { now: 1_000_000 };
+  const control: Harness["control"] = { fail: false, chunks: 1, statuses: [] };
+
+  const feed: PriceFeed = {
+    subscribe(mint) {
+      subscribed.push(mint);
+      return () => unsubscribed.push(mint);
+    },
+  };
+
+  const execute = async (
+    _order: ConditionalOrder,
+    amount: bigint,
+  ): Promise<TradeResult> => {
+    if (control.fail) throw new Error("rpc down");
+    sells.push(amount);
+    const chunks = control.chunks;
+    return {
+      pendingTransactions: Array.from({ length: chunks }, (_, i) => ({
+        signature: `sig-${sells.length}-${i}`,
+        lastValidBlockHeight: 0,
+        index: i,
+        amountIn: amount / BigInt(chunks),
+      })),
+      failedTransactions: [],
+    };
+  };
+
+  const confirm = async (result: TradeResult) => {
+    const chunks = result.pendingTransactions.map((p, i) => ({
+      index: p.index,
+      signature: p.signature,
+      status: control.statuses[i] ?? ("confirmed" as const),
+    }));
+    const count = (status: ChunkConfirmation["status"]) =>
+      chunks.filter((c) => c.status === status).length;
+    return {
+      chunks,
+      confirmed: count("confirmed"),
+      failed: count("failed"),
+      expired: count("expired"),
+      timeout: count("timeout"),
+    };
+  };
+
+  const engine = new OrderEngine({
+    feed,
+    execute,
+    confirm,
+    now: () => clock.now,
+    retryDelayMs: 1000,
+    maxAttempts: options.maxAttempts,
+  });
+  return { engine, sells, subscribed, unsubscribed, clock, control };
+}
+
+function params(
+  extra: Partial<ConditionalOrderParams>,
+): ConditionalOrderParams {
+  return { mint: MINT, amount: 1000n, tradeOpt, ...extra };
+}
+
+test("orders need a positive amount and an exit rule", () => {
+  const { engine } = harness();
+  assert.throws(
+    () => engine.place(params({ amount: 0n, stopLoss: { price: 1 } })),
+    /must be positive/,
+  );
+  assert.throws(() => engine.place(params({})), /no exit rule/);
+});
+
+test("take-profit levels sell their share once and merge skipped levels", async () => {
+  const { engine, sells, subscribed, unsubscribed } = harness();
+  const id = engine.place(
+    params({
+      takeProfit: [
+        { price: 2, sizeBps: 2500 },
+        { price: 3, sizeBps: 2500 },
+        { price: 4, sizeBps: 5000 },
+      ],
+    }),
+  );
+  assert.deepEqual(subscribed, [MINT]);
+
+  await engine.onPrice(MINT, 2);
+  await engine.onPrice(MINT, 2.5);
+  assert.deepEqual(sells, [250n]);
+
+  // 一次跳过剩余两档，合并卖出
+  await engine.onPrice(MINT, 5);
+  assert.deepEqual(sells, [250n, 750n]);
+
+  const order = engine.get(id)!;
+  assert.equal(order.status, "filled");
+  assert.equal(order.remaining, 0n);
+  assert.deepEqual(order.filledLevels, [0, 1, 2]);
+  assert.deepEqual(unsubscribed, [MINT]);
+});
+
+test("stop-loss sells its size once and leaves the rest to other rules", async () => {
+  const { engine, sells } = harness();
+  const id = engine.place(
+    params({
+      stopLoss: { price: 1, sizeBps: 5000 },
+      takeProfit: [{ price: 3, sizeBps: 10_000 }],
+    }),
+  );
+
+  await engine.onPrice(MINT, 0.9);
+  await engine.onPrice(MINT, 0.8);
+  assert.deepEqual(sells, [500n]);
+  assert.equal(engine.get(id)!.stopTriggered, true);
+  assert.equal(engine.get(id)!.remaining, 500n);
+
+  await engine.onPrice(MINT, 3);
+  assert.deepEqual(sells, [500n, 500n]);
+  assert.equal(engine.get(id)!.status, "filled");
+});
+
+test("trailing stop tracks the high after activation", async () => {
+  const { engine, sells } = harness();
+  const id = engine.place(
+    params({ trailingStop: { trailBps: 1000, activationPrice: 2 } }),
+  );
+
+  // 未激活前的回撤不触发
+  await engine.onPrice(MINT, 1.5);
+  await engine.onPrice(MINT, 1);
+  assert.equal(engine.get(id)!.highWater, undefined);
+
+  await engine.onPrice(MINT, 2);
+  await engine.onPrice(MINT, 4);
+  await engine.onPrice(MINT, 3.7);
+  assert.deepEqual(sells, []);
+  assert.equal(engine.get(id)!.highWater, 4);
+
+  await engine.onPrice(MINT, 3.6);
+  assert.deepEqual(sells, [1000n]);
+  assert.equal(engine.get(id)!.executions[0].trigger, "trailingStop");
+  assert.equal(engine.get(id)!.status, "filled");
+});
+
+test("expired orders sell the remainder at the last price", async () => {
+  const { engine, sells, clock } = harness();
+  const id = engine.place(params({ expireAt: clock.now + 5000 }));
+
+  await engine.onPrice(MINT, 1.2);
+  await engine.checkExpiry();
+  assert.deepEqual(sells, []);
+
+  clock.now += 5000;
+  await engine.checkExpiry();
+  assert.deepEqual(sells, [1000n]);
+  const [execution] = engine.get(id)!.executions;
+  assert.equal(execution.trigger, "expire");
+  assert.equal(execution.price, 1.2);
+  engine.stop();
+});
+
+test("only confirmed chunks are subtracted from remaining", async () => {
+  const { engine, control } = harness();
+  control.chunks = 2;
+  control.statuses = ["confirmed", "expired"];
+  const id = engine.place(params({ stopLoss: { price: 1 } }));
+
+  await engine.onPrice(MINT, 0.5);
+  const order = engine.get(id)!;
+  assert.equal(order.remaining, 500n);
+  assert.equal(order.status, "active");
+  assert.equal(order.executions[0].filledAmount, 500n);
+  assert.match(order.executions[0].error!, /Partially filled/);
+});
+
+test("failed executions back off, keep remaining and end as failed", async () => {
+  const { engine, sells, clock, control, unsubscribed } = harness({
+    maxAttempts: 3,
+  });
+  control.fail = true;
+  const id = engine.place(params({ stopLoss: { price: 1 } }));
+  const order = engine.get(id)!;
+
+  await engine.onPrice(MINT, 0.5);
+  assert.equal(order.status, "active");
+  assert.equal(order.attempts, 1);
+  assert.equal(order.retryAt, clock.now + 1000);
+  assert.equal(order.executions[0].error, "rpc down");
+
+  // 退避期间不重试
+  await engine.onPrice(MINT, 0.5);
+  assert.equal(order.executions.length, 1);
+
+  clock.now += 1000;
+  await engine.onPrice(MINT, 0.5);
+  assert.equal(order.attempts, 2);
+  assert.equal(order.retryAt, clock.now + 2000);
+
+  clock.now += 2000;
+  await engine.onPrice(MINT, 0.5);
+  assert.equal(order.status, "failed");
+  assert.equal(order.remaining, 1000n);
+  assert.deepEqual(sells, []);
+  assert.deepEqual(unsubscribed, [MINT]);
+});
+
+test("an unconfirmed execution is retried and a success resets attempts", async () => {
+  const { engine, clock, control } = harness();
+  control.statuses = ["expired"];
+  const id = engine.place(params({ stopLoss: { price: 1 } }));
+  const order = engine.get(id)!;
+
+  await engine.onPrice(MINT, 0.5);
+  assert.equal(order.remaining, 1000n);
+  assert.equal(order.attempts, 1);
+  assert.equal(order.stopTriggered, undefined);
+
+  control.statuses = [];
+  clock.now += 1000;
+  await engine.onPrice(MINT, 0.5);
+  assert.equal(order.attempts, 0);
+  assert.equal(order.retryAt, undefined);
+  assert.equal(order.status, "filled");
+});
+
+test("the feed is released when the last order for a mint ends", () => {
+  const { engine, subscribed, unsubscribed } = harness();
+  const first = engine.place(params({ stopLoss: { price: 1 } }));
+  const second = engine.place(params({ stopLoss: { price: 2 } }));
+  assert.deepEqual(subscribed, [MINT]);
+
+  assert.equal(engine.cancel(first), true);
+  assert.equal(engine.cancel(first), false);
+  assert.deepEqual(unsubscribed, []);
+
+  engine.stop();
+  assert.equal(engine.get(second)!.status, "cancelled");
+  assert.deepEqual(unsubscribed, [MINT]);
+});
+
+test("the default price feed converts quote reserves with the quote decimals", async () => {
+  const mint = Keypair.generate().publicKey;
+  const usdc = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addBondingCurve(accounts, mint, { flags: { quoteMint: usdc } });
+  addMint(accounts, usdc, { decimals: 6, program: TOKEN_PROGRAM });
+  const logs = logsRpc();
+  const t = createTrader({ ...accountRpc(accounts), ...logs.rpc });
+
+  const prices: number[] = [];
+  const stop = t
+    .createPriceFeed({ pollIntervalMs: 60_000 })
+    .subscribe(mint.toBase58(), (price) => prices.push(price));
+  // 30000 USDC / 10 亿代币
+  logs.emit(mint, {
+    signature: "sig",
+    logs: programLogs(PUMP, [
+      encodeTradeEvent({
+        mint,
+        user: Keypair.generate().publicKey,
+        isBuy: true,
+        solAmount: 1n,
+        tokenAmount: 1n,
+        virtualSolReserves: 30_000_000_000n,
+        virtualTokenReserves: 1_000_000_000_000_000n,
+      }),
+    ]),
+  });
+  for (let i = 0; i < 100 && prices.length === 0; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  stop();
+
+  const usdPerToken = 30_000 / 1_000_000_000;
+  assert.equal(prices[0], usdPerToken / (await t.getSolPriceInUsdc()));
+});
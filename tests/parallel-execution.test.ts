@@ -0,0 +1,136 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  Keypair,
+  PublicKey,
+  Transaction,
+  type AccountInfo,
+} from "@solana/web3.js";
+import type { TradeOptions, Wallet } from "../index";
+import {
+  PUMP,
+  SOL,
+  accountRpc,
+  addBondingCurve,
+  addMint,
+  batchWallet,
+  createTrader,
+  instructionsOf,
+  sendRpc,
+} from "./helpers";
+
+const tradeOpt = (execution?: TradeOptions["execution"]): TradeOptions => ({
+  maxSolPerTx: SOL,
+  slippage: { base: 100 },
+  priority: { base: 1000 },
+  computeUnits: { mode: "fixed", units: 200_000 },
+  execution,
+});
+
+/** 内盘代币；记录 getLatestBlockhash 次数和同时在途的发送数 */
+function setup(wallet?: Wallet) {
+  const mint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addBondingCurve(accounts, mint);
+  addMint(accounts, mint);
+  const send = sendRpc();
+  const stats = { blockhashes: 0, inFlight: 0, maxInFlight: 0 };
+  const t = createTrader(
+    {
+      ...accountRpc(accounts),
+      getLatestBlockhash: async () => {
+        stats.blockhashes++;
+        return send.rpc.getLatestBlockhash();
+      },
+      sendRawTransaction: async (raw: Uint8Array) => {
+        stats.inFlight++;
+        stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+        await new Promise((resolve) => setImmediate(resolve));
+        stats.inFlight--;
+        return send.rpc.sendRawTransaction(raw);
+      },
+    },
+    wallet,
+  );
+  return { t, mint: mint.toBase58(), send, stats };
+}
+
+test("sequential chunks each fetch a blockhash and send one at a time", async () => {
+  const { t, mint, stats } = setup();
+  const result = await t.buy(mint, 3n * SOL, tradeOpt());
+
+  assert.equal(result.pendingTransactions.length, 3);
+  assert.equal(stats.blockhashes, 3);
+  assert.equal(stats.maxInFlight, 1);
+});
+
+test("parallel chunks share one blockhash and keep the result order", async () => {
+  const { t, mint, send, stats } = setup();
+  const result = await t.buy(
+    mint,
+    3n * SOL,
+    tradeOpt({ mode: "parallel", concurrency: 4 }),
+  );
+
+  assert.equal(stats.blockhashes, 1);
+  assert.equal(stats.maxInFlight, 3);
+  assert.deepEqual(
+    send.sent.map((raw) => Transaction.from(raw).recentBlockhash),
+    [send.blockhash, send.blockhash, send.blockhash],
+  );
+  assert.deepEqual(
+    result.pendingTransactions.map((p) => p.index),
+    [0, 1, 2],
+  );
+  assert.deepEqual(result.failedTransactions, []);
+  // 每笔拆单都是完整的买入交易
+  for (const raw of send.sent) {
+    assert.equal(instructionsOf(raw, PUMP).length, 1);
+  }
+});
+
+test("parallel sends are bounded by concurrency", async () => {
+  const { t, mint, stats } = setup();
+  const result = await t.buy(
+    mint,
+    5n * SOL,
+    tradeOpt({ mode: "parallel", concurrency: 2 }),
+  );
+
+  assert.equal(result.pendingTransactions.length, 5);
+  assert.equal(stats.maxInFlight, 2);
+});
+
+test("parallel chunks are signed in one signAllTransactions call", async () => {
+  const { wallet, calls } = batchWallet();
+  const { t, mint } = setup(wallet);
+  const result = await t.buy(mint, 3n * SOL, tradeOpt({ mode: "parallel" }));
+
+  assert.deepEqual(calls, [3]);
+  assert.equal(result.pendingTransactions.length, 3);
+});
+
+test("a rejected batch signature fails every chunk", async () => {
+  const { t, mint, send } = setup(batchWallet(true).wallet);
+  const result = await t.buy(mint, 2n * SOL, tradeOpt({ mode: "parallel" }));
+
+  assert.equal(send.sent.length, 0);
+  assert.deepEqual(result.failedTransactions, [
+    { index: 0, error: "User rejected the request" },
+    { index: 1, error: "User rejected the request" },
+  ]);
+});
+
+test("every batched chunk creates the token account idempotently", async () => {
+  const { t, mint, send } = setup();
+  await t.buy(mint, 2n * SOL, tradeOpt({ mode: "parallel" }));
+
+  // 账户尚不存在，同一批的两笔拆单都带创建指令，先上链的不会让后一笔失败
+  const ataProgram = new PublicKey(
+    "ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL",
+  );
+  for (const raw of send.sent) {
+    const [create] = instructionsOf(raw, ataProgram);
+    assert.deepEqual(create.data, Buffer.from([1]));
+  }
+});
@@ -0,0 +1,240 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { Keypair, PublicKey } from "@solana/web3.js";
+import { PositionBook } from "../index";
+import type { PositionStorage, TradeFill } from "../index";
+import {
+  PUMP,
+  SOL,
+  SOL_MINT,
+  createTrader,
+  encodeTradeEvent,
+  eventTransaction,
+} from "./helpers";
+
+const USDC = "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v";
+
+let counter = 0;
+
+function fill(
+  side: "buy" | "sell",
+  tokenAmount: bigint,
+  quoteAmount: bigint,
+  extra: Partial<TradeFill> = {},
+): TradeFill {
+  counter++;
+  return {
+    signature: `sig-${counter}`,
+    slot: counter,
+    blockTime: 1_700_000_000 + counter,
+    mode: "bonding",
+    side,
+    mint: "mint",
+    user: "user",
+    tokenAmount,
+    quoteMint: SOL_MINT.toBase58(),
+    quoteDecimals: 9,
+    quoteAmount,
+    fees: {
+      lpFee: 0n,
+      protocolFee: 0n,
+      creatorFee: 0n,
+      cashback: 0n,
+      totalFee: 0n,
+    },
+    price: 0,
+    ...extra,
+  };
+}
+
+test("tracks average cost and realized pnl", () => {
+  const book = new PositionBook();
+  book.record([
+    fill("buy", 1_000_000n, 1_000_000_000n, {
+      networkFee: 5_000n,
+      rentPaid: 2_000_000n,
+    }),
+    fill("buy", 1_000_000n, 3_000_000_000n),
+  ]);
+
+  let position = book.get("mint")!;
+  assert.equal(position.tokenAmount, 2_000_000n);
+  assert.equal(position.costBasis, 4_002_005_000n);
+
+  book.record([fill("sell", 1_000_000n, 3_000_000_000n)]);
+  position = book.get("mint")!;
+  assert.equal(position.tokenAmount, 1_000_000n);
+  assert.equal(position.costBasis, 2_001_002_500n);
+  assert.equal(position.realizedPnl, 998_997_500n);
+  assert.equal(position.networkFees, 5_000n);
+  assert.equal(position.rent, 2_000_000n);
+  assert.equal(position.buys, 2);
+  assert.equal(position.sells, 1);
+});
+
+test("selling more than the recorded position counts the excess at zero cost", () => {
+  const book = new PositionBook();
+  book.record([
+    fill("buy", 1_000_000n, 1_000_000_000n),
+    fill("sell", 2_000_000n, 3_000_000_000n),
+  ]);
+
+  const position = book.get("mint")!;
+  assert.equal(position.tokenAmount, 0n);
+  assert.equal(position.costBasis, 0n);
+  assert.equal(position.realizedPnl, 2_000_000_000n);
+});
+
+test("ignores fills that were already recorded or have no mint", () => {
+  const book = new PositionBook();
+  const buy = fill("buy", 1_000_000n, 1_000_000_000n);
+  assert.equal(book.record([buy]), 1);
+  assert.equal(book.record([buy]), 0);
+  assert.equal(book.record([fill("buy", 1n, 1n, { mint: undefined })]), 0);
+  assert.equal(book.get("mint")!.tokenAmount, 1_000_000n);
+});
+
+test("valuates open positions in SOL", () => {
+  const book = new PositionBook();
+  book.record([fill("buy", 2_000_000n, 1_000_000_000n)]);
+
+  const [pnl] = book.valuate(
+    new Map([["mint", { price: 0.75, completed: true }]]),
+  );
+  assert.equal(pnl.marketValue, 1.5);
+  assert.equal(pnl.unrealizedPnl, 0.5);
+  assert.equal(pnl.totalPnl, 0.5);
+  assert.equal(pnl.completed, true);
+  assert.deepEqual(book.valuate(new Map()), []);
+});
+
+test("keeps USDC-quoted fills separate from lamport costs", () => {
+  const book = new PositionBook();
+  book.record([
+    fill("buy", 1_000_000n, 2_000_000n, {
+      quoteMint: USDC,
+      quoteDecimals: 6,
+      networkFee: 5_000n,
+    }),
+    fill("buy", 1_000_000n, 1_000_000_000n),
+  ]);
+
+  // 交易费以 lamports 计，不计入 USDC 成本
+  const usdc = book.get("mint", USDC)!;
+  assert.equal(usdc.costBasis, 2_000_000n);
+  assert.equal(usdc.networkFees, 5_000n);
+  assert.equal(book.get("mint", SOL_MINT.toBase58())!.costBasis, SOL);
+
+  const prices = new Map([["mint", { price: 2, completed: false }]]);
+  // 没有 USDC 价格时不计算 USDC 持仓
+  assert.deepEqual(
+    book.valuate(prices).map((p) => p.quoteMint),
+    [SOL_MINT.toBase58()],
+  );
+
+  // 1 USDC = 0.01 SOL
+  const pnl = book
+    .valuate(prices, new Map([[USDC, 0.01]]))
+    .find((p) => p.quoteMint === USDC)!;
+  assert.equal(pnl.marketValue, 2);
+  assert.equal(pnl.unrealizedPnl, 2 - 0.02);
+  assert.equal(pnl.totalPnl, 2 - 0.02 - 0.000005);
+});
+
+test("round-trips through a JSON file", async () => {
+  const dir = await mkdtemp(join(tmpdir(), "positions-"));
+  const path = join(dir, "book.json");
+  try {
+    assert.equal((await PositionBook.load(path)).all().length, 0);
+
+    const book = new PositionBook();
+    book.record([fill("buy", 1_000_000n, 1_000_000_000n)]);
+    await book.save(path);
+
+    const loaded = await PositionBook.load(path);
+    assert.deepEqual(loaded.all(), book.all());
+    // 已记录的成交随 JSON 一起恢复
+    assert.equal(loaded.record([fill("buy", 1n, 1n, { signature: "x" })]), 1);
+    assert.equal(loaded.record([fill("buy", 1n, 1n, { signature: "x" })]), 0);
+  } finally {
+    await rm(dir, { recursive: true });
+  }
+});
+
+test("round-trips through a custom storage and migrates version 1 data", async () => {
+  const data = new Map<string, string>();
+  const storage: PositionStorage = {
+    read: async (key) => data.get(key) ?? null,
+    write: async (key, value) => {
+      data.set(key, value);
+    },
+  };
+  assert.equal((await PositionBook.load("book", storage)).all().length, 0);
+
+  const book = new PositionBook();
+  book.record([fill("buy", 1_000_000n, 1_000_000_000n)]);
+  await book.save("book", storage);
+  assert.deepEqual(
+    (await PositionBook.load("book", storage)).all(),
+    book.all(),
+  );
+
+  // version 1 只有 SOL 计价的持仓，没有 quoteMint 字段
+  data.set(
+    "v1",
+    JSON.stringify({
+      version: 1,
+      positions: [
+        {
+          mint: "mint",
+          tokenAmount: "10",
+          costBasis: "20",
+          realizedPnl: "0",
+          fees: "0",
+          networkFees: "0",
+          rent: "0",
+          buys: 1,
+          sells: 0,
+          updatedAt: 0,
+        },
+      ],
+      recorded: [],
+    }),
+  );
+  const migrated = await PositionBook.load("v1", storage);
+  const position = migrated.get("mint", SOL_MINT.toBase58())!;
+  assert.equal(position.quoteDecimals, 9);
+  assert.equal(position.costBasis, 20n);
+});
+
+test("recordTrades keeps only the wallet's own fills", async () => {
+  const mint = Keypair.generate().publicKey;
+  const buy = (user: PublicKey) => ({
+    programId: PUMP,
+    data: encodeTradeEvent({
+      mint,
+      user,
+      isBuy: true,
+      solAmount: SOL,
+      tokenAmount: 1_000_000n,
+    }),
+  });
+  const t = createTrader({
+    getTransaction: async () =>
+      eventTransaction({
+        payer: t.getPublicKey(),
+        fee: 5_000,
+        events: [buy(t.getPublicKey()), buy(Keypair.generate().publicKey)],
+      }),
+  });
+
+  const book = new PositionBook();
+  assert.equal(await t.recordTrades(book, "sig"), 1);
+  const position = book.get(mint.toBase58())!;
+  assert.equal(position.quoteMint, SOL_MINT.toBase58());
+  assert.equal(position.tokenAmount, 1_000_000n);
+  assert.equal(position.costBasis, SOL + 5_000n);
+});
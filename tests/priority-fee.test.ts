@@ -0,0 +1,114 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Keypair, PublicKey, type AccountInfo } from "@solana/web3.js";
+import type { TradeOptions } from "../index";
+import {
+  SOL,
+  accountRpc,
+  addBondingCurve,
+  addMint,
+  bondingCurvePda,
+  computeBudgetOf,
+  createTrader,
+  sendRpc,
+} from "./helpers";
+
+/** 固定 200k CU，避免模拟估算 */
+const tradeOpt = (priority: TradeOptions["priority"]): TradeOptions => ({
+  maxSolPerTx: SOL,
+  slippage: { base: 100 },
+  priority,
+  computeUnits: { mode: "fixed", units: 200_000 },
+});
+
+/** getRecentPrioritizationFees 返回 fees，并记录查询的账户 */
+function setup(fees: number[]) {
+  const mint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addBondingCurve(accounts, mint);
+  addMint(accounts, mint);
+  const send = sendRpc();
+  const queried: PublicKey[][] = [];
+  const t = createTrader({
+    ...accountRpc(accounts),
+    ...send.rpc,
+    getRecentPrioritizationFees: async (config: {
+      lockedWritableAccounts: PublicKey[];
+    }) => {
+      queried.push(config.lockedWritableAccounts);
+      return fees.map((prioritizationFee, slot) => ({
+        slot,
+        prioritizationFee,
+      }));
+    },
+  });
+  return { t, mint, sent: send.sent, queried };
+}
+
+test("random strategy keeps base plus noise and skips the fee RPC", async () => {
+  const { t, mint, sent, queried } = setup([]);
+  await t.buy(
+    mint.toBase58(),
+    SOL,
+    tradeOpt({ base: 1000, enableRandom: true, randomRange: 50 }),
+  );
+
+  const price = Number(computeBudgetOf(sent[0]).unitPrice);
+  assert.ok(price >= 1000 && price < 1050);
+  assert.equal(queried.length, 0);
+});
+
+test("percentile strategy reads fees for the accounts the trade writes", async () => {
+  const { t, mint, sent, queried } = setup([0, 400, 100, 300, 200]);
+  await t.buy(
+    mint.toBase58(),
+    SOL,
+    tradeOpt({ base: 1000, strategy: "percentile" }),
+  );
+
+  // 忽略 0，[100, 200, 300, 400] 的 p75 为 300
+  assert.equal(computeBudgetOf(sent[0]).unitPrice, 300n);
+  const [locked] = queried;
+  assert.ok(locked.some((k) => k.equals(bondingCurvePda(mint))));
+  assert.ok(!locked.some((k) => k.equals(t.getPublicKey())));
+});
+
+test("percentile strategy falls back to base without recent fees", async () => {
+  const { t, mint, sent } = setup([0, 0]);
+  await t.buy(
+    mint.toBase58(),
+    SOL,
+    tradeOpt({ base: 1000, strategy: "percentile" }),
+  );
+  assert.equal(computeBudgetOf(sent[0]).unitPrice, 1000n);
+});
+
+test("min, max and maxLamportsPerTx bound the price", async () => {
+  const { t, mint, sent } = setup([5_000]);
+  await t.buy(
+    mint.toBase58(),
+    SOL,
+    tradeOpt({ base: 1000, strategy: "percentile", max: 4_000 }),
+  );
+  await t.buy(mint.toBase58(), SOL, tradeOpt({ base: 10, min: 500 }));
+  // 10 lamports / 200k CU = 50 microLamports
+  await t.buy(
+    mint.toBase58(),
+    SOL,
+    tradeOpt({ base: 1000, maxLamportsPerTx: 10 }),
+  );
+
+  assert.deepEqual(
+    sent.map((raw) => computeBudgetOf(raw).unitPrice),
+    [4_000n, 500n, 50n],
+  );
+});
+
+test("getRecentPriorityFee dedupes accounts and takes the percentile", async () => {
+  const { t, queried } = setup([10, 20, 30, 40]);
+  const account = Keypair.generate().publicKey;
+
+  assert.equal(await t.getRecentPriorityFee([account, account], 50), 20);
+  assert.equal(queried[0].length, 1);
+  assert.equal(await t.getRecentPriorityFee([account], 100), 40);
+});
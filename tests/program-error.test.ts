@@ -0,0 +1,179 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  ComputeBudgetProgram,
+  Keypair,
+  PublicKey,
+  VersionedTransaction,
+  type AccountInfo,
+} from "@solana/web3.js";
+import { PumpProgramError } from "../index";
+import type { TradeOptions } from "../index";
+import {
+  PUMP,
+  PUMP_AMM,
+  SOL,
+  accountRpc,
+  addAmmPool,
+  addBondingCurve,
+  addMint,
+  createTrader,
+  sendRpc,
+} from "./helpers";
+
+const tradeOpt: TradeOptions = {
+  maxSolPerTx: SOL,
+  slippage: { base: 100 },
+  priority: { base: 1000 },
+};
+
+/** 交易中第一条属于 programId 的指令序号 */
+function instructionIndex(tx: VersionedTransaction, programId: PublicKey) {
+  const keys = tx.message.staticAccountKeys;
+  return tx.message.compiledInstructions.findIndex((ix) =>
+    keys[ix.programIdIndex].equals(programId),
+  );
+}
+
+/**
+ * simulateTransaction 在 failOn 的指令上返回 error 生成的错误，
+ * failOn 为空时模拟成功
+ */
+function setup(pool = false) {
+  const mint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  if (pool) {
+    addAmmPool(accounts, mint, {
+      baseAmount: 200_000_000_000_000n,
+      quoteAmount: 85n * SOL,
+    });
+  } else {
+    addBondingCurve(accounts, mint);
+  }
+  addMint(accounts, mint);
+  const send = sendRpc();
+  const sim: {
+    failOn?: PublicKey;
+    error?: (index: number) => unknown;
+  } = {};
+  const t = createTrader({
+    ...accountRpc(accounts),
+    ...send.rpc,
+    simulateTransaction: async (tx: VersionedTransaction) => ({
+      context: { slot: 1 },
+      value: {
+        err: sim.failOn ? sim.error!(instructionIndex(tx, sim.failOn)) : null,
+        logs: ["Program log: simulated"],
+        unitsConsumed: 54_321,
+      },
+    }),
+  });
+  return { t, mint: mint.toBase58(), sent: send.sent, sim };
+}
+
+test("PumpProgramError classifies slippage and curve completion", () => {
+  const slippage = new PumpProgramError({
+    program: "pump",
+    code: 6002,
+    errorName: "TooMuchSolRequired",
+    instructionIndex: 3,
+  });
+  assert.equal(slippage.isSlippage, true);
+  assert.equal(slippage.isCurveComplete, false);
+  assert.equal(
+    slippage.message,
+    "pump error 6002 (TooMuchSolRequired) at instruction 3",
+  );
+
+  const complete = new PumpProgramError({
+    program: "pump",
+    code: 6005,
+    errorName: "BondingCurveComplete",
+    instructionIndex: 2,
+  });
+  assert.equal(complete.isSlippage, false);
+  assert.equal(complete.isCurveComplete, true);
+});
+
+test("simulateBuy reports units and logs without sending", async () => {
+  const { t, mint, sent } = setup();
+  const result = await t.simulateBuy(mint, 2n * SOL, tradeOpt);
+
+  assert.equal(sent.length, 0);
+  assert.equal(result.pendingTransactions.length, 0);
+  assert.equal(result.simulatedTransactions?.length, 2);
+  const [first] = result.simulatedTransactions!;
+  assert.equal(first.unitsConsumed, 54_321);
+  assert.deepEqual(first.logs, ["Program log: simulated"]);
+  assert.equal(first.err, null);
+  assert.equal(first.programError, undefined);
+});
+
+test("simulation errors decode per program with the Anchor fallback", async () => {
+  const { t, mint, sim } = setup();
+  const simulate = async () =>
+    (await t.simulateBuy(mint, SOL, tradeOpt)).simulatedTransactions![0];
+
+  sim.failOn = PUMP;
+  sim.error = (index) => ({ InstructionError: [index, { Custom: 6002 }] });
+  const pump = (await simulate()).programError!;
+  assert.equal(pump.program, "pump");
+  assert.equal(pump.errorName, "TooMuchSolRequired");
+  assert.equal(pump.isSlippage, true);
+
+  sim.failOn = ComputeBudgetProgram.programId;
+  sim.error = (index) => ({ InstructionError: [index, { Custom: 3012 }] });
+  const other = (await simulate()).programError!;
+  assert.equal(other.program, "unknown");
+  assert.equal(other.errorName, "AccountNotInitialized");
+  assert.equal(other.instructionIndex, 0);
+
+  sim.error = (index) => ({ InstructionError: [index, "InvalidAccountData"] });
+  const builtin = await simulate();
+  assert.equal(builtin.programError, undefined);
+  assert.equal(builtin.unitsConsumed, 54_321);
+});
+
+test("Pump AMM errors decode with the AMM error table", async () => {
+  const { t, mint, sim } = setup(true);
+  sim.failOn = PUMP_AMM;
+  sim.error = (index) => ({ InstructionError: [index, { Custom: 6004 }] });
+
+  const result = await t.simulateBuy(mint, SOL, tradeOpt);
+  const error = result.simulatedTransactions![0].programError!;
+  assert.equal(error.program, "pump_amm");
+  assert.equal(error.errorName, "ExceededSlippage");
+  assert.equal(error.isSlippage, true);
+});
+
+test("preflight skips chunks that fail simulation", async () => {
+  const { t, mint, sent, sim } = setup();
+  sim.failOn = PUMP;
+  sim.error = (index) => ({ InstructionError: [index, { Custom: 6005 }] });
+
+  const result = await t.buy(mint, SOL, { ...tradeOpt, simulate: "preflight" });
+  assert.equal(sent.length, 0);
+  assert.equal(result.pendingTransactions.length, 0);
+  const [failed] = result.failedTransactions;
+  assert.equal(failed.programError?.isCurveComplete, true);
+  assert.equal(failed.error, failed.programError?.message);
+
+  sim.failOn = undefined;
+  const ok = await t.buy(mint, SOL, { ...tradeOpt, simulate: "preflight" });
+  assert.equal(sent.length, 1);
+  assert.equal(ok.pendingTransactions.length, 1);
+});
+
+test("node preflight errors are decoded from the send error message", async () => {
+  const { t, mint } = setup();
+  t.getConnection().sendRawTransaction = async () => {
+    throw new Error(
+      "Transaction simulation failed: Error processing Instruction 2: custom program error: 0x1772",
+    );
+  };
+
+  const result = await t.buy(mint, SOL, tradeOpt);
+  const [failed] = result.failedTransactions;
+  assert.equal(failed.programError?.code, 6002);
+  assert.equal(failed.programError?.instructionIndex, 2);
+});
@@ -0,0 +1,127 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Keypair, type AccountInfo } from "@solana/web3.js";
+import type { TradeOptions } from "../index";
+import {
+  FRESH_CURVE,
+  SOL,
+  accountRpc,
+  addBondingCurve,
+  createTrader,
+} from "./helpers";
+
+const tradeOpt: TradeOptions = {
+  maxSolPerTx: SOL,
+  slippage: { base: 100 },
+  priority: { base: 1000 },
+};
+
+/** 内盘代币，没有 fee_config 时按 Global 的 95 + 30 bps 收费 */
+function setup(isCashbackCoin = false) {
+  const mint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addBondingCurve(accounts, mint, {
+    flags: isCashbackCoin ? { isCashbackCoin } : undefined,
+  });
+  return { t: createTrader(accountRpc(accounts)), mint: mint.toBase58() };
+}
+
+test("quoteBuy detects the bonding curve and splits by maxSolPerTx", async () => {
+  const { t, mint } = setup();
+  const quote = await t.quoteBuy(mint, 3n * SOL, tradeOpt);
+
+  assert.equal(quote.mode, "bonding");
+  assert.equal(quote.side, "buy");
+  assert.deepEqual(quote.feeRates, {
+    lpFeeBps: 0n,
+    protocolFeeBps: 95n,
+    creatorFeeBps: 30n,
+  });
+  assert.deepEqual(
+    quote.chunks.map((c) => c.amountIn),
+    [SOL, SOL, SOL],
+  );
+  assert.equal(
+    quote.chunks[0].expectedOut,
+    t.calcBuy(SOL, FRESH_CURVE, quote.feeRates),
+  );
+  // 每笔拆单按前面拆单成交后的曲线报价，得到的代币依次减少
+  const [a, b, c] = quote.chunks.map((chunk) => chunk.expectedOut);
+  assert.ok(a > b && b > c);
+  assert.equal(quote.expectedOut, a + b + c);
+
+  // 只有扣费后的 SOL 进入曲线
+  assert.equal(quote.reservesBefore.quote, FRESH_CURVE.virtualSolReserves);
+  assert.equal(
+    quote.reservesAfter.quote,
+    FRESH_CURVE.virtualSolReserves + 3n * SOL - quote.fees.totalFee,
+  );
+  assert.equal(
+    quote.reservesAfter.base,
+    FRESH_CURVE.virtualTokenReserves - quote.expectedOut,
+  );
+  assert.ok(quote.priceImpactBps > 0);
+});
+
+test("quoteBuy sums fees and caps maxIn by slippage", async () => {
+  const { t, mint } = setup();
+  const quote = await t.quoteBuy(mint, SOL, tradeOpt);
+  const [chunk] = quote.chunks;
+
+  assert.equal(chunk.minOut, chunk.expectedOut);
+  assert.equal(
+    chunk.maxIn,
+    (SOL * BigInt(10_000 + chunk.slippageBps)) / 10_000n,
+  );
+  assert.equal(quote.maxIn, chunk.maxIn);
+  assert.ok(chunk.fees.protocolFee > 0n);
+  assert.ok(chunk.fees.creatorFee > 0n);
+  assert.equal(
+    quote.fees.totalFee,
+    chunk.fees.lpFee + chunk.fees.protocolFee + chunk.fees.creatorFee,
+  );
+  // 扣费后的 SOL 加上手续费不超过付出的 SOL
+  const netIn = t.calcBondingNetSolIn(SOL, quote.feeRates);
+  assert.ok(netIn + quote.fees.totalFee <= SOL);
+});
+
+test("cashback coins report the creator fee as cashback", async () => {
+  const { t, mint } = setup(true);
+  const quote = await t.quoteBuy(mint, SOL, tradeOpt);
+  assert.equal(quote.fees.creatorFee, 0n);
+  assert.ok(quote.fees.cashback > 0n);
+});
+
+test("quoteSell splits by the quote received and applies slippage to minOut", async () => {
+  const { t, mint } = setup();
+  const tokenIn = 100_000_000_000_000n;
+  const quote = await t.quoteSell(mint, tokenIn, tradeOpt);
+
+  // 卖出得到约 2.5 SOL，按每笔 1 SOL 拆成 3 笔
+  assert.equal(
+    quote.expectedOut,
+    quote.chunks.reduce((sum, c) => sum + c.expectedOut, 0n),
+  );
+  assert.ok(quote.expectedOut > 2n * SOL && quote.expectedOut < 3n * SOL);
+  assert.equal(quote.chunks.length, 3);
+  assert.equal(
+    quote.chunks.reduce((sum, c) => sum + c.amountIn, 0n),
+    tokenIn,
+  );
+  for (const chunk of quote.chunks) {
+    assert.equal(chunk.maxIn, chunk.amountIn);
+    assert.equal(
+      chunk.minOut,
+      (chunk.expectedOut * BigInt(10_000 - chunk.slippageBps)) / 10_000n,
+    );
+  }
+  // 手续费从卖出得到的 SOL 中扣除，不影响曲线上的代币储备；
+  // 各笔拆单分别取整，与一次卖出最多相差每笔 1 lamport
+  const gross = t.calcSell(tokenIn, FRESH_CURVE);
+  const diff = gross - quote.fees.totalFee - quote.expectedOut;
+  assert.ok(diff >= -3n && diff <= 3n);
+  assert.equal(
+    quote.reservesAfter.base,
+    FRESH_CURVE.virtualTokenReserves + tokenIn,
+  );
+});
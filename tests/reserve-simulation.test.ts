@@ -0,0 +1,182 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Keypair, PublicKey, type AccountInfo } from "@solana/web3.js";
+import type {
+  BondingCurveState,
+  FeeRates,
+  PoolReserves,
+  TradeOptions,
+} from "../index";
+import {
+  FRESH_CURVE,
+  PUMP,
+  SOL,
+  account,
+  accountRpc,
+  addBondingCurve,
+  addMint,
+  bondingCurvePda,
+  createTrader,
+  encodeBondingCurve,
+  instructionsOf,
+  sendRpc,
+} from "./helpers";
+
+const fees: FeeRates = {
+  lpFeeBps: 20n,
+  protocolFeeBps: 5n,
+  creatorFeeBps: 5n,
+};
+
+const curve: BondingCurveState = FRESH_CURVE;
+
+const pool: PoolReserves = {
+  baseAmount: 200_000_000_000_000n,
+  quoteAmount: 85n * SOL,
+  baseDecimals: 6,
+  quoteDecimals: 9,
+};
+
+const t = createTrader();
+
+const tradeOpt = (
+  reserveUpdate?: TradeOptions["reserveUpdate"],
+): TradeOptions => ({
+  maxSolPerTx: SOL,
+  slippage: { base: 100 },
+  priority: { base: 1000 },
+  computeUnits: { mode: "fixed", units: 200_000 },
+  reserveUpdate,
+});
+
+test("bonding buy moves net SOL in and tokens out of both reserve pairs", () => {
+  const next = t.advanceBondingState(curve, "buy", SOL, fees);
+  const tokenOut = t.calcBuy(SOL, curve, fees);
+  const netIn = t.calcBondingNetSolIn(SOL, fees);
+
+  assert.equal(next.virtualSolReserves, curve.virtualSolReserves + netIn);
+  assert.equal(next.realSolReserves, netIn);
+  assert.equal(
+    next.virtualTokenReserves,
+    curve.virtualTokenReserves - tokenOut,
+  );
+  assert.equal(next.realTokenReserves, curve.realTokenReserves - tokenOut);
+  // 下一笔同样大小的买入得到更少的代币
+  assert.ok(t.calcBuy(SOL, next, fees) < tokenOut);
+});
+
+test("bonding sell pays out the gross SOL and undoes a fee-free buy", () => {
+  const bought = t.advanceBondingState(curve, "buy", SOL);
+  const tokenOut = curve.virtualTokenReserves - bought.virtualTokenReserves;
+  const sold = t.advanceBondingState(bought, "sell", tokenOut);
+
+  assert.equal(sold.virtualTokenReserves, curve.virtualTokenReserves);
+  // 两次整数除法各自取整，最多相差 1 lamport
+  const diff = sold.virtualSolReserves - curve.virtualSolReserves;
+  assert.ok(diff >= -1n && diff <= 1n);
+});
+
+test("amm buy keeps the LP fee in the pool", () => {
+  const next = t.advanceAmmReserves(pool, "buy", SOL, fees);
+  const netIn = t.calcAmmNetQuoteIn(SOL, fees);
+  const baseOut = t.calculateAmmBuyOutput(SOL, pool, fees);
+
+  assert.equal(next.baseAmount, pool.baseAmount - baseOut);
+  assert.ok(next.quoteAmount > pool.quoteAmount + netIn);
+  assert.ok(next.quoteAmount < pool.quoteAmount + SOL);
+  assert.equal(next.baseDecimals, pool.baseDecimals);
+});
+
+test("amm sell removes the gross quote less the LP fee", () => {
+  const baseIn = 1_000_000_000_000n;
+  const next = t.advanceAmmReserves(pool, "sell", baseIn, fees);
+  const grossOut = (pool.quoteAmount * baseIn) / (pool.baseAmount + baseIn);
+
+  assert.equal(next.baseAmount, pool.baseAmount + baseIn);
+  assert.ok(next.quoteAmount > pool.quoteAmount - grossOut);
+  assert.ok(
+    t.calculateAmmSellOutput(baseIn, next, fees) <
+      t.calculateAmmSellOutput(baseIn, pool, fees),
+  );
+});
+
+/**
+ * 内盘买入 2 SOL（两笔拆单）：第一笔发出后链上曲线变为 afterFirstSend(推演后的曲线)，
+ * 返回每笔买入的代币数量和读取曲线的次数
+ */
+async function buyTwoChunks(
+  reserveUpdate: TradeOptions["reserveUpdate"],
+  afterFirstSend: (simulated: BondingCurveState) => BondingCurveState,
+) {
+  const mint = Keypair.generate().publicKey;
+  const creator = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addBondingCurve(accounts, mint, { creator });
+  addMint(accounts, mint);
+  const curveKey = bondingCurvePda(mint).toBase58();
+  const rpc = accountRpc(accounts);
+  const send = sendRpc();
+  let curveLoads = 0;
+  const trader = createTrader({
+    ...rpc,
+    ...send.rpc,
+    getAccountInfo: async (address: PublicKey) => {
+      if (address.toBase58() === curveKey) curveLoads++;
+      return rpc.getAccountInfo(address);
+    },
+    sendRawTransaction: async (raw: Uint8Array) => {
+      if (send.sent.length === 0) {
+        accounts.set(
+          curveKey,
+          account(encodeBondingCurve(afterFirstSend(simulated), creator)),
+        );
+      }
+      return send.rpc.sendRawTransaction(raw);
+    },
+  });
+  const rates = await trader.getBondingFeeRates(FRESH_CURVE, creator);
+  const simulated = trader.advanceBondingState(FRESH_CURVE, "buy", SOL, rates);
+
+  await trader.buy(mint.toBase58(), 2n * SOL, tradeOpt(reserveUpdate));
+  const tokenOuts = send.sent.map((raw) =>
+    instructionsOf(raw, PUMP)[0].data.readBigUInt64LE(8),
+  );
+  return { rates, simulated, tokenOuts, curveLoads };
+}
+
+/** 第一笔之后他人又买入 5 SOL */
+const otherBuy = (simulated: BondingCurveState) =>
+  t.advanceBondingState(simulated, "buy", 5n * SOL);
+
+test("chunks are priced on the simulated curve without refetching by default", async () => {
+  const { rates, simulated, tokenOuts, curveLoads } = await buyTwoChunks(
+    undefined,
+    otherBuy,
+  );
+
+  assert.deepEqual(tokenOuts, [
+    t.calcBuy(SOL, FRESH_CURVE, rates),
+    t.calcBuy(SOL, simulated, rates),
+  ]);
+  assert.equal(curveLoads, 1);
+});
+
+test("refetch uses the chain when other buys made it worse", async () => {
+  const { rates, simulated, tokenOuts, curveLoads } = await buyTwoChunks(
+    "refetch",
+    otherBuy,
+  );
+
+  assert.equal(tokenOuts[1], t.calcBuy(SOL, otherBuy(simulated), rates));
+  assert.equal(curveLoads, 2);
+});
+
+test("refetch keeps the simulation while the own chunk has not landed", async () => {
+  // 链上仍是第一笔之前的曲线
+  const { rates, simulated, tokenOuts } = await buyTwoChunks(
+    "refetch",
+    () => FRESH_CURVE,
+  );
+
+  assert.equal(tokenOuts[1], t.calcBuy(SOL, simulated, rates));
+});
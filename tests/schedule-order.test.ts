@@ -0,0 +1,161 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Keypair, type AccountInfo } from "@solana/web3.js";
+import type { ScheduleProgress, TradeOptions } from "../index";
+import {
+  SOL,
+  accountRpc,
+  addBondingCurve,
+  addMint,
+  createTrader,
+  sendRpc,
+} from "./helpers";
+
+const tradeOpt: TradeOptions = {
+  maxSolPerTx: 10n * SOL,
+  slippage: { base: 100 },
+  priority: { base: 1000 },
+  computeUnits: { mode: "fixed", units: 200_000 },
+};
+
+/** 内盘代币；getSignatureStatuses 按 status 返回每笔交易的状态 */
+function setup(status: { err: unknown } = { err: null }) {
+  const mint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addBondingCurve(accounts, mint);
+  addMint(accounts, mint);
+  const send = sendRpc();
+  const t = createTrader({
+    ...accountRpc(accounts),
+    ...send.rpc,
+    getSignatureStatuses: async (signatures: string[]) => ({
+      context: { slot: 1 },
+      value: signatures.map(() => ({
+        slot: 1,
+        confirmations: null,
+        confirmationStatus: "confirmed" as const,
+        ...status,
+      })),
+    }),
+    getBlockHeight: async () => 1,
+  });
+  return { t, mint: mint.toBase58() };
+}
+
+const amountsIn = (progress: ScheduleProgress) =>
+  progress.results.map((r) => r.pendingTransactions[0].amountIn);
+
+test("schedules need their strategy's parameters", () => {
+  const { t, mint } = setup();
+  const base = { side: "buy" as const, tokenAddr: mint, totalAmount: SOL };
+  assert.throws(
+    () => t.scheduleOrder({ ...base, strategy: "dca", tradeOpt }),
+    /amountPerSlice and intervalMs/,
+  );
+  assert.throws(
+    () => t.scheduleOrder({ ...base, strategy: "twap", tradeOpt }),
+    /durationMs/,
+  );
+  assert.throws(
+    () => t.scheduleOrder({ ...base, strategy: "impact", tradeOpt }),
+    /maxImpactBps/,
+  );
+});
+
+test("twap splits the total evenly and reports each slice", async () => {
+  const { t, mint } = setup();
+  const reports: ScheduleProgress[] = [];
+  const order = t.scheduleOrder({
+    side: "buy",
+    tokenAddr: mint,
+    totalAmount: 3n * SOL,
+    strategy: "twap",
+    slices: 3,
+    durationMs: 30,
+    waitForConfirmation: false,
+    tradeOpt,
+    onProgress: (p) => reports.push(p),
+  });
+
+  const progress = await order.done;
+  assert.equal(progress.status, "completed");
+  assert.equal(progress.executedAmount, 3n * SOL);
+  assert.equal(progress.remainingAmount, 0n);
+  assert.deepEqual(amountsIn(progress), [SOL, SOL, SOL]);
+  assert.deepEqual(
+    reports.map((p) => [p.status, p.slicesDone]),
+    [
+      ["running", 1],
+      ["running", 2],
+      ["running", 3],
+      ["completed", 3],
+    ],
+  );
+  assert.ok(progress.lastQuote);
+});
+
+test("dca buys amountPerSlice with the remainder last", async () => {
+  const { t, mint } = setup();
+  const progress = await t.scheduleOrder({
+    side: "buy",
+    tokenAddr: mint,
+    totalAmount: (5n * SOL) / 2n,
+    strategy: "dca",
+    amountPerSlice: SOL,
+    intervalMs: 1,
+    waitForConfirmation: false,
+    tradeOpt,
+  }).done;
+
+  assert.equal(progress.slicesTotal, 3);
+  assert.deepEqual(amountsIn(progress), [SOL, SOL, SOL / 2n]);
+});
+
+test("impact strategy waits while the impact is too high and can be cancelled", async () => {
+  const { t, mint } = setup();
+  const reports: ScheduleProgress[] = [];
+  const order = t.scheduleOrder({
+    side: "buy",
+    tokenAddr: mint,
+    totalAmount: 10n * SOL,
+    strategy: "impact",
+    slices: 2,
+    maxImpactBps: 1,
+    pollIntervalMs: 60_000,
+    tradeOpt,
+    onProgress: (p) => reports.push(p),
+  });
+
+  while (reports.length === 0) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  assert.equal(order.progress().status, "waiting");
+  assert.ok(order.progress().lastQuote!.priceImpactBps > 1);
+
+  order.cancel();
+  const progress = await order.done;
+  assert.equal(progress.status, "cancelled");
+  assert.equal(progress.results.length, 0);
+  assert.equal(progress.executedAmount, 0n);
+});
+
+test("only confirmed slices count as executed", async () => {
+  const { t, mint } = setup({
+    err: { InstructionError: [2, { Custom: 6002 }] },
+  });
+  const progress = await t.scheduleOrder({
+    side: "buy",
+    tokenAddr: mint,
+    totalAmount: SOL,
+    strategy: "twap",
+    slices: 1,
+    durationMs: 0,
+    tradeOpt,
+  }).done;
+
+  assert.equal(progress.status, "failed");
+  assert.equal(progress.executedAmount, 0n);
+  assert.equal(progress.remainingAmount, SOL);
+  assert.equal(progress.results.length, 1);
+  assert.equal(progress.lastError, "Slice was not executed");
+});
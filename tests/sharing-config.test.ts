@@ -0,0 +1,295 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  Keypair,
+  PublicKey,
+  type AccountInfo,
+  type TransactionInstruction,
+} from "@solana/web3.js";
+import type { Shareholder } from "../index";
+import {
+  PUMP,
+  PUMP_AMM,
+  SOL,
+  SOL_MINT,
+  TOKEN_PROGRAM,
+  Writer,
+  account,
+  accountRpc,
+  addAmmPool,
+  createTrader,
+  encodeTokenAccount,
+  instructionsOf,
+  sendRpc,
+} from "./helpers";
+
+const FEE = new PublicKey("pfeeUxB6jkeY1Hxd7CsFCAjcbHA9rWtchMGdZ6VojVZ");
+const ASSOCIATED_TOKEN_PROGRAM = new PublicKey(
+  "ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL",
+);
+
+const DISCRIMINATORS = {
+  CREATE_FEE_SHARING_CONFIG: Buffer.from([195, 78, 86, 76, 111, 52, 251, 213]),
+  UPDATE_FEE_SHARES: Buffer.from([189, 13, 136, 99, 187, 164, 237, 35]),
+  DISTRIBUTE_CREATOR_FEES: Buffer.from([165, 114, 103, 0, 121, 206, 247, 81]),
+  TRANSFER_CREATOR_FEES_TO_PUMP: Buffer.from([
+    139, 52, 134, 85, 228, 229, 108, 241,
+  ]),
+};
+
+const holders = [Keypair.generate().publicKey, Keypair.generate().publicKey];
+
+interface ConfigFixture {
+  status?: number;
+  adminRevoked?: boolean;
+  /** 默认当前钱包 */
+  admin?: PublicKey;
+}
+
+/** 按链上布局编码 sharing_config 账户，股东按 7000 / 3000 分成 */
+function encodeSharingConfig(
+  mint: PublicKey,
+  admin: PublicKey,
+  options: ConfigFixture,
+): Buffer {
+  const writer = new Writer()
+    .u8(254)
+    .u8(1)
+    .u8(options.status ?? 1)
+    .pubkey(mint)
+    .pubkey(admin)
+    .bool(options.adminRevoked ?? false)
+    .u32(holders.length);
+  holders.forEach((address, i) =>
+    writer.pubkey(address).u16(i === 0 ? 7000 : 3000),
+  );
+  return writer.toBuffer();
+}
+
+/**
+ * 当前钱包作为 admin；config 为 null 时不写入 sharing_config 账户
+ * 发送的交易立即确认
+ */
+function setup(config: ConfigFixture | null = {}) {
+  const wallet = Keypair.generate();
+  const mint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  const send = sendRpc();
+  const t = createTrader(
+    {
+      ...accountRpc(accounts),
+      ...send.rpc,
+      getTransaction: async () => ({ meta: { err: null } }),
+      getBlockHeight: async () => 1,
+    },
+    wallet,
+  );
+  const address = t.getSharingConfigPda(mint);
+  if (config) {
+    accounts.set(
+      address.toBase58(),
+      account(
+        encodeSharingConfig(mint, config.admin ?? wallet.publicKey, config),
+        FEE,
+      ),
+    );
+  }
+  return { t, mint, address, accounts, send };
+}
+
+const pda = (seed: string, key: PublicKey, program: PublicKey) =>
+  PublicKey.findProgramAddressSync(
+    [Buffer.from(seed), key.toBuffer()],
+    program,
+  )[0];
+
+const keysOf = (ix: TransactionInstruction) =>
+  ix.keys.map((k) => k.pubkey.toBase58());
+
+function sharesData(shareholders: Shareholder[]): Buffer {
+  const writer = new Writer(DISCRIMINATORS.UPDATE_FEE_SHARES).u32(
+    shareholders.length,
+  );
+  for (const s of shareholders) writer.pubkey(s.address).u16(s.shareBps);
+  return writer.toBuffer();
+}
+
+test("getSharingConfig decodes the account layout", async () => {
+  const { t, mint, address } = setup({ status: 1, adminRevoked: true });
+  const config = await t.getSharingConfig(mint);
+
+  assert.ok(config);
+  assert.ok(config.address.equals(address));
+  assert.equal(config.bump, 254);
+  assert.equal(config.version, 1);
+  assert.equal(config.status, "active");
+  assert.ok(config.mint.equals(mint));
+  assert.ok(config.admin.equals(t.publicKey));
+  assert.equal(config.adminRevoked, true);
+  assert.deepEqual(
+    config.shareholders.map((s) => [s.address.toBase58(), s.shareBps]),
+    [
+      [holders[0].toBase58(), 7000],
+      [holders[1].toBase58(), 3000],
+    ],
+  );
+});
+
+test("getSharingConfig reports paused configs and missing accounts", async () => {
+  const paused = setup({ status: 0 });
+  const config = await paused.t.getSharingConfig(paused.mint);
+  assert.equal(config?.status, "paused");
+  assert.equal(config?.adminRevoked, false);
+
+  const missing = setup(null);
+  assert.equal(await missing.t.getSharingConfig(missing.mint), null);
+});
+
+test("createSharingConfig uses the program id for a missing pool and sets shares", async () => {
+  const { t, mint, address, send } = setup(null);
+  const shareholders = [
+    { address: holders[0], shareBps: 6000 },
+    { address: holders[1], shareBps: 4000 },
+  ];
+  await t.createSharingConfig(mint, shareholders);
+
+  const [create, update] = instructionsOf(send.sent[0], FEE);
+  assert.deepEqual(create.data, DISCRIMINATORS.CREATE_FEE_SHARING_CONFIG);
+  assert.equal(create.keys.length, 13);
+  assert.ok(create.keys[2].pubkey.equals(t.publicKey));
+  assert.ok(create.keys[2].isSigner);
+  assert.ok(create.keys[4].pubkey.equals(mint));
+  assert.ok(create.keys[5].pubkey.equals(address));
+  assert.ok(create.keys[10].pubkey.equals(FEE));
+
+  // 新建的配置只有创作者一个股东
+  assert.deepEqual(update.data, sharesData(shareholders));
+  assert.deepEqual(keysOf(update).slice(18), [t.publicKey.toBase58()]);
+});
+
+test("createSharingConfig passes the pool of migrated tokens", async () => {
+  const { t, mint, accounts, send } = setup(null);
+  const { pool } = addAmmPool(accounts, mint, {
+    baseAmount: 200_000_000_000_000n,
+    quoteAmount: 85n * SOL,
+  });
+  await t.createSharingConfig(mint);
+
+  const instructions = instructionsOf(send.sent[0], FEE);
+  assert.equal(instructions.length, 1);
+  assert.ok(instructions[0].keys[10].pubkey.equals(pool));
+});
+
+test("createSharingConfig rethrows RPC errors from the pool lookup", async () => {
+  const wallet = Keypair.generate();
+  const send = sendRpc();
+  const t = createTrader(
+    {
+      ...send.rpc,
+      getAccountInfo: async () => {
+        throw new Error("fetch failed");
+      },
+    },
+    wallet,
+  );
+
+  // 查询失败不能当作尚未迁移，否则会传入错误的池子账户
+  await assert.rejects(
+    t.createSharingConfig(Keypair.generate().publicKey),
+    /fetch failed/,
+  );
+  assert.equal(send.sent.length, 0);
+});
+
+test("updateSharingConfig settles the current shareholders first", async () => {
+  const { t, mint, address, send } = setup();
+  const shareholders = [{ address: holders[1], shareBps: 10_000 }];
+  await t.updateSharingConfig(mint, shareholders);
+
+  const [update] = instructionsOf(send.sent[0], FEE);
+  assert.deepEqual(update.data, sharesData(shareholders));
+  const keys = keysOf(update);
+  assert.equal(keys[5], address.toBase58());
+  assert.equal(keys[7], pda("creator-vault", address, PUMP).toBase58());
+  assert.equal(keys[13], SOL_MINT.toBase58());
+  assert.equal(keys[14], TOKEN_PROGRAM.toBase58());
+  assert.equal(keys[15], ASSOCIATED_TOKEN_PROGRAM.toBase58());
+  assert.equal(keys[16], pda("creator_vault", address, PUMP_AMM).toBase58());
+  assert.deepEqual(
+    keys.slice(18),
+    holders.map((h) => h.toBase58()),
+  );
+});
+
+test("updateSharingConfig checks the config before sending", async () => {
+  const shares = [{ address: holders[0], shareBps: 10_000 }];
+
+  const missing = setup(null);
+  await assert.rejects(
+    missing.t.updateSharingConfig(missing.mint, shares),
+    /Sharing config not found/,
+  );
+
+  const revoked = setup({ adminRevoked: true });
+  await assert.rejects(
+    revoked.t.updateSharingConfig(revoked.mint, shares),
+    /admin revoked/,
+  );
+
+  const admin = setup();
+  await assert.rejects(
+    admin.t.updateSharingConfig(admin.mint, [
+      { address: holders[0], shareBps: 9_000 },
+    ]),
+    /add up to 10000 bps/,
+  );
+  assert.equal(admin.send.sent.length, 0);
+
+  const other = setup({ admin: PublicKey.unique() });
+  await assert.rejects(
+    other.t.updateSharingConfig(other.mint, shares),
+    /not the sharing config admin/,
+  );
+});
+
+test("distributeCreatorFees moves AMM fees first and pays every shareholder", async () => {
+  const { t, mint, address, accounts, send } = setup();
+  const ammVaultAuthority = pda("creator_vault", address, PUMP_AMM);
+  const ammVaultAta = PublicKey.findProgramAddressSync(
+    [
+      ammVaultAuthority.toBuffer(),
+      TOKEN_PROGRAM.toBuffer(),
+      SOL_MINT.toBuffer(),
+    ],
+    ASSOCIATED_TOKEN_PROGRAM,
+  )[0];
+  accounts.set(
+    ammVaultAta.toBase58(),
+    account(
+      encodeTokenAccount(SOL_MINT, ammVaultAuthority, 5_000n),
+      TOKEN_PROGRAM,
+    ),
+  );
+  await t.distributeCreatorFees(mint);
+
+  const creatorVault = pda("creator-vault", address, PUMP);
+  const [transfer] = instructionsOf(send.sent[0], PUMP_AMM);
+  assert.deepEqual(transfer.data, DISCRIMINATORS.TRANSFER_CREATOR_FEES_TO_PUMP);
+  assert.deepEqual(keysOf(transfer).slice(4, 8), [
+    address.toBase58(),
+    ammVaultAuthority.toBase58(),
+    ammVaultAta.toBase58(),
+    creatorVault.toBase58(),
+  ]);
+
+  const [distribute] = instructionsOf(send.sent[0], PUMP);
+  assert.deepEqual(distribute.data, DISCRIMINATORS.DISTRIBUTE_CREATOR_FEES);
+  const keys = keysOf(distribute);
+  assert.equal(keys[0], mint.toBase58());
+  assert.equal(keys[2], address.toBase58());
+  assert.equal(keys[3], creatorVault.toBase58());
+  assert.deepEqual(
+    keys.slice(7),
+    holders.map((h) => h.toBase58()),
+  );
+});
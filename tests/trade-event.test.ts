@@ -0,0 +1,162 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Keypair } from "@solana/web3.js";
+import type { TradeEvent } from "../index";
+import {
+  PUMP,
+  SOL,
+  TRADE_EVENT_LENGTHS,
+  createTrader,
+  encodeTradeEvent,
+  eventTransaction,
+  logsRpc,
+  programLogs,
+} from "./helpers";
+
+const mint = Keypair.generate().publicKey;
+const user = Keypair.generate().publicKey;
+const feeRecipient = Keypair.generate().publicKey;
+const creator = Keypair.generate().publicKey;
+
+const fullEvent = encodeTradeEvent({
+  mint,
+  user,
+  isBuy: true,
+  solAmount: 1_000_000_000n,
+  tokenAmount: 35_000_000_000n,
+  timestamp: 1_700_000_000,
+  virtualSolReserves: 31_000_000_000n,
+  virtualTokenReserves: 1_040_000_000_000_000n,
+  realSolReserves: 1_000_000_000n,
+  realTokenReserves: 760_000_000_000_000n,
+  feeRecipient,
+  feeBasisPoints: 95n,
+  fee: 9_500_000n,
+  creator,
+  creatorFeeBasisPoints: 30n,
+  creatorFee: 3_000_000n,
+  trackVolume: true,
+  totalUnclaimedTokens: 11n,
+  totalClaimedTokens: 22n,
+  currentSolVolume: 33n,
+  lastUpdateTimestamp: 1_700_000_001,
+  ixName: "buy_exact_sol_in",
+  mayhemMode: true,
+  cashbackFeeBasisPoints: 5n,
+  cashback: 500_000n,
+});
+
+/** 通过 listenTrades 解码一条 Pump 日志中的事件 */
+async function decode(...events: Buffer[]): Promise<TradeEvent[]> {
+  const logs = logsRpc();
+  const t = createTrader(logs.rpc);
+  const decoded: TradeEvent[] = [];
+  const id = t.listenTrades((e) => decoded.push(e));
+  logs.emit(PUMP, { signature: "sig", logs: programLogs(PUMP, events) });
+  await logs.rpc.removeOnLogsListener(id);
+  return decoded;
+}
+
+test("TradeEvent decodes reserves, fees, creator and cashback fields", async () => {
+  const [event] = await decode(fullEvent);
+
+  assert.equal(event.signature, "sig");
+  assert.equal(event.mint, mint.toBase58());
+  assert.equal(event.user, user.toBase58());
+  assert.equal(event.isBuy, true);
+  assert.equal(event.solAmount, 1_000_000_000n);
+  assert.equal(event.tokenAmount, 35_000_000_000n);
+  assert.equal(event.timestamp, 1_700_000_000);
+  assert.equal(event.virtualSolReserves, 31_000_000_000n);
+  assert.equal(event.virtualTokenReserves, 1_040_000_000_000_000n);
+  assert.equal(event.realSolReserves, 1_000_000_000n);
+  assert.equal(event.realTokenReserves, 760_000_000_000_000n);
+  assert.equal(event.feeRecipient, feeRecipient.toBase58());
+  assert.equal(event.feeBasisPoints, 95n);
+  assert.equal(event.fee, 9_500_000n);
+  assert.equal(event.creator, creator.toBase58());
+  assert.equal(event.creatorFeeBasisPoints, 30n);
+  assert.equal(event.creatorFee, 3_000_000n);
+  assert.equal(event.trackVolume, true);
+  assert.equal(event.totalUnclaimedTokens, 11n);
+  assert.equal(event.totalClaimedTokens, 22n);
+  assert.equal(event.currentSolVolume, 33n);
+  assert.equal(event.lastUpdateTimestamp, 1_700_000_001);
+  assert.equal(event.ixName, "buy_exact_sol_in");
+  assert.equal(event.mayhemMode, true);
+  assert.equal(event.cashbackFeeBasisPoints, 5n);
+  assert.equal(event.cashback, 500_000n);
+});
+
+test("legacy TradeEvent without newer fields falls back to defaults", async () => {
+  const [beforeCreator, beforeVolume] = await decode(
+    fullEvent.subarray(0, TRADE_EVENT_LENGTHS.afterFee),
+    fullEvent.subarray(0, TRADE_EVENT_LENGTHS.afterCreatorFee),
+  );
+
+  assert.equal(beforeCreator.fee, 9_500_000n);
+  assert.equal(beforeCreator.creator, undefined);
+  assert.equal(beforeCreator.creatorFee, 0n);
+  assert.equal(beforeCreator.ixName, undefined);
+  assert.equal(beforeCreator.mayhemMode, false);
+  assert.equal(beforeCreator.cashback, 0n);
+
+  assert.equal(beforeVolume.creator, creator.toBase58());
+  assert.equal(beforeVolume.creatorFee, 3_000_000n);
+  assert.equal(beforeVolume.trackVolume, undefined);
+  assert.equal(beforeVolume.ixName, undefined);
+  assert.equal(beforeVolume.cashback, 0n);
+});
+
+test("early TradeEvent layouts without reserves or fees still decode", async () => {
+  const [timestampOnly, virtualOnly] = await decode(
+    fullEvent.subarray(0, TRADE_EVENT_LENGTHS.afterTimestamp),
+    fullEvent.subarray(0, TRADE_EVENT_LENGTHS.afterVirtualReserves),
+  );
+
+  assert.equal(timestampOnly.mint, mint.toBase58());
+  assert.equal(timestampOnly.user, user.toBase58());
+  assert.equal(timestampOnly.timestamp, 1_700_000_000);
+  assert.equal(timestampOnly.virtualSolReserves, 0n);
+  assert.equal(timestampOnly.realSolReserves, 0n);
+  assert.equal(timestampOnly.feeRecipient, undefined);
+  assert.equal(timestampOnly.fee, 0n);
+
+  assert.equal(virtualOnly.virtualSolReserves, 31_000_000_000n);
+  assert.equal(virtualOnly.virtualTokenReserves, 1_040_000_000_000_000n);
+  assert.equal(virtualOnly.realSolReserves, 0n);
+  assert.equal(virtualOnly.realTokenReserves, 0n);
+  assert.equal(virtualOnly.feeRecipient, undefined);
+  assert.equal(virtualOnly.feeBasisPoints, 0n);
+  assert.equal(virtualOnly.fee, 0n);
+  assert.equal(virtualOnly.creator, undefined);
+});
+
+test("cashback counts toward the fees of a decoded fill", async () => {
+  const t = createTrader({
+    getTransaction: async () =>
+      eventTransaction({
+        payer: user,
+        events: [
+          {
+            programId: PUMP,
+            data: encodeTradeEvent({
+              mint,
+              user,
+              isBuy: false,
+              solAmount: SOL,
+              tokenAmount: 1_000_000n,
+              fee: 9_500_000n,
+              creatorFee: 3_000_000n,
+              cashback: 500_000n,
+            }),
+          },
+        ],
+      }),
+  });
+
+  const [fill] = await t.getTradeFills("sig");
+  assert.equal(fill.fees.cashback, 500_000n);
+  assert.equal(fill.fees.totalFee, 13_000_000n);
+  assert.equal(fill.quoteAmount, SOL - 13_000_000n);
+});
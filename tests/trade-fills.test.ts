@@ -0,0 +1,368 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  Keypair,
+  type AccountInfo,
+  type VersionedTransactionResponse,
+} from "@solana/web3.js";
+import type { TradeOptions } from "../index";
+import {
+  PUMP,
+  PUMP_AMM,
+  SOL,
+  SOL_MINT,
+  accountRpc,
+  addBondingCurve,
+  addMint,
+  bondingCurvePda,
+  createTrader,
+  encodeAmmSwapEvent,
+  encodeTradeEvent,
+  eventTransaction,
+  sendRpc,
+} from "./helpers";
+
+const tradeOpt: TradeOptions = {
+  maxSolPerTx: SOL,
+  slippage: { base: 100 },
+  priority: { base: 1000 },
+};
+
+/**
+ * getTransaction 按签名返回 txs 中的交易（未给出的为 null），
+ * failing 中的签名抛出 RPC 错误
+ */
+function setup() {
+  const mint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addBondingCurve(accounts, mint);
+  addMint(accounts, mint);
+  const send = sendRpc();
+  const txs = new Map<string, VersionedTransactionResponse>();
+  const failing = new Set<string>();
+  const t = createTrader({
+    ...accountRpc(accounts),
+    ...send.rpc,
+    getTransaction: async (signature: string) => {
+      if (failing.has(signature)) throw new Error("429 Too Many Requests");
+      return txs.get(signature) ?? null;
+    },
+  });
+  return { t, mint, txs, failing };
+}
+
+test("bonding fills add fees to buys and subtract them from sells", async () => {
+  const { t, mint, txs } = setup();
+  const user = t.getPublicKey();
+  const event = { mint, user, fee: 9_500_000n, creatorFee: 3_000_000n };
+  txs.set(
+    "buy",
+    eventTransaction({
+      payer: user,
+      slot: 7,
+      events: [
+        {
+          programId: PUMP,
+          data: encodeTradeEvent({
+            ...event,
+            isBuy: true,
+            solAmount: SOL,
+            tokenAmount: 2_000_000n,
+          }),
+        },
+      ],
+    }),
+  );
+  txs.set(
+    "sell",
+    eventTransaction({
+      payer: user,
+      events: [
+        {
+          programId: PUMP,
+          data: encodeTradeEvent({
+            ...event,
+            isBuy: false,
+            solAmount: SOL,
+            tokenAmount: 2_000_000n,
+          }),
+        },
+      ],
+    }),
+  );
+
+  const [buy] = await t.getTradeFills("buy");
+  assert.equal(buy.signature, "buy");
+  assert.equal(buy.slot, 7);
+  assert.equal(buy.mode, "bonding");
+  assert.equal(buy.side, "buy");
+  assert.equal(buy.mint, mint.toBase58());
+  assert.equal(buy.user, user.toBase58());
+  assert.equal(buy.quoteAmount, SOL + 12_500_000n);
+  assert.deepEqual(buy.fees, {
+    lpFee: 0n,
+    protocolFee: 9_500_000n,
+    creatorFee: 3_000_000n,
+    cashback: 0n,
+    totalFee: 12_500_000n,
+  });
+  // 每 10^6 个最小单位的价格
+  assert.equal(buy.price, Number(SOL + 12_500_000n) / 2);
+
+  const [sell] = await t.getTradeFills("sell");
+  assert.equal(sell.side, "sell");
+  assert.equal(sell.quoteAmount, SOL - 12_500_000n);
+
+  assert.deepEqual(await t.getTradeFills("missing"), []);
+});
+
+test("V2 curve fills take the quote mint from the bonding curve's token account", async () => {
+  const { t, mint, txs } = setup();
+  const usdc = Keypair.generate().publicKey;
+  const event = {
+    programId: PUMP,
+    data: encodeTradeEvent({
+      mint,
+      user: t.getPublicKey(),
+      isBuy: true,
+      solAmount: 2_000_000n,
+      tokenAmount: 1_000_000n,
+    }),
+  };
+  txs.set(
+    "usdc",
+    eventTransaction({
+      payer: t.getPublicKey(),
+      tokenAccounts: [
+        {
+          address: Keypair.generate().publicKey,
+          mint: usdc,
+          owner: bondingCurvePda(mint),
+        },
+      ],
+      events: [event],
+    }),
+  );
+  txs.set(
+    "sol",
+    eventTransaction({ payer: t.getPublicKey(), events: [event] }),
+  );
+
+  const [fill] = await t.getTradeFills("usdc");
+  assert.equal(fill.quoteMint, usdc.toBase58());
+  assert.equal(fill.quoteDecimals, 6);
+
+  const [solFill] = await t.getTradeFills("sol");
+  assert.equal(solFill.quoteMint, SOL_MINT.toBase58());
+  assert.equal(solFill.quoteDecimals, 9);
+});
+
+test("AMM fills read the user quote amount and infer the mint", async () => {
+  const { t, mint, txs } = setup();
+  const user = t.getPublicKey();
+  const baseAccount = Keypair.generate().publicKey;
+  const pool = Keypair.generate().publicKey;
+  const swap = {
+    pool,
+    user,
+    userBaseTokenAccount: baseAccount,
+    baseAmount: 5_000_000n,
+    lpFee: 200n,
+    protocolFee: 50n,
+    coinCreatorFee: 50n,
+  };
+  txs.set(
+    "amm",
+    eventTransaction({
+      payer: user,
+      // 无自调用指令时从 Program data 日志读取
+      via: "logs",
+      tokenAccounts: [{ address: baseAccount, mint }],
+      events: [
+        {
+          programId: PUMP_AMM,
+          data: encodeAmmSwapEvent({
+            ...swap,
+            isBuy: true,
+            userQuoteAmount: 100_300n,
+          }),
+        },
+        {
+          programId: PUMP_AMM,
+          data: encodeAmmSwapEvent({
+            ...swap,
+            isBuy: false,
+            userQuoteAmount: 99_700n,
+          }),
+        },
+      ],
+    }),
+  );
+
+  const [buy, sell] = await t.getTradeFills("amm");
+  assert.equal(buy.mode, "amm");
+  assert.equal(buy.side, "buy");
+  assert.equal(buy.pool, pool.toBase58());
+  assert.equal(buy.mint, mint.toBase58());
+  assert.equal(buy.tokenAmount, 5_000_000n);
+  assert.equal(buy.quoteAmount, 100_300n);
+  assert.equal(buy.fees.totalFee, 300n);
+  assert.equal(buy.price, 100_300 / 5);
+  assert.equal(sell.side, "sell");
+  assert.equal(sell.quoteAmount, 99_700n);
+});
+
+test("events from other programs are ignored", async () => {
+  const { t, mint, txs } = setup();
+  const data = encodeTradeEvent({
+    mint,
+    user: t.getPublicKey(),
+    isBuy: true,
+    solAmount: SOL,
+    tokenAmount: 1n,
+  });
+  const other = Keypair.generate().publicKey;
+  txs.set(
+    "cpi",
+    eventTransaction({
+      payer: t.getPublicKey(),
+      events: [{ programId: other, data }],
+    }),
+  );
+  txs.set(
+    "logs",
+    eventTransaction({
+      payer: t.getPublicKey(),
+      via: "logs",
+      events: [{ programId: other, data }],
+    }),
+  );
+
+  assert.deepEqual(await t.getTradeFills("cpi"), []);
+  assert.deepEqual(await t.getTradeFills("logs"), []);
+});
+
+test("a TradeResult gets its own wallet's fills and the slippage against the quote", async () => {
+  const { t, mint, txs } = setup();
+  const result = await t.buy(mint.toBase58(), 2n * SOL, tradeOpt);
+  const [first, second] = result.pendingTransactions;
+  assert.ok(first.expectedOut && first.expectedOut > 0n);
+
+  // 实际成交比报价少 1.5%，同一交易中还有别人的成交
+  const received = (first.expectedOut * 9_850n) / 10_000n;
+  txs.set(
+    first.signature,
+    eventTransaction({
+      payer: t.getPublicKey(),
+      events: [
+        {
+          programId: PUMP,
+          data: encodeTradeEvent({
+            mint,
+            user: t.getPublicKey(),
+            isBuy: true,
+            solAmount: SOL,
+            tokenAmount: received,
+          }),
+        },
+        {
+          programId: PUMP,
+          data: encodeTradeEvent({
+            mint,
+            user: Keypair.generate().publicKey,
+            isBuy: true,
+            solAmount: SOL,
+            tokenAmount: 1n,
+          }),
+        },
+      ],
+    }),
+  );
+
+  assert.equal(await t.getTradeFills(result), result);
+  const [fill, ...others] = first.fills ?? [];
+  assert.equal(others.length, 0);
+  assert.equal(fill.tokenAmount, received);
+  assert.equal(fill.slippageBps, 150);
+  // 尚未上链的拆单保持不变
+  assert.equal(second.fills, undefined);
+});
+
+test("a chunk whose transaction cannot be read keeps the others' fills", async () => {
+  const { t, mint, txs, failing } = setup();
+  const result = await t.buy(mint.toBase58(), 2n * SOL, tradeOpt);
+  const [first, second] = result.pendingTransactions;
+  txs.set(
+    second.signature,
+    eventTransaction({
+      payer: t.getPublicKey(),
+      events: [
+        {
+          programId: PUMP,
+          data: encodeTradeEvent({
+            mint,
+            user: t.getPublicKey(),
+            isBuy: true,
+            solAmount: SOL,
+            tokenAmount: second.expectedOut!,
+          }),
+        },
+      ],
+    }),
+  );
+  failing.add(first.signature);
+
+  await t.getTradeFills(result);
+  assert.equal(first.fills, undefined);
+  assert.equal(first.fillsError, "429 Too Many Requests");
+  assert.equal(second.fills?.[0].slippageBps, 0);
+  assert.equal(second.fillsError, undefined);
+
+  // 重试成功后清除错误
+  failing.clear();
+  await t.getTradeFills(result);
+  assert.equal(first.fillsError, undefined);
+});
+
+test("network fee and new account rent go to the payer's first fill", async () => {
+  const { t, mint, txs } = setup();
+  const payer = t.getPublicKey();
+  const other = Keypair.generate().publicKey;
+  const newAta = Keypair.generate().publicKey;
+  const buy = (user: typeof payer) => ({
+    programId: PUMP,
+    data: encodeTradeEvent({
+      mint,
+      user,
+      isBuy: true,
+      solAmount: SOL,
+      tokenAmount: 1_000_000n,
+    }),
+  });
+  txs.set(
+    "sig",
+    eventTransaction({
+      payer,
+      fee: 15_000,
+      tokenAccounts: [
+        { address: newAta, mint, owner: payer, createdRent: 2_039_280 },
+        // 已存在的账户和别人的新账户不计租金
+        { address: Keypair.generate().publicKey, mint, owner: payer },
+        {
+          address: Keypair.generate().publicKey,
+          mint,
+          owner: other,
+          createdRent: 2_039_280,
+        },
+      ],
+      events: [buy(other), buy(payer), buy(payer)],
+    }),
+  );
+
+  const [theirs, first, second] = await t.getTradeFills("sig");
+  assert.equal(theirs.networkFee, undefined);
+  assert.equal(first.networkFee, 15_000n);
+  assert.equal(first.rentPaid, 2_039_280n);
+  assert.equal(second.networkFee, undefined);
+  assert.equal(second.rentPaid, undefined);
+});
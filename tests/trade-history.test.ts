@@ -0,0 +1,204 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Keypair, PublicKey, type AccountInfo } from "@solana/web3.js";
+import {
+  PUMP,
+  PUMP_AMM,
+  SOL,
+  accountRpc,
+  addAmmPool,
+  addBondingCurve,
+  bondingCurvePda,
+  createTrader,
+  encodeAmmSwapEvent,
+  encodeTradeEvent,
+  eventTransaction,
+  signaturesRpc,
+  transactionsRpc,
+} from "./helpers";
+
+const user = Keypair.generate().publicKey;
+
+/** migrated 为 true 时同时创建外盘池子 */
+function setup(migrated: boolean) {
+  const mint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addBondingCurve(accounts, mint);
+  const pool = migrated
+    ? addAmmPool(accounts, mint, {
+        baseAmount: 200_000_000_000_000n,
+        quoteAmount: 85n * SOL,
+      }).pool
+    : undefined;
+  const signatures = signaturesRpc();
+  const transactions = transactionsRpc();
+  const t = createTrader({
+    ...accountRpc(accounts),
+    ...signatures.rpc,
+    ...transactions.rpc,
+  });
+  return { t, mint, pool, signatures, transactions };
+}
+
+const curveTrade = (mint: PublicKey, slot: number) =>
+  eventTransaction({
+    payer: user,
+    slot,
+    events: [
+      {
+        programId: PUMP,
+        data: encodeTradeEvent({
+          mint,
+          user,
+          isBuy: true,
+          solAmount: SOL,
+          tokenAmount: 1_000_000n,
+        }),
+      },
+    ],
+  });
+
+test("curve and pool trades are merged in slot order", async () => {
+  const { t, mint, pool, signatures, transactions } = setup(true);
+  const curve = bondingCurvePda(mint).toBase58();
+  signatures.history.set(curve, [
+    { signature: "migrate", slot: 30 },
+    { signature: "failed", slot: 20, err: { InstructionError: [0, {}] } },
+    { signature: "curve-1", slot: 10 },
+  ]);
+  signatures.history.set(pool!.toBase58(), [
+    { signature: "pool-2", slot: 40 },
+    { signature: "migrate", slot: 30 },
+  ]);
+
+  transactions.txs.set("curve-1", curveTrade(mint, 10));
+  transactions.txs.set(
+    "migrate",
+    // 同一交易中还有其他代币的成交
+    curveTrade(Keypair.generate().publicKey, 30),
+  );
+  transactions.txs.set(
+    "pool-2",
+    eventTransaction({
+      payer: user,
+      slot: 40,
+      events: [
+        {
+          programId: PUMP_AMM,
+          data: encodeAmmSwapEvent({
+            isBuy: false,
+            pool: pool!,
+            user,
+            userBaseTokenAccount: Keypair.generate().publicKey,
+            baseAmount: 1_000_000n,
+            userQuoteAmount: 400_000n,
+          }),
+        },
+      ],
+    }),
+  );
+
+  const trades = await t.getTradeHistory(mint);
+  assert.deepEqual(
+    trades.map((e) => [e.type, e.signature, e.slot]),
+    [
+      ["trade", "curve-1", 10],
+      ["ammTrade", "pool-2", 40],
+    ],
+  );
+  // 重复和失败的签名不再查询
+  assert.deepEqual(transactions.batches, [["curve-1", "migrate", "pool-2"]]);
+});
+
+test("unmigrated tokens only query the bonding curve", async () => {
+  const { t, mint, signatures, transactions } = setup(false);
+  const curve = bondingCurvePda(mint).toBase58();
+  signatures.history.set(curve, [
+    { signature: "b", slot: 2 },
+    { signature: "a", slot: 1 },
+  ]);
+  transactions.txs.set("a", curveTrade(mint, 1));
+  transactions.txs.set("b", curveTrade(mint, 2));
+
+  const trades = await t.getTradeHistory(mint.toBase58(), { batchSize: 1 });
+  assert.deepEqual(
+    trades.map((e) => e.signature),
+    ["a", "b"],
+  );
+  assert.deepEqual(
+    signatures.calls.map((c) => c.address),
+    [curve],
+  );
+  assert.deepEqual(transactions.batches, [["a"], ["b"]]);
+});
+
+test("signatures are paged with before until the limit is reached", async () => {
+  const { t, mint, signatures } = setup(false);
+  const curve = bondingCurvePda(mint).toBase58();
+  signatures.history.set(
+    curve,
+    Array.from({ length: 1_500 }, (_, i) => ({
+      signature: `sig-${i}`,
+      slot: 1_500 - i,
+    })),
+  );
+
+  await t.getTradeHistory(mint, {
+    before: { bonding: "sig-9" },
+    until: { bonding: "sig-1400" },
+    limit: 1_200,
+    batchSize: 1_000,
+  });
+  assert.deepEqual(
+    signatures.calls.map(({ before, until, limit }) => ({
+      before,
+      until,
+      limit,
+    })),
+    [
+      { before: "sig-9", until: "sig-1400", limit: 1_000 },
+      { before: "sig-1009", until: "sig-1400", limit: 200 },
+    ],
+  );
+});
+
+test("getTradeHistoryPage keeps a separate cursor per address", async () => {
+  const { t, mint, pool, signatures } = setup(true);
+  const curve = bondingCurvePda(mint).toBase58();
+  const history = (prefix: string, length: number) =>
+    Array.from({ length }, (_, i) => ({
+      signature: `${prefix}-${i}`,
+      slot: 100 - i,
+    }));
+  signatures.history.set(curve, history("curve", 3));
+  signatures.history.set(pool!.toBase58(), history("pool", 1));
+
+  const first = await t.getTradeHistoryPage(mint, { limit: 2 });
+  // pool 的签名不足一页，只有 bonding curve 还有更早的签名
+  assert.deepEqual(first.next, { bonding: "curve-1" });
+
+  signatures.calls.length = 0;
+  const second = await t.getTradeHistoryPage(mint, {
+    limit: 2,
+    before: first.next,
+  });
+  assert.deepEqual(
+    signatures.calls.map(({ address, before }) => [address, before]),
+    [[curve, "curve-1"]],
+  );
+  assert.deepEqual(second.next, {});
+});
+
+test("pool lookup errors other than a missing pool are rethrown", async () => {
+  const mint = Keypair.generate().publicKey;
+  const signatures = signaturesRpc();
+  const t = createTrader({
+    ...signatures.rpc,
+    getAccountInfo: async () => {
+      throw new Error("fetch failed");
+    },
+  });
+
+  await assert.rejects(t.getTradeHistory(mint), /fetch failed/);
+  assert.equal(signatures.calls.length, 0);
+});
@@ -0,0 +1,150 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  AddressLookupTableAccount,
+  Keypair,
+  PublicKey,
+  VersionedTransaction,
+  type AccountInfo,
+} from "@solana/web3.js";
+import type { TradeOptions, Wallet } from "../index";
+import {
+  PUMP,
+  SOL,
+  accountRpc,
+  addBondingCurve,
+  addMint,
+  createTrader,
+  globalPda,
+  instructionsOf,
+  sendRpc,
+} from "./helpers";
+
+const tradeOpt: TradeOptions = {
+  maxSolPerTx: SOL,
+  slippage: { base: 100 },
+  priority: { base: 1000 },
+};
+
+function lookupTable(addresses: PublicKey[]): AddressLookupTableAccount {
+  return new AddressLookupTableAccount({
+    key: Keypair.generate().publicKey,
+    state: {
+      deactivationSlot: BigInt("18446744073709551615"),
+      lastExtendedSlot: 0,
+      lastExtendedSlotStartIndex: 0,
+      authority: undefined,
+      addresses,
+    },
+  });
+}
+
+function setup(wallet: Wallet = Keypair.generate()) {
+  const mint = Keypair.generate().publicKey;
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addBondingCurve(accounts, mint);
+  addMint(accounts, mint);
+  const send = sendRpc();
+  let tableLoads = 0;
+  let table: AddressLookupTableAccount | null = null;
+  const t = createTrader(
+    {
+      ...accountRpc(accounts),
+      ...send.rpc,
+      getAddressLookupTable: async () => {
+        tableLoads++;
+        return { context: { slot: 1 }, value: table };
+      },
+    },
+    wallet,
+  );
+  return {
+    t,
+    mint: mint.toBase58(),
+    sent: send.sent,
+    tableLoads: () => tableLoads,
+    setTable: (value: AddressLookupTableAccount) => (table = value),
+  };
+}
+
+/** v0 交易中 Pump 指令的数据（查找表中的账户不在 staticAccountKeys 中） */
+function pumpIxData(tx: VersionedTransaction): Buffer {
+  const keys = tx.message.staticAccountKeys;
+  const ix = tx.message.compiledInstructions.find((c) =>
+    keys[c.programIdIndex].equals(PUMP),
+  )!;
+  return Buffer.from(ix.data);
+}
+
+test("txVersion 0 sends the same instructions as a v0 transaction", async () => {
+  const { t, mint, sent } = setup();
+  await t.buyV2(mint, SOL, tradeOpt);
+  await t.buyV2(mint, SOL, { ...tradeOpt, txVersion: 0 });
+
+  const [legacyIx] = instructionsOf(sent[0], PUMP);
+  const v0 = VersionedTransaction.deserialize(sent[1]);
+  assert.equal(v0.version, 0);
+  assert.equal(v0.message.addressTableLookups.length, 0);
+  assert.deepEqual(pumpIxData(v0), legacyIx.data);
+  assert.ok(v0.signatures[0].some((b) => b !== 0));
+});
+
+test("lookup tables move the static Pump accounts out of the message", async () => {
+  const { t, mint, sent, tableLoads, setTable } = setup();
+  const table = lookupTable(await t.getPumpLookupTableAddresses());
+  setTable(table);
+
+  await t.buyV2(mint, 2n * SOL, { ...tradeOpt, lookupTables: [table.key] });
+  assert.equal(sent.length, 2);
+  // 两笔拆单共用缓存中的查找表
+  assert.equal(tableLoads(), 1);
+
+  const [v0] = sent.map((raw) => VersionedTransaction.deserialize(raw));
+  const [lookup] = v0.message.addressTableLookups;
+  assert.ok(lookup.accountKey.equals(table.key));
+  assert.ok(lookup.readonlyIndexes.length + lookup.writableIndexes.length > 0);
+  assert.ok(!v0.message.staticAccountKeys.some((k) => k.equals(globalPda())));
+
+  // 直接传入已加载的查找表时不再请求 RPC
+  await t.buyV2(mint, SOL, { ...tradeOpt, lookupTables: [table] });
+  assert.equal(tableLoads(), 1);
+});
+
+test("getPumpLookupTableAddresses lists each static account once", async () => {
+  const { t } = setup();
+  const addresses = await t.getPumpLookupTableAddresses();
+  const keys = addresses.map((a) => a.toBase58());
+
+  assert.equal(new Set(keys).size, keys.length);
+  for (const key of [
+    globalPda(),
+    t.getFeeConfigPda("bonding"),
+    t.getFeeConfigPda("amm"),
+    PUMP,
+  ]) {
+    assert.ok(keys.includes(key.toBase58()));
+  }
+});
+
+test("wallet adapters sign versioned transactions", async () => {
+  const signer = Keypair.generate();
+  let signed = 0;
+  const { t, mint, sent } = setup({
+    publicKey: signer.publicKey,
+    signTransaction: async (tx) => {
+      signed++;
+      // 适配器返回新的交易对象
+      const copy = VersionedTransaction.deserialize(
+        (tx as VersionedTransaction).serialize(),
+      );
+      copy.sign([signer]);
+      return copy as typeof tx;
+    },
+  });
+  await t.buyV2(mint, SOL, { ...tradeOpt, txVersion: 0 });
+
+  assert.equal(signed, 1);
+  const v0 = VersionedTransaction.deserialize(sent[0]);
+  assert.ok(v0.message.staticAccountKeys[0].equals(signer.publicKey));
+  assert.ok(v0.signatures[0].some((b) => b !== 0));
+});
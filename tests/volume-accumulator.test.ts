@@ -0,0 +1,257 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  ComputeBudgetProgram,
+  Keypair,
+  PublicKey,
+  Transaction,
+  type AccountInfo,
+} from "@solana/web3.js";
+import {
+  PUMP,
+  PUMP_AMM,
+  SOL_MINT,
+  TOKEN_PROGRAM,
+  Writer,
+  account,
+  accountRpc,
+  addMint,
+  createTrader,
+  encodeTokenAccount,
+  sendRpc,
+} from "./helpers";
+
+const ASSOCIATED_TOKEN_PROGRAM = new PublicKey(
+  "ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL",
+);
+const RENT = 1_000_000;
+const DAY = 86_400;
+
+const DISCRIMINATORS = {
+  CLAIM_TOKEN_INCENTIVES: Buffer.from([16, 4, 71, 28, 204, 1, 40, 27]),
+  CLAIM_CASHBACK: Buffer.from([37, 58, 35, 126, 190, 53, 228, 197]),
+};
+
+const incentiveMint = Keypair.generate().publicKey;
+
+const ata = (mint: PublicKey, owner: PublicKey) =>
+  PublicKey.findProgramAddressSync(
+    [owner.toBuffer(), TOKEN_PROGRAM.toBuffer(), mint.toBuffer()],
+    ASSOCIATED_TOKEN_PROGRAM,
+  )[0];
+
+/** 程序下的 global / user volume accumulator 和 user accumulator 的 wSOL 账户 */
+function accumulators(programId: PublicKey, user: PublicKey) {
+  const [global] = PublicKey.findProgramAddressSync(
+    [Buffer.from("global_volume_accumulator")],
+    programId,
+  );
+  const [userAccumulator] = PublicKey.findProgramAddressSync(
+    [Buffer.from("user_volume_accumulator"), user.toBuffer()],
+    programId,
+  );
+  return {
+    global,
+    user: userAccumulator,
+    wsol: ata(SOL_MINT, userAccumulator),
+  };
+}
+
+/** global_volume_accumulator：第 0 天奖励 1000 个代币，总交易量 100 SOL */
+function encodeGlobalAccumulator(startTime: number): Buffer {
+  const writer = new Writer()
+    .i64(startTime)
+    .i64(startTime + 30 * DAY)
+    .i64(DAY)
+    .pubkey(incentiveMint)
+    .u64(1_000_000_000n)
+    .bytes(Buffer.alloc(29 * 8))
+    .u64(100_000_000_000n)
+    .bytes(Buffer.alloc(29 * 8));
+  return writer.toBuffer();
+}
+
+/** user_volume_accumulator：未领取 5000、已领取 7000、交易量 10 SOL */
+function encodeUserAccumulator(user: PublicKey, lastUpdate: number): Buffer {
+  return new Writer()
+    .pubkey(user)
+    .bool(true)
+    .u64(5_000n)
+    .u64(7_000n)
+    .u64(10_000_000_000n)
+    .i64(lastUpdate)
+    .toBuffer();
+}
+
+/** 当前钱包的账户表和 RPC，发送的交易立即确认 */
+function setup() {
+  const wallet = Keypair.generate();
+  const accounts = new Map<string, AccountInfo<Buffer>>();
+  addMint(accounts, incentiveMint);
+  const send = sendRpc();
+  const t = createTrader(
+    {
+      ...accountRpc(accounts),
+      ...send.rpc,
+      getMinimumBalanceForRentExemption: async () => RENT,
+      getTransaction: async () => ({ meta: { err: null } }),
+      getBlockHeight: async () => 1,
+    },
+    wallet,
+  );
+  const pump = accumulators(PUMP, wallet.publicKey);
+  const amm = accumulators(PUMP_AMM, wallet.publicKey);
+  const set = (address: PublicKey, data: Buffer, lamports = RENT) =>
+    accounts.set(address.toBase58(), account(data, PUMP, lamports));
+  return { t, user: wallet.publicKey, pump, amm, set, send };
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/** 去掉 ComputeBudget 后的指令 */
+const instructions = (raw: Buffer) =>
+  Transaction.from(raw).instructions.filter(
+    (ix) => !ix.programId.equals(ComputeBudgetProgram.programId),
+  );
+
+test("getUserVolumeStats decodes accumulators and settles a finished day", async () => {
+  const { t, user, pump, set } = setup();
+  const startTime = now() - 2 * DAY;
+  set(pump.global, encodeGlobalAccumulator(startTime));
+  set(pump.user, encodeUserAccumulator(user, startTime + 100), RENT + 2_500);
+  set(pump.wsol, encodeTokenAccount(SOL_MINT, pump.user, 0n));
+
+  const stats = await t.getUserVolumeStats();
+  assert.ok(stats.user.equals(user));
+  assert.ok(stats.incentiveMint?.equals(incentiveMint));
+  assert.ok(stats.pump.address.equals(pump.user));
+  assert.equal(stats.pump.initialized, true);
+  assert.equal(stats.pump.currentSolVolume, 10_000_000_000n);
+  assert.equal(stats.pump.claimedTokens, 7_000n);
+  // 5000 未领取 + 第 0 天 10 / 100 SOL 的 1000 个代币份额
+  assert.equal(stats.pump.unclaimedTokens, 5_000n + 100_000_000n);
+  assert.equal(stats.pump.cashback, 2_500n);
+  assert.equal(stats.amm.initialized, false);
+  assert.equal(stats.amm.cashback, 0n);
+});
+
+test("cashback includes the accumulator's wSOL balance", async () => {
+  const { t, user, amm, set } = setup();
+  set(amm.user, encodeUserAccumulator(user, now()));
+  set(amm.wsol, encodeTokenAccount(SOL_MINT, amm.user, 4_000n));
+
+  const stats = await t.getUserVolumeStats();
+  assert.equal(stats.incentiveMint, null);
+  assert.equal(stats.amm.unclaimedTokens, 5_000n);
+  assert.equal(stats.amm.cashback, 4_000n);
+});
+
+test("claimRewards needs the global accumulator and something to claim", async () => {
+  const missing = setup();
+  await assert.rejects(
+    missing.t.claimRewards(),
+    /Global volume accumulator not found/,
+  );
+
+  const empty = setup();
+  empty.set(empty.pump.global, encodeGlobalAccumulator(now()));
+  await assert.rejects(empty.t.claimRewards(), /No rewards to claim/);
+  assert.equal(empty.send.sent.length, 0);
+});
+
+test("claimRewards claims from programs with unclaimed tokens", async () => {
+  const { t, user, pump, set, send } = setup();
+  set(pump.global, encodeGlobalAccumulator(now()));
+  set(pump.user, encodeUserAccumulator(user, now()));
+
+  await t.claimRewards();
+  const [claim, ...rest] = instructions(send.sent[0]);
+  assert.equal(rest.length, 0);
+  assert.ok(claim.programId.equals(PUMP));
+  assert.deepEqual(claim.data, DISCRIMINATORS.CLAIM_TOKEN_INCENTIVES);
+  assert.deepEqual(
+    claim.keys.slice(0, 7).map((k) => k.pubkey.toBase58()),
+    [
+      user,
+      ata(incentiveMint, user),
+      pump.global,
+      ata(incentiveMint, pump.global),
+      pump.user,
+      incentiveMint,
+      TOKEN_PROGRAM,
+    ].map((k) => k.toBase58()),
+  );
+  assert.ok(claim.keys.at(-1)!.pubkey.equals(user));
+  assert.ok(claim.keys.at(-1)!.isSigner);
+});
+
+test("claimRewards skips a program whose accumulator does not exist", async () => {
+  const { t, user, pump, amm, set, send } = setup();
+  set(pump.global, encodeGlobalAccumulator(now()));
+  set(amm.user, encodeUserAccumulator(user, now()));
+
+  // 内盘 accumulator 不存在：没有奖励可领，也不需要初始化
+  const stats = await t.getUserVolumeStats();
+  assert.equal(stats.pump.initialized, false);
+  assert.equal(stats.pump.unclaimedTokens, 0n);
+
+  await t.claimRewards();
+  const ixs = instructions(send.sent[0]);
+  assert.deepEqual(
+    ixs.map((ix) => [ix.programId.toBase58(), ix.data]),
+    [[PUMP_AMM.toBase58(), DISCRIMINATORS.CLAIM_TOKEN_INCENTIVES]],
+  );
+  assert.ok(ixs[0].keys[4].pubkey.equals(amm.user));
+});
+
+test("claimCashback rejects when neither program has cashback", async () => {
+  const { t, send } = setup();
+  await assert.rejects(t.claimCashback(), /No cashback to claim/);
+  assert.equal(send.sent.length, 0);
+});
+
+test("claimCashback only claims programs with cashback and unwraps a new wSOL account", async () => {
+  const { t, user, amm, set, send } = setup();
+  set(amm.user, encodeUserAccumulator(user, now()));
+  set(amm.wsol, encodeTokenAccount(SOL_MINT, amm.user, 4_000n));
+  await t.claimCashback();
+
+  const ixs = instructions(send.sent[0]);
+  assert.deepEqual(
+    ixs.map((ix) => [ix.programId.toBase58(), ix.data.subarray(0, 8)]),
+    [
+      [ASSOCIATED_TOKEN_PROGRAM.toBase58(), Buffer.from([1])],
+      [PUMP_AMM.toBase58(), DISCRIMINATORS.CLAIM_CASHBACK],
+      [TOKEN_PROGRAM.toBase58(), Buffer.from([9])],
+    ],
+  );
+  const [, ammClaim, close] = ixs;
+  const userWsol = ata(SOL_MINT, user);
+  assert.deepEqual(
+    ammClaim.keys.slice(0, 6).map((k) => k.pubkey.toBase58()),
+    [user, amm.user, SOL_MINT, TOKEN_PROGRAM, amm.wsol, userWsol].map((k) =>
+      k.toBase58(),
+    ),
+  );
+  assert.ok(close.keys[0].pubkey.equals(userWsol));
+});
+
+test("claimCashback keeps an existing wSOL account", async () => {
+  const { t, user, pump, amm, set, send } = setup();
+  set(pump.user, encodeUserAccumulator(user, now()), RENT + 2_500);
+  set(amm.user, encodeUserAccumulator(user, now()));
+  set(amm.wsol, encodeTokenAccount(SOL_MINT, amm.user, 4_000n));
+  set(ata(SOL_MINT, user), encodeTokenAccount(SOL_MINT, user, 0n));
+  await t.claimCashback();
+
+  // 只有两个领取指令，不创建也不关闭用户已有的 wSOL 账户
+  const ixs = instructions(send.sent[0]);
+  assert.deepEqual(
+    ixs.map((ix) => [ix.programId.toBase58(), ix.data.subarray(0, 8)]),
+    [
+      [PUMP.toBase58(), DISCRIMINATORS.CLAIM_CASHBACK],
+      [PUMP_AMM.toBase58(), DISCRIMINATORS.CLAIM_CASHBACK],
+    ],
+  );
+  assert.ok(ixs[0].keys[1].pubkey.equals(pump.user));
+});